@@ -10,25 +10,22 @@ import { setIO } from './utils/socket.js';
 
 import { initializeMatrixClient } from './services/matrixService.js';
 import { initializePlatformBridge } from './services/matrixBridgeService.js';
-import connectRoutes from './routes/connectRoutes.js';
 import matrixRoomRoutes from './routes/matrixRoomRoutes.js';
 import { bridges } from './services/matrixBridgeService.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { checkSystemHealth } from './services/healthCheck.js';
 import {createTables} from './utils/supabase.js';
-import authRoutes from './routes/authRoutes.js';
-import accountRoutes from './routes/accountsRoutes.js';
-import platformRoutes from './routes/platformRoutes.js';
-import bridgeRoutes from './routes/bridgeRoutes.js';
 import { initializeSocketServer } from './services/socketService.js';
-import userRoutes from './routes/userRoutes.js';
-import onboardingRoutes from './routes/onboardingRoutes.js';
-import adminRoutes from './routes/adminRoutes.js';
-import reportRoutes from './routes/reportRoutes.js';
-import matrixRoutes from './routes/matrixRoutes.js';
-import whatsappEntityRoutes from './routes/whatsappEntityRoutes.js';
-import aiAnalysisRoutes from './routes/aiAnalysis.js';
-import { syncJobService } from './services/syncJobService.js';
+import { rulesService } from './services/rulesService.js';
+import { relayService } from './services/relayService.js';
+import { peopleService } from './services/peopleService.js';
+import { webhookService } from './services/webhookService.js';
+import { conversationService } from './services/conversationService.js';
+import { jobQueueService } from './services/jobQueueService.js';
+import { registerJobHandlers } from './services/jobHandlers.js';
+import { v1Router, mountLegacyRoutes } from './routes/apiRoutes.js';
+import { startDiscordGateways } from './services/directServices/discordDirect.js';
+import { digestService } from './services/digestService.js';
 
 dotenv.config();
 
@@ -48,8 +45,13 @@ app.use(cors({
   credentials: true
 }));
 
-// Then add other middleware
-app.use(express.json());
+// Then add other middleware. Slack signs the raw request body, so keep it
+// for the Slack events endpoint.
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (/^\/(api\/v1\/)?slack\//.test(req.originalUrl)) req.rawBody = buf;
+  }
+}));
 app.use(cookieParser());
 
 // Configure session middleware with proper settings
@@ -96,6 +98,31 @@ async function initializeServices() {
       throw dbError;
     }
 
+    // Evaluate message rules as messages arrive from any platform
+    rulesService.start();
+
+    // Forward messages between mapped channels
+    relayService.start();
+
+    // Link message senders to people across platforms
+    peopleService.start();
+
+    // Send subscribed events to users' outgoing webhooks
+    webhookService.start();
+
+    // Track conversation status and SLA deadlines
+    conversationService.start();
+
+    // Start the background job queue worker
+    registerJobHandlers();
+    await jobQueueService.start();
+
+    // Enqueue scheduled digests as they come due
+    await digestService.start();
+
+    // Resume live capture of opted-in Discord channels
+    await startDiscordGateways();
+
     // Get active Matrix accounts from Supabase
     const { data: matrixAccounts, error } = await supabase
       .from('accounts')
@@ -128,11 +155,6 @@ async function initializeServices() {
       }
     }
 
-    // Initialize WhatsApp sync job service
-    console.log('Initializing WhatsApp sync job service...');
-    await syncJobService.start();
-    console.log('WhatsApp sync job service initialized successfully');
-
   } catch (error) {
     console.error('Matrix/Bridge/Sync initialization error:', error);
     throw error; // Propagate error for recovery mechanism
@@ -144,6 +166,10 @@ async function cleanup() {
   console.log('Cleaning up before shutdown...');
   
   try {
+    // Stop claiming new jobs; leases on running ones expire for other workers
+    await jobQueueService.stop();
+    await digestService.stop();
+
     // Cleanup all bridges
     for (const [key, bridge] of bridges.entries()) {
       await bridge.cleanup();
@@ -205,35 +231,15 @@ async function initializeDatabase() {
   }
 }
 
-// Add routes in order of specificity
-// Authentication routes first
-app.use('/auth', authRoutes);
+// Versioned API, validated against the OpenAPI spec in openapi/
+app.use('/api/v1', v1Router);
 
-// Platform-specific routes
-app.use('/matrix', matrixRoutes);
-app.use('/api/whatsapp-entities', whatsappEntityRoutes);
-app.use('/api/analysis', aiAnalysisRoutes);
-
-// General platform and connection routes
-app.use('/connect', connectRoutes);
-app.use('/platforms', platformRoutes);
-app.use('/bridge', bridgeRoutes);
-
-// User and account management routes
-app.use('/accounts', accountRoutes);
-app.use('/user', userRoutes);
-app.use('/onboarding', onboardingRoutes);
-
-// Administrative routes
-app.use('/admin', adminRoutes);
-app.use('/reports', reportRoutes);
+// Unversioned paths, kept for existing clients
+mountLegacyRoutes(app);
 
 // Global error handler should be last
 app.use(errorHandler);
 
-// Register AI Analysis routes
-app.use('/api/analysis', aiAnalysisRoutes);
-
 // Start server only after database is initialized
 async function startServer() {
   try {
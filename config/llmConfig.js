@@ -0,0 +1,89 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Provider used for any task that doesn't name one. Set LLM_PROVIDER=local to
+// run every AI feature offline with deterministic output.
+const defaultProvider = process.env.LLM_PROVIDER || 'openai';
+
+// Per-task overrides from the environment, e.g.
+// LLM_TASK_OVERRIDES='{"conversation_analysis":{"provider":"gemini","model":"gemini-1.5-flash"}}'
+let taskOverrides = {};
+try {
+  taskOverrides = JSON.parse(process.env.LLM_TASK_OVERRIDES || '{}');
+} catch (error) {
+  console.error('[LLM Config] Ignoring invalid LLM_TASK_OVERRIDES:', error.message);
+}
+
+// Model, output and input budget per task. maxInputTokens caps the prompt; the
+// oldest lines of the last user message are dropped to fit.
+const baseTasks = {
+  realtime_summary: { model: 'gpt-3.5-turbo', maxTokens: 500, maxInputTokens: 12000, temperature: 0.7 },
+  conversation_analysis: { model: 'gpt-4', maxTokens: 1000, maxInputTokens: 6000, temperature: 0.7 },
+  historical_summary: { model: 'gpt-3.5-turbo', maxTokens: 500, maxInputTokens: 12000, temperature: 0.7 },
+  channel_report: { model: 'gpt-4', maxTokens: 1000, maxInputTokens: 6000, temperature: 0.7 },
+  server_report_channel: { model: 'gpt-4', maxTokens: 1000, maxInputTokens: 6000, temperature: 0.7 },
+  server_report_summary: { model: 'gpt-4', maxTokens: 500, maxInputTokens: 6000, temperature: 0.7 },
+  message_analysis: { model: 'gpt-3.5-turbo', maxTokens: 800, maxInputTokens: 8000, temperature: 0.5 },
+  rule_sentiment: { model: 'gpt-3.5-turbo', maxTokens: 50, maxInputTokens: 1000, temperature: 0 },
+  reply_draft: { model: 'gpt-3.5-turbo', maxTokens: 300, maxInputTokens: 4000, temperature: 0.7 },
+  digest_conversation: { model: 'gpt-3.5-turbo', maxTokens: 700, maxInputTokens: 12000, temperature: 0.3 },
+  digest_overview: { model: 'gpt-3.5-turbo', maxTokens: 400, maxInputTokens: 8000, temperature: 0.5 },
+  slack_conversation_summary: { model: 'gpt-3.5-turbo', maxTokens: 700, maxInputTokens: 12000, temperature: 0.3 },
+  // Embeddings must stay 1536-dimensional to match messages.embedding
+  search_embedding: { model: process.env.SEARCH_EMBEDDING_MODEL || 'text-embedding-3-small', maxInputTokens: 2000 }
+};
+
+export const llmTasks = Object.fromEntries(
+  Object.entries(baseTasks).map(([task, settings]) => [task, {
+    provider: defaultProvider,
+    ...settings,
+    ...(taskOverrides[task] || {})
+  }])
+);
+
+// USD per 1M tokens
+export const llmPricing = {
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 }
+};
+
+// AI quotas per plan; null means unlimited. Override with AI_QUOTA_PLANS
+// (same shape as JSON) and set per-user plans in user_ai_plans.
+let planOverrides = {};
+try {
+  planOverrides = JSON.parse(process.env.AI_QUOTA_PLANS || '{}');
+} catch (error) {
+  console.error('[LLM Config] Ignoring invalid AI_QUOTA_PLANS:', error.message);
+}
+
+export const aiPlans = {
+  free: { dailyTokens: 50000, monthlyTokens: 500000, dailyRequests: 100, monthlyRequests: 1500 },
+  pro: { dailyTokens: 500000, monthlyTokens: 10000000, dailyRequests: 2000, monthlyRequests: 40000 },
+  business: { dailyTokens: null, monthlyTokens: 100000000, dailyRequests: null, monthlyRequests: null },
+  ...planOverrides
+};
+
+export const defaultAiPlan = process.env.AI_DEFAULT_PLAN || 'free';
+
+export const llmConfig = {
+  defaultProvider,
+  maxRetries: parseInt(process.env.LLM_MAX_RETRIES, 10) || 3,
+  requestTimeout: parseInt(process.env.LLM_REQUEST_TIMEOUT_MS, 10) || 60000,
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY
+  },
+  gemini: {
+    apiKey: process.env.GEMINI_API_KEY,
+    // Used when a task is switched to gemini without naming a gemini model
+    defaultModel: process.env.GEMINI_MODEL || 'gemini-1.5-flash'
+  },
+  local: {
+    embeddingDimensions: 1536
+  }
+};
@@ -0,0 +1,27 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Speech-to-text backend for voice notes: openai (Whisper), http (a
+// self-hosted service at STT_API_ENDPOINT) or local, an offline stub that
+// returns a placeholder transcript.
+export const sttConfig = {
+  provider: process.env.STT_PROVIDER || (process.env.STT_API_ENDPOINT ? 'http' : 'openai'),
+  model: process.env.STT_MODEL || 'whisper-1',
+  requestTimeout: parseInt(process.env.STT_REQUEST_TIMEOUT_MS, 10) || 120000,
+  // Voice notes longer than this are skipped rather than transcribed
+  maxDurationSeconds: parseInt(process.env.STT_MAX_DURATION_SECONDS, 10) || 600,
+  http: {
+    endpoint: process.env.STT_API_ENDPOINT,
+    apiKey: process.env.STT_API_KEY
+  },
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY
+  }
+};
+
+// USD per audio minute
+export const sttPricing = {
+  'whisper-1': 0.006,
+  'gpt-4o-transcribe': 0.006,
+  'gpt-4o-mini-transcribe': 0.003
+};
@@ -0,0 +1,16 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+// How user bots receive updates: polling (a long-polling loop per bot in this
+// process) or webhook (Telegram POSTs updates to /telegram/webhook/:botId, so
+// any instance behind the load balancer can handle them).
+export const telegramConfig = {
+  mode: process.env.TELEGRAM_UPDATE_MODE === 'webhook' ? 'webhook' : 'polling',
+  webhook: {
+    // Public HTTPS origin Telegram can reach, e.g. https://api.example.com
+    baseUrl: process.env.TELEGRAM_WEBHOOK_BASE_URL,
+    // Per-bot secret tokens are derived from this
+    secret: process.env.TELEGRAM_WEBHOOK_SECRET,
+    maxConnections: parseInt(process.env.TELEGRAM_WEBHOOK_MAX_CONNECTIONS, 10) || 40
+  }
+};
@@ -0,0 +1,84 @@
+// Consistent error bodies for the versioned API:
+// { status: 'error', code, message, details? }. Routes keep answering with
+// their own shapes ({ error }, { status, message }, ...); the versioned router
+// rewrites them here so clients only have to handle one.
+
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'RATE_LIMITED',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// Codes set by services and middleware (TOKEN_EXPIRED, INSUFFICIENT_SCOPE, ...)
+// are kept; database error codes like 23505 are not meant for clients.
+const API_CODE = /^[A-Z][A-Z0-9_]*$/;
+
+export function errorCode(status) {
+  if (STATUS_CODES[status]) return STATUS_CODES[status];
+  return status >= 500 ? 'INTERNAL_ERROR' : 'REQUEST_FAILED';
+}
+
+export function errorBody(status, message, { code = null, details } = {}) {
+  return {
+    status: 'error',
+    code: code && API_CODE.test(code) ? code : errorCode(status),
+    message: message || 'An unexpected error occurred',
+    ...(details !== undefined ? { details } : {})
+  };
+}
+
+function normalizeErrorBody(status, body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return errorBody(status, typeof body === 'string' ? body : null);
+  }
+
+  const message = typeof body.message === 'string' ? body.message
+    : typeof body.error === 'string' ? body.error
+      : null;
+
+  return errorBody(status, message, { code: body.code, details: body.details });
+}
+
+// Rewrites every JSON error response sent after this middleware
+export const consistentErrors = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = body => json(res.statusCode >= 400 ? normalizeErrorBody(res.statusCode, body) : body);
+  next();
+};
+
+export const apiNotFound = (req, res) => {
+  res.status(404).json(errorBody(404, `No route for ${req.method} ${req.originalUrl.split('?')[0]}`, {
+    code: 'ROUTE_NOT_FOUND'
+  }));
+};
+
+export const apiErrorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  // body-parser errors
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json(errorBody(400, 'Request body is not valid JSON', { code: 'INVALID_JSON' }));
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json(errorBody(413, 'Request body is too large'));
+  }
+
+  if (err.code === '23505') { // PostgreSQL unique violation
+    return res.status(409).json(errorBody(409, 'A record with these values already exists'));
+  }
+  if (err.code === '23503') { // PostgreSQL foreign key violation
+    return res.status(400).json(errorBody(400, 'Invalid reference. Please check your input.', { code: 'INVALID_REFERENCE' }));
+  }
+
+  const status = err.status || err.statusCode || 500;
+  console.error('[API] Unhandled error:', { method: req.method, url: req.originalUrl, status, error: err });
+
+  res.status(status).json(errorBody(status, err.message, { code: err.code, details: err.details }));
+};
@@ -1,7 +1,106 @@
 import supabase from '../utils/supabase.js';
+import { accessTokenService, isAccessToken } from '../services/accessTokenService.js';
+import { workspaceService, hasRole, WORKSPACE_HEADER } from '../services/workspaceService.js';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Scope a personal access token needs for the routes mounted after this.
+// read applies to GET/HEAD/OPTIONS, write to everything else; either may be a
+// function of the request. Routes without one need the admin scope.
+export const tokenScope = (read, write = read) => (req, res, next) => {
+  const scope = READ_METHODS.includes(req.method) ? read : write;
+  req.tokenScope = typeof scope === 'function' ? scope(req) : scope;
+  next();
+};
+
+// Workspace role the routes mounted after this need, read and write as for
+// tokenScope. Routes without one need viewer to read and agent to write;
+// null skips workspace resolution for routes that name workspaces themselves.
+export const workspaceRole = (read, write = read) => (req, res, next) => {
+  const role = READ_METHODS.includes(req.method) ? read : write;
+  req.workspaceRole = typeof role === 'function' ? role(req) : role;
+  next();
+};
+
+// Sets req.workspace = { id, role } from the X-Workspace-Id header, or the
+// user's default workspace, and checks the route's role
+async function attachWorkspace(req, res) {
+  const required = req.workspaceRole === undefined
+    ? (READ_METHODS.includes(req.method) ? 'viewer' : 'agent')
+    : req.workspaceRole;
+  if (required === null) return true;
+
+  try {
+    req.workspace = await workspaceService.resolve(req.user.id, req.get(WORKSPACE_HEADER) || null);
+  } catch (error) {
+    if (!error.status) console.error('Workspace resolution failed:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.status ? error.message : 'Workspace service unavailable',
+      code: error.code || 'WORKSPACE_ERROR'
+    });
+    return false;
+  }
+
+  if (!hasRole(req.workspace.role, required)) {
+    res.status(403).json({
+      status: 'error',
+      message: `This requires the ${required} role in the workspace`,
+      code: 'INSUFFICIENT_ROLE'
+    });
+    return false;
+  }
+  return true;
+}
+
+function setRateLimitHeaders(res, rate) {
+  res.set({
+    'X-RateLimit-Limit': String(rate.limit),
+    'X-RateLimit-Remaining': String(rate.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(rate.resetsAt.getTime() / 1000))
+  });
+}
+
+// Personal access tokens: resolve the user, then check the route's scope
+export const authenticateAccessToken = async (req, res, token) => {
+  try {
+    const { user, token: accessToken, rate } = await accessTokenService.authenticate(token, { ip: req.ip });
+    setRateLimitHeaders(res, rate);
+
+    const required = req.tokenScope || 'admin';
+    if (!accessTokenService.hasScope(accessToken.scopes, required)) {
+      res.status(403).json({
+        status: 'error',
+        message: `This access token lacks the ${required} scope`,
+        code: 'INSUFFICIENT_SCOPE'
+      });
+      return null;
+    }
+
+    req.auth = { type: 'access_token', tokenId: accessToken.id, scopes: accessToken.scopes };
+    return user;
+  } catch (error) {
+    if (error.rate) {
+      setRateLimitHeaders(res, error.rate);
+      res.set('Retry-After', String(Math.max(Math.ceil((error.rate.resetsAt.getTime() - Date.now()) / 1000), 1)));
+    }
+    if (!error.status) {
+      console.error('Access token validation failed:', error);
+    }
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.status ? error.message : 'Authentication service unavailable',
+      code: error.code || 'AUTH_SERVICE_ERROR'
+    });
+    return null;
+  }
+};
 
 export const authenticateUser = async (req, res, next) => {
   try {
+    // Already authenticated further up the chain
+    if (req.auth && req.user) return next();
+
     const authHeader = req.headers.authorization;
     if (!authHeader?.startsWith('Bearer ')) {
       console.warn('No token provided in request');
@@ -12,6 +111,19 @@ export const authenticateUser = async (req, res, next) => {
     }
 
     const token = authHeader.split(' ')[1];
+
+    if (isAccessToken(token)) {
+      const user = await authenticateAccessToken(req, res, token);
+      if (!user) return;
+
+      req.user = {
+        id: user.id,
+        email: user.email,
+        ...user.user_metadata
+      };
+      if (!await attachWorkspace(req, res)) return;
+      return next();
+    }
     
     try {
       const { data: { user }, error } = await supabase.auth.getUser(token);
@@ -35,6 +147,7 @@ export const authenticateUser = async (req, res, next) => {
       }
 
       // Add user info to request
+      req.auth = { type: 'session' };
       req.user = {
         id: user.id,
         email: user.email,
@@ -49,6 +162,7 @@ export const authenticateUser = async (req, res, next) => {
         method: req.method
       });
 
+      if (!await attachWorkspace(req, res)) return;
       next();
     } catch (tokenError) {
       console.error('Token validation failed:', tokenError);
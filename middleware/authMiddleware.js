@@ -1,4 +1,6 @@
 import { supabase } from '../utils/supabase.js';
+import { isAccessToken } from '../services/accessTokenService.js';
+import { authenticateAccessToken } from './auth.js';
 
 export default async function authMiddleware(req, res, next) {
   try {
@@ -10,6 +12,14 @@ export default async function authMiddleware(req, res, next) {
       return res.status(401).json({ error: 'No token provided' });
     }
 
+    if (isAccessToken(token)) {
+      const user = await authenticateAccessToken(req, res, token);
+      if (!user) return;
+
+      req.user = user;
+      return next();
+    }
+
     console.log('Validating token...');
     
     // Verify the token using admin client
@@ -1,6 +1,10 @@
 import { ioEmitter } from '../utils/emitter.js';
+import { apiErrorHandler } from './apiErrors.js';
 
 export const errorHandler = (err, req, res, next) => {
+  // Body parsing runs before the /api/v1 router, so its errors land here
+  if (req.originalUrl.startsWith('/api/v1/')) return apiErrorHandler(err, req, res, next);
+
   console.error('Error:', err);
 
   if (err.code === '23505') { // PostgreSQL unique violation code
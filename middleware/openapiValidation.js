@@ -0,0 +1,161 @@
+import { validateJson } from '../utils/jsonSchema.js';
+import { errorBody } from './apiErrors.js';
+
+// Responses are checked outside production, or anywhere with
+// OPENAPI_VALIDATE_RESPONSES=true. A mismatch is logged, never sent.
+const validateResponses = process.env.OPENAPI_VALIDATE_RESPONSES
+  ? process.env.OPENAPI_VALIDATE_RESPONSES === 'true'
+  : process.env.NODE_ENV !== 'production';
+
+// "/people/{personId}/notes" -> { regex, names: ['personId'] }
+function compilePath(path) {
+  const names = [];
+  const pattern = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (match, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  return { regex: new RegExp(`^${pattern}/?$`), names };
+}
+
+// Literal paths win over templated ones (/people/tags before /people/{personId})
+function compileRoutes(spec) {
+  return Object.entries(spec.paths)
+    .map(([path, operations]) => ({ path, operations, ...compilePath(path) }))
+    .sort((a, b) => a.names.length - b.names.length);
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+function findOperation(routes, method, path) {
+  for (const route of routes) {
+    const match = route.regex.exec(path);
+    if (!match) continue;
+    const operation = route.operations[method.toLowerCase()];
+    if (!operation) continue;
+
+    const params = {};
+    route.names.forEach((name, index) => {
+      params[name] = decodeSegment(match[index + 1]);
+    });
+    return { route, operation, params };
+  }
+  return null;
+}
+
+// Path and query values arrive as strings; convert the ones the schema
+// types so "5" passes as an integer and "yes" fails as a boolean.
+function coerce(value, schema = {}) {
+  if (typeof value !== 'string') return value;
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    default:
+      return value;
+  }
+}
+
+// "$.name: is required" -> { in: 'body', path: 'name', message: 'is required' }
+function toDetails(errors, location, prefix) {
+  return errors.map(error => {
+    const separator = error.indexOf(': ');
+    const path = error.slice(0, separator).replace(/^\$\.?/, '');
+    return {
+      in: location,
+      path: prefix ? [prefix, path].filter(Boolean).join('.') : path,
+      message: error.slice(separator + 2)
+    };
+  });
+}
+
+function validateParameters(operation, location, values, spec) {
+  const details = [];
+  for (const parameter of operation.parameters || []) {
+    if (parameter.in !== location) continue;
+
+    const value = values[parameter.name];
+    if (value === undefined || value === '') {
+      if (parameter.required) details.push({ in: location, path: parameter.name, message: 'is required' });
+      continue;
+    }
+
+    const errors = validateJson(coerce(value, parameter.schema), parameter.schema, '$', spec);
+    details.push(...toDetails(errors, location, parameter.name));
+  }
+  return details;
+}
+
+function validateBody(operation, req, spec) {
+  const content = operation.requestBody?.content || {};
+  const schema = content['application/json']?.schema;
+  if (!schema) return [];
+
+  if (!req.is('application/json')) {
+    // Raw uploads (e.g. WhatsApp media) are described by another media type
+    if (Object.keys(content).length > 1 || !operation.requestBody.required) return [];
+  }
+  return toDetails(validateJson(req.body ?? {}, schema, '$', spec), 'body');
+}
+
+function checkResponse(req, operation, status, body, spec) {
+  const response = operation.responses[status];
+  const schema = response?.$ref
+    ? spec.components.responses[response.$ref.split('/').pop()]?.content?.['application/json']?.schema
+    : response?.content?.['application/json']?.schema;
+  if (!schema) return;
+
+  const errors = validateJson(body, schema, '$', spec);
+  if (errors.length > 0) {
+    console.warn('[OpenAPI] Response does not match the spec:', {
+      method: req.method,
+      url: req.originalUrl,
+      status,
+      errors: errors.slice(0, 10)
+    });
+  }
+}
+
+// Validates path parameters, query strings and JSON bodies of requests to
+// operations in the spec, answering 400 VALIDATION_ERROR with a list of
+// { in, path, message }. Requests for paths the spec doesn't describe pass
+// through to the routers (and their 404s). Mount at the spec's server URL.
+export const validateOpenApi = spec => {
+  const routes = compileRoutes(spec);
+
+  return (req, res, next) => {
+    const found = findOperation(routes, req.method, req.path);
+    if (!found) return next();
+
+    const { operation, params } = found;
+
+    if (validateResponses) {
+      const json = res.json.bind(res);
+      res.json = body => {
+        checkResponse(req, operation, res.statusCode, body, spec);
+        return json(body);
+      };
+    }
+
+    const details = [
+      ...validateParameters(operation, 'path', params, spec),
+      ...validateParameters(operation, 'query', req.query, spec),
+      ...validateBody(operation, req, spec)
+    ];
+
+    if (details.length > 0) {
+      return res.status(400).json(errorBody(400, `Invalid request: ${details
+        .map(detail => `${detail.in}${detail.path ? ` ${detail.path}` : ''} ${detail.message}`)
+        .join('; ')}`, { code: 'VALIDATION_ERROR', details }));
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+
+// Requests older than this are rejected so a captured request can't be replayed
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
+
+// Verifies Slack's X-Slack-Signature: v0=HMAC-SHA256(signing secret,
+// "v0:<timestamp>:<raw body>"). Needs req.rawBody, which the JSON parser in
+// Index.js keeps for /slack and /api/v1/slack routes.
+export const verifySlackSignature = (req, res, next) => {
+  const signingSecret = process.env.SLACK_SIGNING_SECRET;
+  if (!signingSecret) {
+    console.error('SLACK_SIGNING_SECRET is not set; rejecting Slack request');
+    return res.status(503).json({
+      status: 'error',
+      message: 'Slack events are not configured'
+    });
+  }
+
+  const timestamp = req.get('X-Slack-Request-Timestamp');
+  const signature = req.get('X-Slack-Signature');
+
+  if (!timestamp || !signature || !req.rawBody) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Missing Slack signature'
+    });
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+  if (isNaN(age) || age > MAX_REQUEST_AGE_SECONDS) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Stale Slack request'
+    });
+  }
+
+  const expected = Buffer.from(`v0=${crypto
+    .createHmac('sha256', signingSecret)
+    .update(`v0:${timestamp}:${req.rawBody.toString('utf8')}`)
+    .digest('hex')}`);
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid Slack signature'
+    });
+  }
+
+  next();
+};
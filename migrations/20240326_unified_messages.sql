@@ -0,0 +1,90 @@
+-- Create unified messages table shared by every platform ingestion path
+CREATE TABLE IF NOT EXISTS public.messages (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    platform TEXT NOT NULL CHECK (platform IN ('whatsapp', 'discord', 'slack', 'telegram', 'matrix')),
+    conversation_id TEXT NOT NULL,
+    conversation_name TEXT,
+    external_id TEXT NOT NULL,
+    sender_id TEXT,
+    sender_name TEXT,
+    content TEXT,
+    attachments JSONB DEFAULT '[]'::jsonb,
+    metadata JSONB DEFAULT '{}'::jsonb,
+    timestamp TIMESTAMPTZ NOT NULL,
+    edited_at TIMESTAMPTZ,
+    is_read BOOLEAN DEFAULT false,
+    read_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, platform, external_id)
+);
+
+-- Indexes for the cursor-based inbox query (timestamp DESC, id DESC)
+CREATE INDEX IF NOT EXISTS idx_messages_user_inbox ON public.messages(user_id, timestamp DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_user_platform ON public.messages(user_id, platform, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_conversation ON public.messages(user_id, platform, conversation_id, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_unread ON public.messages(user_id, is_read) WHERE is_read = false;
+
+-- Enable RLS
+ALTER TABLE public.messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own messages"
+    ON public.messages
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Keep updated_at current
+CREATE OR REPLACE FUNCTION public.update_messages_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_messages_timestamp
+    BEFORE UPDATE ON public.messages
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_messages_timestamp();
+
+-- Backfill existing WhatsApp messages
+INSERT INTO public.messages (
+    user_id, platform, conversation_id, conversation_name, external_id,
+    sender_id, sender_name, content, metadata, timestamp, is_read, created_at
+)
+SELECT
+    m.user_id,
+    'whatsapp',
+    m.contact_id::text,
+    c.display_name,
+    m.message_id,
+    m.sender_id,
+    m.sender_name,
+    m.content,
+    jsonb_build_object('message_type', m.message_type, 'room_id', m.metadata->>'room_id'),
+    m.timestamp,
+    m.is_read,
+    m.created_at
+FROM public.whatsapp_messages m
+LEFT JOIN public.whatsapp_contacts c ON c.id = m.contact_id
+ON CONFLICT (user_id, platform, external_id) DO NOTHING;
+
+-- Backfill existing Discord messages
+INSERT INTO public.messages (
+    user_id, platform, conversation_id, external_id,
+    sender_id, sender_name, content, attachments, metadata, timestamp
+)
+SELECT
+    d.user_id,
+    'discord',
+    d.channel_id,
+    d.id,
+    d.author->>'id',
+    d.author->>'username',
+    d.content,
+    COALESCE(d.attachments, '[]'::jsonb),
+    jsonb_build_object('server_id', d.server_id),
+    d.timestamp
+FROM public.discord_messages d
+ON CONFLICT (user_id, platform, external_id) DO NOTHING;
@@ -0,0 +1,76 @@
+-- Full-text and semantic search over the unified messages table
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- Keyword search: the 'simple' config avoids English-only stemming since
+-- bridged conversations are frequently multilingual
+ALTER TABLE public.messages
+ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', coalesce(content, '')), 'A') ||
+        setweight(to_tsvector('simple', coalesce(sender_name, '')), 'B') ||
+        setweight(to_tsvector('simple', coalesce(conversation_name, '')), 'C')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON public.messages USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_messages_sender ON public.messages(user_id, sender_id);
+
+-- Semantic search: embeddings are filled in lazily by searchService.indexEmbeddings
+ALTER TABLE public.messages
+ADD COLUMN IF NOT EXISTS embedding vector(1536),
+ADD COLUMN IF NOT EXISTS embedded_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_messages_embedding
+    ON public.messages USING ivfflat (embedding vector_cosine_ops) WITH (lists = 100);
+
+CREATE INDEX IF NOT EXISTS idx_messages_pending_embedding
+    ON public.messages(user_id, id) WHERE embedding IS NULL;
+
+-- Nearest-neighbour lookup used by the "find similar" endpoint
+CREATE OR REPLACE FUNCTION public.match_messages(
+    p_user_id UUID,
+    p_embedding vector(1536),
+    p_match_count INTEGER DEFAULT 20,
+    p_platforms TEXT[] DEFAULT NULL,
+    p_conversation_id TEXT DEFAULT NULL,
+    p_sender_id TEXT DEFAULT NULL,
+    p_from TIMESTAMPTZ DEFAULT NULL,
+    p_to TIMESTAMPTZ DEFAULT NULL,
+    p_exclude_id BIGINT DEFAULT NULL
+)
+RETURNS TABLE (
+    id BIGINT,
+    platform TEXT,
+    conversation_id TEXT,
+    conversation_name TEXT,
+    external_id TEXT,
+    sender_id TEXT,
+    sender_name TEXT,
+    content TEXT,
+    timestamp TIMESTAMPTZ,
+    similarity DOUBLE PRECISION
+)
+LANGUAGE sql STABLE
+AS $$
+    SELECT
+        m.id,
+        m.platform,
+        m.conversation_id,
+        m.conversation_name,
+        m.external_id,
+        m.sender_id,
+        m.sender_name,
+        m.content,
+        m.timestamp,
+        1 - (m.embedding <=> p_embedding) AS similarity
+    FROM public.messages m
+    WHERE m.user_id = p_user_id
+      AND m.embedding IS NOT NULL
+      AND (p_platforms IS NULL OR m.platform = ANY(p_platforms))
+      AND (p_conversation_id IS NULL OR m.conversation_id = p_conversation_id)
+      AND (p_sender_id IS NULL OR m.sender_id = p_sender_id)
+      AND (p_from IS NULL OR m.timestamp >= p_from)
+      AND (p_to IS NULL OR m.timestamp <= p_to)
+      AND (p_exclude_id IS NULL OR m.id <> p_exclude_id)
+    ORDER BY m.embedding <=> p_embedding
+    LIMIT p_match_count;
+$$;
@@ -0,0 +1,119 @@
+-- Rules engine v2: user-defined conditions/actions evaluated against unified messages
+CREATE TABLE IF NOT EXISTS public.message_rules (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    description TEXT,
+    enabled BOOLEAN NOT NULL DEFAULT false,
+    position INTEGER NOT NULL DEFAULT 0,
+    stop_processing BOOLEAN NOT NULL DEFAULT false,
+    conditions JSONB NOT NULL DEFAULT '{}'::jsonb,
+    actions JSONB NOT NULL DEFAULT '[]'::jsonb,
+    trigger_count INTEGER NOT NULL DEFAULT 0,
+    last_triggered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_rules_user_enabled ON public.message_rules(user_id, enabled, position);
+
+-- Audit trail of every rule that fired and what its actions did
+CREATE TABLE IF NOT EXISTS public.rule_executions (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    rule_id BIGINT NOT NULL REFERENCES public.message_rules(id) ON DELETE CASCADE,
+    message_id BIGINT REFERENCES public.messages(id) ON DELETE SET NULL,
+    results JSONB NOT NULL DEFAULT '[]'::jsonb,
+    has_errors BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rule_executions_rule ON public.rule_executions(rule_id, created_at DESC);
+
+-- Per-conversation state written by assign/mute/snooze actions
+CREATE TABLE IF NOT EXISTS public.conversation_settings (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    platform TEXT NOT NULL,
+    conversation_id TEXT NOT NULL,
+    assignee TEXT,
+    muted BOOLEAN NOT NULL DEFAULT false,
+    muted_until TIMESTAMPTZ,
+    snoozed_until TIMESTAMPTZ,
+    metadata JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, platform, conversation_id)
+);
+
+-- AI-drafted replies awaiting review (or already auto-sent)
+CREATE TABLE IF NOT EXISTS public.reply_drafts (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    message_id BIGINT REFERENCES public.messages(id) ON DELETE CASCADE,
+    rule_id BIGINT REFERENCES public.message_rules(id) ON DELETE SET NULL,
+    platform TEXT NOT NULL,
+    conversation_id TEXT NOT NULL,
+    content TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'sent', 'discarded')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reply_drafts_user_status ON public.reply_drafts(user_id, status);
+
+-- Tags applied to individual messages by the tag action
+ALTER TABLE public.messages
+ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_messages_tags ON public.messages USING GIN(tags);
+
+-- Enable RLS
+ALTER TABLE public.message_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.rule_executions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.conversation_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.reply_drafts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own rules"
+    ON public.message_rules
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own rule executions"
+    ON public.rule_executions
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own conversation settings"
+    ON public.conversation_settings
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own reply drafts"
+    ON public.reply_drafts
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Keep updated_at current
+CREATE OR REPLACE FUNCTION public.update_rules_engine_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_message_rules_timestamp
+    BEFORE UPDATE ON public.message_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_rules_engine_timestamp();
+
+CREATE TRIGGER update_conversation_settings_timestamp
+    BEFORE UPDATE ON public.conversation_settings
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_rules_engine_timestamp();
+
+CREATE TRIGGER update_reply_drafts_timestamp
+    BEFORE UPDATE ON public.reply_drafts
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_rules_engine_timestamp();
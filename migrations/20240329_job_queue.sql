@@ -0,0 +1,114 @@
+-- Durable background job queue shared by every backend instance
+CREATE TABLE IF NOT EXISTS public.jobs (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'dead', 'cancelled')),
+    priority INTEGER NOT NULL DEFAULT 0,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    locked_by TEXT,
+    locked_until TIMESTAMPTZ,
+    progress INTEGER NOT NULL DEFAULT 0 CHECK (progress BETWEEN 0 AND 100),
+    progress_message TEXT,
+    result JSONB,
+    last_error TEXT,
+    dedupe_key TEXT,
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    dead_lettered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Claim query: runnable jobs by priority, then due time
+CREATE INDEX IF NOT EXISTS idx_jobs_runnable ON public.jobs(priority DESC, run_at, id) WHERE status IN ('queued', 'running');
+CREATE INDEX IF NOT EXISTS idx_jobs_user_status ON public.jobs(user_id, status, created_at DESC);
+
+-- At most one live job per dedupe key, so repeated requests don't pile up
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_dedupe ON public.jobs(type, dedupe_key)
+    WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'running');
+
+ALTER TABLE public.jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own jobs"
+    ON public.jobs
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION public.update_jobs_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_jobs_timestamp
+    BEFORE UPDATE ON public.jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_jobs_timestamp();
+
+-- Lease up to p_limit runnable jobs for a worker. Queued jobs that are due and
+-- running jobs whose lease expired (crashed worker) are both eligible. Claims
+-- are serialized with an advisory lock so the per-user limit holds across
+-- instances; SKIP LOCKED keeps the claim from waiting on rows being finished.
+CREATE OR REPLACE FUNCTION public.claim_jobs(
+    p_worker_id TEXT,
+    p_limit INTEGER,
+    p_lease_seconds INTEGER,
+    p_per_user_limit INTEGER
+)
+RETURNS SETOF public.jobs
+LANGUAGE sql
+AS $$
+    SELECT pg_advisory_xact_lock(hashtext('public.claim_jobs'));
+
+    WITH active AS (
+        SELECT user_id, COUNT(*) AS running
+        FROM public.jobs
+        WHERE status = 'running' AND locked_until > NOW()
+        GROUP BY user_id
+    ),
+    candidates AS (
+        SELECT j.id, j.user_id, j.priority, j.run_at
+        FROM public.jobs j
+        WHERE (j.status = 'queued' AND j.run_at <= NOW())
+           OR (j.status = 'running' AND j.locked_until <= NOW())
+        ORDER BY j.priority DESC, j.run_at, j.id
+        LIMIT p_limit * 10
+        FOR UPDATE SKIP LOCKED
+    ),
+    ranked AS (
+        SELECT c.id, c.priority, c.run_at,
+               COALESCE(a.running, 0)
+                 + ROW_NUMBER() OVER (PARTITION BY c.user_id ORDER BY c.priority DESC, c.run_at, c.id) AS slot
+        FROM candidates c
+        LEFT JOIN active a ON a.user_id IS NOT DISTINCT FROM c.user_id
+    ),
+    picked AS (
+        SELECT id
+        FROM ranked
+        WHERE slot <= p_per_user_limit
+        ORDER BY priority DESC, run_at, id
+        LIMIT p_limit
+    )
+    UPDATE public.jobs j
+    SET status = 'running',
+        locked_by = p_worker_id,
+        locked_until = NOW() + make_interval(secs => p_lease_seconds),
+        attempts = j.attempts + 1,
+        started_at = COALESCE(j.started_at, NOW())
+    FROM picked
+    WHERE j.id = picked.id
+    RETURNING j.*;
+$$;
+
+-- Carry over sync requests that the old polling loop would have picked up
+INSERT INTO public.jobs (user_id, type, payload, dedupe_key)
+SELECT user_id, 'whatsapp.sync_messages', jsonb_build_object('contactId', contact_id), user_id || ':' || contact_id
+FROM public.whatsapp_sync_requests
+WHERE status = 'pending'
+ON CONFLICT DO NOTHING;
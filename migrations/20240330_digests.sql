@@ -0,0 +1,87 @@
+-- Recurring AI digests across platforms
+CREATE TABLE IF NOT EXISTS public.digest_schedules (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    -- [{ "platform": "slack", "conversationId": "C123" }, ...]
+    conversations JSONB NOT NULL DEFAULT '[]'::jsonb,
+    cadence TEXT NOT NULL CHECK (cadence IN ('daily', 'weekly')),
+    day_of_week INTEGER CHECK (day_of_week BETWEEN 0 AND 6),
+    hour INTEGER NOT NULL DEFAULT 8 CHECK (hour BETWEEN 0 AND 23),
+    timezone TEXT NOT NULL DEFAULT 'UTC',
+    output_format TEXT NOT NULL DEFAULT 'pdf' CHECK (output_format IN ('pdf', 'markdown', 'notification')),
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    next_run_at TIMESTAMPTZ,
+    last_run_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (cadence = 'daily' OR day_of_week IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_digest_schedules_due ON public.digest_schedules(next_run_at) WHERE enabled = true;
+CREATE INDEX IF NOT EXISTS idx_digest_schedules_user ON public.digest_schedules(user_id);
+
+-- Generated reports of any kind. The structured content is kept so reports can
+-- be re-rendered and downloaded again in any output format.
+CREATE TABLE IF NOT EXISTS public.reports (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    schedule_id BIGINT REFERENCES public.digest_schedules(id) ON DELETE SET NULL,
+    type TEXT NOT NULL DEFAULT 'digest',
+    title TEXT NOT NULL,
+    format TEXT NOT NULL CHECK (format IN ('pdf', 'markdown', 'notification')),
+    period_start TIMESTAMPTZ,
+    period_end TIMESTAMPTZ,
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reports_user_created ON public.reports(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reports_schedule ON public.reports(schedule_id, created_at DESC);
+
+-- In-app notifications
+CREATE TABLE IF NOT EXISTS public.notifications (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    title TEXT NOT NULL,
+    body TEXT,
+    data JSONB DEFAULT '{}'::jsonb,
+    read_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON public.notifications(user_id, created_at DESC) WHERE read_at IS NULL;
+
+-- Enable RLS
+ALTER TABLE public.digest_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.reports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own digest schedules"
+    ON public.digest_schedules
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own reports"
+    ON public.reports
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own notifications"
+    ON public.notifications
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION public.update_digest_schedules_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_digest_schedules_timestamp
+    BEFORE UPDATE ON public.digest_schedules
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_digest_schedules_timestamp();
@@ -0,0 +1,26 @@
+-- One row per LLM request (including its retries) for cost accounting
+CREATE TABLE IF NOT EXISTS public.llm_usage (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    task TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    model TEXT NOT NULL,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+    latency_ms INTEGER,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    success BOOLEAN NOT NULL DEFAULT true,
+    error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_user_created ON public.llm_usage(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_task_created ON public.llm_usage(task, created_at DESC);
+
+ALTER TABLE public.llm_usage ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own LLM usage"
+    ON public.llm_usage
+    FOR SELECT
+    USING (auth.uid() = user_id);
@@ -0,0 +1,96 @@
+-- AI plan per user. Limit columns override the plan defaults from
+-- config/llmConfig.js when set; NULL means "use the plan's limit".
+CREATE TABLE IF NOT EXISTS public.user_ai_plans (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    plan TEXT NOT NULL DEFAULT 'free',
+    daily_token_limit BIGINT,
+    monthly_token_limit BIGINT,
+    daily_request_limit INTEGER,
+    monthly_request_limit INTEGER,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE public.user_ai_plans ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own AI plan"
+    ON public.user_ai_plans
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION public.update_user_ai_plans_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_user_ai_plans_timestamp
+    BEFORE UPDATE ON public.user_ai_plans
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_user_ai_plans_timestamp();
+
+-- Token, request and cost totals for the current day and month, checked
+-- before every AI call
+CREATE OR REPLACE FUNCTION public.ai_usage_totals(
+    p_user_id UUID,
+    p_day_start TIMESTAMPTZ,
+    p_month_start TIMESTAMPTZ
+)
+RETURNS TABLE (
+    day_tokens BIGINT,
+    day_requests BIGINT,
+    day_cost NUMERIC,
+    month_tokens BIGINT,
+    month_requests BIGINT,
+    month_cost NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        COALESCE(SUM(prompt_tokens + completion_tokens) FILTER (WHERE created_at >= p_day_start), 0)::BIGINT,
+        COUNT(*) FILTER (WHERE created_at >= p_day_start AND success),
+        COALESCE(SUM(cost_usd) FILTER (WHERE created_at >= p_day_start), 0),
+        COALESCE(SUM(prompt_tokens + completion_tokens), 0)::BIGINT,
+        COUNT(*) FILTER (WHERE success),
+        COALESCE(SUM(cost_usd), 0)
+    FROM public.llm_usage
+    WHERE user_id = p_user_id
+      AND created_at >= LEAST(p_day_start, p_month_start);
+$$;
+
+-- Usage grouped by day, feature (task) and model for the usage endpoint
+CREATE OR REPLACE FUNCTION public.ai_usage_breakdown(
+    p_user_id UUID,
+    p_since TIMESTAMPTZ
+)
+RETURNS TABLE (
+    day DATE,
+    task TEXT,
+    model TEXT,
+    requests BIGINT,
+    failed_requests BIGINT,
+    prompt_tokens BIGINT,
+    completion_tokens BIGINT,
+    cost_usd NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        (created_at AT TIME ZONE 'UTC')::DATE AS day,
+        task,
+        model,
+        COUNT(*) FILTER (WHERE success),
+        COUNT(*) FILTER (WHERE NOT success),
+        COALESCE(SUM(prompt_tokens), 0)::BIGINT,
+        COALESCE(SUM(completion_tokens), 0)::BIGINT,
+        COALESCE(SUM(cost_usd), 0)
+    FROM public.llm_usage
+    WHERE user_id = p_user_id
+      AND created_at >= p_since
+    GROUP BY 1, 2, 3
+    ORDER BY 1 DESC, 2, 3;
+$$;
@@ -0,0 +1,62 @@
+-- Follow-up tasks extracted from AI action items
+CREATE TABLE IF NOT EXISTS public.tasks (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    -- Hash of platform, conversation and normalized title; repeated analyses
+    -- of the same conversation map back onto the same task
+    dedupe_key TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'completed', 'dismissed')),
+    owner TEXT,
+    due_at TIMESTAMPTZ,
+    snoozed_until TIMESTAMPTZ,
+    source TEXT NOT NULL,
+    platform TEXT,
+    conversation_id TEXT,
+    conversation_name TEXT,
+    message_id BIGINT REFERENCES public.messages(id) ON DELETE SET NULL,
+    source_external_id TEXT,
+    occurrences INTEGER NOT NULL DEFAULT 1,
+    last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, dedupe_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tasks_user_status ON public.tasks(user_id, status, due_at);
+CREATE INDEX IF NOT EXISTS idx_tasks_conversation ON public.tasks(user_id, platform, conversation_id);
+
+ALTER TABLE public.tasks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own tasks"
+    ON public.tasks
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION public.update_tasks_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_tasks_timestamp
+    BEFORE UPDATE ON public.tasks
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_tasks_timestamp();
+
+-- Seen again by a later analysis: bump the counter without touching status,
+-- so completed or dismissed tasks stay that way
+CREATE OR REPLACE FUNCTION public.touch_tasks(p_user_id UUID, p_dedupe_keys TEXT[])
+RETURNS SETOF public.tasks
+LANGUAGE sql
+AS $$
+    UPDATE public.tasks
+    SET occurrences = occurrences + 1,
+        last_seen_at = NOW()
+    WHERE user_id = p_user_id
+      AND dedupe_key = ANY(p_dedupe_keys)
+    RETURNING *;
+$$;
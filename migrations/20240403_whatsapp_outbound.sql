@@ -0,0 +1,16 @@
+-- Outbound WhatsApp messages sent through the Matrix bridge. Rows are
+-- inserted optimistically with a local message_id, swapped for the Matrix
+-- event id once the homeserver accepts the event, then advanced as bridge
+-- receipts arrive.
+ALTER TABLE public.whatsapp_messages
+    ADD COLUMN IF NOT EXISTS direction TEXT NOT NULL DEFAULT 'inbound' CHECK (direction IN ('inbound', 'outbound')),
+    ADD COLUMN IF NOT EXISTS delivery_status TEXT CHECK (delivery_status IN ('pending', 'sent', 'delivered', 'read', 'failed')),
+    ADD COLUMN IF NOT EXISTS delivery_error TEXT,
+    ADD COLUMN IF NOT EXISTS reply_to_message_id TEXT,
+    ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS read_at TIMESTAMPTZ;
+
+-- Receipts advance every outbound message up to the receipted one
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_outbound
+    ON public.whatsapp_messages(user_id, contact_id, timestamp)
+    WHERE direction = 'outbound';
@@ -0,0 +1,46 @@
+-- Attachment metadata for every platform, registered when messages are stored.
+-- The bytes themselves stay on the platform and are fetched on demand into
+-- the local media cache.
+CREATE TABLE IF NOT EXISTS public.media_assets (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    platform TEXT NOT NULL,
+    message_id BIGINT REFERENCES public.messages(id) ON DELETE CASCADE,
+    conversation_id TEXT,
+    -- mxc:// URL for Matrix bridged media, https URL for Discord and Slack
+    source_url TEXT NOT NULL,
+    thumbnail_url TEXT,
+    kind TEXT NOT NULL DEFAULT 'file' CHECK (kind IN ('image', 'video', 'audio', 'file')),
+    filename TEXT,
+    mimetype TEXT,
+    size_bytes BIGINT,
+    width INTEGER,
+    height INTEGER,
+    duration_ms INTEGER,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, platform, source_url)
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_assets_message ON public.media_assets(message_id);
+CREATE INDEX IF NOT EXISTS idx_media_assets_conversation ON public.media_assets(user_id, platform, conversation_id);
+
+ALTER TABLE public.media_assets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own media"
+    ON public.media_assets
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION public.update_media_assets_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_media_assets_timestamp
+    BEFORE UPDATE ON public.media_assets
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_media_assets_timestamp();
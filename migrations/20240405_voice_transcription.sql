@@ -0,0 +1,53 @@
+-- Per-user settings; voice transcription is opt-in
+CREATE TABLE IF NOT EXISTS public.user_settings (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    voice_transcription_enabled BOOLEAN NOT NULL DEFAULT false,
+    -- ISO-639-1 hint for the STT backend; NULL lets it detect the language
+    transcription_language TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE public.user_settings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own settings"
+    ON public.user_settings
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION public.update_user_settings_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_user_settings_timestamp
+    BEFORE UPDATE ON public.user_settings
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_user_settings_timestamp();
+
+-- Voice note transcripts, stored next to the message they belong to
+ALTER TABLE public.messages
+ADD COLUMN IF NOT EXISTS transcript TEXT,
+ADD COLUMN IF NOT EXISTS transcript_language TEXT,
+ADD COLUMN IF NOT EXISTS transcribed_at TIMESTAMPTZ;
+
+ALTER TABLE public.whatsapp_messages
+ADD COLUMN IF NOT EXISTS transcript TEXT;
+
+-- Rebuild the keyword index so transcripts are searchable like message text
+DROP INDEX IF EXISTS public.idx_messages_search_vector;
+ALTER TABLE public.messages DROP COLUMN IF EXISTS search_vector;
+
+ALTER TABLE public.messages
+ADD COLUMN search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', coalesce(content, '')), 'A') ||
+        setweight(to_tsvector('simple', coalesce(transcript, '')), 'A') ||
+        setweight(to_tsvector('simple', coalesce(sender_name, '')), 'B') ||
+        setweight(to_tsvector('simple', coalesce(conversation_name, '')), 'C')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON public.messages USING GIN(search_vector);
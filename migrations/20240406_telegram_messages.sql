@@ -0,0 +1,47 @@
+-- Messages received by a user's Telegram bot. message_id is Telegram's id
+-- within the chat; callback queries (inline button presses) are stored as
+-- rows of type 'callback_query' keyed by their query id.
+CREATE TABLE IF NOT EXISTS public.telegram_messages (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    bot_id TEXT NOT NULL,
+    chat_id TEXT NOT NULL,
+    chat_title TEXT,
+    chat_type TEXT,
+    message_id TEXT NOT NULL,
+    sender_id TEXT,
+    sender_name TEXT,
+    content TEXT,
+    message_type TEXT NOT NULL DEFAULT 'text',
+    reply_to_message_id TEXT,
+    media JSONB DEFAULT '[]'::jsonb,
+    callback_data TEXT,
+    raw JSONB,
+    timestamp TIMESTAMPTZ NOT NULL,
+    edited_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, chat_id, message_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_telegram_messages_chat ON public.telegram_messages(user_id, chat_id, timestamp DESC);
+
+ALTER TABLE public.telegram_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own Telegram messages"
+    ON public.telegram_messages
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION public.update_telegram_messages_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_telegram_messages_timestamp
+    BEFORE UPDATE ON public.telegram_messages
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_telegram_messages_timestamp();
@@ -0,0 +1,44 @@
+-- Discord channels a user has opted in to live capture from the gateway
+CREATE TABLE IF NOT EXISTS public.discord_channel_subscriptions (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    channel_id TEXT NOT NULL,
+    server_id TEXT,
+    channel_name TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, channel_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_discord_channel_subscriptions_channel ON public.discord_channel_subscriptions(channel_id);
+
+ALTER TABLE public.discord_channel_subscriptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own Discord channel subscriptions"
+    ON public.discord_channel_subscriptions
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION public.update_discord_channel_subscriptions_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_discord_channel_subscriptions_timestamp
+    BEFORE UPDATE ON public.discord_channel_subscriptions
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_discord_channel_subscriptions_timestamp();
+
+-- Edits, deletions and reaction counts captured from the gateway
+ALTER TABLE public.discord_messages
+    ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS reactions JSONB DEFAULT '[]'::jsonb;
+
+-- Deleted messages stay in the unified store, flagged, so tasks and search
+-- results that point at them don't dangle
+ALTER TABLE public.messages
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
@@ -0,0 +1,48 @@
+-- Progress of Discord channel history backfills. before_id is the oldest
+-- message fetched so far, i.e. the `before` cursor of the next page, so an
+-- interrupted backfill resumes where it stopped.
+CREATE TABLE IF NOT EXISTS public.discord_backfills (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    channel_id TEXT NOT NULL,
+    server_id TEXT,
+    channel_name TEXT,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+    -- Bounds: stop at messages older than since, or after max_messages
+    since TIMESTAMPTZ,
+    max_messages INTEGER NOT NULL,
+    before_id TEXT,
+    messages_fetched INTEGER NOT NULL DEFAULT 0,
+    oldest_timestamp TIMESTAMPTZ,
+    -- Why a completed backfill stopped: since, max_messages or channel_start
+    stop_reason TEXT,
+    job_id BIGINT,
+    last_error TEXT,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, channel_id)
+);
+
+ALTER TABLE public.discord_backfills ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own Discord backfills"
+    ON public.discord_backfills
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION public.update_discord_backfills_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_discord_backfills_timestamp
+    BEFORE UPDATE ON public.discord_backfills
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_discord_backfills_timestamp();
+
+-- Channel history reads for reports
+CREATE INDEX IF NOT EXISTS idx_discord_messages_channel ON public.discord_messages(user_id, channel_id, timestamp DESC);
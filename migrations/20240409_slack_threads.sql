@@ -0,0 +1,4 @@
+-- Slack thread lookups: replies share their parent's metadata.thread_ts
+CREATE INDEX IF NOT EXISTS idx_messages_slack_threads
+    ON public.messages(user_id, conversation_id, (metadata->>'thread_ts'), timestamp)
+    WHERE platform = 'slack';
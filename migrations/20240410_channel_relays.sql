@@ -0,0 +1,96 @@
+-- Cross-platform relays. Each row pairs a source channel with a target
+-- channel like models/ChannelMapping.js does for Matrix bridges; the relay
+-- engine forwards new messages, edits and deletes along it.
+CREATE TABLE IF NOT EXISTS public.channel_mappings (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    source_platform TEXT NOT NULL,
+    source_channel_id TEXT NOT NULL,
+    source_name TEXT,
+    target_platform TEXT NOT NULL,
+    target_channel_id TEXT NOT NULL,
+    target_name TEXT,
+    -- Also relay target -> source
+    bidirectional BOOLEAN NOT NULL DEFAULT FALSE,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused')),
+    -- Condition tree in the rules engine format; empty relays everything
+    filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    relay_edits BOOLEAN NOT NULL DEFAULT TRUE,
+    relay_deletes BOOLEAN NOT NULL DEFAULT TRUE,
+    last_relayed_at TIMESTAMPTZ,
+    last_error TEXT,
+    paused_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, source_platform, source_channel_id, target_platform, target_channel_id),
+    CHECK (source_platform <> target_platform OR source_channel_id <> target_channel_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_channel_mappings_source ON public.channel_mappings(user_id, source_platform, source_channel_id);
+CREATE INDEX IF NOT EXISTS idx_channel_mappings_target ON public.channel_mappings(user_id, target_platform, target_channel_id);
+
+-- One row per message copy the relay posted. Edits and deletes of the
+-- original find their copies here, and incoming messages that are one of
+-- these copies are never relayed again.
+CREATE TABLE IF NOT EXISTS public.relayed_messages (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    mapping_id BIGINT NOT NULL REFERENCES public.channel_mappings(id) ON DELETE CASCADE,
+    source_platform TEXT NOT NULL,
+    source_conversation_id TEXT NOT NULL,
+    source_external_id TEXT NOT NULL,
+    target_platform TEXT NOT NULL,
+    target_conversation_id TEXT NOT NULL,
+    -- As returned by outboundMessageService, used to edit and delete the copy
+    target_message_id TEXT,
+    -- The copy's external_id in the messages table
+    target_external_id TEXT,
+    status TEXT NOT NULL DEFAULT 'sent' CHECK (status IN ('sent', 'edited', 'deleted', 'failed')),
+    error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(mapping_id, source_platform, source_external_id, target_platform)
+);
+
+CREATE INDEX IF NOT EXISTS idx_relayed_messages_source ON public.relayed_messages(user_id, source_platform, source_external_id);
+CREATE INDEX IF NOT EXISTS idx_relayed_messages_target ON public.relayed_messages(user_id, target_platform, target_external_id);
+CREATE INDEX IF NOT EXISTS idx_relayed_messages_mapping ON public.relayed_messages(mapping_id, created_at DESC);
+
+ALTER TABLE public.channel_mappings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.relayed_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own channel mappings"
+    ON public.channel_mappings
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own relayed messages"
+    ON public.relayed_messages
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION public.update_channel_mappings_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_channel_mappings_timestamp
+    BEFORE UPDATE ON public.channel_mappings
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_channel_mappings_timestamp();
+
+CREATE OR REPLACE FUNCTION public.update_relayed_messages_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_relayed_messages_timestamp
+    BEFORE UPDATE ON public.relayed_messages
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_relayed_messages_timestamp();
@@ -0,0 +1,277 @@
+-- People: one record per real person, linked to the identities they use on
+-- each platform (a WhatsApp number, a Slack user, a Discord author, a
+-- Telegram sender)
+CREATE TABLE IF NOT EXISTS public.people (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    display_name TEXT NOT NULL,
+    email TEXT,
+    phone TEXT,
+    avatar_url TEXT,
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_people_user ON public.people(user_id, display_name);
+
+CREATE TABLE IF NOT EXISTS public.person_identities (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    person_id BIGINT NOT NULL REFERENCES public.people(id) ON DELETE CASCADE,
+    platform TEXT NOT NULL,
+    -- Stable id on the platform; the phone number for WhatsApp, so contacts
+    -- and group senders resolve to the same identity
+    external_id TEXT NOT NULL,
+    -- sender_id of this identity's rows in the messages table
+    sender_id TEXT,
+    display_name TEXT,
+    username TEXT,
+    email TEXT,
+    phone TEXT,
+    -- Direct conversation with this identity, when there is one
+    dm_conversation_id TEXT,
+    whatsapp_contact_id INTEGER REFERENCES public.whatsapp_contacts(id) ON DELETE SET NULL,
+    last_seen_at TIMESTAMPTZ,
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, platform, external_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_person_identities_person ON public.person_identities(person_id);
+CREATE INDEX IF NOT EXISTS idx_person_identities_sender ON public.person_identities(user_id, platform, sender_id);
+CREATE INDEX IF NOT EXISTS idx_person_identities_email ON public.person_identities(user_id, lower(email)) WHERE email IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_person_identities_phone ON public.person_identities(user_id, phone) WHERE phone IS NOT NULL;
+
+-- Pairs of people that look like the same person. person_id is always the
+-- lower id so a pair is stored once.
+CREATE TABLE IF NOT EXISTS public.person_merge_suggestions (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    person_id BIGINT NOT NULL REFERENCES public.people(id) ON DELETE CASCADE,
+    candidate_person_id BIGINT NOT NULL REFERENCES public.people(id) ON DELETE CASCADE,
+    score NUMERIC(4, 3) NOT NULL,
+    -- [{ type: 'phone' | 'email' | 'name', value, similarity }]
+    reasons JSONB NOT NULL DEFAULT '[]'::jsonb,
+    -- Accepted suggestions disappear with the merged person
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'dismissed')),
+    dismissed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, person_id, candidate_person_id),
+    CHECK (person_id < candidate_person_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_person_merge_suggestions_pending ON public.person_merge_suggestions(user_id, score DESC) WHERE status = 'pending';
+
+-- Speeds up per-person message lookups by sender
+CREATE INDEX IF NOT EXISTS idx_messages_sender ON public.messages(user_id, platform, sender_id, timestamp DESC);
+
+ALTER TABLE public.people ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.person_identities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.person_merge_suggestions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own people"
+    ON public.people
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own person identities"
+    ON public.person_identities
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own merge suggestions"
+    ON public.person_merge_suggestions
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION public.update_people_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_people_timestamp
+    BEFORE UPDATE ON public.people
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_people_timestamp();
+
+CREATE TRIGGER update_person_identities_timestamp
+    BEFORE UPDATE ON public.person_identities
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_people_timestamp();
+
+CREATE TRIGGER update_person_merge_suggestions_timestamp
+    BEFORE UPDATE ON public.person_merge_suggestions
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_people_timestamp();
+
+-- Distinct senders in the message store with their latest name. Outbound
+-- messages are the user's own and are skipped.
+CREATE OR REPLACE FUNCTION public.person_identity_candidates(p_user_id UUID)
+RETURNS TABLE (
+    platform TEXT,
+    sender_id TEXT,
+    sender_name TEXT,
+    last_seen_at TIMESTAMPTZ,
+    message_count BIGINT,
+    dm_conversation_id TEXT
+)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        m.platform,
+        m.sender_id,
+        (ARRAY_AGG(m.sender_name ORDER BY m.timestamp DESC) FILTER (WHERE m.sender_name IS NOT NULL))[1],
+        MAX(m.timestamp),
+        COUNT(*),
+        MAX(m.conversation_id) FILTER (
+            WHERE m.metadata->>'chat_type' = 'private'
+               OR m.metadata->>'channel_type' = 'im'
+               OR (m.platform = 'discord' AND m.metadata->>'server_id' IS NULL)
+        )
+    FROM public.messages m
+    WHERE m.user_id = p_user_id
+      AND m.sender_id IS NOT NULL
+      AND COALESCE(m.metadata->>'direction', '') <> 'outbound'
+    GROUP BY m.platform, m.sender_id;
+$$;
+
+-- Upsert identities given as a JSON array. Unknown identities get a new
+-- person of their own; known ones have their details refreshed.
+CREATE OR REPLACE FUNCTION public.ensure_person_identities(p_user_id UUID, p_identities JSONB)
+RETURNS TABLE (identity_id BIGINT, person_id BIGINT, created BOOLEAN)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+    candidate RECORD;
+    existing_id BIGINT;
+    existing_person_id BIGINT;
+    new_person_id BIGINT;
+    new_identity_id BIGINT;
+BEGIN
+    FOR candidate IN
+        SELECT * FROM jsonb_to_recordset(p_identities) AS x(
+            platform TEXT,
+            external_id TEXT,
+            sender_id TEXT,
+            display_name TEXT,
+            username TEXT,
+            email TEXT,
+            phone TEXT,
+            dm_conversation_id TEXT,
+            whatsapp_contact_id INTEGER,
+            last_seen_at TIMESTAMPTZ
+        )
+    LOOP
+        SELECT i.id, i.person_id INTO existing_id, existing_person_id
+        FROM public.person_identities i
+        WHERE i.user_id = p_user_id
+          AND i.platform = candidate.platform
+          AND i.external_id = candidate.external_id;
+
+        IF existing_id IS NOT NULL THEN
+            UPDATE public.person_identities i SET
+                sender_id = COALESCE(candidate.sender_id, i.sender_id),
+                display_name = COALESCE(candidate.display_name, i.display_name),
+                username = COALESCE(candidate.username, i.username),
+                email = COALESCE(i.email, candidate.email),
+                phone = COALESCE(i.phone, candidate.phone),
+                dm_conversation_id = COALESCE(i.dm_conversation_id, candidate.dm_conversation_id),
+                whatsapp_contact_id = COALESCE(i.whatsapp_contact_id, candidate.whatsapp_contact_id),
+                last_seen_at = GREATEST(i.last_seen_at, candidate.last_seen_at)
+            WHERE i.id = existing_id;
+
+            identity_id := existing_id;
+            person_id := existing_person_id;
+            created := FALSE;
+            RETURN NEXT;
+            CONTINUE;
+        END IF;
+
+        INSERT INTO public.people (user_id, display_name, email, phone)
+        VALUES (p_user_id, COALESCE(candidate.display_name, candidate.external_id), candidate.email, candidate.phone)
+        RETURNING id INTO new_person_id;
+
+        INSERT INTO public.person_identities (
+            user_id, person_id, platform, external_id, sender_id, display_name, username,
+            email, phone, dm_conversation_id, whatsapp_contact_id, last_seen_at
+        )
+        VALUES (
+            p_user_id, new_person_id, candidate.platform, candidate.external_id, candidate.sender_id, candidate.display_name, candidate.username,
+            candidate.email, candidate.phone, candidate.dm_conversation_id, candidate.whatsapp_contact_id, candidate.last_seen_at
+        )
+        ON CONFLICT (user_id, platform, external_id) DO NOTHING
+        RETURNING id INTO new_identity_id;
+
+        -- Another writer created the identity first; drop the spare person
+        IF new_identity_id IS NULL THEN
+            DELETE FROM public.people WHERE id = new_person_id;
+            CONTINUE;
+        END IF;
+
+        identity_id := new_identity_id;
+        person_id := new_person_id;
+        created := TRUE;
+        RETURN NEXT;
+    END LOOP;
+END;
+$$;
+
+-- Conversations a person takes part in: everywhere one of their identities
+-- has sent a message, plus direct conversations with them
+CREATE OR REPLACE FUNCTION public.person_conversations(p_user_id UUID, p_person_id BIGINT)
+RETURNS TABLE (
+    platform TEXT,
+    conversation_id TEXT,
+    conversation_name TEXT,
+    message_count BIGINT,
+    person_message_count BIGINT,
+    last_message_at TIMESTAMPTZ,
+    is_direct BOOLEAN
+)
+LANGUAGE sql
+STABLE
+AS $$
+    WITH ids AS (
+        SELECT i.platform, i.sender_id, i.dm_conversation_id
+        FROM public.person_identities i
+        WHERE i.user_id = p_user_id AND i.person_id = p_person_id
+    ),
+    conversations AS (
+        SELECT DISTINCT m.platform, m.conversation_id
+        FROM public.messages m
+        JOIN ids ON ids.platform = m.platform AND ids.sender_id = m.sender_id
+        WHERE m.user_id = p_user_id
+        UNION
+        SELECT ids.platform, ids.dm_conversation_id
+        FROM ids
+        WHERE ids.dm_conversation_id IS NOT NULL
+    )
+    SELECT
+        c.platform,
+        c.conversation_id,
+        (ARRAY_AGG(m.conversation_name ORDER BY m.timestamp DESC) FILTER (WHERE m.conversation_name IS NOT NULL))[1],
+        COUNT(m.id),
+        COUNT(m.id) FILTER (WHERE EXISTS (
+            SELECT 1 FROM ids WHERE ids.platform = m.platform AND ids.sender_id = m.sender_id
+        )),
+        MAX(m.timestamp),
+        EXISTS (
+            SELECT 1 FROM ids WHERE ids.platform = c.platform AND ids.dm_conversation_id = c.conversation_id
+        )
+    FROM conversations c
+    LEFT JOIN public.messages m
+        ON m.user_id = p_user_id
+       AND m.platform = c.platform
+       AND m.conversation_id = c.conversation_id
+       AND m.deleted_at IS NULL
+    GROUP BY c.platform, c.conversation_id
+    ORDER BY MAX(m.timestamp) DESC NULLS LAST;
+$$;
@@ -0,0 +1,331 @@
+-- Contact profiles: notes, tags and custom fields kept on people records
+
+-- Notes are soft-deleted so their history survives
+CREATE TABLE IF NOT EXISTS public.contact_notes (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    person_id BIGINT NOT NULL REFERENCES public.people(id) ON DELETE CASCADE,
+    body TEXT NOT NULL CHECK (length(btrim(body)) > 0),
+    pinned BOOLEAN NOT NULL DEFAULT FALSE,
+    deleted_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_notes_person ON public.contact_notes(person_id, pinned DESC, created_at DESC) WHERE deleted_at IS NULL;
+
+-- One row per change to a note, written by trigger
+CREATE TABLE IF NOT EXISTS public.contact_note_revisions (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    note_id BIGINT NOT NULL REFERENCES public.contact_notes(id) ON DELETE CASCADE,
+    action TEXT NOT NULL CHECK (action IN ('created', 'edited', 'deleted', 'restored')),
+    body TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_note_revisions_note ON public.contact_note_revisions(note_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.contact_tags (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (length(btrim(name)) > 0),
+    color TEXT,
+    description TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contact_tags_name ON public.contact_tags(user_id, lower(name));
+
+CREATE TABLE IF NOT EXISTS public.person_tags (
+    person_id BIGINT NOT NULL REFERENCES public.people(id) ON DELETE CASCADE,
+    tag_id BIGINT NOT NULL REFERENCES public.contact_tags(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (person_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_person_tags_tag ON public.person_tags(tag_id);
+
+-- User-defined fields. options lists the allowed values of select and
+-- multi_select fields.
+CREATE TABLE IF NOT EXISTS public.contact_fields (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    key TEXT NOT NULL CHECK (key ~ '^[a-z][a-z0-9_]*$'),
+    label TEXT NOT NULL,
+    field_type TEXT NOT NULL CHECK (field_type IN ('text', 'number', 'date', 'boolean', 'select', 'multi_select')),
+    options JSONB NOT NULL DEFAULT '[]'::jsonb,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, key)
+);
+
+-- value holds the JSON value as given; the typed columns hold the same value
+-- for filtering and sorting. multi_select values are joined into text_value.
+CREATE TABLE IF NOT EXISTS public.contact_field_values (
+    person_id BIGINT NOT NULL REFERENCES public.people(id) ON DELETE CASCADE,
+    field_id BIGINT NOT NULL REFERENCES public.contact_fields(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    value JSONB NOT NULL,
+    text_value TEXT,
+    number_value NUMERIC,
+    date_value TIMESTAMPTZ,
+    boolean_value BOOLEAN,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (person_id, field_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_field_values_text ON public.contact_field_values(field_id, lower(text_value));
+CREATE INDEX IF NOT EXISTS idx_contact_field_values_number ON public.contact_field_values(field_id, number_value);
+CREATE INDEX IF NOT EXISTS idx_contact_field_values_date ON public.contact_field_values(field_id, date_value);
+
+ALTER TABLE public.contact_notes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.contact_note_revisions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.contact_tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.person_tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.contact_fields ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.contact_field_values ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own contact notes"
+    ON public.contact_notes
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own contact note revisions"
+    ON public.contact_note_revisions
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own contact tags"
+    ON public.contact_tags
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own person tags"
+    ON public.person_tags
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own contact fields"
+    ON public.contact_fields
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own contact field values"
+    ON public.contact_field_values
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_contact_notes_timestamp
+    BEFORE UPDATE ON public.contact_notes
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_people_timestamp();
+
+CREATE TRIGGER update_contact_tags_timestamp
+    BEFORE UPDATE ON public.contact_tags
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_people_timestamp();
+
+CREATE TRIGGER update_contact_fields_timestamp
+    BEFORE UPDATE ON public.contact_fields
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_people_timestamp();
+
+CREATE TRIGGER update_contact_field_values_timestamp
+    BEFORE UPDATE ON public.contact_field_values
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_people_timestamp();
+
+CREATE OR REPLACE FUNCTION public.record_contact_note_revision()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        INSERT INTO public.contact_note_revisions (user_id, note_id, action, body)
+        VALUES (NEW.user_id, NEW.id, 'created', NEW.body);
+    ELSIF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+        INSERT INTO public.contact_note_revisions (user_id, note_id, action, body)
+        VALUES (NEW.user_id, NEW.id, 'deleted', NEW.body);
+    ELSIF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+        INSERT INTO public.contact_note_revisions (user_id, note_id, action, body)
+        VALUES (NEW.user_id, NEW.id, 'restored', NEW.body);
+    ELSIF NEW.body IS DISTINCT FROM OLD.body THEN
+        INSERT INTO public.contact_note_revisions (user_id, note_id, action, body)
+        VALUES (NEW.user_id, NEW.id, 'edited', NEW.body);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER record_contact_note_revision
+    AFTER INSERT OR UPDATE ON public.contact_notes
+    FOR EACH ROW
+    EXECUTE FUNCTION public.record_contact_note_revision();
+
+-- Whether a stored field value (NULL when the person has none) passes one
+-- filter. The filter value arrives already typed for the field.
+CREATE OR REPLACE FUNCTION public.contact_field_matches(
+    v public.contact_field_values,
+    p_type TEXT,
+    p_op TEXT,
+    p_text TEXT,
+    p_number NUMERIC,
+    p_date TIMESTAMPTZ,
+    p_boolean BOOLEAN,
+    p_list TEXT[]
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    equal BOOLEAN;
+    cmp INTEGER;
+BEGIN
+    IF p_op = 'exists' THEN
+        RETURN v.field_id IS NOT NULL;
+    ELSIF p_op = 'missing' THEN
+        RETURN v.field_id IS NULL;
+    END IF;
+
+    IF v.field_id IS NULL THEN
+        -- Nothing stored only passes a "not equal" filter
+        RETURN p_op = 'neq';
+    END IF;
+
+    IF p_op = 'contains' THEN
+        RETURN v.text_value ILIKE '%' || p_text || '%';
+    ELSIF p_op = 'in' THEN
+        IF p_type = 'multi_select' THEN
+            RETURN v.value ?| p_list;
+        END IF;
+        RETURN lower(v.text_value) = ANY (SELECT lower(item) FROM unnest(p_list) AS item);
+    END IF;
+
+    IF p_type = 'number' THEN
+        cmp := sign(v.number_value - p_number);
+    ELSIF p_type = 'date' THEN
+        cmp := CASE WHEN v.date_value < p_date THEN -1 WHEN v.date_value > p_date THEN 1 ELSE 0 END;
+    ELSIF p_type = 'boolean' THEN
+        cmp := CASE WHEN v.boolean_value = p_boolean THEN 0 ELSE 1 END;
+    ELSIF p_type = 'multi_select' THEN
+        cmp := CASE WHEN v.value ? p_text THEN 0 ELSE 1 END;
+    ELSE
+        cmp := CASE
+            WHEN lower(v.text_value) < lower(p_text) THEN -1
+            WHEN lower(v.text_value) > lower(p_text) THEN 1
+            ELSE 0
+        END;
+    END IF;
+
+    equal := cmp = 0;
+    RETURN CASE p_op
+        WHEN 'eq' THEN equal
+        WHEN 'neq' THEN NOT equal
+        WHEN 'gt' THEN cmp > 0
+        WHEN 'gte' THEN cmp >= 0
+        WHEN 'lt' THEN cmp < 0
+        WHEN 'lte' THEN cmp <= 0
+        ELSE FALSE
+    END;
+END;
+$$;
+
+-- One page of a user's people, filtered by search text, platform, tags (the
+-- person must carry all of them) and custom field filters, then sorted by a
+-- built-in column or a custom field. p_filters is a JSON array of
+-- { field_id, field_type, op, text_value, number_value, date_value,
+-- boolean_value, list_value }. A NULL p_limit returns every match.
+CREATE OR REPLACE FUNCTION public.search_people(
+    p_user_id UUID,
+    p_search TEXT DEFAULT NULL,
+    p_platform TEXT DEFAULT NULL,
+    p_tag_ids BIGINT[] DEFAULT NULL,
+    p_filters JSONB DEFAULT '[]'::jsonb,
+    p_sort TEXT DEFAULT 'display_name',
+    p_sort_field_id BIGINT DEFAULT NULL,
+    p_descending BOOLEAN DEFAULT FALSE,
+    p_limit INTEGER DEFAULT NULL,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (person_id BIGINT, total_count BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+    WITH filters AS (
+        SELECT * FROM jsonb_to_recordset(COALESCE(p_filters, '[]'::jsonb)) AS f(
+            field_id BIGINT,
+            field_type TEXT,
+            op TEXT,
+            text_value TEXT,
+            number_value NUMERIC,
+            date_value TIMESTAMPTZ,
+            boolean_value BOOLEAN,
+            list_value TEXT[]
+        )
+    ),
+    matched AS (
+        SELECT
+            p.id,
+            CASE p_sort
+                WHEN 'display_name' THEN lower(p.display_name)
+                WHEN 'field' THEN lower(sv.text_value)
+            END AS sort_text,
+            CASE p_sort
+                WHEN 'created_at' THEN p.created_at
+                WHEN 'updated_at' THEN p.updated_at
+                WHEN 'last_seen_at' THEN (
+                    SELECT MAX(i.last_seen_at) FROM public.person_identities i WHERE i.person_id = p.id
+                )
+                WHEN 'field' THEN sv.date_value
+            END AS sort_time,
+            CASE WHEN p_sort = 'field' THEN sv.number_value END AS sort_number,
+            CASE WHEN p_sort = 'field' THEN sv.boolean_value END AS sort_boolean
+        FROM public.people p
+        LEFT JOIN public.contact_field_values sv
+            ON p_sort = 'field' AND sv.person_id = p.id AND sv.field_id = p_sort_field_id
+        WHERE p.user_id = p_user_id
+          AND (
+              p_search IS NULL
+              OR p.display_name ILIKE '%' || p_search || '%'
+              OR p.email ILIKE '%' || p_search || '%'
+              OR p.phone ILIKE '%' || p_search || '%'
+          )
+          AND (
+              p_platform IS NULL
+              OR EXISTS (SELECT 1 FROM public.person_identities i WHERE i.person_id = p.id AND i.platform = p_platform)
+          )
+          AND (
+              COALESCE(cardinality(p_tag_ids), 0) = 0
+              OR (
+                  SELECT COUNT(DISTINCT t.tag_id) FROM public.person_tags t
+                  WHERE t.person_id = p.id AND t.tag_id = ANY(p_tag_ids)
+              ) = cardinality(p_tag_ids)
+          )
+          AND NOT EXISTS (
+              SELECT 1
+              FROM filters f
+              LEFT JOIN public.contact_field_values v ON v.person_id = p.id AND v.field_id = f.field_id
+              WHERE NOT COALESCE(public.contact_field_matches(
+                  v, f.field_type, f.op, f.text_value, f.number_value, f.date_value, f.boolean_value, f.list_value
+              ), FALSE)
+          )
+    )
+    SELECT m.id, COUNT(*) OVER ()
+    FROM matched m
+    ORDER BY
+        CASE WHEN NOT p_descending THEN m.sort_text END ASC NULLS LAST,
+        CASE WHEN p_descending THEN m.sort_text END DESC NULLS LAST,
+        CASE WHEN NOT p_descending THEN m.sort_time END ASC NULLS LAST,
+        CASE WHEN p_descending THEN m.sort_time END DESC NULLS LAST,
+        CASE WHEN NOT p_descending THEN m.sort_number END ASC NULLS LAST,
+        CASE WHEN p_descending THEN m.sort_number END DESC NULLS LAST,
+        CASE WHEN NOT p_descending THEN m.sort_boolean END ASC NULLS LAST,
+        CASE WHEN p_descending THEN m.sort_boolean END DESC NULLS LAST,
+        m.id
+    LIMIT p_limit
+    OFFSET p_offset;
+$$;
@@ -0,0 +1,98 @@
+-- Outgoing webhooks: user-registered URLs that receive backend events
+CREATE TABLE IF NOT EXISTS public.webhook_endpoints (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    description TEXT,
+    -- Signing secret, encrypted with ENCRYPTION_KEY
+    secret TEXT NOT NULL,
+    event_types TEXT[] NOT NULL DEFAULT '{}',
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'disabled')),
+    disabled_reason TEXT,
+    -- Deliveries that failed for good in a row; reset by any success
+    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+    last_delivery_at TIMESTAMPTZ,
+    last_success_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_active ON public.webhook_endpoints(user_id) WHERE status = 'active';
+
+-- One row per event sent to an endpoint. A replay is a new delivery of the
+-- same event pointing back at the original.
+CREATE TABLE IF NOT EXISTS public.webhook_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    endpoint_id BIGINT NOT NULL REFERENCES public.webhook_endpoints(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL,
+    event_type TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'retrying', 'succeeded', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 6,
+    next_attempt_at TIMESTAMPTZ,
+    response_status INTEGER,
+    error TEXT,
+    replay_of BIGINT REFERENCES public.webhook_deliveries(id) ON DELETE SET NULL,
+    delivered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON public.webhook_deliveries(endpoint_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_event ON public.webhook_deliveries(user_id, event_id);
+
+-- Request log: one row per HTTP attempt
+CREATE TABLE IF NOT EXISTS public.webhook_delivery_attempts (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    delivery_id BIGINT NOT NULL REFERENCES public.webhook_deliveries(id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL,
+    request_headers JSONB NOT NULL DEFAULT '{}'::jsonb,
+    response_status INTEGER,
+    -- Truncated response body
+    response_body TEXT,
+    error TEXT,
+    duration_ms INTEGER,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery ON public.webhook_delivery_attempts(delivery_id, attempt);
+
+ALTER TABLE public.webhook_endpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.webhook_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.webhook_delivery_attempts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own webhook endpoints"
+    ON public.webhook_endpoints
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own webhook deliveries"
+    ON public.webhook_deliveries
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own webhook delivery attempts"
+    ON public.webhook_delivery_attempts
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION public.update_webhooks_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_webhook_endpoints_timestamp
+    BEFORE UPDATE ON public.webhook_endpoints
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_webhooks_timestamp();
+
+CREATE TRIGGER update_webhook_deliveries_timestamp
+    BEFORE UPDATE ON public.webhook_deliveries
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_webhooks_timestamp();
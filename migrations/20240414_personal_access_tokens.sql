@@ -0,0 +1,80 @@
+-- Personal access tokens for scripts and integrations. Only a SHA-256 hash
+-- of each token is stored; token_prefix is kept so users can tell them apart.
+CREATE TABLE IF NOT EXISTS public.personal_access_tokens (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    token_prefix TEXT NOT NULL,
+    scopes TEXT[] NOT NULL,
+    -- Requests per minute
+    rate_limit INTEGER NOT NULL DEFAULT 60 CHECK (rate_limit > 0),
+    expires_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    last_used_ip TEXT,
+    -- Fixed one-minute rate limit window
+    rate_window_start TIMESTAMPTZ,
+    rate_window_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user ON public.personal_access_tokens(user_id, created_at DESC);
+
+ALTER TABLE public.personal_access_tokens ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own access tokens"
+    ON public.personal_access_tokens
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Look a token up by hash and, when it is usable, count the request against
+-- its rate limit window and record the use. Revoked and expired tokens are
+-- returned uncounted so the caller can say why they were refused.
+CREATE OR REPLACE FUNCTION public.use_personal_access_token(p_token_hash TEXT, p_ip TEXT DEFAULT NULL)
+RETURNS TABLE (
+    token_id BIGINT,
+    user_id UUID,
+    scopes TEXT[],
+    rate_limit INTEGER,
+    expires_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    request_count INTEGER,
+    window_resets_at TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+    token public.personal_access_tokens%ROWTYPE;
+    current_window TIMESTAMPTZ := date_trunc('minute', NOW());
+BEGIN
+    SELECT * INTO token
+    FROM public.personal_access_tokens t
+    WHERE t.token_hash = p_token_hash;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    IF token.revoked_at IS NULL AND (token.expires_at IS NULL OR token.expires_at > NOW()) THEN
+        UPDATE public.personal_access_tokens t SET
+            rate_window_count = CASE WHEN t.rate_window_start = current_window THEN t.rate_window_count + 1 ELSE 1 END,
+            rate_window_start = current_window,
+            last_used_at = NOW(),
+            last_used_ip = COALESCE(p_ip, t.last_used_ip)
+        WHERE t.id = token.id
+        RETURNING * INTO token;
+    END IF;
+
+    token_id := token.id;
+    user_id := token.user_id;
+    scopes := token.scopes;
+    rate_limit := token.rate_limit;
+    expires_at := token.expires_at;
+    revoked_at := token.revoked_at;
+    request_count := token.rate_window_count;
+    window_resets_at := current_window + INTERVAL '1 minute';
+    RETURN NEXT;
+END;
+$$;
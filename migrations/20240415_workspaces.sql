@@ -0,0 +1,559 @@
+-- Workspaces: teammates share connected platform accounts, contacts and
+-- conversations. Shared data carries workspace_id; user_id stays on every row
+-- as the user whose connection or action produced it. Personal data (access
+-- tokens, notifications, settings, AI plans and usage, jobs, onboarding)
+-- stays keyed by user only.
+CREATE TABLE IF NOT EXISTS public.workspaces (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL CHECK (length(btrim(name)) > 0),
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- owner > admin > agent > viewer. is_default marks the workspace a user's
+-- requests use when they name none, and where data from their platform
+-- connections lands.
+CREATE TABLE IF NOT EXISTS public.workspace_members (
+    workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'agent', 'viewer')),
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    invited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (workspace_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user ON public.workspace_members(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workspace_members_default ON public.workspace_members(user_id) WHERE is_default;
+
+-- Only a SHA-256 hash of the invitation token is stored
+CREATE TABLE IF NOT EXISTS public.workspace_invitations (
+    id BIGSERIAL PRIMARY KEY,
+    workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+    email TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('admin', 'agent', 'viewer')),
+    token_hash TEXT NOT NULL UNIQUE,
+    invited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    accepted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    accepted_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_invitations_workspace ON public.workspace_invitations(workspace_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workspace_invitations_pending
+    ON public.workspace_invitations(workspace_id, lower(email))
+    WHERE accepted_at IS NULL AND revoked_at IS NULL;
+
+CREATE OR REPLACE FUNCTION public.update_workspaces_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_workspaces_timestamp
+    BEFORE UPDATE ON public.workspaces
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_workspaces_timestamp();
+
+CREATE TRIGGER update_workspace_members_timestamp
+    BEFORE UPDATE ON public.workspace_members
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_workspaces_timestamp();
+
+-- A user's default workspace, creating a personal one (with them as owner)
+-- the first time it is needed
+CREATE OR REPLACE FUNCTION public.default_workspace_id(p_user_id UUID)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    found_id UUID;
+    account_name TEXT;
+BEGIN
+    SELECT m.workspace_id INTO found_id
+    FROM public.workspace_members m
+    WHERE m.user_id = p_user_id
+    ORDER BY m.is_default DESC, m.created_at
+    LIMIT 1;
+
+    IF found_id IS NOT NULL THEN
+        UPDATE public.workspace_members
+        SET is_default = TRUE
+        WHERE workspace_id = found_id AND user_id = p_user_id AND NOT is_default;
+        RETURN found_id;
+    END IF;
+
+    SELECT COALESCE(u.raw_user_meta_data->>'full_name', split_part(u.email, '@', 1), 'My')
+    INTO account_name
+    FROM auth.users u
+    WHERE u.id = p_user_id;
+
+    INSERT INTO public.workspaces (name, created_by)
+    VALUES (COALESCE(account_name, 'My') || '''s workspace', p_user_id)
+    RETURNING id INTO found_id;
+
+    INSERT INTO public.workspace_members (workspace_id, user_id, role, is_default)
+    VALUES (found_id, p_user_id, 'owner', TRUE);
+
+    RETURN found_id;
+END;
+$$;
+
+-- Rows written without a workspace (platform ingestion, triggers) belong to
+-- their user's default workspace
+CREATE OR REPLACE FUNCTION public.set_workspace_id()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.workspace_id IS NULL AND NEW.user_id IS NOT NULL THEN
+        NEW.workspace_id := public.default_workspace_id(NEW.user_id);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION public.is_workspace_member(p_workspace_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.workspace_members m
+        WHERE m.workspace_id = p_workspace_id AND m.user_id = auth.uid()
+    );
+$$;
+
+-- Add workspace_id to every shared table, backfilled from the owning user's
+-- (new, personal) workspace, with an index, the insert trigger and a policy
+-- letting members read the workspace's rows
+DO $$
+DECLARE
+    shared_table TEXT;
+BEGIN
+    FOREACH shared_table IN ARRAY ARRAY[
+        'accounts',
+        'whatsapp_contacts', 'whatsapp_messages', 'whatsapp_sync_requests',
+        'messages', 'message_summaries', 'discord_reports',
+        'people', 'person_identities', 'person_merge_suggestions',
+        'contact_notes', 'contact_note_revisions', 'contact_tags', 'person_tags',
+        'contact_fields', 'contact_field_values',
+        'conversation_settings', 'reply_drafts', 'message_rules', 'rule_executions',
+        'digest_schedules', 'reports', 'tasks', 'media_assets',
+        'channel_mappings', 'relayed_messages',
+        'webhook_endpoints', 'webhook_deliveries', 'webhook_delivery_attempts'
+    ]
+    LOOP
+        EXECUTE format('ALTER TABLE public.%I ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES public.workspaces(id) ON DELETE CASCADE', shared_table);
+        EXECUTE format('UPDATE public.%I SET workspace_id = public.default_workspace_id(user_id) WHERE workspace_id IS NULL', shared_table);
+        EXECUTE format('ALTER TABLE public.%I ALTER COLUMN workspace_id SET NOT NULL', shared_table);
+        EXECUTE format('CREATE INDEX IF NOT EXISTS %I ON public.%I(workspace_id)', 'idx_' || shared_table || '_workspace', shared_table);
+        EXECUTE format('CREATE TRIGGER set_workspace_id BEFORE INSERT ON public.%I FOR EACH ROW EXECUTE FUNCTION public.set_workspace_id()', shared_table);
+        EXECUTE format('CREATE POLICY "Workspace members can view shared rows" ON public.%I FOR SELECT USING (public.is_workspace_member(workspace_id))', shared_table);
+    END LOOP;
+END;
+$$;
+
+-- Lookups that identify things within a workspace rather than per user
+CREATE INDEX IF NOT EXISTS idx_messages_workspace_inbox ON public.messages(workspace_id, timestamp DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_workspace_conversation ON public.messages(workspace_id, platform, conversation_id, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_workspace_sender ON public.messages(workspace_id, platform, sender_id, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_whatsapp_contacts_workspace_recent ON public.whatsapp_contacts(workspace_id, last_message_at DESC);
+
+ALTER TABLE public.person_identities DROP CONSTRAINT IF EXISTS person_identities_user_id_platform_external_id_key;
+ALTER TABLE public.person_identities ADD CONSTRAINT person_identities_workspace_platform_external_id_key UNIQUE (workspace_id, platform, external_id);
+CREATE INDEX IF NOT EXISTS idx_person_identities_workspace_sender ON public.person_identities(workspace_id, platform, sender_id);
+
+ALTER TABLE public.person_merge_suggestions DROP CONSTRAINT IF EXISTS person_merge_suggestions_user_id_person_id_candidate_person_id_key;
+ALTER TABLE public.person_merge_suggestions ADD CONSTRAINT person_merge_suggestions_workspace_pair_key UNIQUE (workspace_id, person_id, candidate_person_id);
+
+DROP INDEX IF EXISTS public.idx_contact_tags_name;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contact_tags_workspace_name ON public.contact_tags(workspace_id, lower(name));
+
+ALTER TABLE public.contact_fields DROP CONSTRAINT IF EXISTS contact_fields_user_id_key_key;
+ALTER TABLE public.contact_fields ADD CONSTRAINT contact_fields_workspace_key_key UNIQUE (workspace_id, key);
+
+ALTER TABLE public.tasks DROP CONSTRAINT IF EXISTS tasks_user_id_dedupe_key_key;
+ALTER TABLE public.tasks ADD CONSTRAINT tasks_workspace_dedupe_key_key UNIQUE (workspace_id, dedupe_key);
+
+-- Revisions belong to the note's workspace, not the editor's default one
+CREATE OR REPLACE FUNCTION public.record_contact_note_revision()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        INSERT INTO public.contact_note_revisions (workspace_id, user_id, note_id, action, body)
+        VALUES (NEW.workspace_id, NEW.user_id, NEW.id, 'created', NEW.body);
+    ELSIF OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL THEN
+        INSERT INTO public.contact_note_revisions (workspace_id, user_id, note_id, action, body)
+        VALUES (NEW.workspace_id, NEW.user_id, NEW.id, 'deleted', NEW.body);
+    ELSIF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NULL THEN
+        INSERT INTO public.contact_note_revisions (workspace_id, user_id, note_id, action, body)
+        VALUES (NEW.workspace_id, NEW.user_id, NEW.id, 'restored', NEW.body);
+    ELSIF NEW.body IS DISTINCT FROM OLD.body THEN
+        INSERT INTO public.contact_note_revisions (workspace_id, user_id, note_id, action, body)
+        VALUES (NEW.workspace_id, NEW.user_id, NEW.id, 'edited', NEW.body);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- WhatsApp conversations can be assigned to a workspace member
+ALTER TABLE public.whatsapp_contacts
+ADD COLUMN IF NOT EXISTS assigned_to UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_contacts_assignee ON public.whatsapp_contacts(workspace_id, assigned_to);
+
+ALTER TABLE public.workspaces ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.workspace_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.workspace_invitations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members can view their workspaces"
+    ON public.workspaces
+    FOR SELECT
+    USING (public.is_workspace_member(id));
+
+CREATE POLICY "Members can view their workspace's members"
+    ON public.workspace_members
+    FOR SELECT
+    USING (public.is_workspace_member(workspace_id));
+
+-- Functions below now take the workspace instead of the user
+DROP FUNCTION IF EXISTS public.person_identity_candidates(UUID);
+DROP FUNCTION IF EXISTS public.ensure_person_identities(UUID, JSONB);
+DROP FUNCTION IF EXISTS public.person_conversations(UUID, BIGINT);
+DROP FUNCTION IF EXISTS public.search_people(UUID, TEXT, TEXT, BIGINT[], JSONB, TEXT, BIGINT, BOOLEAN, INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS public.match_messages(UUID, vector, INTEGER, TEXT[], TEXT, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, BIGINT);
+DROP FUNCTION IF EXISTS public.touch_tasks(UUID, TEXT[]);
+
+-- Distinct senders in the message store with their latest name. Outbound
+-- messages are the workspace's own and are skipped.
+CREATE FUNCTION public.person_identity_candidates(p_workspace_id UUID)
+RETURNS TABLE (
+    platform TEXT,
+    sender_id TEXT,
+    sender_name TEXT,
+    last_seen_at TIMESTAMPTZ,
+    message_count BIGINT,
+    dm_conversation_id TEXT
+)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        m.platform,
+        m.sender_id,
+        (ARRAY_AGG(m.sender_name ORDER BY m.timestamp DESC) FILTER (WHERE m.sender_name IS NOT NULL))[1],
+        MAX(m.timestamp),
+        COUNT(*),
+        MAX(m.conversation_id) FILTER (
+            WHERE m.metadata->>'chat_type' = 'private'
+               OR m.metadata->>'channel_type' = 'im'
+               OR (m.platform = 'discord' AND m.metadata->>'server_id' IS NULL)
+        )
+    FROM public.messages m
+    WHERE m.workspace_id = p_workspace_id
+      AND m.sender_id IS NOT NULL
+      AND COALESCE(m.metadata->>'direction', '') <> 'outbound'
+    GROUP BY m.platform, m.sender_id;
+$$;
+
+-- Upsert identities given as a JSON array. Unknown identities get a new
+-- person of their own; known ones have their details refreshed.
+CREATE FUNCTION public.ensure_person_identities(p_workspace_id UUID, p_user_id UUID, p_identities JSONB)
+RETURNS TABLE (identity_id BIGINT, person_id BIGINT, created BOOLEAN)
+LANGUAGE plpgsql
+AS $$
+#variable_conflict use_column
+DECLARE
+    candidate RECORD;
+    existing_id BIGINT;
+    existing_person_id BIGINT;
+    new_person_id BIGINT;
+    new_identity_id BIGINT;
+BEGIN
+    FOR candidate IN
+        SELECT * FROM jsonb_to_recordset(p_identities) AS x(
+            platform TEXT,
+            external_id TEXT,
+            sender_id TEXT,
+            display_name TEXT,
+            username TEXT,
+            email TEXT,
+            phone TEXT,
+            dm_conversation_id TEXT,
+            whatsapp_contact_id INTEGER,
+            last_seen_at TIMESTAMPTZ
+        )
+    LOOP
+        SELECT i.id, i.person_id INTO existing_id, existing_person_id
+        FROM public.person_identities i
+        WHERE i.workspace_id = p_workspace_id
+          AND i.platform = candidate.platform
+          AND i.external_id = candidate.external_id;
+
+        IF existing_id IS NOT NULL THEN
+            UPDATE public.person_identities i SET
+                sender_id = COALESCE(candidate.sender_id, i.sender_id),
+                display_name = COALESCE(candidate.display_name, i.display_name),
+                username = COALESCE(candidate.username, i.username),
+                email = COALESCE(i.email, candidate.email),
+                phone = COALESCE(i.phone, candidate.phone),
+                dm_conversation_id = COALESCE(i.dm_conversation_id, candidate.dm_conversation_id),
+                whatsapp_contact_id = COALESCE(i.whatsapp_contact_id, candidate.whatsapp_contact_id),
+                last_seen_at = GREATEST(i.last_seen_at, candidate.last_seen_at)
+            WHERE i.id = existing_id;
+
+            identity_id := existing_id;
+            person_id := existing_person_id;
+            created := FALSE;
+            RETURN NEXT;
+            CONTINUE;
+        END IF;
+
+        INSERT INTO public.people (workspace_id, user_id, display_name, email, phone)
+        VALUES (p_workspace_id, p_user_id, COALESCE(candidate.display_name, candidate.external_id), candidate.email, candidate.phone)
+        RETURNING id INTO new_person_id;
+
+        INSERT INTO public.person_identities (
+            workspace_id, user_id, person_id, platform, external_id, sender_id, display_name, username,
+            email, phone, dm_conversation_id, whatsapp_contact_id, last_seen_at
+        )
+        VALUES (
+            p_workspace_id, p_user_id, new_person_id, candidate.platform, candidate.external_id, candidate.sender_id, candidate.display_name, candidate.username,
+            candidate.email, candidate.phone, candidate.dm_conversation_id, candidate.whatsapp_contact_id, candidate.last_seen_at
+        )
+        ON CONFLICT (workspace_id, platform, external_id) DO NOTHING
+        RETURNING id INTO new_identity_id;
+
+        -- Another writer created the identity first; drop the spare person
+        IF new_identity_id IS NULL THEN
+            DELETE FROM public.people WHERE id = new_person_id;
+            CONTINUE;
+        END IF;
+
+        identity_id := new_identity_id;
+        person_id := new_person_id;
+        created := TRUE;
+        RETURN NEXT;
+    END LOOP;
+END;
+$$;
+
+-- Conversations a person takes part in: everywhere one of their identities
+-- has sent a message, plus direct conversations with them
+CREATE FUNCTION public.person_conversations(p_workspace_id UUID, p_person_id BIGINT)
+RETURNS TABLE (
+    platform TEXT,
+    conversation_id TEXT,
+    conversation_name TEXT,
+    message_count BIGINT,
+    person_message_count BIGINT,
+    last_message_at TIMESTAMPTZ,
+    is_direct BOOLEAN
+)
+LANGUAGE sql
+STABLE
+AS $$
+    WITH ids AS (
+        SELECT i.platform, i.sender_id, i.dm_conversation_id
+        FROM public.person_identities i
+        WHERE i.workspace_id = p_workspace_id AND i.person_id = p_person_id
+    ),
+    conversations AS (
+        SELECT DISTINCT m.platform, m.conversation_id
+        FROM public.messages m
+        JOIN ids ON ids.platform = m.platform AND ids.sender_id = m.sender_id
+        WHERE m.workspace_id = p_workspace_id
+        UNION
+        SELECT ids.platform, ids.dm_conversation_id
+        FROM ids
+        WHERE ids.dm_conversation_id IS NOT NULL
+    )
+    SELECT
+        c.platform,
+        c.conversation_id,
+        (ARRAY_AGG(m.conversation_name ORDER BY m.timestamp DESC) FILTER (WHERE m.conversation_name IS NOT NULL))[1],
+        COUNT(m.id),
+        COUNT(m.id) FILTER (WHERE EXISTS (
+            SELECT 1 FROM ids WHERE ids.platform = m.platform AND ids.sender_id = m.sender_id
+        )),
+        MAX(m.timestamp),
+        EXISTS (
+            SELECT 1 FROM ids WHERE ids.platform = c.platform AND ids.dm_conversation_id = c.conversation_id
+        )
+    FROM conversations c
+    LEFT JOIN public.messages m
+        ON m.workspace_id = p_workspace_id
+       AND m.platform = c.platform
+       AND m.conversation_id = c.conversation_id
+       AND m.deleted_at IS NULL
+    GROUP BY c.platform, c.conversation_id
+    ORDER BY MAX(m.timestamp) DESC NULLS LAST;
+$$;
+
+-- One page of a workspace's people, filtered by search text, platform, tags (the
+-- person must carry all of them) and custom field filters, then sorted by a
+-- built-in column or a custom field. p_filters is a JSON array of
+-- { field_id, field_type, op, text_value, number_value, date_value,
+-- boolean_value, list_value }. A NULL p_limit returns every match.
+CREATE FUNCTION public.search_people(
+    p_workspace_id UUID,
+    p_search TEXT DEFAULT NULL,
+    p_platform TEXT DEFAULT NULL,
+    p_tag_ids BIGINT[] DEFAULT NULL,
+    p_filters JSONB DEFAULT '[]'::jsonb,
+    p_sort TEXT DEFAULT 'display_name',
+    p_sort_field_id BIGINT DEFAULT NULL,
+    p_descending BOOLEAN DEFAULT FALSE,
+    p_limit INTEGER DEFAULT NULL,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (person_id BIGINT, total_count BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+    WITH filters AS (
+        SELECT * FROM jsonb_to_recordset(COALESCE(p_filters, '[]'::jsonb)) AS f(
+            field_id BIGINT,
+            field_type TEXT,
+            op TEXT,
+            text_value TEXT,
+            number_value NUMERIC,
+            date_value TIMESTAMPTZ,
+            boolean_value BOOLEAN,
+            list_value TEXT[]
+        )
+    ),
+    matched AS (
+        SELECT
+            p.id,
+            CASE p_sort
+                WHEN 'display_name' THEN lower(p.display_name)
+                WHEN 'field' THEN lower(sv.text_value)
+            END AS sort_text,
+            CASE p_sort
+                WHEN 'created_at' THEN p.created_at
+                WHEN 'updated_at' THEN p.updated_at
+                WHEN 'last_seen_at' THEN (
+                    SELECT MAX(i.last_seen_at) FROM public.person_identities i WHERE i.person_id = p.id
+                )
+                WHEN 'field' THEN sv.date_value
+            END AS sort_time,
+            CASE WHEN p_sort = 'field' THEN sv.number_value END AS sort_number,
+            CASE WHEN p_sort = 'field' THEN sv.boolean_value END AS sort_boolean
+        FROM public.people p
+        LEFT JOIN public.contact_field_values sv
+            ON p_sort = 'field' AND sv.person_id = p.id AND sv.field_id = p_sort_field_id
+        WHERE p.workspace_id = p_workspace_id
+          AND (
+              p_search IS NULL
+              OR p.display_name ILIKE '%' || p_search || '%'
+              OR p.email ILIKE '%' || p_search || '%'
+              OR p.phone ILIKE '%' || p_search || '%'
+          )
+          AND (
+              p_platform IS NULL
+              OR EXISTS (SELECT 1 FROM public.person_identities i WHERE i.person_id = p.id AND i.platform = p_platform)
+          )
+          AND (
+              COALESCE(cardinality(p_tag_ids), 0) = 0
+              OR (
+                  SELECT COUNT(DISTINCT t.tag_id) FROM public.person_tags t
+                  WHERE t.person_id = p.id AND t.tag_id = ANY(p_tag_ids)
+              ) = cardinality(p_tag_ids)
+          )
+          AND NOT EXISTS (
+              SELECT 1
+              FROM filters f
+              LEFT JOIN public.contact_field_values v ON v.person_id = p.id AND v.field_id = f.field_id
+              WHERE NOT COALESCE(public.contact_field_matches(
+                  v, f.field_type, f.op, f.text_value, f.number_value, f.date_value, f.boolean_value, f.list_value
+              ), FALSE)
+          )
+    )
+    SELECT m.id, COUNT(*) OVER ()
+    FROM matched m
+    ORDER BY
+        CASE WHEN NOT p_descending THEN m.sort_text END ASC NULLS LAST,
+        CASE WHEN p_descending THEN m.sort_text END DESC NULLS LAST,
+        CASE WHEN NOT p_descending THEN m.sort_time END ASC NULLS LAST,
+        CASE WHEN p_descending THEN m.sort_time END DESC NULLS LAST,
+        CASE WHEN NOT p_descending THEN m.sort_number END ASC NULLS LAST,
+        CASE WHEN p_descending THEN m.sort_number END DESC NULLS LAST,
+        CASE WHEN NOT p_descending THEN m.sort_boolean END ASC NULLS LAST,
+        CASE WHEN p_descending THEN m.sort_boolean END DESC NULLS LAST,
+        m.id
+    LIMIT p_limit
+    OFFSET p_offset;
+$$;
+
+-- Nearest-neighbour lookup used by the "find similar" endpoint
+CREATE FUNCTION public.match_messages(
+    p_workspace_id UUID,
+    p_embedding vector(1536),
+    p_match_count INTEGER DEFAULT 20,
+    p_platforms TEXT[] DEFAULT NULL,
+    p_conversation_id TEXT DEFAULT NULL,
+    p_sender_id TEXT DEFAULT NULL,
+    p_from TIMESTAMPTZ DEFAULT NULL,
+    p_to TIMESTAMPTZ DEFAULT NULL,
+    p_exclude_id BIGINT DEFAULT NULL
+)
+RETURNS TABLE (
+    id BIGINT,
+    platform TEXT,
+    conversation_id TEXT,
+    conversation_name TEXT,
+    external_id TEXT,
+    sender_id TEXT,
+    sender_name TEXT,
+    content TEXT,
+    timestamp TIMESTAMPTZ,
+    similarity DOUBLE PRECISION
+)
+LANGUAGE sql STABLE
+AS $$
+    SELECT
+        m.id,
+        m.platform,
+        m.conversation_id,
+        m.conversation_name,
+        m.external_id,
+        m.sender_id,
+        m.sender_name,
+        m.content,
+        m.timestamp,
+        1 - (m.embedding <=> p_embedding) AS similarity
+    FROM public.messages m
+    WHERE m.workspace_id = p_workspace_id
+      AND m.embedding IS NOT NULL
+      AND (p_platforms IS NULL OR m.platform = ANY(p_platforms))
+      AND (p_conversation_id IS NULL OR m.conversation_id = p_conversation_id)
+      AND (p_sender_id IS NULL OR m.sender_id = p_sender_id)
+      AND (p_from IS NULL OR m.timestamp >= p_from)
+      AND (p_to IS NULL OR m.timestamp <= p_to)
+      AND (p_exclude_id IS NULL OR m.id <> p_exclude_id)
+    ORDER BY m.embedding <=> p_embedding
+    LIMIT p_match_count;
+$$;
+
+-- Seen again by a later analysis: bump the counter without touching status,
+-- so completed or dismissed tasks stay that way
+CREATE FUNCTION public.touch_tasks(p_workspace_id UUID, p_dedupe_keys TEXT[])
+RETURNS SETOF public.tasks
+LANGUAGE sql
+AS $$
+    UPDATE public.tasks
+    SET occurrences = occurrences + 1,
+        last_seen_at = NOW()
+    WHERE workspace_id = p_workspace_id
+      AND dedupe_key = ANY(p_dedupe_keys)
+    RETURNING *;
+$$;
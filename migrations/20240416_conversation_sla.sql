@@ -0,0 +1,87 @@
+-- Helpdesk status for WhatsApp conversations: open (waiting on the team),
+-- pending (waiting on the contact), snoozed until a time, or resolved
+ALTER TABLE public.whatsapp_contacts
+ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'pending', 'resolved', 'snoozed')),
+ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS snoozed_until TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_contacts_workspace_status ON public.whatsapp_contacts(workspace_id, status);
+CREATE INDEX IF NOT EXISTS idx_whatsapp_contacts_snoozed ON public.whatsapp_contacts(snoozed_until) WHERE status = 'snoozed';
+
+-- Response and resolution targets per priority. Workspaces without a row
+-- for a priority use the defaults in services/conversationService.js.
+CREATE TABLE IF NOT EXISTS public.sla_policies (
+    id BIGSERIAL PRIMARY KEY,
+    workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+    priority TEXT NOT NULL CHECK (priority IN ('HIGH', 'MEDIUM', 'LOW')),
+    first_response_minutes INTEGER NOT NULL CHECK (first_response_minutes > 0),
+    resolution_minutes INTEGER NOT NULL CHECK (resolution_minutes > 0),
+    updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(workspace_id, priority)
+);
+
+-- One row per time a conversation is opened by a contact's message, until
+-- it is resolved. Times come from message timestamps; due times from the
+-- conversation's priority when it opened (or last changed).
+CREATE TABLE IF NOT EXISTS public.conversation_slas (
+    id BIGSERIAL PRIMARY KEY,
+    workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+    -- Owner of the WhatsApp connection the conversation belongs to
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    contact_id INTEGER NOT NULL REFERENCES public.whatsapp_contacts(id) ON DELETE CASCADE,
+    priority TEXT NOT NULL CHECK (priority IN ('HIGH', 'MEDIUM', 'LOW')),
+    assigned_to UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    opened_at TIMESTAMPTZ NOT NULL,
+    first_response_due_at TIMESTAMPTZ NOT NULL,
+    first_response_at TIMESTAMPTZ,
+    first_response_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    resolution_due_at TIMESTAMPTZ NOT NULL,
+    resolved_at TIMESTAMPTZ,
+    resolved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    -- Set when the breach alert goes out, so each is sent once
+    first_response_breached_at TIMESTAMPTZ,
+    resolution_breached_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversation_slas_open ON public.conversation_slas(contact_id) WHERE resolved_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_conversation_slas_contact ON public.conversation_slas(contact_id, opened_at DESC);
+CREATE INDEX IF NOT EXISTS idx_conversation_slas_report ON public.conversation_slas(workspace_id, opened_at);
+CREATE INDEX IF NOT EXISTS idx_conversation_slas_first_response_due ON public.conversation_slas(first_response_due_at)
+    WHERE resolved_at IS NULL AND first_response_at IS NULL AND first_response_breached_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_conversation_slas_resolution_due ON public.conversation_slas(resolution_due_at)
+    WHERE resolved_at IS NULL AND resolution_breached_at IS NULL;
+
+ALTER TABLE public.sla_policies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.conversation_slas ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Workspace members can view SLA policies"
+    ON public.sla_policies
+    FOR SELECT
+    USING (public.is_workspace_member(workspace_id));
+
+CREATE POLICY "Workspace members can view conversation SLAs"
+    ON public.conversation_slas
+    FOR SELECT
+    USING (public.is_workspace_member(workspace_id));
+
+CREATE OR REPLACE FUNCTION public.update_conversation_sla_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_sla_policies_timestamp
+    BEFORE UPDATE ON public.sla_policies
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_conversation_sla_timestamp();
+
+CREATE TRIGGER update_conversation_slas_timestamp
+    BEFORE UPDATE ON public.conversation_slas
+    FOR EACH ROW
+    EXECUTE FUNCTION public.update_conversation_sla_timestamp();
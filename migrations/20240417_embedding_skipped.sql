@@ -0,0 +1,9 @@
+-- Messages with nothing to embed (blank or whitespace-only text) are marked
+-- so searchService.indexEmbeddings moves past them instead of selecting
+-- them again on every call
+ALTER TABLE public.messages
+ADD COLUMN IF NOT EXISTS embedding_skipped_at TIMESTAMPTZ;
+
+DROP INDEX IF EXISTS public.idx_messages_pending_embedding;
+CREATE INDEX IF NOT EXISTS idx_messages_pending_embedding
+    ON public.messages(user_id, id) WHERE embedding IS NULL AND embedding_skipped_at IS NULL;
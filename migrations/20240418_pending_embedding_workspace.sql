@@ -0,0 +1,5 @@
+-- searchService.indexEmbeddings picks pending messages per workspace, so
+-- the partial index leads with workspace_id instead of user_id
+DROP INDEX IF EXISTS public.idx_messages_pending_embedding;
+CREATE INDEX IF NOT EXISTS idx_messages_pending_embedding
+    ON public.messages(workspace_id, id) WHERE embedding IS NULL AND embedding_skipped_at IS NULL;
@@ -0,0 +1,55 @@
+-- match_messages also returns the transcript, so voice notes found through
+-- similarity search show their text like keyword search results do. The
+-- return type changes, so the function is dropped and created again.
+DROP FUNCTION IF EXISTS public.match_messages(UUID, vector, INTEGER, TEXT[], TEXT, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, BIGINT);
+
+CREATE FUNCTION public.match_messages(
+    p_workspace_id UUID,
+    p_embedding vector(1536),
+    p_match_count INTEGER DEFAULT 20,
+    p_platforms TEXT[] DEFAULT NULL,
+    p_conversation_id TEXT DEFAULT NULL,
+    p_sender_id TEXT DEFAULT NULL,
+    p_from TIMESTAMPTZ DEFAULT NULL,
+    p_to TIMESTAMPTZ DEFAULT NULL,
+    p_exclude_id BIGINT DEFAULT NULL
+)
+RETURNS TABLE (
+    id BIGINT,
+    platform TEXT,
+    conversation_id TEXT,
+    conversation_name TEXT,
+    external_id TEXT,
+    sender_id TEXT,
+    sender_name TEXT,
+    content TEXT,
+    transcript TEXT,
+    timestamp TIMESTAMPTZ,
+    similarity DOUBLE PRECISION
+)
+LANGUAGE sql STABLE
+AS $$
+    SELECT
+        m.id,
+        m.platform,
+        m.conversation_id,
+        m.conversation_name,
+        m.external_id,
+        m.sender_id,
+        m.sender_name,
+        m.content,
+        m.transcript,
+        m.timestamp,
+        1 - (m.embedding <=> p_embedding) AS similarity
+    FROM public.messages m
+    WHERE m.workspace_id = p_workspace_id
+      AND m.embedding IS NOT NULL
+      AND (p_platforms IS NULL OR m.platform = ANY(p_platforms))
+      AND (p_conversation_id IS NULL OR m.conversation_id = p_conversation_id)
+      AND (p_sender_id IS NULL OR m.sender_id = p_sender_id)
+      AND (p_from IS NULL OR m.timestamp >= p_from)
+      AND (p_to IS NULL OR m.timestamp <= p_to)
+      AND (p_exclude_id IS NULL OR m.id <> p_exclude_id)
+    ORDER BY m.embedding <=> p_embedding
+    LIMIT p_match_count;
+$$;
@@ -0,0 +1,22 @@
+-- A retried digest job stores its report once per schedule and period and
+-- only repeats the delivery steps that are not marked done yet
+ALTER TABLE public.reports
+ADD COLUMN IF NOT EXISTS tasks_recorded_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS notified_at TIMESTAMPTZ;
+
+-- Reports stored before this migration were delivered in full
+UPDATE public.reports
+SET tasks_recorded_at = COALESCE(tasks_recorded_at, created_at),
+    notified_at = COALESCE(notified_at, created_at)
+WHERE schedule_id IS NOT NULL;
+
+-- Keep the oldest of any duplicates left by earlier retries
+DELETE FROM public.reports r
+USING public.reports older
+WHERE r.schedule_id = older.schedule_id
+  AND r.period_start = older.period_start
+  AND r.period_end = older.period_end
+  AND r.id > older.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_schedule_period
+    ON public.reports(schedule_id, period_start, period_end);
@@ -0,0 +1,860 @@
+// Shared pieces of the OpenAPI document: schema helpers, parameters, error
+// responses and the resource schemas the path files refer to.
+import { TOKEN_SCOPES } from '../services/accessTokenService.js';
+import { WORKSPACE_ROLES } from '../services/workspaceService.js';
+
+export const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+export const id = { type: 'integer', minimum: 1 };
+export const timestamp = { type: 'string', format: 'date-time' };
+export const nullableTimestamp = { ...timestamp, nullable: true };
+export const nullableString = { type: 'string', nullable: true };
+export const platform = { type: 'string', enum: ['whatsapp', 'telegram', 'slack', 'discord'] };
+export const looseObject = { type: 'object' };
+
+export const arrayOf = items => ({ type: 'array', items });
+
+// Most routes answer { status: 'success', data }
+export const envelope = data => ({
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: { type: 'string', enum: ['success'] },
+    ...(data ? { data } : {})
+  }
+});
+
+export const pathParam = (name, schema = id, description) => ({
+  name,
+  in: 'path',
+  required: true,
+  schema,
+  ...(description ? { description } : {})
+});
+
+export const queryParam = (name, schema, description, { required = false } = {}) => ({
+  name,
+  in: 'query',
+  required,
+  schema,
+  ...(description ? { description } : {})
+});
+
+export const limitParam = (description = 'Maximum number of results') => queryParam('limit', { type: 'integer', minimum: 1 }, description);
+
+export const jsonBody = (schema, { required = true } = {}) => ({
+  required,
+  content: { 'application/json': { schema } }
+});
+
+const errorResponse = name => ({ $ref: `#/components/responses/${name}` });
+const workspaceHeader = { $ref: '#/components/parameters/WorkspaceId' };
+
+// Every operation can fail authentication, validation or on the server;
+// notFound/conflict are added where the route looks something up or creates it.
+export function operation({
+  summary,
+  description,
+  tags,
+  parameters = [],
+  requestBody,
+  response = envelope(),
+  status = 200,
+  responseDescription = 'Success',
+  contentType = 'application/json',
+  auth = true,
+  notFound = false,
+  conflict = false,
+  queued,
+  scope
+}) {
+  const responses = {
+    [status]: contentType
+      ? { description: responseDescription, content: { [contentType]: { schema: response } } }
+      : { description: responseDescription },
+    400: errorResponse('ValidationError'),
+    500: errorResponse('ServerError')
+  };
+
+  if (auth) {
+    responses[401] = errorResponse('Unauthorized');
+    responses[403] = errorResponse('Forbidden');
+    responses[429] = errorResponse('RateLimited');
+  }
+  // Routes that can hand work to the job queue answer 202 instead
+  if (queued) {
+    responses[202] = { description: 'Queued as a background job', content: { 'application/json': { schema: queued } } };
+  }
+  if (notFound) responses[404] = errorResponse('NotFound');
+  if (conflict) responses[409] = errorResponse('Conflict');
+
+  // Signed-in requests act in a workspace
+  const allParameters = auth ? [workspaceHeader, ...parameters] : parameters;
+
+  return {
+    summary,
+    ...(description ? { description } : {}),
+    tags,
+    ...(auth ? {} : { security: [] }),
+    ...(scope ? { 'x-token-scope': scope } : {}),
+    ...(allParameters.length > 0 ? { parameters: allParameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    responses
+  };
+}
+
+const errorContent = description => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } }
+});
+
+export const responses = {
+  ValidationError: errorContent('The request is malformed or failed schema validation'),
+  Unauthorized: errorContent('Missing or invalid credentials'),
+  Forbidden: errorContent('The access token lacks the scope this route needs'),
+  NotFound: errorContent('The resource does not exist or belongs to another user'),
+  Conflict: errorContent('The request conflicts with existing data'),
+  RateLimited: errorContent('The access token used up its per-minute rate limit'),
+  ServerError: errorContent('Unexpected server error')
+};
+
+export const parameters = {
+  WorkspaceId: {
+    name: 'X-Workspace-Id',
+    in: 'header',
+    required: false,
+    description: 'Workspace the request acts in; defaults to your default workspace. Personal routes ignore it.',
+    schema: { type: 'string', format: 'uuid' }
+  }
+};
+
+export const schemas = {
+  Error: {
+    type: 'object',
+    required: ['status', 'code', 'message'],
+    properties: {
+      status: { type: 'string', enum: ['error'] },
+      code: { type: 'string', description: 'Stable machine-readable error code, e.g. VALIDATION_ERROR or NOT_FOUND' },
+      message: { type: 'string' },
+      details: {
+        description: 'Extra context; for VALIDATION_ERROR a list of { in, path, message }'
+      }
+    }
+  },
+
+  Conditions: {
+    type: 'object',
+    description: 'Rules engine condition tree: { all: [...] }, { any: [...] }, { not: {...} } or { field, operator, value }'
+  },
+
+  Job: {
+    type: 'object',
+    required: ['id', 'type', 'status'],
+    properties: {
+      id,
+      type: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'running', 'completed', 'dead', 'cancelled'] },
+      payload: looseObject,
+      priority: { type: 'integer' },
+      attempts: { type: 'integer' },
+      max_attempts: { type: 'integer' },
+      progress: { type: 'integer', minimum: 0, maximum: 100 },
+      progress_message: nullableString,
+      result: { nullable: true },
+      last_error: nullableString,
+      run_at: timestamp,
+      started_at: nullableTimestamp,
+      completed_at: nullableTimestamp,
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  JobRef: {
+    type: 'object',
+    required: ['job'],
+    properties: { job: ref('Job') }
+  },
+
+  Message: {
+    type: 'object',
+    required: ['id', 'platform'],
+    properties: {
+      id,
+      platform: { type: 'string' },
+      conversation_id: { type: 'string' },
+      conversation_name: nullableString,
+      external_id: { type: 'string' },
+      sender_id: nullableString,
+      sender_name: nullableString,
+      content: nullableString,
+      attachments: { type: 'array', nullable: true },
+      timestamp,
+      edited_at: nullableTimestamp,
+      is_read: { type: 'boolean' },
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  WhatsappContact: {
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id,
+      whatsapp_id: { type: 'string' },
+      display_name: nullableString,
+      profile_photo_url: nullableString,
+      sync_status: { type: 'string', enum: ['pending', 'approved', 'rejected'] },
+      is_group: { type: 'boolean' },
+      unread_count: { type: 'integer', nullable: true },
+      last_message_at: nullableTimestamp,
+      assigned_to: { ...nullableString, format: 'uuid', description: 'User id of the member handling the conversation' },
+      assigned_at: nullableTimestamp,
+      priority: { type: 'string', enum: ['HIGH', 'MEDIUM', 'LOW'], nullable: true },
+      status: { type: 'string', enum: ['open', 'pending', 'resolved', 'snoozed'] },
+      status_changed_at: nullableTimestamp,
+      snoozed_until: nullableTimestamp,
+      tags: arrayOf(ref('Tag')),
+      customFields: looseObject
+    }
+  },
+
+  WhatsappMessage: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      contact_id: { type: 'integer' },
+      message_id: { type: 'string' },
+      content: nullableString,
+      sender_id: nullableString,
+      sender_name: nullableString,
+      message_type: { type: 'string', enum: ['text', 'image', 'video', 'audio', 'document'] },
+      timestamp,
+      is_read: { type: 'boolean' }
+    }
+  },
+
+  Rule: {
+    type: 'object',
+    required: ['id', 'name', 'enabled', 'conditions', 'actions'],
+    properties: {
+      id,
+      name: { type: 'string' },
+      description: nullableString,
+      enabled: { type: 'boolean' },
+      position: { type: 'integer' },
+      stop_processing: { type: 'boolean' },
+      conditions: ref('Conditions'),
+      actions: arrayOf(ref('RuleAction')),
+      trigger_count: { type: 'integer' },
+      last_triggered_at: nullableTimestamp,
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  RuleAction: {
+    type: 'object',
+    description: 'assign (assignee: member user id), mute and snooze (durationMinutes) change the conversation\'s ' +
+      'assignee and status, which only WhatsApp conversations have; ai_reply drafts land in /reply-drafts.',
+    required: ['type'],
+    properties: {
+      type: { type: 'string', enum: ['tag', 'assign', 'forward', 'mute', 'snooze', 'webhook', 'ai_reply', 'reply', 'priority'] }
+    }
+  },
+
+  RuleInput: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      description: nullableString,
+      enabled: { type: 'boolean' },
+      position: { type: 'integer' },
+      stopProcessing: { type: 'boolean' },
+      conditions: ref('Conditions'),
+      actions: arrayOf(ref('RuleAction'))
+    }
+  },
+
+  ReplyDraft: {
+    type: 'object',
+    required: ['id', 'platform', 'conversation_id', 'content', 'status'],
+    properties: {
+      id,
+      message_id: { type: 'integer', nullable: true },
+      rule_id: { type: 'integer', nullable: true },
+      platform: { type: 'string' },
+      conversation_id: { type: 'string' },
+      content: { type: 'string' },
+      status: { type: 'string', enum: ['draft', 'sent', 'discarded'] },
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  RuleExecution: {
+    type: 'object',
+    required: ['id', 'results'],
+    properties: {
+      id,
+      rule_id: id,
+      message_id: { type: 'integer', nullable: true },
+      results: { type: 'array' },
+      has_errors: { type: 'boolean' },
+      created_at: timestamp
+    }
+  },
+
+  DigestConversation: {
+    type: 'object',
+    required: ['platform', 'conversationId'],
+    properties: {
+      platform,
+      conversationId: { oneOf: [{ type: 'string', minLength: 1 }, { type: 'integer' }] }
+    }
+  },
+
+  DigestScheduleInput: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      conversations: { type: 'array', minItems: 1, items: ref('DigestConversation') },
+      cadence: { type: 'string', enum: ['daily', 'weekly'] },
+      dayOfWeek: { type: 'integer', minimum: 0, maximum: 6 },
+      hour: { type: 'integer', minimum: 0, maximum: 23 },
+      timezone: { type: 'string' },
+      outputFormat: { type: 'string', enum: ['pdf', 'markdown', 'notification'] },
+      enabled: { type: 'boolean' }
+    }
+  },
+
+  DigestSchedule: {
+    type: 'object',
+    required: ['id', 'name', 'cadence'],
+    properties: {
+      id,
+      name: { type: 'string' },
+      conversations: arrayOf(ref('DigestConversation')),
+      cadence: { type: 'string', enum: ['daily', 'weekly'] },
+      day_of_week: { type: 'integer', nullable: true },
+      hour: { type: 'integer' },
+      timezone: { type: 'string' },
+      output_format: { type: 'string', enum: ['pdf', 'markdown', 'notification'] },
+      enabled: { type: 'boolean' },
+      next_run_at: nullableTimestamp,
+      last_run_at: nullableTimestamp,
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  Report: {
+    type: 'object',
+    required: ['id', 'type', 'title'],
+    properties: {
+      id,
+      schedule_id: { type: 'integer', nullable: true },
+      type: { type: 'string' },
+      title: { type: 'string' },
+      format: { type: 'string', enum: ['pdf', 'markdown', 'notification'] },
+      period_start: nullableTimestamp,
+      period_end: nullableTimestamp,
+      data: looseObject,
+      tasks_recorded_at: nullableTimestamp,
+      notified_at: nullableTimestamp,
+      created_at: timestamp
+    }
+  },
+
+  Notification: {
+    type: 'object',
+    required: ['id', 'type', 'title'],
+    properties: {
+      id,
+      type: { type: 'string' },
+      title: { type: 'string' },
+      body: nullableString,
+      data: { type: 'object', nullable: true },
+      read_at: nullableTimestamp,
+      created_at: timestamp
+    }
+  },
+
+  Task: {
+    type: 'object',
+    required: ['id', 'title', 'status'],
+    properties: {
+      id,
+      title: { type: 'string' },
+      status: { type: 'string', enum: ['open', 'completed', 'dismissed'] },
+      owner: nullableString,
+      due_at: nullableTimestamp,
+      snoozed_until: nullableTimestamp,
+      source: { type: 'string' },
+      platform: nullableString,
+      conversation_id: nullableString,
+      conversation_name: nullableString,
+      message_id: { type: 'integer', nullable: true },
+      occurrences: { type: 'integer' },
+      last_seen_at: nullableTimestamp,
+      completed_at: nullableTimestamp,
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  MediaAsset: {
+    type: 'object',
+    required: ['id', 'platform', 'kind'],
+    properties: {
+      id,
+      platform: { type: 'string' },
+      message_id: { type: 'integer', nullable: true },
+      conversation_id: nullableString,
+      kind: { type: 'string', enum: ['image', 'video', 'audio', 'file'] },
+      filename: nullableString,
+      mimetype: nullableString,
+      size_bytes: { type: 'integer', nullable: true },
+      width: { type: 'integer', nullable: true },
+      height: { type: 'integer', nullable: true },
+      duration_ms: { type: 'integer', nullable: true },
+      created_at: timestamp
+    }
+  },
+
+  TranscriptionSettings: {
+    type: 'object',
+    required: ['voiceTranscriptionEnabled', 'transcriptionLanguage'],
+    properties: {
+      voiceTranscriptionEnabled: { type: 'boolean' },
+      transcriptionLanguage: { type: 'string', pattern: '^[a-z]{2}$', nullable: true }
+    }
+  },
+
+  DiscordChannelSubscription: {
+    type: 'object',
+    required: ['channel_id'],
+    properties: {
+      id,
+      channel_id: { type: 'string' },
+      server_id: nullableString,
+      channel_name: nullableString,
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  DiscordBackfill: {
+    type: 'object',
+    required: ['channel_id', 'status'],
+    properties: {
+      id,
+      channel_id: { type: 'string' },
+      server_id: nullableString,
+      channel_name: nullableString,
+      status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed', 'cancelled'] },
+      since: nullableTimestamp,
+      max_messages: { type: 'integer' },
+      messages_fetched: { type: 'integer' },
+      oldest_timestamp: nullableTimestamp,
+      stop_reason: nullableString,
+      job_id: { type: 'integer', nullable: true },
+      last_error: nullableString,
+      completed_at: nullableTimestamp,
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  RelayMappingInput: {
+    type: 'object',
+    properties: {
+      sourcePlatform: platform,
+      sourceChannelId: { oneOf: [{ type: 'string', minLength: 1 }, { type: 'integer' }] },
+      sourceName: nullableString,
+      targetPlatform: platform,
+      targetChannelId: { oneOf: [{ type: 'string', minLength: 1 }, { type: 'integer' }] },
+      targetName: nullableString,
+      bidirectional: { type: 'boolean' },
+      filters: { ...ref('Conditions'), nullable: true },
+      relayEdits: { type: 'boolean' },
+      relayDeletes: { type: 'boolean' }
+    }
+  },
+
+  RelayMapping: {
+    type: 'object',
+    required: ['id', 'source_platform', 'source_channel_id', 'target_platform', 'target_channel_id', 'status'],
+    properties: {
+      id,
+      source_platform: platform,
+      source_channel_id: { type: 'string' },
+      source_name: nullableString,
+      target_platform: platform,
+      target_channel_id: { type: 'string' },
+      target_name: nullableString,
+      bidirectional: { type: 'boolean' },
+      status: { type: 'string', enum: ['active', 'paused'] },
+      filters: looseObject,
+      relay_edits: { type: 'boolean' },
+      relay_deletes: { type: 'boolean' },
+      last_relayed_at: nullableTimestamp,
+      last_error: nullableString,
+      paused_at: nullableTimestamp,
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  RelayedMessage: {
+    type: 'object',
+    required: ['id', 'mapping_id', 'status'],
+    properties: {
+      id,
+      mapping_id: id,
+      source_platform: { type: 'string' },
+      source_conversation_id: { type: 'string' },
+      source_external_id: { type: 'string' },
+      target_platform: { type: 'string' },
+      target_conversation_id: { type: 'string' },
+      target_external_id: nullableString,
+      status: { type: 'string', enum: ['sent', 'edited', 'deleted', 'failed'] },
+      error: nullableString,
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  PersonIdentity: {
+    type: 'object',
+    required: ['id', 'platform', 'external_id'],
+    properties: {
+      id,
+      platform: { type: 'string' },
+      external_id: { type: 'string' },
+      sender_id: nullableString,
+      display_name: nullableString,
+      username: nullableString,
+      email: nullableString,
+      phone: nullableString,
+      dm_conversation_id: nullableString,
+      whatsapp_contact_id: { type: 'integer', nullable: true },
+      last_seen_at: nullableTimestamp
+    }
+  },
+
+  Person: {
+    type: 'object',
+    required: ['id', 'display_name'],
+    properties: {
+      id,
+      display_name: { type: 'string' },
+      email: nullableString,
+      phone: nullableString,
+      avatar_url: nullableString,
+      identities: arrayOf(ref('PersonIdentity')),
+      tags: arrayOf(ref('Tag')),
+      customFields: looseObject,
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  PersonList: {
+    type: 'object',
+    required: ['people'],
+    properties: {
+      people: arrayOf(ref('Person')),
+      total: { type: 'integer' }
+    }
+  },
+
+  MergeSuggestion: {
+    type: 'object',
+    required: ['id', 'status'],
+    properties: {
+      id,
+      person_id: id,
+      candidate_person_id: id,
+      score: { type: 'number', minimum: 0, maximum: 1 },
+      reasons: arrayOf(looseObject),
+      status: { type: 'string', enum: ['pending', 'dismissed'] },
+      created_at: timestamp
+    }
+  },
+
+  Tag: {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+      id,
+      name: { type: 'string' },
+      color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$', nullable: true },
+      description: nullableString,
+      person_count: { type: 'integer' },
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  TagInput: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$', nullable: true },
+      description: nullableString
+    }
+  },
+
+  TagRefs: {
+    type: 'object',
+    required: ['tags'],
+    properties: {
+      tags: {
+        type: 'array',
+        description: 'Tag ids, or names; unknown names create the tag',
+        items: { oneOf: [{ type: 'integer' }, { type: 'string', minLength: 1 }] }
+      }
+    }
+  },
+
+  CustomField: {
+    type: 'object',
+    required: ['id', 'key', 'label', 'field_type'],
+    properties: {
+      id,
+      key: { type: 'string', pattern: '^[a-z][a-z0-9_]*$' },
+      label: { type: 'string' },
+      field_type: { type: 'string', enum: ['text', 'number', 'date', 'boolean', 'select', 'multi_select'] },
+      options: arrayOf({ type: 'string' }),
+      position: { type: 'integer' },
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  Note: {
+    type: 'object',
+    required: ['id', 'body'],
+    properties: {
+      id,
+      person_id: id,
+      body: { type: 'string' },
+      pinned: { type: 'boolean' },
+      deleted_at: nullableTimestamp,
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  ContactProfile: {
+    type: 'object',
+    required: ['contactId', 'personId', 'notes', 'tags', 'customFields'],
+    properties: {
+      contactId: id,
+      personId: { ...id, nullable: true },
+      notes: arrayOf(ref('Note')),
+      tags: arrayOf(ref('Tag')),
+      customFields: looseObject
+    }
+  },
+
+  NoteRevision: {
+    type: 'object',
+    required: ['id', 'action', 'body'],
+    properties: {
+      id,
+      note_id: id,
+      action: { type: 'string', enum: ['created', 'edited', 'deleted', 'restored'] },
+      body: { type: 'string' },
+      created_at: timestamp
+    }
+  },
+
+  WebhookEndpoint: {
+    type: 'object',
+    required: ['id', 'url', 'event_types', 'status'],
+    properties: {
+      id,
+      url: { type: 'string', format: 'uri' },
+      description: nullableString,
+      event_types: arrayOf({ type: 'string' }),
+      status: { type: 'string', enum: ['active', 'disabled'] },
+      disabled_reason: nullableString,
+      consecutive_failures: { type: 'integer' },
+      last_delivery_at: nullableTimestamp,
+      last_success_at: nullableTimestamp,
+      secret: { type: 'string', description: 'Only returned when the endpoint is created or its secret rotated' },
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  WebhookDelivery: {
+    type: 'object',
+    required: ['id', 'event_id', 'event_type', 'status'],
+    properties: {
+      id,
+      endpoint_id: id,
+      event_id: { type: 'string', format: 'uuid' },
+      event_type: { type: 'string' },
+      payload: looseObject,
+      status: { type: 'string', enum: ['pending', 'retrying', 'succeeded', 'failed'] },
+      attempts: { type: 'integer' },
+      max_attempts: { type: 'integer' },
+      next_attempt_at: nullableTimestamp,
+      response_status: { type: 'integer', nullable: true },
+      error: nullableString,
+      replay_of: { type: 'integer', nullable: true },
+      delivered_at: nullableTimestamp,
+      attempt_log: { type: 'array' },
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  Workspace: {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      name: { type: 'string' },
+      created_by: { type: 'string', format: 'uuid' },
+      role: { type: 'string', enum: WORKSPACE_ROLES, description: 'Your role in the workspace' },
+      is_default: { type: 'boolean' },
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  WorkspaceMember: {
+    type: 'object',
+    required: ['user_id', 'role'],
+    properties: {
+      user_id: { type: 'string', format: 'uuid' },
+      role: { type: 'string', enum: WORKSPACE_ROLES },
+      email: nullableString,
+      name: nullableString,
+      invited_by: { ...nullableString, format: 'uuid' },
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  WorkspaceInvitation: {
+    type: 'object',
+    required: ['id', 'workspace_id', 'email', 'role'],
+    properties: {
+      id,
+      workspace_id: { type: 'string', format: 'uuid' },
+      email: { type: 'string' },
+      role: { type: 'string', enum: ['admin', 'agent', 'viewer'] },
+      invited_by: { type: 'string', format: 'uuid' },
+      expires_at: timestamp,
+      accepted_by: { ...nullableString, format: 'uuid' },
+      accepted_at: nullableTimestamp,
+      revoked_at: nullableTimestamp,
+      token: { type: 'string', description: 'Only returned when the invitation is created' },
+      created_at: timestamp
+    }
+  },
+
+  SlaPolicy: {
+    type: 'object',
+    required: ['priority', 'first_response_minutes', 'resolution_minutes'],
+    properties: {
+      priority: { type: 'string', enum: ['HIGH', 'MEDIUM', 'LOW'] },
+      first_response_minutes: { type: 'integer', minimum: 1 },
+      resolution_minutes: { type: 'integer', minimum: 1 },
+      is_default: { type: 'boolean', description: 'The workspace has not set its own targets for this priority' },
+      updated_by: { ...nullableString, format: 'uuid' },
+      updated_at: nullableTimestamp
+    }
+  },
+
+  ConversationSla: {
+    type: 'object',
+    required: ['id', 'contact_id', 'priority', 'opened_at', 'first_response_due_at', 'resolution_due_at'],
+    properties: {
+      id,
+      contact_id: id,
+      priority: { type: 'string', enum: ['HIGH', 'MEDIUM', 'LOW'] },
+      assigned_to: { ...nullableString, format: 'uuid' },
+      opened_at: { ...timestamp, description: 'Timestamp of the contact\'s message that opened the conversation' },
+      first_response_due_at: timestamp,
+      first_response_at: nullableTimestamp,
+      first_response_by: { ...nullableString, format: 'uuid' },
+      resolution_due_at: timestamp,
+      resolved_at: nullableTimestamp,
+      resolved_by: { ...nullableString, format: 'uuid' },
+      first_response_breached_at: { ...nullableTimestamp, description: 'When the breach alert was sent' },
+      resolution_breached_at: { ...nullableTimestamp, description: 'When the breach alert was sent' },
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  SlaTargetStats: {
+    type: 'object',
+    properties: {
+      count: { type: 'integer', description: 'Conversations where the target was reached' },
+      met: { type: 'integer' },
+      breached: { type: 'integer' },
+      compliance: { type: 'number', nullable: true, description: 'Percentage of met targets among met and breached' },
+      averageMinutes: { type: 'number', nullable: true },
+      medianMinutes: { type: 'number', nullable: true }
+    }
+  },
+
+  SlaSummary: {
+    type: 'object',
+    properties: {
+      conversations: { type: 'integer' },
+      unresolved: { type: 'integer' },
+      firstResponse: ref('SlaTargetStats'),
+      resolution: ref('SlaTargetStats')
+    }
+  },
+
+  SlaReport: {
+    allOf: [ref('SlaSummary')],
+    type: 'object',
+    properties: {
+      since: timestamp,
+      until: timestamp,
+      statuses: {
+        type: 'object',
+        description: 'Current number of conversations in each status',
+        properties: Object.fromEntries(['open', 'pending', 'resolved', 'snoozed'].map(status => [status, { type: 'integer' }]))
+      },
+      policies: arrayOf(ref('SlaPolicy')),
+      groups: arrayOf({
+        allOf: [ref('SlaSummary')],
+        type: 'object',
+        properties: {
+          assignee: { ...nullableString, format: 'uuid' },
+          priority: { type: 'string', enum: ['HIGH', 'MEDIUM', 'LOW'] }
+        }
+      })
+    }
+  },
+
+  AccessToken: {
+    type: 'object',
+    required: ['id', 'name', 'token_prefix', 'scopes', 'rate_limit'],
+    properties: {
+      id,
+      name: { type: 'string' },
+      token_prefix: { type: 'string' },
+      scopes: arrayOf({ type: 'string', enum: TOKEN_SCOPES }),
+      rate_limit: { type: 'integer', minimum: 1 },
+      expires_at: nullableTimestamp,
+      revoked_at: nullableTimestamp,
+      last_used_at: nullableTimestamp,
+      last_used_ip: nullableString,
+      token: { type: 'string', description: 'The plain token; only returned when it is created' },
+      created_at: timestamp
+    }
+  }
+};
@@ -0,0 +1,95 @@
+// OpenAPI 3 description of the versioned API. Served at
+// GET /api/v1/openapi.json and used by middleware/openapiValidation.js to
+// check requests and responses, so a route change needs a matching change
+// in openapi/paths/.
+import { schemas, responses, parameters } from './components.js';
+import authPaths from './paths/auth.js';
+import matrixPaths from './paths/matrix.js';
+import telegramPaths from './paths/telegram.js';
+import slackPaths from './paths/slack.js';
+import whatsappPaths from './paths/whatsapp.js';
+import analysisPaths from './paths/analysis.js';
+import searchPaths from './paths/search.js';
+import rulesPaths from './paths/rules.js';
+import replyDraftPaths from './paths/replyDrafts.js';
+import jobPaths from './paths/jobs.js';
+import digestPaths from './paths/digests.js';
+import notificationPaths from './paths/notifications.js';
+import usagePaths from './paths/usage.js';
+import taskPaths from './paths/tasks.js';
+import mediaPaths from './paths/media.js';
+import transcriptionPaths from './paths/transcription.js';
+import discordPaths from './paths/discord.js';
+import relayPaths from './paths/relays.js';
+import peoplePaths from './paths/people.js';
+import webhookPaths from './paths/webhooks.js';
+import tokenPaths from './paths/tokens.js';
+import connectionPaths from './paths/connections.js';
+import accountPaths from './paths/accounts.js';
+import userPaths from './paths/users.js';
+import reportPaths from './paths/reports.js';
+import workspacePaths from './paths/workspaces.js';
+import slaPaths from './paths/sla.js';
+
+export const API_VERSION = 'v1';
+
+export const openapiSpec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'DailyFix API',
+    version: '1.0.0',
+    description: 'Errors share one shape, { status: "error", code, message, details? }; ' +
+      'code is stable and safe to branch on. Personal access tokens need the scope in each ' +
+      'operation\'s x-token-scope (admin when none is given). Shared data lives in workspaces: send ' +
+      'X-Workspace-Id to pick one, and the route\'s role (viewer to read, agent to write unless noted) ' +
+      'is checked against your membership.'
+  },
+  servers: [{ url: `/api/${API_VERSION}` }],
+  security: [{ bearerAuth: [] }],
+  tags: [
+    'Auth', 'Matrix', 'Telegram', 'Slack', 'WhatsApp', 'Analysis', 'Search', 'Rules', 'Jobs', 'Digests',
+    'Notifications', 'Usage', 'Tasks', 'SLA', 'Media', 'Transcription', 'Discord', 'Relays', 'People', 'Webhooks',
+    'Access tokens', 'Workspaces', 'Connections', 'Accounts', 'User', 'Onboarding', 'Admin', 'Reports'
+  ].map(name => ({ name })),
+  paths: {
+    ...authPaths,
+    ...matrixPaths,
+    ...telegramPaths,
+    ...slackPaths,
+    ...whatsappPaths,
+    ...analysisPaths,
+    ...searchPaths,
+    ...rulesPaths,
+    ...replyDraftPaths,
+    ...jobPaths,
+    ...digestPaths,
+    ...notificationPaths,
+    ...usagePaths,
+    ...taskPaths,
+    ...slaPaths,
+    ...mediaPaths,
+    ...transcriptionPaths,
+    ...discordPaths,
+    ...relayPaths,
+    ...peoplePaths,
+    ...webhookPaths,
+    ...tokenPaths,
+    ...workspacePaths,
+    ...connectionPaths,
+    ...accountPaths,
+    ...userPaths,
+    ...reportPaths
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'A Supabase session token, or a personal access token (dfx_pat_...)'
+      }
+    },
+    parameters,
+    responses,
+    schemas
+  }
+};
@@ -0,0 +1,76 @@
+import {
+  operation, envelope, jsonBody, queryParam, limitParam, arrayOf, ref, looseObject
+} from '../components.js';
+
+const tags = ['Accounts'];
+const messageList = {
+  type: 'object',
+  required: ['messages'],
+  properties: { messages: arrayOf(looseObject) }
+};
+
+export default {
+  '/accounts': {
+    get: operation({
+      summary: 'Connected platform accounts',
+      tags,
+      response: { type: 'object', required: ['accounts'], properties: { accounts: arrayOf(looseObject) } }
+    })
+  },
+  '/accounts/status': {
+    get: operation({
+      summary: 'Whether the user has connected any account',
+      tags,
+      response: { type: 'object', required: ['hasAccounts'], properties: { hasAccounts: { type: 'boolean' } } }
+    })
+  },
+  '/accounts/inbox': {
+    get: operation({
+      summary: 'Unified inbox across all platforms, newest first',
+      tags,
+      parameters: [
+        limitParam(),
+        queryParam('cursor', { type: 'string' }, 'nextCursor from the previous page'),
+        queryParam('platform', { type: 'string' }, 'Comma-separated platforms'),
+        queryParam('conversationId', { type: 'string' }),
+        queryParam('unread', { type: 'boolean' }, 'Only unread messages')
+      ],
+      response: {
+        type: 'object',
+        required: ['status', 'messages'],
+        properties: {
+          status: { type: 'string', enum: ['success'] },
+          messages: arrayOf(ref('Message')),
+          nextCursor: { type: 'string', nullable: true },
+          hasMore: { type: 'boolean' }
+        }
+      }
+    })
+  },
+  '/accounts/inbox/read': {
+    post: operation({
+      summary: 'Mark inbox messages as read',
+      tags,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['messageIds'],
+        properties: { messageIds: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1 } } }
+      }),
+      response: envelope(arrayOf(looseObject))
+    })
+  },
+  '/accounts/connected': {
+    get: operation({
+      summary: 'Active platform accounts',
+      tags,
+      response: arrayOf(looseObject)
+    })
+  },
+  '/accounts/messages': {
+    get: operation({
+      summary: 'Recent messages from every connected platform',
+      tags,
+      response: messageList
+    })
+  }
+};
@@ -0,0 +1,99 @@
+import { operation, jsonBody, pathParam, queryParam, limitParam, ref, looseObject } from '../components.js';
+
+const tags = ['Analysis'];
+const contactId = pathParam('contactId', { type: 'integer', minimum: 1 }, 'WhatsApp contact id');
+const scope = 'reports';
+
+export default {
+  '/analysis/summary/{contactId}': {
+    get: operation({
+      summary: 'Realtime summary of recent messages',
+      tags,
+      scope,
+      parameters: [contactId, limitParam('Number of recent messages to summarize')],
+      response: looseObject,
+      notFound: true
+    })
+  },
+  '/analysis/analysis/{contactId}': {
+    get: operation({
+      summary: 'Stored conversation analysis',
+      tags,
+      scope,
+      parameters: [contactId, queryParam('initialize', { type: 'boolean' }, 'Run the analysis when none is stored')],
+      response: looseObject,
+      notFound: true
+    })
+  },
+  '/analysis/priority/{contactId}': {
+    post: operation({
+      summary: 'Set a contact\'s priority',
+      tags,
+      scope,
+      parameters: [contactId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['priority'],
+        properties: {
+          priority: { type: 'string', enum: ['HIGH', 'MEDIUM', 'LOW', 'high', 'medium', 'low'] }
+        }
+      }),
+      response: {
+        type: 'object',
+        required: ['success', 'priority'],
+        properties: { success: { type: 'boolean' }, priority: { type: 'string', enum: ['HIGH', 'MEDIUM', 'LOW'] } }
+      }
+    })
+  },
+  '/analysis/summary/{contactId}/historical': {
+    post: operation({
+      summary: 'Summary of one day\'s messages',
+      tags,
+      scope,
+      parameters: [contactId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['date'],
+        properties: { date: { type: 'string', format: 'date' } }
+      }),
+      response: {
+        type: 'object',
+        required: ['summary', 'date'],
+        properties: { summary: {}, date: { type: 'string' } }
+      },
+      notFound: true
+    })
+  },
+  '/analysis/priority/suggested/{contactId}': {
+    get: operation({
+      summary: 'Latest AI-suggested priority, analysing the contact if needed',
+      tags,
+      scope,
+      parameters: [contactId],
+      response: {
+        type: 'object',
+        required: ['suggestedPriority', 'isAiSuggested'],
+        properties: {
+          suggestedPriority: {},
+          isAiSuggested: { type: 'boolean' },
+          wasInitialized: { type: 'boolean' }
+        }
+      }
+    })
+  },
+  '/analysis/initialize/{contactId}': {
+    post: operation({
+      summary: 'Analyse a contact\'s conversation',
+      description: 'With ?async=true the analysis runs in the job queue and 202 returns the job.',
+      tags,
+      scope,
+      parameters: [
+        contactId,
+        queryParam('force', { type: 'boolean' }, 'Re-run even if a recent analysis exists'),
+        queryParam('async', { type: 'boolean' }, 'Queue the analysis as a job')
+      ],
+      response: looseObject,
+      queued: ref('JobRef')
+    })
+  }
+};
@@ -0,0 +1,75 @@
+import { operation, jsonBody, looseObject } from '../components.js';
+
+const tags = ['Auth'];
+
+const credentials = {
+  type: 'object',
+  required: ['email', 'password'],
+  properties: {
+    email: { type: 'string', format: 'email' },
+    password: { type: 'string', minLength: 1 }
+  }
+};
+
+const tokenResponse = {
+  type: 'object',
+  required: ['token', 'user'],
+  properties: {
+    token: { type: 'string' },
+    user: looseObject
+  }
+};
+
+export default {
+  '/auth/signup': {
+    post: operation({
+      summary: 'Create an account',
+      tags,
+      auth: false,
+      requestBody: jsonBody({
+        ...credentials,
+        required: ['firstName', 'lastName', 'email', 'password'],
+        properties: {
+          ...credentials.properties,
+          firstName: { type: 'string', minLength: 1 },
+          lastName: { type: 'string', minLength: 1 }
+        }
+      }),
+      status: 201,
+      response: tokenResponse
+    })
+  },
+  '/auth/login': {
+    post: operation({
+      summary: 'Log in with email and password',
+      tags,
+      auth: false,
+      requestBody: jsonBody(credentials),
+      response: tokenResponse
+    })
+  },
+  '/auth/verify': {
+    get: operation({
+      summary: 'Check a login token and return its user',
+      tags,
+      response: { type: 'object', required: ['user'], properties: { user: looseObject } }
+    })
+  },
+  '/auth/session': {
+    get: operation({
+      summary: 'Current session and a token for the socket connection',
+      tags,
+      response: {
+        type: 'object',
+        required: ['token', 'userId'],
+        properties: {
+          token: { type: 'string' },
+          userId: { type: 'string' },
+          email: { type: 'string', nullable: true },
+          authType: { type: 'string', nullable: true },
+          lastActivity: { type: 'string', format: 'date-time' }
+        }
+      }
+    })
+  }
+};
@@ -0,0 +1,76 @@
+import { operation, jsonBody, pathParam, looseObject, arrayOf } from '../components.js';
+
+const tags = ['Connections'];
+const platformParam = pathParam('platform', { type: 'string', minLength: 1 });
+
+export default {
+  '/connect/{platform}/initialize': {
+    post: operation({
+      summary: 'Connect a messaging platform',
+      tags,
+      parameters: [platformParam],
+      requestBody: jsonBody({
+        type: 'object',
+        properties: { credentials: looseObject }
+      }, { required: false }),
+      response: looseObject
+    })
+  },
+  '/connect/{platform}/status': {
+    get: operation({
+      summary: 'Whether a platform is connected',
+      tags,
+      parameters: [platformParam],
+      response: {
+        type: 'object',
+        required: ['status', 'connected'],
+        properties: { status: { type: 'string', enum: ['success'] }, connected: {} }
+      }
+    })
+  },
+  '/connect/{platform}/disconnect': {
+    post: operation({
+      summary: 'Disconnect a platform',
+      tags,
+      parameters: [platformParam],
+      response: looseObject
+    })
+  },
+  '/platforms': {
+    get: operation({
+      summary: 'Platforms that can be connected',
+      tags,
+      auth: false,
+      response: {
+        type: 'object',
+        required: ['platforms'],
+        properties: { platforms: arrayOf(looseObject) }
+      }
+    })
+  },
+  '/bridge/initialize': {
+    post: operation({
+      summary: 'Start the Matrix client for bridging',
+      tags,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['userId'],
+        properties: { userId: { type: 'string' }, platform: { type: 'string' } }
+      }),
+      response: looseObject
+    })
+  },
+  '/bridge/{platform}/connect': {
+    post: operation({
+      summary: 'Connect a platform through its Matrix bridge',
+      tags,
+      parameters: [platformParam],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['userId'],
+        properties: { userId: { type: 'string' } }
+      }),
+      response: looseObject
+    })
+  }
+};
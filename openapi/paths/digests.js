@@ -0,0 +1,63 @@
+import { operation, envelope, jsonBody, pathParam, arrayOf, ref } from '../components.js';
+
+const tags = ['Digests'];
+const scope = 'reports';
+const scheduleId = pathParam('scheduleId');
+
+export default {
+  '/digests': {
+    get: operation({
+      summary: 'Digest schedules',
+      tags,
+      scope,
+      response: envelope(arrayOf(ref('DigestSchedule')))
+    }),
+    post: operation({
+      summary: 'Create a digest schedule',
+      tags,
+      scope,
+      requestBody: jsonBody({
+        allOf: [ref('DigestScheduleInput'), { type: 'object', required: ['name', 'conversations', 'cadence'] }]
+      }),
+      status: 201,
+      response: envelope(ref('DigestSchedule'))
+    })
+  },
+  '/digests/{scheduleId}': {
+    get: operation({
+      summary: 'One digest schedule',
+      tags,
+      scope,
+      parameters: [scheduleId],
+      response: envelope(ref('DigestSchedule')),
+      notFound: true
+    }),
+    put: operation({
+      summary: 'Update a digest schedule',
+      tags,
+      scope,
+      parameters: [scheduleId],
+      requestBody: jsonBody(ref('DigestScheduleInput')),
+      response: envelope(ref('DigestSchedule')),
+      notFound: true
+    }),
+    delete: operation({
+      summary: 'Delete a digest schedule',
+      tags,
+      scope,
+      parameters: [scheduleId],
+      notFound: true
+    })
+  },
+  '/digests/{scheduleId}/run': {
+    post: operation({
+      summary: 'Generate the digest now',
+      tags,
+      scope,
+      parameters: [scheduleId],
+      status: 202,
+      response: envelope(ref('JobRef')),
+      notFound: true
+    })
+  }
+};
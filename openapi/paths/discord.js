@@ -0,0 +1,83 @@
+import {
+  operation, envelope, jsonBody, pathParam, arrayOf, ref
+} from '../components.js';
+
+const tags = ['Discord'];
+const channelId = pathParam('channelId', { type: 'string', pattern: '^\\d+$' }, 'Discord channel snowflake');
+
+export default {
+  '/discord/channels/captured': {
+    get: operation({
+      summary: 'Channels with live message capture enabled',
+      tags,
+      scope: 'read:messages',
+      response: envelope(arrayOf(ref('DiscordChannelSubscription')))
+    })
+  },
+  '/discord/channels/{channelId}/capture': {
+    put: operation({
+      summary: 'Capture a channel\'s messages as they arrive',
+      tags,
+      scope: 'send:messages',
+      parameters: [channelId],
+      response: envelope(ref('DiscordChannelSubscription')),
+      notFound: true
+    }),
+    delete: operation({
+      summary: 'Stop capturing a channel',
+      tags,
+      scope: 'send:messages',
+      parameters: [channelId],
+      response: envelope({ ...ref('DiscordChannelSubscription'), nullable: true })
+    })
+  },
+  '/discord/channels/backfills': {
+    get: operation({
+      summary: 'History backfills and their progress',
+      tags,
+      scope: 'read:messages',
+      response: envelope(arrayOf(ref('DiscordBackfill')))
+    })
+  },
+  '/discord/channels/{channelId}/backfill': {
+    get: operation({
+      summary: 'Backfill progress for a channel',
+      tags,
+      scope: 'read:messages',
+      parameters: [channelId],
+      response: envelope(ref('DiscordBackfill')),
+      notFound: true
+    }),
+    post: operation({
+      summary: 'Import a channel\'s message history',
+      tags,
+      scope: 'send:messages',
+      parameters: [channelId],
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          since: { type: 'string', format: 'date-time' },
+          days: { type: 'number', minimum: 0, description: '0 for no date bound' },
+          maxMessages: { type: 'integer', minimum: 1 },
+          restart: { type: 'boolean', description: 'Start over instead of resuming' }
+        }
+      }, { required: false }),
+      status: 202,
+      response: envelope({
+        type: 'object',
+        required: ['backfill'],
+        properties: { backfill: ref('DiscordBackfill'), job: ref('Job') }
+      }),
+      conflict: true
+    }),
+    delete: operation({
+      summary: 'Cancel a running backfill',
+      tags,
+      scope: 'send:messages',
+      parameters: [channelId],
+      response: envelope(ref('DiscordBackfill')),
+      notFound: true,
+      conflict: true
+    })
+  }
+};
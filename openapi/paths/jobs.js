@@ -0,0 +1,48 @@
+import { operation, envelope, pathParam, queryParam, limitParam, arrayOf, ref } from '../components.js';
+
+const tags = ['Jobs'];
+const jobId = pathParam('jobId');
+
+export default {
+  '/jobs': {
+    get: operation({
+      summary: 'The current user\'s background jobs',
+      tags,
+      parameters: [
+        queryParam('status', { type: 'string', enum: ['queued', 'running', 'completed', 'dead', 'cancelled'] }),
+        queryParam('type', { type: 'string' }),
+        limitParam()
+      ],
+      response: envelope(arrayOf(ref('Job')))
+    })
+  },
+  '/jobs/{jobId}': {
+    get: operation({
+      summary: 'One job with its progress and result',
+      tags,
+      parameters: [jobId],
+      response: envelope(ref('Job')),
+      notFound: true
+    })
+  },
+  '/jobs/{jobId}/retry': {
+    post: operation({
+      summary: 'Requeue a dead-lettered or cancelled job',
+      tags,
+      parameters: [jobId],
+      response: envelope(ref('Job')),
+      notFound: true,
+      conflict: true
+    })
+  },
+  '/jobs/{jobId}/cancel': {
+    post: operation({
+      summary: 'Cancel a queued or running job',
+      tags,
+      parameters: [jobId],
+      response: envelope(ref('Job')),
+      notFound: true,
+      conflict: true
+    })
+  }
+};
@@ -0,0 +1,102 @@
+import { operation, jsonBody, queryParam, looseObject } from '../components.js';
+
+const tags = ['Matrix'];
+
+export default {
+  '/matrix/initialize': {
+    post: operation({
+      summary: 'Log in to a Matrix homeserver',
+      tags,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['userId', 'password', 'homeserver'],
+        properties: {
+          userId: { type: 'string', minLength: 1, description: 'Matrix user id' },
+          password: { type: 'string', minLength: 1 },
+          homeserver: { type: 'string', format: 'uri' }
+        }
+      }),
+      response: looseObject
+    })
+  },
+  '/matrix/whatsapp/connect': {
+    post: operation({ summary: 'Start the WhatsApp bridge login', tags, response: looseObject })
+  },
+  '/matrix/whatsapp/disconnect': {
+    post: operation({
+      summary: 'Disconnect the WhatsApp bridge',
+      tags,
+      requestBody: jsonBody({ type: 'object', properties: { userId: { type: 'string' } } }, { required: false }),
+      response: looseObject
+    })
+  },
+  '/matrix/whatsapp/status': {
+    get: operation({
+      summary: 'WhatsApp bridge connection status',
+      tags,
+      parameters: [queryParam('userId', { type: 'string' })],
+      response: looseObject
+    })
+  },
+  '/matrix/whatsapp/sync': {
+    post: operation({ summary: 'Sync WhatsApp messages through the bridge', tags, response: looseObject })
+  },
+  '/matrix/status': {
+    get: operation({
+      summary: 'Whether the Matrix client is connected',
+      tags,
+      response: {
+        type: 'object',
+        required: ['status', 'connected'],
+        properties: { status: { type: 'string', enum: ['success'] }, connected: { type: 'boolean' } }
+      }
+    })
+  },
+  '/matrix/whatsapp/bridge/status': {
+    get: operation({
+      summary: 'Whether the WhatsApp bridge bot is reachable',
+      tags,
+      response: {
+        type: 'object',
+        required: ['status', 'online'],
+        properties: { status: { type: 'string', enum: ['success'] }, online: { type: 'boolean' }, details: {} }
+      }
+    })
+  },
+  '/matrix/media/proxy': {
+    get: operation({
+      summary: 'Download Matrix media by mxc:// URL',
+      tags,
+      parameters: [queryParam('mxc_url', { type: 'string', pattern: '^mxc://' }, 'Matrix content URL', { required: true })],
+      contentType: 'application/octet-stream',
+      response: { type: 'string', format: 'binary' }
+    })
+  },
+  '/matrix/whatsapp/update-status': {
+    post: operation({
+      summary: 'Record the WhatsApp bridge connection status',
+      tags,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['status'],
+        properties: { status: { type: 'string' }, bridgeRoomId: { type: 'string' } }
+      }),
+      response: looseObject
+    })
+  },
+  '/matrix/whatsapp/invites': {
+    get: operation({ summary: 'Pending WhatsApp bridge room invites', tags, response: looseObject })
+  },
+  '/matrix/whatsapp/accept-invite': {
+    post: operation({
+      summary: 'Join a WhatsApp bridge room',
+      tags,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['roomId'],
+        properties: { roomId: { type: 'string', minLength: 1 } }
+      }),
+      response: looseObject
+    })
+  }
+};
@@ -0,0 +1,57 @@
+import {
+  operation, envelope, pathParam, queryParam, limitParam, arrayOf, ref
+} from '../components.js';
+
+const tags = ['Media'];
+const scope = 'read:messages';
+const mediaId = pathParam('mediaId');
+const binary = { type: 'string', format: 'binary' };
+
+export default {
+  '/media': {
+    get: operation({
+      summary: 'Media attached to stored messages',
+      tags,
+      scope,
+      parameters: [
+        queryParam('messageId', { type: 'integer', minimum: 1 }),
+        queryParam('platform', { type: 'string' }),
+        queryParam('conversationId', { type: 'string' }),
+        limitParam()
+      ],
+      response: envelope(arrayOf(ref('MediaAsset')))
+    })
+  },
+  '/media/{mediaId}': {
+    get: operation({
+      summary: 'One media asset',
+      tags,
+      scope,
+      parameters: [mediaId],
+      response: envelope(ref('MediaAsset')),
+      notFound: true
+    })
+  },
+  '/media/{mediaId}/content': {
+    get: operation({
+      summary: 'Stream the media file; supports Range requests',
+      tags,
+      scope,
+      parameters: [mediaId, queryParam('download', { type: 'boolean' }, 'Send as an attachment even for images, video, audio and PDF, which are otherwise shown inline')],
+      contentType: '*/*',
+      response: binary,
+      notFound: true
+    })
+  },
+  '/media/{mediaId}/thumbnail': {
+    get: operation({
+      summary: 'Stream the media thumbnail',
+      tags,
+      scope,
+      parameters: [mediaId],
+      contentType: 'image/*',
+      response: binary,
+      notFound: true
+    })
+  }
+};
@@ -0,0 +1,30 @@
+import { operation, envelope, jsonBody, queryParam, limitParam, arrayOf, ref } from '../components.js';
+
+const tags = ['Notifications'];
+
+export default {
+  '/notifications': {
+    get: operation({
+      summary: 'In-app notifications, newest first',
+      tags,
+      parameters: [queryParam('unread', { type: 'boolean' }, 'Only unread notifications'), limitParam()],
+      response: envelope(arrayOf(ref('Notification')))
+    })
+  },
+  '/notifications/read': {
+    post: operation({
+      summary: 'Mark notifications as read',
+      tags,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['notificationIds'],
+        properties: { notificationIds: { type: 'array', minItems: 1, items: { type: 'integer' } } }
+      }),
+      response: envelope({
+        type: 'object',
+        required: ['updated'],
+        properties: { updated: { type: 'integer' } }
+      })
+    })
+  }
+};
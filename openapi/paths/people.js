@@ -0,0 +1,374 @@
+import {
+  operation, envelope, jsonBody, pathParam, queryParam, limitParam, arrayOf, ref, looseObject, nullableString
+} from '../components.js';
+
+const tags = ['People'];
+const personId = pathParam('personId');
+const noteId = pathParam('noteId');
+const tagId = pathParam('tagId');
+const fieldId = pathParam('fieldId');
+const suggestionId = pathParam('suggestionId');
+
+// Shared with GET /whatsapp-entities/contacts
+export const contactListParams = [
+  queryParam('tags', { type: 'string' }, 'Comma-separated tag ids or names; all must match'),
+  {
+    name: 'filter',
+    in: 'query',
+    style: 'deepObject',
+    explode: true,
+    schema: { type: 'object' },
+    description: 'Custom field filters: filter[<key>]=value or filter[<key>][<op>]=value, ' +
+      'op one of eq, neq, gt, gte, lt, lte, contains, in, exists, missing'
+  },
+  queryParam('sort', { type: 'string', pattern: '^(display_name|created_at|updated_at|last_seen_at|field:[a-z][a-z0-9_]*)$' }),
+  queryParam('order', { type: 'string', enum: ['asc', 'desc'] })
+];
+
+const fieldInput = {
+  type: 'object',
+  properties: {
+    key: { type: 'string', pattern: '^[a-z][a-z0-9_]*$' },
+    label: { type: 'string', minLength: 1 },
+    type: { type: 'string', enum: ['text', 'number', 'date', 'boolean', 'select', 'multi_select'] },
+    options: arrayOf({ type: 'string' }),
+    position: { type: 'integer' }
+  }
+};
+
+const noteInput = {
+  type: 'object',
+  properties: {
+    body: { type: 'string', minLength: 1 },
+    pinned: { type: 'boolean' }
+  }
+};
+
+export default {
+  '/people': {
+    get: operation({
+      summary: 'People, each merging a contact\'s identities across platforms',
+      tags,
+      scope: 'read:contacts',
+      parameters: [
+        queryParam('search', { type: 'string' }, 'Matches names, emails and phone numbers'),
+        queryParam('platform', { type: 'string' }, 'Only people with an identity on this platform'),
+        ...contactListParams,
+        limitParam(),
+        queryParam('offset', { type: 'integer', minimum: 0 })
+      ],
+      response: envelope(ref('PersonList'))
+    })
+  },
+  '/people/sync': {
+    post: operation({
+      summary: 'Rebuild people from stored messages and contacts',
+      tags,
+      scope: 'admin',
+      status: 202,
+      response: envelope(ref('Job'))
+    })
+  },
+  '/people/suggestions': {
+    get: operation({
+      summary: 'Suggested merges of people who look like the same person',
+      tags,
+      scope: 'read:contacts',
+      parameters: [queryParam('status', { type: 'string', enum: ['pending', 'dismissed'] }, 'Default pending'), limitParam()],
+      response: envelope(arrayOf(ref('MergeSuggestion')))
+    })
+  },
+  '/people/suggestions/{suggestionId}/accept': {
+    post: operation({
+      summary: 'Merge the two people of a suggestion',
+      tags,
+      scope: 'admin',
+      parameters: [suggestionId],
+      response: envelope(ref('Person')),
+      notFound: true
+    })
+  },
+  '/people/suggestions/{suggestionId}/dismiss': {
+    post: operation({
+      summary: 'Dismiss a merge suggestion',
+      tags,
+      scope: 'admin',
+      parameters: [suggestionId],
+      response: envelope(ref('MergeSuggestion')),
+      notFound: true
+    })
+  },
+  '/people/merge': {
+    post: operation({
+      summary: 'Merge people into one',
+      tags,
+      scope: 'admin',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['targetId', 'sourceIds'],
+        properties: {
+          targetId: { type: 'integer', minimum: 1 },
+          sourceIds: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1 } }
+        }
+      }),
+      response: envelope(ref('Person')),
+      notFound: true
+    })
+  },
+  '/people/tags': {
+    get: operation({
+      summary: 'Tag taxonomy with the number of people in each tag',
+      tags,
+      scope: 'read:contacts',
+      response: envelope(arrayOf(ref('Tag')))
+    }),
+    post: operation({
+      summary: 'Create a tag',
+      tags,
+      scope: 'admin',
+      requestBody: jsonBody({ allOf: [ref('TagInput'), { type: 'object', required: ['name'] }] }),
+      status: 201,
+      response: envelope(ref('Tag')),
+      conflict: true
+    })
+  },
+  '/people/tags/{tagId}': {
+    patch: operation({
+      summary: 'Rename or recolor a tag',
+      tags,
+      scope: 'admin',
+      parameters: [tagId],
+      requestBody: jsonBody(ref('TagInput')),
+      response: envelope(ref('Tag')),
+      notFound: true,
+      conflict: true
+    }),
+    delete: operation({
+      summary: 'Delete a tag and remove it from everyone',
+      tags,
+      scope: 'admin',
+      parameters: [tagId],
+      notFound: true
+    })
+  },
+  '/people/fields': {
+    get: operation({
+      summary: 'Custom field definitions',
+      tags,
+      scope: 'read:contacts',
+      response: envelope(arrayOf(ref('CustomField')))
+    }),
+    post: operation({
+      summary: 'Define a custom field',
+      tags,
+      scope: 'admin',
+      requestBody: jsonBody({ ...fieldInput, required: ['key', 'type'] }),
+      status: 201,
+      response: envelope(ref('CustomField')),
+      conflict: true
+    })
+  },
+  '/people/fields/{fieldId}': {
+    patch: operation({
+      summary: 'Update a custom field\'s label, options or position',
+      description: 'key and type cannot be changed once the field exists.',
+      tags,
+      scope: 'admin',
+      parameters: [fieldId],
+      requestBody: jsonBody(fieldInput),
+      response: envelope(ref('CustomField')),
+      notFound: true
+    }),
+    delete: operation({
+      summary: 'Delete a custom field and its stored values',
+      tags,
+      scope: 'admin',
+      parameters: [fieldId],
+      notFound: true
+    })
+  },
+  '/people/{personId}': {
+    get: operation({
+      summary: 'One person with identities, tags and custom fields',
+      tags,
+      scope: 'read:contacts',
+      parameters: [personId],
+      response: envelope(ref('Person')),
+      notFound: true
+    }),
+    patch: operation({
+      summary: 'Edit a person',
+      tags,
+      scope: 'admin',
+      parameters: [personId],
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          displayName: { type: 'string', minLength: 1 },
+          email: nullableString,
+          phone: nullableString,
+          avatarUrl: nullableString
+        }
+      }),
+      response: envelope(ref('Person')),
+      notFound: true
+    })
+  },
+  '/people/{personId}/split': {
+    post: operation({
+      summary: 'Move some identities onto a new person',
+      tags,
+      scope: 'admin',
+      parameters: [personId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['identityIds'],
+        properties: { identityIds: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1 } } }
+      }),
+      response: envelope(looseObject),
+      notFound: true
+    })
+  },
+  '/people/{personId}/notes': {
+    get: operation({
+      summary: 'Notes about a person, pinned first',
+      tags,
+      scope: 'read:contacts',
+      parameters: [personId, queryParam('includeDeleted', { type: 'boolean' })],
+      response: envelope(arrayOf(ref('Note'))),
+      notFound: true
+    }),
+    post: operation({
+      summary: 'Add a note',
+      tags,
+      scope: 'admin',
+      parameters: [personId],
+      requestBody: jsonBody({ ...noteInput, required: ['body'] }),
+      status: 201,
+      response: envelope(ref('Note')),
+      notFound: true
+    })
+  },
+  '/people/{personId}/notes/{noteId}': {
+    patch: operation({
+      summary: 'Edit a note; the previous text is kept in its history',
+      tags,
+      scope: 'admin',
+      parameters: [personId, noteId],
+      requestBody: jsonBody(noteInput),
+      response: envelope(ref('Note')),
+      notFound: true,
+      conflict: true
+    }),
+    delete: operation({
+      summary: 'Delete a note; it can be restored',
+      tags,
+      scope: 'admin',
+      parameters: [personId, noteId],
+      response: envelope(ref('Note')),
+      notFound: true
+    })
+  },
+  '/people/{personId}/notes/{noteId}/restore': {
+    post: operation({
+      summary: 'Restore a deleted note',
+      tags,
+      scope: 'admin',
+      parameters: [personId, noteId],
+      response: envelope(ref('Note')),
+      notFound: true
+    })
+  },
+  '/people/{personId}/notes/{noteId}/history': {
+    get: operation({
+      summary: 'Every revision of a note, oldest first',
+      tags,
+      scope: 'read:contacts',
+      parameters: [personId, noteId],
+      response: envelope(arrayOf(ref('NoteRevision'))),
+      notFound: true
+    })
+  },
+  '/people/{personId}/tags': {
+    post: operation({
+      summary: 'Add tags to a person; unknown names become new tags',
+      tags,
+      scope: 'admin',
+      parameters: [personId],
+      requestBody: jsonBody(ref('TagRefs')),
+      response: envelope(arrayOf(ref('Tag'))),
+      notFound: true
+    }),
+    put: operation({
+      summary: 'Replace a person\'s tags',
+      tags,
+      scope: 'admin',
+      parameters: [personId],
+      requestBody: jsonBody(ref('TagRefs')),
+      response: envelope(arrayOf(ref('Tag'))),
+      notFound: true
+    })
+  },
+  '/people/{personId}/tags/{tagId}': {
+    delete: operation({
+      summary: 'Remove a tag from a person',
+      tags,
+      scope: 'admin',
+      parameters: [personId, tagId],
+      response: envelope(arrayOf(ref('Tag'))),
+      notFound: true
+    })
+  },
+  '/people/{personId}/fields': {
+    patch: operation({
+      summary: 'Set custom field values; null or an empty string clears one',
+      tags,
+      scope: 'admin',
+      parameters: [personId],
+      requestBody: jsonBody({ type: 'object', description: 'Field keys to values' }),
+      response: envelope(looseObject),
+      notFound: true
+    })
+  },
+  '/people/{personId}/conversations': {
+    get: operation({
+      summary: 'Conversations the person takes part in',
+      tags,
+      scope: 'read:contacts',
+      parameters: [personId],
+      response: envelope(arrayOf(looseObject)),
+      notFound: true
+    })
+  },
+  '/people/{personId}/messages': {
+    get: operation({
+      summary: 'Messages from the person across platforms, newest first',
+      tags,
+      scope: 'read:contacts',
+      parameters: [
+        personId,
+        limitParam(),
+        queryParam('before', { type: 'string', format: 'date-time' }, 'Timestamp of the last message of the previous page')
+      ],
+      response: envelope({
+        type: 'object',
+        required: ['messages'],
+        properties: {
+          messages: arrayOf(ref('Message')),
+          nextBefore: { type: 'string', nullable: true }
+        }
+      }),
+      notFound: true
+    })
+  },
+  '/people/{personId}/insights': {
+    get: operation({
+      summary: 'Priority, AI summaries and open tasks across the person\'s conversations',
+      tags,
+      scope: 'read:contacts',
+      parameters: [personId],
+      response: envelope(looseObject),
+      notFound: true
+    })
+  }
+};
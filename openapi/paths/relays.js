@@ -0,0 +1,85 @@
+import {
+  operation, envelope, jsonBody, pathParam, queryParam, limitParam, arrayOf, ref
+} from '../components.js';
+
+const tags = ['Relays'];
+const mappingId = pathParam('mappingId');
+
+export default {
+  '/relays': {
+    get: operation({
+      summary: 'Channel relay mappings',
+      tags,
+      parameters: [queryParam('status', { type: 'string', enum: ['active', 'paused'] })],
+      response: envelope(arrayOf(ref('RelayMapping')))
+    }),
+    post: operation({
+      summary: 'Relay messages from one channel to another',
+      tags,
+      requestBody: jsonBody({
+        allOf: [
+          ref('RelayMappingInput'),
+          { type: 'object', required: ['sourcePlatform', 'sourceChannelId', 'targetPlatform', 'targetChannelId'] }
+        ]
+      }),
+      status: 201,
+      response: envelope(ref('RelayMapping')),
+      conflict: true
+    })
+  },
+  '/relays/{mappingId}': {
+    get: operation({
+      summary: 'One relay mapping',
+      tags,
+      parameters: [mappingId],
+      response: envelope(ref('RelayMapping')),
+      notFound: true
+    }),
+    patch: operation({
+      summary: 'Update a relay mapping',
+      tags,
+      parameters: [mappingId],
+      requestBody: jsonBody(ref('RelayMappingInput')),
+      response: envelope(ref('RelayMapping')),
+      notFound: true,
+      conflict: true
+    }),
+    delete: operation({
+      summary: 'Delete a relay mapping',
+      tags,
+      parameters: [mappingId],
+      notFound: true
+    })
+  },
+  '/relays/{mappingId}/pause': {
+    post: operation({
+      summary: 'Stop relaying without deleting the mapping',
+      tags,
+      parameters: [mappingId],
+      response: envelope(ref('RelayMapping')),
+      notFound: true
+    })
+  },
+  '/relays/{mappingId}/resume': {
+    post: operation({
+      summary: 'Resume a paused mapping',
+      tags,
+      parameters: [mappingId],
+      response: envelope(ref('RelayMapping')),
+      notFound: true
+    })
+  },
+  '/relays/{mappingId}/messages': {
+    get: operation({
+      summary: 'Relay log of copies posted through the mapping',
+      tags,
+      parameters: [
+        mappingId,
+        queryParam('status', { type: 'string', enum: ['sent', 'edited', 'deleted', 'failed'] }),
+        limitParam()
+      ],
+      response: envelope(arrayOf(ref('RelayedMessage'))),
+      notFound: true
+    })
+  }
+};
@@ -0,0 +1,49 @@
+import {
+  operation, envelope, jsonBody, pathParam, queryParam, limitParam, arrayOf, ref
+} from '../components.js';
+
+const tags = ['Rules'];
+const draftId = pathParam('draftId');
+
+export default {
+  '/reply-drafts': {
+    get: operation({
+      summary: 'Replies drafted by ai_reply rule actions, newest first',
+      tags,
+      scope: 'read:messages',
+      parameters: [
+        queryParam('status', { type: 'string', enum: ['draft', 'sent', 'discarded', 'all'] }, 'Default draft'),
+        queryParam('conversationId', { type: 'string' }),
+        limitParam()
+      ],
+      response: envelope(arrayOf(ref('ReplyDraft')))
+    })
+  },
+  '/reply-drafts/{draftId}/send': {
+    post: operation({
+      summary: 'Send a draft to its conversation',
+      description: 'Sent through the connection the original message arrived on. If sending fails the draft stays pending.',
+      tags,
+      scope: 'send:messages',
+      parameters: [draftId],
+      requestBody: jsonBody({
+        type: 'object',
+        properties: { content: { type: 'string', minLength: 1, description: 'Edited reply to send instead' } }
+      }, { required: false }),
+      response: envelope(ref('ReplyDraft')),
+      notFound: true,
+      conflict: true
+    })
+  },
+  '/reply-drafts/{draftId}/discard': {
+    post: operation({
+      summary: 'Discard a draft',
+      tags,
+      scope: 'send:messages',
+      parameters: [draftId],
+      response: envelope(ref('ReplyDraft')),
+      notFound: true,
+      conflict: true
+    })
+  }
+};
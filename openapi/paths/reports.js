@@ -0,0 +1,76 @@
+import {
+  operation, envelope, pathParam, queryParam, limitParam, arrayOf, ref, looseObject
+} from '../components.js';
+
+const tags = ['Reports'];
+const scope = 'reports';
+const channelId = pathParam('channelId', { type: 'string', pattern: '^\\d+$' }, 'Discord channel snowflake');
+const reportId = pathParam('reportId');
+
+export default {
+  '/reports/discord/channels/{channelId}/report': {
+    post: operation({
+      summary: 'Generate a Discord channel report',
+      description: 'Reports on today\'s messages unless days or since asks for stored history. ' +
+        'With ?async=true the report is generated by the job queue and 202 returns the job.',
+      tags,
+      scope,
+      parameters: [
+        channelId,
+        queryParam('days', { type: 'number', minimum: 0 }),
+        queryParam('since', { type: 'string', format: 'date-time' }),
+        queryParam('async', { type: 'boolean' })
+      ],
+      response: envelope(looseObject),
+      queued: envelope(ref('JobRef')),
+      notFound: true
+    })
+  },
+  '/reports/discord/channels/{channelId}/reports': {
+    get: operation({
+      summary: 'Reports generated for a Discord channel',
+      tags,
+      scope,
+      parameters: [channelId],
+      response: envelope(arrayOf(looseObject))
+    })
+  },
+  '/reports': {
+    get: operation({
+      summary: 'Report history across all report types',
+      tags,
+      scope,
+      parameters: [
+        queryParam('type', { type: 'string' }),
+        queryParam('scheduleId', { type: 'integer', minimum: 1 }),
+        limitParam(),
+        queryParam('before', { type: 'string', format: 'date-time' }, 'created_at of the last report on the previous page')
+      ],
+      response: envelope(arrayOf(ref('Report')))
+    })
+  },
+  '/reports/{reportId}': {
+    get: operation({
+      summary: 'One stored report',
+      tags,
+      scope,
+      parameters: [reportId],
+      response: envelope(ref('Report')),
+      notFound: true
+    })
+  },
+  '/reports/{reportId}/download': {
+    get: operation({
+      summary: 'Download a stored report',
+      tags,
+      scope,
+      parameters: [
+        reportId,
+        queryParam('format', { type: 'string', enum: ['pdf', 'markdown'] }, 'Defaults to the report\'s own format')
+      ],
+      contentType: 'application/pdf',
+      response: { type: 'string', format: 'binary' },
+      notFound: true
+    })
+  }
+};
@@ -0,0 +1,86 @@
+import {
+  operation, envelope, jsonBody, pathParam, limitParam, arrayOf, ref, looseObject
+} from '../components.js';
+
+const tags = ['Rules'];
+const ruleId = pathParam('ruleId');
+// Dry runs replay the rule over stored message history
+const dryRunOptions = {
+  limit: { type: 'integer', minimum: 1, description: 'Number of recent messages to test' },
+  from: { type: 'string', description: 'Earliest message time' },
+  to: { type: 'string', description: 'Latest message time' },
+  platforms: { type: 'array', items: { type: 'string' } },
+  includeAi: { type: 'boolean', description: 'Evaluate AI-derived fields, billed to you (default false)' }
+};
+
+export default {
+  '/rules': {
+    get: operation({
+      summary: 'Message rules in evaluation order',
+      tags,
+      response: envelope(arrayOf(ref('Rule')))
+    }),
+    post: operation({
+      summary: 'Create a rule',
+      description: 'New rules start disabled unless enabled is true, so they can be dry-run first.',
+      tags,
+      requestBody: jsonBody({ allOf: [ref('RuleInput'), { type: 'object', required: ['name', 'actions'] }] }),
+      status: 201,
+      response: envelope(ref('Rule'))
+    })
+  },
+  '/rules/dry-run': {
+    post: operation({
+      summary: 'Dry-run an unsaved rule against message history',
+      tags,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['rule'],
+        properties: { rule: ref('RuleInput'), ...dryRunOptions }
+      }),
+      response: envelope(looseObject)
+    })
+  },
+  '/rules/{ruleId}': {
+    get: operation({
+      summary: 'One rule',
+      tags,
+      parameters: [ruleId],
+      response: envelope(ref('Rule')),
+      notFound: true
+    }),
+    put: operation({
+      summary: 'Update a rule',
+      tags,
+      parameters: [ruleId],
+      requestBody: jsonBody(ref('RuleInput')),
+      response: envelope(ref('Rule')),
+      notFound: true
+    }),
+    delete: operation({
+      summary: 'Delete a rule',
+      tags,
+      parameters: [ruleId],
+      notFound: true
+    })
+  },
+  '/rules/{ruleId}/dry-run': {
+    post: operation({
+      summary: 'Dry-run a saved rule against message history',
+      tags,
+      parameters: [ruleId],
+      requestBody: jsonBody({ type: 'object', properties: dryRunOptions }, { required: false }),
+      response: envelope(looseObject),
+      notFound: true
+    })
+  },
+  '/rules/{ruleId}/executions': {
+    get: operation({
+      summary: 'Recent executions of a rule',
+      tags,
+      parameters: [ruleId, limitParam()],
+      response: envelope(arrayOf(ref('RuleExecution'))),
+      notFound: true
+    })
+  }
+};
@@ -0,0 +1,58 @@
+import { operation, envelope, jsonBody, queryParam, limitParam, looseObject } from '../components.js';
+
+const tags = ['Search'];
+const scope = 'read:messages';
+
+const filters = [
+  queryParam('platform', { type: 'string' }, 'Comma-separated platforms'),
+  queryParam('conversationId', { type: 'string' }),
+  queryParam('contactId', { type: 'string' }, 'Alias of conversationId'),
+  queryParam('senderId', { type: 'string' }),
+  queryParam('sender', { type: 'string' }, 'Sender name'),
+  queryParam('from', { type: 'string' }, 'Earliest message time (date or date-time)'),
+  queryParam('to', { type: 'string' }, 'Latest message time (date or date-time)')
+];
+
+export default {
+  '/search': {
+    get: operation({
+      summary: 'Keyword search across stored conversations',
+      tags,
+      scope,
+      parameters: [
+        queryParam('q', { type: 'string' }, 'Search terms'),
+        queryParam('term', { type: 'string' }, 'Alias of q'),
+        ...filters,
+        queryParam('page', { type: 'integer', minimum: 1 }),
+        limitParam()
+      ],
+      response: envelope(looseObject)
+    })
+  },
+  '/search/similar': {
+    get: operation({
+      summary: 'Semantic search by message id or free text',
+      tags,
+      scope,
+      parameters: [
+        queryParam('messageId', { type: 'string' }),
+        queryParam('text', { type: 'string' }),
+        ...filters,
+        limitParam()
+      ],
+      response: envelope(looseObject)
+    })
+  },
+  '/search/index': {
+    post: operation({
+      summary: 'Embed a batch of not-yet-indexed messages',
+      tags,
+      scope,
+      requestBody: jsonBody({
+        type: 'object',
+        properties: { limit: { type: 'integer', minimum: 1 } }
+      }, { required: false }),
+      response: envelope(looseObject)
+    })
+  }
+};
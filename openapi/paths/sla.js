@@ -0,0 +1,53 @@
+import { operation, envelope, jsonBody, queryParam, arrayOf, ref } from '../components.js';
+
+const tags = ['SLA'];
+
+export default {
+  '/sla/policies': {
+    get: operation({
+      summary: 'First-response and resolution targets for each priority',
+      tags,
+      scope: 'reports',
+      response: envelope(arrayOf(ref('SlaPolicy')))
+    }),
+    put: operation({
+      summary: 'Set targets for one or more priorities (admin)',
+      description: 'Open conversations keep their due times until their priority changes.',
+      tags,
+      scope: 'admin',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['policies'],
+        properties: {
+          policies: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['priority', 'firstResponseMinutes', 'resolutionMinutes'],
+              properties: {
+                priority: { type: 'string', enum: ['HIGH', 'MEDIUM', 'LOW'] },
+                firstResponseMinutes: { type: 'integer', minimum: 1 },
+                resolutionMinutes: { type: 'integer', minimum: 1 }
+              }
+            }
+          }
+        }
+      }),
+      response: envelope(arrayOf(ref('SlaPolicy')))
+    })
+  },
+  '/sla/report': {
+    get: operation({
+      summary: 'SLA performance of conversations opened in a time range',
+      tags,
+      scope: 'reports',
+      parameters: [
+        queryParam('since', { type: 'string', format: 'date-time' }, 'Defaults to 30 days before until'),
+        queryParam('until', { type: 'string', format: 'date-time' }, 'Defaults to now'),
+        queryParam('groupBy', { type: 'string', enum: ['assignee', 'priority'] })
+      ],
+      response: envelope(ref('SlaReport'))
+    })
+  }
+};
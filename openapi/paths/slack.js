@@ -0,0 +1,147 @@
+import {
+  operation, envelope, jsonBody, pathParam, queryParam, limitParam, arrayOf, looseObject
+} from '../components.js';
+
+const tags = ['Slack'];
+const channelId = pathParam('channelId', { type: 'string', minLength: 1 }, 'Slack channel id');
+const threadTs = pathParam('threadTs', { type: 'string', pattern: '^\\d+\\.\\d+$' }, 'Thread parent timestamp');
+const syncParam = queryParam('sync', { type: 'boolean' }, 'Fetch new messages from Slack first (default true)');
+
+const reply = {
+  type: 'object',
+  required: ['content'],
+  properties: {
+    content: { type: 'string', minLength: 1 },
+    broadcast: { type: 'boolean', description: 'Also post the reply to the channel' }
+  }
+};
+
+export default {
+  '/slack/events': {
+    post: operation({
+      summary: 'Receive an Events API callback from Slack',
+      description: 'Authenticated by X-Slack-Signature over the raw request body, not by a user token.',
+      tags,
+      auth: false,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { type: 'string' },
+          challenge: { type: 'string' },
+          team_id: { type: 'string' },
+          event_id: { type: 'string' },
+          event: looseObject
+        }
+      }),
+      response: looseObject
+    })
+  },
+  '/slack/initiate': {
+    get: operation({
+      summary: 'Slack OAuth authorize URL',
+      tags,
+      scope: 'read:messages',
+      response: {
+        type: 'object',
+        required: ['status', 'url'],
+        properties: { status: { type: 'string', enum: ['redirect'] }, url: { type: 'string', format: 'uri' } }
+      }
+    })
+  },
+  '/slack/callback': {
+    get: operation({
+      summary: 'Slack OAuth redirect target',
+      tags,
+      scope: 'read:messages',
+      parameters: [
+        queryParam('code', { type: 'string' }, 'OAuth code', { required: true }),
+        queryParam('state', { type: 'string' }, 'Signed state from /slack/initiate', { required: true })
+      ],
+      status: 302,
+      responseDescription: 'Redirects to the dashboard',
+      contentType: null
+    })
+  },
+  '/slack/channels': {
+    get: operation({
+      summary: 'Channels visible to the Slack bot',
+      tags,
+      scope: 'read:messages',
+      response: envelope(arrayOf({
+        type: 'object',
+        required: ['id', 'name'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          isMember: { type: 'boolean' },
+          isActive: { type: 'boolean' },
+          memberCount: { type: 'integer' }
+        }
+      }))
+    })
+  },
+  '/slack/channels/{channelId}/messages': {
+    get: operation({
+      summary: 'Channel timeline, newest first',
+      tags,
+      scope: 'read:messages',
+      parameters: [channelId, limitParam()],
+      response: envelope({
+        type: 'object',
+        required: ['channelId', 'messages'],
+        properties: { channelId: { type: 'string' }, messages: arrayOf(looseObject) }
+      })
+    }),
+    post: operation({
+      summary: 'Post a message, or a thread reply with threadTs',
+      tags,
+      scope: 'send:messages',
+      parameters: [channelId],
+      requestBody: jsonBody({
+        ...reply,
+        properties: { ...reply.properties, threadTs: { type: 'string', pattern: '^\\d+\\.\\d+$' } }
+      }),
+      response: envelope(looseObject)
+    })
+  },
+  '/slack/channels/{channelId}/threads': {
+    get: operation({
+      summary: 'Threads in a channel',
+      tags,
+      scope: 'read:messages',
+      parameters: [channelId, limitParam(), syncParam],
+      response: envelope(arrayOf(looseObject))
+    })
+  },
+  '/slack/channels/{channelId}/threads/{threadTs}': {
+    get: operation({
+      summary: 'A thread with its replies',
+      tags,
+      scope: 'read:messages',
+      parameters: [channelId, threadTs, syncParam],
+      response: envelope(looseObject),
+      notFound: true
+    })
+  },
+  '/slack/channels/{channelId}/threads/{threadTs}/replies': {
+    post: operation({
+      summary: 'Reply in a thread',
+      tags,
+      scope: 'send:messages',
+      parameters: [channelId, threadTs],
+      requestBody: jsonBody(reply),
+      status: 201,
+      response: envelope(looseObject)
+    })
+  },
+  '/slack/channels/{channelId}/summary': {
+    get: operation({
+      summary: 'AI summary of a channel or a single thread',
+      tags,
+      scope: 'read:messages',
+      parameters: [channelId, queryParam('threadTs', { type: 'string', pattern: '^\\d+\\.\\d+$' })],
+      response: envelope(looseObject)
+    })
+  }
+};
@@ -0,0 +1,90 @@
+import {
+  operation, envelope, jsonBody, pathParam, queryParam, limitParam, arrayOf, ref, nullableString
+} from '../components.js';
+
+const tags = ['Tasks'];
+const scope = 'reports';
+const taskId = pathParam('taskId');
+
+export default {
+  '/tasks': {
+    get: operation({
+      summary: 'Tasks extracted from conversations',
+      tags,
+      scope,
+      parameters: [
+        queryParam('status', { type: 'string', enum: ['open', 'completed', 'dismissed', 'all'] }, 'Default open'),
+        queryParam('includeSnoozed', { type: 'boolean' }),
+        queryParam('platform', { type: 'string' }),
+        queryParam('conversationId', { type: 'string' }),
+        queryParam('dueBefore', { type: 'string', format: 'date-time' }),
+        limitParam()
+      ],
+      response: envelope(arrayOf(ref('Task')))
+    })
+  },
+  '/tasks/{taskId}': {
+    get: operation({
+      summary: 'One task',
+      tags,
+      scope,
+      parameters: [taskId],
+      response: envelope(ref('Task')),
+      notFound: true
+    }),
+    patch: operation({
+      summary: 'Edit a task',
+      tags,
+      scope,
+      parameters: [taskId],
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          owner: nullableString,
+          dueAt: { type: 'string', format: 'date-time', nullable: true },
+          status: { type: 'string', enum: ['open', 'completed', 'dismissed'] }
+        }
+      }),
+      response: envelope(ref('Task')),
+      notFound: true
+    })
+  },
+  '/tasks/{taskId}/complete': {
+    post: operation({
+      summary: 'Mark a task completed',
+      tags,
+      scope,
+      parameters: [taskId],
+      response: envelope(ref('Task')),
+      notFound: true
+    })
+  },
+  '/tasks/{taskId}/reopen': {
+    post: operation({
+      summary: 'Reopen a task',
+      tags,
+      scope,
+      parameters: [taskId],
+      response: envelope(ref('Task')),
+      notFound: true
+    })
+  },
+  '/tasks/{taskId}/snooze': {
+    post: operation({
+      summary: 'Hide a task until a time',
+      tags,
+      scope,
+      parameters: [taskId],
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          until: { type: 'string', format: 'date-time' },
+          minutes: { type: 'integer', minimum: 1 }
+        }
+      }),
+      response: envelope(ref('Task')),
+      notFound: true
+    })
+  }
+};
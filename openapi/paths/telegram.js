@@ -0,0 +1,20 @@
+import { operation, pathParam, jsonBody } from '../components.js';
+
+export default {
+  '/telegram/webhook/{botId}': {
+    post: operation({
+      summary: 'Receive an update from Telegram',
+      description: 'Called by Telegram; requests must carry the bot\'s X-Telegram-Bot-Api-Secret-Token.',
+      tags: ['Telegram'],
+      auth: false,
+      parameters: [pathParam('botId', { type: 'string', minLength: 1 })],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['update_id'],
+        properties: { update_id: { type: 'integer' } }
+      }),
+      contentType: null,
+      notFound: true
+    })
+  }
+};
@@ -0,0 +1,56 @@
+import { operation, envelope, jsonBody, pathParam, arrayOf, ref } from '../components.js';
+import { TOKEN_SCOPES } from '../../services/accessTokenService.js';
+
+const tags = ['Access tokens'];
+const tokenId = pathParam('tokenId');
+
+export default {
+  '/tokens/scopes': {
+    get: operation({
+      summary: 'Scopes a token can be granted',
+      tags,
+      response: envelope(arrayOf({ type: 'string', enum: TOKEN_SCOPES }))
+    })
+  },
+  '/tokens': {
+    get: operation({
+      summary: 'Personal access tokens, including revoked ones',
+      tags,
+      response: envelope(arrayOf(ref('AccessToken')))
+    }),
+    post: operation({
+      summary: 'Create a token',
+      description: 'The plain token is only returned in this response.',
+      tags,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['name', 'scopes'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: TOKEN_SCOPES } },
+          expiresInDays: { type: 'integer', minimum: 1, maximum: 366, nullable: true, description: 'Omit for a token that never expires' },
+          rateLimit: { type: 'integer', minimum: 1, description: 'Requests per minute' }
+        }
+      }),
+      status: 201,
+      response: envelope(ref('AccessToken')),
+      conflict: true
+    })
+  },
+  '/tokens/{tokenId}': {
+    get: operation({
+      summary: 'One token',
+      tags,
+      parameters: [tokenId],
+      response: envelope(ref('AccessToken')),
+      notFound: true
+    }),
+    delete: operation({
+      summary: 'Revoke a token',
+      tags,
+      parameters: [tokenId],
+      response: envelope(ref('AccessToken')),
+      notFound: true
+    })
+  }
+};
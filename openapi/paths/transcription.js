@@ -0,0 +1,35 @@
+import { operation, envelope, jsonBody, pathParam, ref } from '../components.js';
+
+const tags = ['Transcription'];
+
+export default {
+  '/transcription/settings': {
+    get: operation({
+      summary: 'Voice note transcription settings',
+      tags,
+      response: envelope(ref('TranscriptionSettings'))
+    }),
+    put: operation({
+      summary: 'Update voice note transcription settings',
+      tags,
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          voiceTranscriptionEnabled: { type: 'boolean' },
+          transcriptionLanguage: { type: 'string', pattern: '^[a-z]{2}$', nullable: true, description: 'ISO-639-1 code' }
+        }
+      }),
+      response: envelope(ref('TranscriptionSettings'))
+    })
+  },
+  '/transcription/messages/{messageId}': {
+    post: operation({
+      summary: 'Transcribe a voice note now',
+      tags,
+      parameters: [pathParam('messageId')],
+      status: 202,
+      response: envelope(ref('JobRef')),
+      notFound: true
+    })
+  }
+};
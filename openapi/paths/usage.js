@@ -0,0 +1,13 @@
+import { operation, envelope, queryParam, looseObject } from '../components.js';
+
+export default {
+  '/usage/ai': {
+    get: operation({
+      summary: 'AI usage against plan limits with daily, feature and model breakdowns',
+      tags: ['Usage'],
+      scope: 'reports',
+      parameters: [queryParam('days', { type: 'integer', minimum: 1, maximum: 90 }, 'Days of history (default 30)')],
+      response: envelope(looseObject)
+    })
+  }
+};
@@ -0,0 +1,63 @@
+import { operation, envelope, jsonBody, looseObject } from '../components.js';
+
+const steps = ['welcome', 'protocol_selection', 'matrix_setup', 'whatsapp_setup', 'complete'];
+const stepBody = jsonBody({
+  type: 'object',
+  required: ['currentStep'],
+  properties: { currentStep: { type: 'string' } }
+});
+
+export default {
+  '/user/onboarding-status': {
+    get: operation({
+      summary: 'Onboarding progress and connected platforms',
+      tags: ['User'],
+      response: looseObject
+    }),
+    post: operation({
+      summary: 'Move onboarding to a step',
+      tags: ['User'],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['currentStep'],
+        properties: { currentStep: { type: 'string', enum: steps } }
+      }),
+      response: envelope(looseObject)
+    })
+  },
+  '/user/profile': {
+    get: operation({
+      summary: 'The user\'s profile',
+      tags: ['User'],
+      response: envelope(looseObject)
+    })
+  },
+  '/onboarding/status': {
+    get: operation({
+      summary: 'Onboarding step and completion',
+      tags: ['Onboarding'],
+      response: envelope(looseObject)
+    }),
+    post: operation({
+      summary: 'Record the current onboarding step',
+      tags: ['Onboarding'],
+      requestBody: stepBody,
+      response: envelope(looseObject)
+    })
+  },
+  '/onboarding/complete': {
+    post: operation({
+      summary: 'Mark onboarding complete',
+      tags: ['Onboarding'],
+      response: envelope(looseObject)
+    })
+  },
+  '/admin/migrate': {
+    post: operation({
+      summary: 'Run the accounts table migration',
+      tags: ['Admin'],
+      auth: false,
+      response: { type: 'object', required: ['message'], properties: { message: { type: 'string' } } }
+    })
+  }
+};
@@ -0,0 +1,143 @@
+import {
+  operation, envelope, jsonBody, pathParam, queryParam, limitParam, arrayOf, ref, nullableString
+} from '../components.js';
+
+const tags = ['Webhooks'];
+const endpointId = pathParam('endpointId');
+const deliveryId = pathParam('deliveryId');
+const deliveryStatus = { type: 'string', enum: ['pending', 'retrying', 'succeeded', 'failed'] };
+
+const endpointInput = {
+  type: 'object',
+  properties: {
+    url: { type: 'string', format: 'uri' },
+    description: nullableString,
+    eventTypes: { type: 'array', minItems: 1, items: { type: 'string' }, description: 'Event types, or [\'*\'] for all' }
+  }
+};
+
+export default {
+  '/webhooks/event-types': {
+    get: operation({
+      summary: 'Event types an endpoint can subscribe to',
+      tags,
+      response: envelope(arrayOf({ type: 'string' }))
+    })
+  },
+  '/webhooks': {
+    get: operation({
+      summary: 'Outgoing webhook endpoints',
+      tags,
+      response: envelope(arrayOf(ref('WebhookEndpoint')))
+    }),
+    post: operation({
+      summary: 'Register an endpoint',
+      description: 'The response holds the signing secret; it is not shown again.',
+      tags,
+      requestBody: jsonBody({ ...endpointInput, required: ['url', 'eventTypes'] }),
+      status: 201,
+      response: envelope(ref('WebhookEndpoint'))
+    })
+  },
+  '/webhooks/{endpointId}': {
+    get: operation({
+      summary: 'One endpoint',
+      tags,
+      parameters: [endpointId],
+      response: envelope(ref('WebhookEndpoint')),
+      notFound: true
+    }),
+    patch: operation({
+      summary: 'Update an endpoint or re-enable it',
+      tags,
+      parameters: [endpointId],
+      requestBody: jsonBody({
+        ...endpointInput,
+        properties: { ...endpointInput.properties, status: { type: 'string', enum: ['active', 'disabled'] } }
+      }),
+      response: envelope(ref('WebhookEndpoint')),
+      notFound: true
+    }),
+    delete: operation({
+      summary: 'Delete an endpoint and its delivery log',
+      tags,
+      parameters: [endpointId],
+      notFound: true
+    })
+  },
+  '/webhooks/{endpointId}/rotate-secret': {
+    post: operation({
+      summary: 'Replace the signing secret',
+      tags,
+      parameters: [endpointId],
+      response: envelope(ref('WebhookEndpoint')),
+      notFound: true
+    })
+  },
+  '/webhooks/{endpointId}/test': {
+    post: operation({
+      summary: 'Queue a ping event',
+      tags,
+      parameters: [endpointId],
+      status: 202,
+      response: envelope(ref('WebhookDelivery')),
+      notFound: true,
+      conflict: true
+    })
+  },
+  '/webhooks/{endpointId}/deliveries': {
+    get: operation({
+      summary: 'Delivery log, newest first',
+      tags,
+      parameters: [
+        endpointId,
+        queryParam('status', deliveryStatus),
+        queryParam('eventType', { type: 'string' }),
+        queryParam('before', { type: 'string', format: 'date-time' }, 'created_at of the last delivery on the previous page'),
+        limitParam()
+      ],
+      response: envelope(arrayOf(ref('WebhookDelivery'))),
+      notFound: true
+    })
+  },
+  '/webhooks/{endpointId}/deliveries/{deliveryId}': {
+    get: operation({
+      summary: 'One delivery with every HTTP attempt made for it',
+      tags,
+      parameters: [endpointId, deliveryId],
+      response: envelope(ref('WebhookDelivery')),
+      notFound: true
+    })
+  },
+  '/webhooks/{endpointId}/deliveries/{deliveryId}/replay': {
+    post: operation({
+      summary: 'Send a delivery again as a new delivery',
+      tags,
+      parameters: [endpointId, deliveryId],
+      status: 202,
+      response: envelope(ref('WebhookDelivery')),
+      notFound: true,
+      conflict: true
+    })
+  },
+  '/webhooks/{endpointId}/replay': {
+    post: operation({
+      summary: 'Replay deliveries in bulk',
+      tags,
+      parameters: [endpointId],
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          status: { ...deliveryStatus, description: 'Default failed' },
+          since: { type: 'string', format: 'date-time' },
+          until: { type: 'string', format: 'date-time' },
+          limit: { type: 'integer', minimum: 1 }
+        }
+      }, { required: false }),
+      status: 202,
+      response: envelope(arrayOf(ref('WebhookDelivery'))),
+      notFound: true,
+      conflict: true
+    })
+  }
+};
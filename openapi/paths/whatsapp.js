@@ -0,0 +1,195 @@
+import {
+  operation, envelope, jsonBody, pathParam, queryParam, limitParam, arrayOf, ref, looseObject
+} from '../components.js';
+import { contactListParams } from './people.js';
+
+const tags = ['WhatsApp'];
+const contactId = pathParam('contactId', { type: 'integer', minimum: 1 }, 'WhatsApp contact id');
+
+export default {
+  '/whatsapp-entities/contacts': {
+    get: operation({
+      summary: 'WhatsApp contacts with their tags and custom fields',
+      description: 'Contacts from every WhatsApp connection in the workspace, newest conversation first. ' +
+        'Accepts the same tags, filter, sort and order options as GET /people.',
+      tags,
+      scope: 'read:contacts',
+      parameters: [
+        queryParam('force', { type: 'boolean' }, 'Refresh the contact list from the bridge'),
+        queryParam('assignee', { type: 'string' }, 'A member\'s user id, me or unassigned'),
+        queryParam('status', { type: 'string', enum: ['open', 'pending', 'resolved', 'snoozed'] }),
+        ...contactListParams
+      ],
+      response: envelope(arrayOf(ref('WhatsappContact')))
+    })
+  },
+  '/whatsapp-entities/contacts/sync': {
+    post: operation({
+      summary: 'Queue a full contact sync',
+      description: 'One job per WhatsApp connection in the workspace; job is the first of them, null when there are none.',
+      tags,
+      scope: 'admin',
+      status: 202,
+      response: envelope({
+        type: 'object',
+        required: ['job', 'jobs'],
+        properties: { job: { allOf: [ref('Job')], nullable: true }, jobs: arrayOf(ref('Job')) }
+      })
+    })
+  },
+  '/whatsapp-entities/contacts/{contactId}': {
+    get: operation({
+      summary: 'One WhatsApp contact',
+      tags,
+      scope: 'read:contacts',
+      parameters: [contactId],
+      response: envelope(ref('WhatsappContact')),
+      notFound: true
+    })
+  },
+  '/whatsapp-entities/contacts/{contactId}/profile': {
+    get: operation({
+      summary: 'Notes, tags and custom fields of the contact',
+      description: 'Kept on the person the contact is linked to (see /people); empty until it is linked.',
+      tags,
+      scope: 'read:contacts',
+      parameters: [contactId],
+      response: envelope(ref('ContactProfile')),
+      notFound: true
+    })
+  },
+  '/whatsapp-entities/contacts/{contactId}/sync': {
+    post: operation({
+      summary: 'Request message sync for a contact',
+      tags,
+      scope: 'admin',
+      parameters: [contactId],
+      response: envelope(looseObject)
+    }),
+    put: operation({
+      summary: 'Approve or reject a pending sync request',
+      tags,
+      scope: 'admin',
+      parameters: [contactId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['status'],
+        properties: { status: { type: 'string', enum: ['approved', 'rejected'] } }
+      }),
+      response: envelope(looseObject)
+    })
+  },
+  '/whatsapp-entities/contacts/{contactId}/assignee': {
+    put: operation({
+      summary: 'Assign the conversation to a workspace member',
+      description: 'Admins can assign anyone with the agent role or higher; agents can only take a ' +
+        'conversation themselves or unassign their own.',
+      tags,
+      scope: 'admin',
+      parameters: [contactId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['assigneeId'],
+        properties: { assigneeId: { type: 'string', format: 'uuid', nullable: true, description: 'null to unassign' } }
+      }),
+      response: envelope(ref('WhatsappContact')),
+      notFound: true
+    })
+  },
+  '/whatsapp-entities/contacts/{contactId}/status': {
+    put: operation({
+      summary: 'Set the conversation\'s status',
+      description: 'Resolving closes the conversation\'s SLA timers; reopening a resolved conversation starts new ones.',
+      tags,
+      scope: 'admin',
+      parameters: [contactId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['status'],
+        properties: {
+          status: { type: 'string', enum: ['open', 'pending', 'resolved', 'snoozed'] },
+          snoozedUntil: { type: 'string', format: 'date-time', description: 'Required for snoozed' }
+        }
+      }),
+      response: envelope(ref('WhatsappContact')),
+      notFound: true
+    })
+  },
+  '/whatsapp-entities/contacts/{contactId}/sla': {
+    get: operation({
+      summary: 'The conversation\'s SLA history, newest first',
+      tags,
+      scope: 'read:contacts',
+      parameters: [contactId, limitParam()],
+      response: envelope(arrayOf(ref('ConversationSla'))),
+      notFound: true
+    })
+  },
+  '/whatsapp-entities/contacts/{contactId}/messages': {
+    get: operation({
+      summary: 'Messages with a contact, newest first',
+      tags,
+      scope: 'read:messages',
+      parameters: [contactId, limitParam(), queryParam('before', { type: 'string', format: 'date-time' }, 'Only messages before this time')],
+      response: envelope(arrayOf(ref('WhatsappMessage')))
+    }),
+    post: operation({
+      summary: 'Send a text message, a reaction or media',
+      description: 'Send { content, replyTo } for text or { reaction: { messageId, key } } for a reaction. ' +
+        'Media is uploaded as the raw request body with its Content-Type; caption, replyTo and filename go in the query string. ' +
+        'Delivery updates follow on the whatsapp:outbound_message and whatsapp:delivery_status socket events.',
+      tags,
+      scope: 'send:messages',
+      parameters: [
+        contactId,
+        queryParam('caption', { type: 'string' }, 'Media caption'),
+        queryParam('replyTo', { type: 'string' }, 'Id of the message being replied to (media uploads)'),
+        queryParam('filename', { type: 'string' }, 'File name for documents (media uploads)')
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              anyOf: [
+                {
+                  type: 'object',
+                  required: ['content'],
+                  properties: { content: { type: 'string', minLength: 1 }, replyTo: { type: 'string' } }
+                },
+                {
+                  type: 'object',
+                  required: ['reaction'],
+                  properties: {
+                    reaction: {
+                      type: 'object',
+                      required: ['messageId', 'key'],
+                      properties: { messageId: { type: 'string' }, key: { type: 'string' } }
+                    }
+                  }
+                }
+              ]
+            }
+          },
+          '*/*': { schema: { type: 'string', format: 'binary' } }
+        }
+      },
+      status: 202,
+      response: envelope(looseObject)
+    })
+  },
+  '/whatsapp-entities/contacts/{contactId}/messages/read': {
+    post: operation({
+      summary: 'Mark messages as read',
+      tags,
+      scope: 'send:messages',
+      parameters: [contactId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['messageIds'],
+        properties: { messageIds: { type: 'array', minItems: 1, items: { type: 'string' } } }
+      }),
+      response: envelope(looseObject)
+    })
+  }
+};
@@ -0,0 +1,153 @@
+import { operation, envelope, jsonBody, pathParam, arrayOf, ref } from '../components.js';
+import { WORKSPACE_ROLES } from '../../services/workspaceService.js';
+
+const tags = ['Workspaces'];
+const workspaceId = pathParam('workspaceId', { type: 'string', format: 'uuid' });
+const memberId = pathParam('memberId', { type: 'string', format: 'uuid' }, 'User id of the member');
+const invitationId = pathParam('invitationId');
+const nameBody = jsonBody({
+  type: 'object',
+  required: ['name'],
+  properties: { name: { type: 'string', minLength: 1, maxLength: 100 } }
+});
+
+export default {
+  '/workspaces/roles': {
+    get: operation({
+      summary: 'Workspace roles, lowest to highest',
+      tags,
+      response: envelope(arrayOf({ type: 'string', enum: WORKSPACE_ROLES }))
+    })
+  },
+  '/workspaces': {
+    get: operation({
+      summary: 'Workspaces you belong to, with your role in each',
+      tags,
+      response: envelope(arrayOf(ref('Workspace')))
+    }),
+    post: operation({
+      summary: 'Create a workspace',
+      description: 'The creator becomes its owner.',
+      tags,
+      requestBody: nameBody,
+      status: 201,
+      response: envelope(ref('Workspace'))
+    })
+  },
+  '/workspaces/invitations/accept': {
+    post: operation({
+      summary: 'Join a workspace with an invitation token',
+      description: 'The invitation must have been sent to your email address.',
+      tags,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['token'],
+        properties: { token: { type: 'string', minLength: 1 } }
+      }),
+      response: envelope(ref('Workspace')),
+      notFound: true,
+      conflict: true
+    })
+  },
+  '/workspaces/{workspaceId}': {
+    get: operation({
+      summary: 'One workspace',
+      tags,
+      parameters: [workspaceId],
+      response: envelope(ref('Workspace')),
+      notFound: true
+    }),
+    patch: operation({
+      summary: 'Rename a workspace (admin)',
+      tags,
+      parameters: [workspaceId],
+      requestBody: nameBody,
+      response: envelope(ref('Workspace')),
+      notFound: true
+    }),
+    delete: operation({
+      summary: 'Delete a workspace and everything shared in it (owner)',
+      tags,
+      parameters: [workspaceId],
+      notFound: true,
+      conflict: true
+    })
+  },
+  '/workspaces/{workspaceId}/default': {
+    post: operation({
+      summary: 'Use this workspace when requests send no X-Workspace-Id',
+      description: 'Data from your platform connections lands in this workspace from now on.',
+      tags,
+      parameters: [workspaceId],
+      response: envelope(ref('Workspace')),
+      notFound: true
+    })
+  },
+  '/workspaces/{workspaceId}/members': {
+    get: operation({
+      summary: 'Workspace members',
+      tags,
+      parameters: [workspaceId],
+      response: envelope(arrayOf(ref('WorkspaceMember'))),
+      notFound: true
+    })
+  },
+  '/workspaces/{workspaceId}/members/{memberId}': {
+    patch: operation({
+      summary: 'Change a member\'s role (admin; owner for admins and owners)',
+      tags,
+      parameters: [workspaceId, memberId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['role'],
+        properties: { role: { type: 'string', enum: WORKSPACE_ROLES } }
+      }),
+      response: envelope(ref('WorkspaceMember')),
+      notFound: true,
+      conflict: true
+    }),
+    delete: operation({
+      summary: 'Remove a member, or leave the workspace',
+      tags,
+      parameters: [workspaceId, memberId],
+      notFound: true,
+      conflict: true
+    })
+  },
+  '/workspaces/{workspaceId}/invitations': {
+    get: operation({
+      summary: 'Invitations, including accepted and revoked ones (admin)',
+      tags,
+      parameters: [workspaceId],
+      response: envelope(arrayOf(ref('WorkspaceInvitation'))),
+      notFound: true
+    }),
+    post: operation({
+      summary: 'Invite someone by email (admin)',
+      description: 'The response holds the invitation token; it is not shown again.',
+      tags,
+      parameters: [workspaceId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: { type: 'string', format: 'email' },
+          role: { type: 'string', enum: ['admin', 'agent', 'viewer'] }
+        }
+      }),
+      status: 201,
+      response: envelope(ref('WorkspaceInvitation')),
+      notFound: true,
+      conflict: true
+    })
+  },
+  '/workspaces/{workspaceId}/invitations/{invitationId}': {
+    delete: operation({
+      summary: 'Revoke a pending invitation (admin)',
+      tags,
+      parameters: [workspaceId, invitationId],
+      response: envelope(ref('WorkspaceInvitation')),
+      notFound: true
+    })
+  }
+};
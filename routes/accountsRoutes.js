@@ -1,21 +1,23 @@
 import express from 'express';
 import { authenticateUser } from '../middleware/auth.js';
-import { supabase, adminClient } from '../utils/supabase.js';
+import { adminClient } from '../utils/supabase.js';
 import { getMatrixMessages } from '../services/matrixService.js';
 import telegramService from '../services/telegramService.js';
+import { messageStoreService } from '../services/messageStoreService.js';
 
 const router = express.Router();
 router.use(authenticateUser);
 
+// Accounts connected by any member of the workspace
 router.get('/', async (req, res) => {
-  const userId = req.user.id;
+  const workspaceId = req.workspace.id;
 
   try {
     // Fetch accounts directly from the accounts table
-    const { data: accounts, error } = await supabase
+    const { data: accounts, error } = await adminClient
       .from('accounts')
       .select('*')
-      .eq('user_id', userId)
+      .eq('workspace_id', workspaceId)
       .eq('status', 'active');
 
     if (error) throw error;
@@ -29,10 +31,10 @@ router.get('/', async (req, res) => {
 
 router.get('/status', authenticateUser, async (req, res) => {
   try {
-    const { data: accounts, error } = await supabase
+    const { data: accounts, error } = await adminClient
       .from('accounts')
       .select('id')
-      .eq('user_id', req.user.id)
+      .eq('workspace_id', req.workspace.id)
       .eq('status', 'active')
       .limit(1);
 
@@ -47,54 +49,57 @@ router.get('/status', authenticateUser, async (req, res) => {
   }
 });
 
+// Unified inbox across all platforms, newest first.
+// Query: limit, cursor (from nextCursor), platform (comma separated), conversationId, unread
 router.get('/inbox', authenticateUser, async (req, res) => {
   try {
-    // First, verify user has active accounts
-    const { data: accounts, error: accountError } = await supabase
-      .from('accounts')
-      .select('*')
-      .eq('user_id', req.user.id)
-      .eq('status', 'active');
+    const { limit, cursor, platform, conversationId, unread } = req.query;
+
+    const inbox = await messageStoreService.getInbox(req.workspace.id, {
+      limit,
+      cursor,
+      platforms: platform ? platform.split(',').map(p => p.trim()).filter(Boolean) : null,
+      conversationId,
+      unreadOnly: unread === 'true'
+    });
 
-    if (accountError) throw accountError;
-    
-    if (!accounts || accounts.length === 0) {
-      return res.json({ messages: [] }); // Return empty messages if no accounts
-    }
+    res.json({
+      status: 'success',
+      messages: inbox.messages,
+      nextCursor: inbox.nextCursor,
+      hasMore: inbox.hasMore
+    });
+  } catch (error) {
+    console.error('Error in /accounts/inbox:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to fetch inbox messages',
+      details: error.message
+    });
+  }
+});
 
-    // Get messages from all connected platforms
-    const messages = [];
-    for (const account of accounts) {
-      try {
-        switch (account.platform) {
-          case 'matrix':
-            console.log('Fetching Matrix messages for account:', account.id);
-            const matrixMessages = await getMatrixMessages(account);
-            messages.push(...matrixMessages);
-            break;
-          case 'telegram':
-            console.log('Fetching Telegram messages for account:', account.id);
-            const telegramMessages = await telegramService.getTelegramMessages(account);
-            messages.push(...telegramMessages);
-            break;
-          default:
-            console.log(`Unsupported platform: ${account.platform}`);
-        }
-      } catch (platformError) {
-        console.error(`Error fetching messages for ${account.platform}:`, platformError);
-        // Continue with other platforms if one fails
-      }
+// Mark unified inbox messages as read
+router.post('/inbox/read', authenticateUser, async (req, res) => {
+  try {
+    const { messageIds } = req.body;
+
+    if (!Array.isArray(messageIds) || messageIds.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'messageIds must be a non-empty array'
+      });
     }
 
-    res.json({ 
-      messages: messages.sort((a, b) => b.timestamp - a.timestamp),
-      status: 'success'
+    const updated = await messageStoreService.markAsRead(req.workspace.id, messageIds);
+    res.json({
+      status: 'success',
+      data: updated
     });
   } catch (error) {
-    console.error('Error in /accounts/inbox:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch inbox messages',
-      details: error.message 
+    console.error('Error marking inbox messages as read:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
     });
   }
 });
@@ -102,12 +107,12 @@ router.get('/inbox', authenticateUser, async (req, res) => {
 // Get connected accounts
 router.get('/connected', authenticateUser, async (req, res) => {
   try {
-    const userId = req.user.id;
+    const workspaceId = req.workspace.id;
     
     const { data: accounts, error } = await adminClient
       .from('accounts')
       .select('*')
-      .eq('user_id', userId)
+      .eq('workspace_id', workspaceId)
       .eq('status', 'active');
 
     if (error) throw error;
@@ -122,13 +127,13 @@ router.get('/connected', authenticateUser, async (req, res) => {
 // Get messages for all connected platforms
 router.get('/messages', authenticateUser, async (req, res) => {
   try {
-    const userId = req.user.id;
+    const workspaceId = req.workspace.id;
     
-    // First, verify user has active accounts
+    // First, verify the workspace has active accounts
     const { data: accounts, error: accountError } = await adminClient
       .from('accounts')
       .select('*')
-      .eq('user_id', userId)
+      .eq('workspace_id', workspaceId)
       .eq('status', 'active');
 
     if (accountError) throw accountError;
@@ -158,7 +163,7 @@ router.get('/messages', authenticateUser, async (req, res) => {
               .from('messages')
               .select('*')
               .eq('platform', 'discord')
-              .eq('user_id', userId)
+              .eq('workspace_id', workspaceId)
               .order('timestamp', { ascending: false })
               .limit(50);
             if (!discordError && discordMessages) {
@@ -1,17 +1,44 @@
 import express from 'express';
 import { aiAnalysisService } from '../services/aiAnalysisService.js';
+import { jobQueueService } from '../services/jobQueueService.js';
+import { whatsappEntityService } from '../services/whatsappEntityService.js';
 import { authenticateUser } from '../middleware/auth.js';
+import { adminClient } from '../utils/supabase.js';
+import { ioEmitter } from '../utils/emitter.js';
 
 const router = express.Router();
 
 router.use(authenticateUser);
 
+// Analysis runs against the connection the workspace's contact belongs to
+const contactOwnerId = async req => {
+  const contact = await whatsappEntityService.getWorkspaceContact(req.workspace.id, req.params.contactId);
+  return contact.user_id;
+};
+
+// Quota errors carry their own status and a message the user can act on;
+// anything else keeps the route's generic 500 message
+const sendAIError = (res, error, message) => {
+  if (error.code === 'AI_QUOTA_EXCEEDED') {
+    return res.status(error.status).json({
+      error: error.message,
+      code: error.code,
+      quota: error.quota
+    });
+  }
+  if (error.status === 404) {
+    return res.status(404).json({ error: error.message });
+  }
+
+  res.status(500).json({ error: message });
+};
+
 // Get realtime summary (Summarize button)
 router.get('/summary/:contactId', async (req, res) => {
   try {
     const { contactId } = req.params;
     const { limit } = req.query;
-    const userId = req.user.id;
+    const userId = await contactOwnerId(req);
 
     console.log('Fetching realtime summary', { userId, contactId, limit });
     
@@ -30,9 +57,7 @@ router.get('/summary/:contactId', async (req, res) => {
     res.json(summary);
   } catch (error) {
     console.error('Error fetching realtime summary', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch realtime summary' 
-    });
+    sendAIError(res, error, 'Failed to fetch realtime summary');
   }
 });
 
@@ -40,7 +65,7 @@ router.get('/summary/:contactId', async (req, res) => {
 router.get('/analysis/:contactId', async (req, res) => {
   try {
     const { contactId } = req.params;
-    const userId = req.user.id;
+    const userId = await contactOwnerId(req);
     const { initialize } = req.query;
 
     console.log('Fetching conversation analysis', { userId, contactId, initialize });
@@ -61,9 +86,7 @@ router.get('/analysis/:contactId', async (req, res) => {
     res.json(analysis);
   } catch (error) {
     console.error('Error fetching conversation analysis', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch conversation analysis' 
-    });
+    sendAIError(res, error, 'Failed to fetch conversation analysis');
   }
 });
 
@@ -72,7 +95,7 @@ router.post('/priority/:contactId', async (req, res) => {
   try {
     const { contactId } = req.params;
     const { priority } = req.body;
-    const userId = req.user.id;
+    const userId = await contactOwnerId(req);
 
     if (!priority || !['HIGH', 'MEDIUM', 'LOW'].includes(priority.toUpperCase())) {
       return res.status(400).json({ 
@@ -94,6 +117,7 @@ router.post('/priority/:contactId', async (req, res) => {
       .eq('id', parseInt(contactId));
 
     if (contactError) throw contactError;
+    ioEmitter.emit('whatsapp_contact_priority_changed', { userId, contactId: parseInt(contactId), priority: priorityValue });
 
     // Update latest summary priority if it exists
     const { error: summaryError } = await adminClient
@@ -115,8 +139,8 @@ router.post('/priority/:contactId', async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating contact priority', error);
-    res.status(500).json({ 
-      error: 'Failed to update contact priority' 
+    res.status(error.status === 404 ? 404 : 500).json({ 
+      error: error.status === 404 ? error.message : 'Failed to update contact priority' 
     });
   }
 });
@@ -126,7 +150,7 @@ router.post('/summary/:contactId/historical', async (req, res) => {
   try {
     const { contactId } = req.params;
     const { date } = req.body;
-    const userId = req.user.id;
+    const userId = await contactOwnerId(req);
 
     if (!date) {
       return res.status(400).json({ 
@@ -154,9 +178,7 @@ router.post('/summary/:contactId/historical', async (req, res) => {
     });
   } catch (error) {
     console.error('Error generating historical summary', error);
-    res.status(500).json({ 
-      error: 'Failed to generate historical summary' 
-    });
+    sendAIError(res, error, 'Failed to generate historical summary');
   }
 });
 
@@ -164,7 +186,7 @@ router.post('/summary/:contactId/historical', async (req, res) => {
 router.get('/priority/suggested/:contactId', async (req, res) => {
   try {
     const { contactId } = req.params;
-    const userId = req.user.id;
+    const userId = await contactOwnerId(req);
 
     console.log('Fetching suggested priority', { userId, contactId });
     
@@ -189,9 +211,7 @@ router.get('/priority/suggested/:contactId', async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching suggested priority', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch suggested priority' 
-    });
+    sendAIError(res, error, 'Failed to fetch suggested priority');
   }
 });
 
@@ -200,18 +220,29 @@ router.post('/initialize/:contactId', async (req, res) => {
   try {
     const { contactId } = req.params;
     const { force } = req.query;
-    const userId = req.user.id;
+    const userId = await contactOwnerId(req);
 
     console.log('Initializing contact analysis', { userId, contactId, force });
-    
+
+    // Run in the background job queue when requested
+    if (req.query.async === 'true') {
+      const job = await jobQueueService.enqueue('ai.initialize_analysis', {
+        contactId,
+        force: force === 'true'
+      }, {
+        userId,
+        dedupeKey: `${userId}:${contactId}`
+      });
+
+      return res.status(202).json({ job });
+    }
+
     const result = await aiAnalysisService.initializeContactAnalysis(userId, contactId, force === 'true');
     
     res.json(result);
   } catch (error) {
     console.error('Error initializing contact analysis', error);
-    res.status(500).json({ 
-      error: 'Failed to initialize contact analysis' 
-    });
+    sendAIError(res, error, 'Failed to initialize contact analysis');
   }
 });
 
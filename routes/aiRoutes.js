@@ -10,10 +10,11 @@ router.post('/voiceToText', async (req,res)=>{
   const { audio } = req.body;
   if(!audio) return res.status(400).json({error:'No audio provided'});
   try {
-    const result=await voiceToText(audio);
+    const result=await voiceToText(audio, { userId:req.user.id, mimetype:req.body.mimetype, language:req.body.language });
     res.json(result);
   } catch(err) {
     console.error('STT error:',err);
+    if(err.code==='AI_QUOTA_EXCEEDED') return res.status(429).json({error:err.message, code:err.code, quota:err.quota});
     res.status(500).json({error:'STT failed'});
   }
 });
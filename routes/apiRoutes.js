@@ -0,0 +1,146 @@
+import express from 'express';
+import { tokenScope, workspaceRole } from '../middleware/auth.js';
+import { validateOpenApi } from '../middleware/openapiValidation.js';
+import { consistentErrors, apiNotFound, apiErrorHandler } from '../middleware/apiErrors.js';
+import { openapiSpec } from '../openapi/index.js';
+import authRoutes from './authRoutes.js';
+import matrixRoutes from './matrixRoutes.js';
+import telegramWebhookRoutes from './telegramWebhookRoutes.js';
+import slackEventsRoutes from './slackEventsRoutes.js';
+import slackRoutes from './slackRoutes.js';
+import whatsappEntityRoutes from './whatsappEntityRoutes.js';
+import aiAnalysisRoutes from './aiAnalysis.js';
+import searchRoutes from './searchRoutes.js';
+import rulesRoutes from './rulesRoutes.js';
+import replyDraftRoutes from './replyDraftRoutes.js';
+import jobRoutes from './jobRoutes.js';
+import digestRoutes from './digestRoutes.js';
+import notificationRoutes from './notificationRoutes.js';
+import usageRoutes from './usageRoutes.js';
+import taskRoutes from './taskRoutes.js';
+import mediaRoutes from './mediaRoutes.js';
+import transcriptionRoutes from './transcriptionRoutes.js';
+import discordChannelRoutes from './discordChannelRoutes.js';
+import relayRoutes from './relayRoutes.js';
+import peopleRoutes from './peopleRoutes.js';
+import webhookRoutes from './webhookRoutes.js';
+import tokenRoutes from './tokenRoutes.js';
+import workspaceRoutes from './workspaceRoutes.js';
+import slaRoutes from './slaRoutes.js';
+import connectRoutes from './connectRoutes.js';
+import platformRoutes from './platformRoutes.js';
+import bridgeRoutes from './bridgeRoutes.js';
+import accountRoutes from './accountsRoutes.js';
+import userRoutes from './userRoutes.js';
+import onboardingRoutes from './onboardingRoutes.js';
+import adminRoutes from './adminRoutes.js';
+import reportRoutes from './reportRoutes.js';
+
+const isMessagePath = req => /\/messages/.test(req.path);
+
+// Every API router, in order of specificity. path is its place under
+// /api/v1; legacyPath is the unversioned path the frontend still calls.
+// tokenScope() names the scope personal access tokens need; routers without
+// one are open to admin tokens only. workspaceRole() names the role needed in
+// the request's workspace (default: viewer to read, agent to write); personal
+// routers pass null.
+const personal = workspaceRole(null);
+const adminWrites = workspaceRole('viewer', 'admin');
+
+export const API_ROUTES = [
+  { path: '/auth', legacyPath: '/auth', router: authRoutes },
+
+  // Platform-specific routes
+  { path: '/matrix', legacyPath: '/matrix', role: adminWrites, router: matrixRoutes },
+  { path: '/telegram', legacyPath: '/telegram', router: telegramWebhookRoutes },
+  { path: '/slack', legacyPath: '/slack', router: slackEventsRoutes },
+  { path: '/slack', legacyPath: '/slack', scope: tokenScope('read:messages', 'send:messages'), router: slackRoutes },
+  {
+    path: '/whatsapp-entities',
+    legacyPath: '/api/whatsapp-entities',
+    scope: tokenScope(
+      req => (isMessagePath(req) ? 'read:messages' : 'read:contacts'),
+      req => (isMessagePath(req) ? 'send:messages' : 'admin')
+    ),
+    router: whatsappEntityRoutes
+  },
+  { path: '/analysis', legacyPath: '/api/analysis', scope: tokenScope('reports'), router: aiAnalysisRoutes },
+  { path: '/search', legacyPath: '/api/search', scope: tokenScope('read:messages'), router: searchRoutes },
+  { path: '/rules', legacyPath: '/api/rules', role: adminWrites, router: rulesRoutes },
+  {
+    path: '/reply-drafts',
+    legacyPath: '/api/reply-drafts',
+    scope: tokenScope('read:messages', 'send:messages'),
+    router: replyDraftRoutes
+  },
+  { path: '/jobs', legacyPath: '/api/jobs', role: personal, router: jobRoutes },
+  { path: '/digests', legacyPath: '/api/digests', scope: tokenScope('reports'), router: digestRoutes },
+  { path: '/notifications', legacyPath: '/api/notifications', role: personal, router: notificationRoutes },
+  { path: '/usage', legacyPath: '/api/usage', scope: tokenScope('reports', 'admin'), role: personal, router: usageRoutes },
+  { path: '/tasks', legacyPath: '/api/tasks', scope: tokenScope('reports'), router: taskRoutes },
+  { path: '/sla', legacyPath: '/api/sla', scope: tokenScope('reports', 'admin'), role: adminWrites, router: slaRoutes },
+  { path: '/media', legacyPath: '/api/media', scope: tokenScope('read:messages', 'admin'), router: mediaRoutes },
+  {
+    path: '/transcription',
+    legacyPath: '/api/transcription',
+    role: workspaceRole('viewer', req => (req.path.startsWith('/settings') ? 'viewer' : 'agent')),
+    router: transcriptionRoutes
+  },
+  {
+    path: '/discord/channels',
+    legacyPath: '/api/discord/channels',
+    scope: tokenScope('read:messages', 'send:messages'),
+    role: adminWrites,
+    router: discordChannelRoutes
+  },
+  { path: '/relays', legacyPath: '/api/relays', role: adminWrites, router: relayRoutes },
+  { path: '/people', legacyPath: '/api/people', scope: tokenScope('read:contacts', 'admin'), router: peopleRoutes },
+  { path: '/webhooks', legacyPath: '/api/webhooks', role: adminWrites, router: webhookRoutes },
+  { path: '/tokens', legacyPath: '/api/tokens', role: personal, router: tokenRoutes },
+  { path: '/workspaces', legacyPath: '/api/workspaces', role: personal, router: workspaceRoutes },
+
+  // General platform and connection routes
+  { path: '/connect', legacyPath: '/connect', role: adminWrites, router: connectRoutes },
+  { path: '/platforms', legacyPath: '/platforms', router: platformRoutes },
+  { path: '/bridge', legacyPath: '/bridge', role: adminWrites, router: bridgeRoutes },
+
+  // User and account management routes
+  { path: '/accounts', legacyPath: '/accounts', router: accountRoutes },
+  { path: '/user', legacyPath: '/user', role: personal, router: userRoutes },
+  { path: '/onboarding', legacyPath: '/onboarding', role: personal, router: onboardingRoutes },
+
+  // Administrative routes
+  { path: '/admin', legacyPath: '/admin', router: adminRoutes },
+  { path: '/reports', legacyPath: '/reports', scope: tokenScope('reports'), router: reportRoutes }
+];
+
+const mount = (router, path, { scope, role, router: apiRouter }, ...middleware) => {
+  router.use(path, ...middleware, ...[scope, role].filter(Boolean), apiRouter);
+};
+
+// /api/v1: requests are checked against openapi/ and every error answers
+// { status: 'error', code, message, details? }
+export const v1Router = express.Router();
+
+v1Router.get('/openapi.json', (req, res) => {
+  res.json(openapiSpec);
+});
+
+v1Router.use(validateOpenApi(openapiSpec));
+v1Router.use(consistentErrors);
+for (const route of API_ROUTES) mount(v1Router, route.path, route);
+v1Router.use(apiNotFound);
+v1Router.use(apiErrorHandler);
+
+// Unversioned paths keep their old behaviour and point at their successor
+const deprecated = path => (req, res, next) => {
+  res.set({
+    Deprecation: 'true',
+    Link: `</api/v1${path}${req.path === '/' ? '' : req.path}>; rel="successor-version"`
+  });
+  next();
+};
+
+export const mountLegacyRoutes = app => {
+  for (const route of API_ROUTES) mount(app, route.legacyPath, route, deprecated(route.path));
+};
@@ -1,12 +1,12 @@
 import express from 'express';
 import { bridgeManager } from '../services/bridgeManager.js';
-import authMiddleware from '../middleware/authMiddleware.js';
+import { authenticateUser } from '../middleware/auth.js';
 import supabase from '../utils/supabase.js';
 import { initializePlatformBridge } from '../services/matrixBridgeService.js';
 
 const router = express.Router();
 
-router.post('/initialize', authMiddleware, async (req, res) => {
+router.post('/initialize', authenticateUser, async (req, res) => {
   const { userId, platform } = req.body;
 
   try {
@@ -33,7 +33,7 @@ router.post('/initialize', authMiddleware, async (req, res) => {
   }
 });
 
-router.post('/:platform/connect', authMiddleware, async (req, res) => {
+router.post('/:platform/connect', authenticateUser, async (req, res) => {
   const { platform } = req.params;
   const { userId } = req.body;
 
@@ -0,0 +1,74 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { digestService } from '../services/digestService.js';
+
+const router = express.Router();
+router.use(authenticateUser);
+
+const sendError = (res, error, label) => {
+  console.error(`${label}:`, error);
+  res.status(error.status || 500).json({
+    status: 'error',
+    message: error.message,
+    ...(error.details ? { details: error.details } : {})
+  });
+};
+
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await digestService.listSchedules(req.workspace.id);
+    res.json({ status: 'success', data: schedules });
+  } catch (error) {
+    sendError(res, error, 'Error fetching digest schedules');
+  }
+});
+
+// Body: { name, conversations: [{ platform, conversationId }], cadence: daily|weekly,
+//         dayOfWeek (0-6, weekly only), hour, timezone, outputFormat: pdf|markdown|notification }
+router.post('/', async (req, res) => {
+  try {
+    const schedule = await digestService.createSchedule(req.workspace.id, req.user.id, req.body);
+    res.status(201).json({ status: 'success', data: schedule });
+  } catch (error) {
+    sendError(res, error, 'Error creating digest schedule');
+  }
+});
+
+router.get('/:scheduleId', async (req, res) => {
+  try {
+    const schedule = await digestService.getSchedule(req.workspace.id, req.params.scheduleId);
+    res.json({ status: 'success', data: schedule });
+  } catch (error) {
+    sendError(res, error, 'Error fetching digest schedule');
+  }
+});
+
+router.put('/:scheduleId', async (req, res) => {
+  try {
+    const schedule = await digestService.updateSchedule(req.workspace.id, req.params.scheduleId, req.body);
+    res.json({ status: 'success', data: schedule });
+  } catch (error) {
+    sendError(res, error, 'Error updating digest schedule');
+  }
+});
+
+router.delete('/:scheduleId', async (req, res) => {
+  try {
+    await digestService.deleteSchedule(req.workspace.id, req.params.scheduleId);
+    res.json({ status: 'success' });
+  } catch (error) {
+    sendError(res, error, 'Error deleting digest schedule');
+  }
+});
+
+// Generate a digest for the last period right away
+router.post('/:scheduleId/run', async (req, res) => {
+  try {
+    const job = await digestService.runNow(req.workspace.id, req.params.scheduleId);
+    res.status(202).json({ status: 'success', data: { job } });
+  } catch (error) {
+    sendError(res, error, 'Error running digest');
+  }
+});
+
+export default router;
@@ -0,0 +1,123 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { discordRealtimeService } from '../services/discordRealtimeService.js';
+import { discordBackfillService } from '../services/discordBackfillService.js';
+import { getDiscordChannel, ensureDiscordGateway } from '../services/directServices/discordDirect.js';
+
+const router = express.Router();
+router.use(authenticateUser);
+
+function sendError(res, error, message) {
+  console.error(`${message}:`, error);
+  res.status(error.status || 500).json({
+    status: 'error',
+    message: error.message
+  });
+}
+
+// Channels captured live from the gateway
+router.get('/captured', async (req, res) => {
+  try {
+    const channels = await discordRealtimeService.listSubscriptions(req.user.id);
+    res.json({
+      status: 'success',
+      data: channels
+    });
+  } catch (error) {
+    sendError(res, error, 'Error listing captured Discord channels');
+  }
+});
+
+router.put('/:channelId/capture', async (req, res) => {
+  try {
+    let channel;
+    try {
+      channel = await getDiscordChannel(req.user.id, req.params.channelId);
+    } catch (error) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Channel not found or not visible to the bot'
+      });
+    }
+
+    const subscription = await discordRealtimeService.subscribe(req.user.id, channel);
+    await ensureDiscordGateway(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: subscription
+    });
+  } catch (error) {
+    sendError(res, error, 'Error enabling Discord channel capture');
+  }
+});
+
+router.delete('/:channelId/capture', async (req, res) => {
+  try {
+    const subscription = await discordRealtimeService.unsubscribe(req.user.id, req.params.channelId);
+    res.json({
+      status: 'success',
+      data: subscription
+    });
+  } catch (error) {
+    sendError(res, error, 'Error disabling Discord channel capture');
+  }
+});
+
+router.get('/backfills', async (req, res) => {
+  try {
+    const backfills = await discordBackfillService.listBackfills(req.user.id);
+    res.json({
+      status: 'success',
+      data: backfills
+    });
+  } catch (error) {
+    sendError(res, error, 'Error listing Discord backfills');
+  }
+});
+
+router.get('/:channelId/backfill', async (req, res) => {
+  try {
+    const backfill = await discordBackfillService.getBackfill(req.user.id, req.params.channelId);
+    res.json({
+      status: 'success',
+      data: backfill
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching Discord backfill');
+  }
+});
+
+// Body: { since } or { days } (0 for no date bound), { maxMessages }, { restart }
+router.post('/:channelId/backfill', async (req, res) => {
+  try {
+    const { since, days, maxMessages, restart } = req.body || {};
+    const result = await discordBackfillService.startBackfill(req.user.id, req.params.channelId, {
+      since,
+      days: days === undefined ? null : Number(days),
+      maxMessages,
+      restart: restart === true
+    });
+
+    res.status(202).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    sendError(res, error, 'Error starting Discord backfill');
+  }
+});
+
+router.delete('/:channelId/backfill', async (req, res) => {
+  try {
+    const backfill = await discordBackfillService.cancelBackfill(req.user.id, req.params.channelId);
+    res.json({
+      status: 'success',
+      data: backfill
+    });
+  } catch (error) {
+    sendError(res, error, 'Error cancelling Discord backfill');
+  }
+});
+
+export default router;
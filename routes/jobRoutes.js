@@ -0,0 +1,80 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { jobQueueService } from '../services/jobQueueService.js';
+
+const router = express.Router();
+router.use(authenticateUser);
+
+// List the current user's jobs
+// Query: status (queued, running, completed, dead, cancelled), type, limit
+router.get('/', async (req, res) => {
+  try {
+    const { status, type, limit } = req.query;
+    const jobs = await jobQueueService.listJobs(req.user.id, { status, type, limit });
+
+    res.json({
+      status: 'success',
+      data: jobs
+    });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+router.get('/:jobId', async (req, res) => {
+  try {
+    const job = await jobQueueService.getJob(req.user.id, req.params.jobId);
+
+    res.json({
+      status: 'success',
+      data: job
+    });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// Requeue a dead-lettered or cancelled job
+router.post('/:jobId/retry', async (req, res) => {
+  try {
+    const job = await jobQueueService.retryJob(req.user.id, req.params.jobId);
+
+    res.json({
+      status: 'success',
+      data: job
+    });
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+router.post('/:jobId/cancel', async (req, res) => {
+  try {
+    const job = await jobQueueService.cancelJob(req.user.id, req.params.jobId);
+
+    res.json({
+      status: 'success',
+      data: job
+    });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+export default router;
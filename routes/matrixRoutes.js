@@ -1,16 +1,16 @@
 import express from 'express';
 import { matrixWhatsAppService } from '../services/matrixWhatsAppService.js';
-import authMiddleware from '../middleware/authMiddleware.js';
+import { authenticateUser } from '../middleware/auth.js';
 import { validateBridgeBot } from '../utils/matrixValidation.js';
 import { adminClient } from '../utils/supabase.js';
 
 const router = express.Router();
 
 // Initialize Matrix client
-router.post('/initialize', authMiddleware, async (req, res) => {
+router.post('/initialize', authenticateUser, async (req, res) => {
   try {
     const { userId: matrixUserId, password, homeserver } = req.body;
-    const systemUserId = req.user.id; // Get the authenticated user's UUID from authMiddleware
+    const systemUserId = req.user.id; // Get the authenticated user's UUID from authenticateUser
     const authToken = req.headers.authorization?.split(' ')[1]; // Get the JWT token
 
     if (!authToken) {
@@ -59,7 +59,7 @@ router.post('/initialize', authMiddleware, async (req, res) => {
 });
 
 // Connect WhatsApp
-router.post('/whatsapp/connect', authMiddleware, async (req, res) => {
+router.post('/whatsapp/connect', authenticateUser, async (req, res) => {
   try {
     const userId = req.user.id;  // Get userId from authenticated request
     console.log('Connecting WhatsApp for user:', userId);
@@ -76,7 +76,7 @@ router.post('/whatsapp/connect', authMiddleware, async (req, res) => {
 });
 
 // Disconnect WhatsApp
-router.post('/whatsapp/disconnect', authMiddleware, async (req, res) => {
+router.post('/whatsapp/disconnect', authenticateUser, async (req, res) => {
   const { userId } = req.body;
 
   try {
@@ -92,7 +92,7 @@ router.post('/whatsapp/disconnect', authMiddleware, async (req, res) => {
 });
 
 // Get WhatsApp connection status
-router.get('/whatsapp/status', authMiddleware, async (req, res) => {
+router.get('/whatsapp/status', authenticateUser, async (req, res) => {
   const { userId } = req.query;
 
   try {
@@ -108,7 +108,7 @@ router.get('/whatsapp/status', authMiddleware, async (req, res) => {
 });
 
 // Sync WhatsApp messages
-router.post('/whatsapp/sync', authMiddleware, async (req, res) => {
+router.post('/whatsapp/sync', authenticateUser, async (req, res) => {
   const { userId } = req.body;
 
   try {
@@ -124,7 +124,7 @@ router.post('/whatsapp/sync', authMiddleware, async (req, res) => {
 });
 
 // Add status check endpoints
-router.get('/status', authMiddleware, async (req, res) => {
+router.get('/status', authenticateUser, async (req, res) => {
   try {
     const userId = req.user.id;
     const isConnected = await matrixWhatsAppService.validateMatrixClient(userId);
@@ -142,7 +142,7 @@ router.get('/status', authMiddleware, async (req, res) => {
   }
 });
 
-router.get('/whatsapp/bridge/status', authMiddleware, async (req, res) => {
+router.get('/whatsapp/bridge/status', authenticateUser, async (req, res) => {
   try {
     const userId = req.user.id;
     console.log('Checking bridge status for user:', userId);
@@ -184,7 +184,7 @@ router.get('/whatsapp/bridge/status', authMiddleware, async (req, res) => {
 });
 
 // Add this route to handle media proxy
-router.get('/media/proxy', authMiddleware, async (req, res) => {
+router.get('/media/proxy', authenticateUser, async (req, res) => {
   try {
     const { mxc_url } = req.query;
     if (!mxc_url) {
@@ -257,7 +257,7 @@ router.get('/media/proxy', authMiddleware, async (req, res) => {
 });
 
 // Update WhatsApp connection status
-router.post('/whatsapp/update-status', authMiddleware, async (req, res) => {
+router.post('/whatsapp/update-status', authenticateUser, async (req, res) => {
   try {
     const { status, bridgeRoomId } = req.body;
     const userId = req.user.id;
@@ -338,7 +338,7 @@ router.post('/whatsapp/update-status', authMiddleware, async (req, res) => {
 });
 
 // Remove duplicate routes
-router.get('/whatsapp/invites', authMiddleware, async (req, res) => {
+router.get('/whatsapp/invites', authenticateUser, async (req, res) => {
   try {
     const userId = req.user.id;
     console.log('Getting pending invites for user:', userId);
@@ -359,7 +359,7 @@ router.get('/whatsapp/invites', authMiddleware, async (req, res) => {
 });
 
 // Single accept-invite route
-router.post('/whatsapp/accept-invite', authMiddleware, async (req, res) => {
+router.post('/whatsapp/accept-invite', authenticateUser, async (req, res) => {
   try {
     const { roomId } = req.body;
     const userId = req.user.id;
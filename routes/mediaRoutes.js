@@ -0,0 +1,98 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { mediaService } from '../services/mediaService.js';
+
+const router = express.Router();
+router.use(authenticateUser);
+
+function sendError(res, error, message) {
+  console.error(`${message}:`, error);
+  if (res.headersSent) {
+    res.destroy(error);
+    return;
+  }
+  res.status(error.status || 500).json({
+    status: 'error',
+    message: error.message
+  });
+}
+
+// Types browsers may render in the page; anything else is downloaded
+const INLINE_TYPE_PATTERN = /^(image|video|audio)\/|^application\/pdf$/;
+
+// Stream a cached media file; sendFile answers Range and conditional requests
+async function sendMedia(req, res, variant) {
+  const file = await mediaService.getMediaFile(req.workspace.id, req.params.mediaId, variant);
+  const inline = req.query.download !== 'true' && INLINE_TYPE_PATTERN.test(file.mimetype || '');
+
+  if (file.filename || !inline) {
+    // res.attachment encodes non-ASCII names; switch to inline for types safe to render
+    res.attachment(file.filename || undefined);
+    if (inline) {
+      res.setHeader('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+    }
+  }
+  // After res.attachment, which guesses the type from the file extension
+  res.type(file.mimetype);
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  // Uploaded files are untrusted: no sniffing a different type, and no
+  // scripts or same-origin access if one is opened directly
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Content-Security-Policy', 'sandbox');
+
+  await new Promise((resolve, reject) => {
+    res.sendFile(file.path, { acceptRanges: true, cacheControl: false }, error => (
+      error && !res.headersSent ? reject(error) : resolve()
+    ));
+  });
+}
+
+// Query: messageId, platform, conversationId, limit
+router.get('/', async (req, res) => {
+  try {
+    const media = await mediaService.listMedia(req.workspace.id, {
+      messageId: req.query.messageId,
+      platform: req.query.platform,
+      conversationId: req.query.conversationId,
+      limit: req.query.limit
+    });
+
+    res.json({
+      status: 'success',
+      data: media
+    });
+  } catch (error) {
+    sendError(res, error, 'Error listing media');
+  }
+});
+
+router.get('/:mediaId', async (req, res) => {
+  try {
+    const asset = await mediaService.getAsset(req.workspace.id, req.params.mediaId);
+    res.json({
+      status: 'success',
+      data: asset
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching media metadata');
+  }
+});
+
+// Full-size file. Query: download=true to force an attachment disposition
+router.get('/:mediaId/content', async (req, res) => {
+  try {
+    await sendMedia(req, res, 'full');
+  } catch (error) {
+    sendError(res, error, 'Error serving media');
+  }
+});
+
+router.get('/:mediaId/thumbnail', async (req, res) => {
+  try {
+    await sendMedia(req, res, 'thumbnail');
+  } catch (error) {
+    sendError(res, error, 'Error serving media thumbnail');
+  }
+});
+
+export default router;
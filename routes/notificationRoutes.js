@@ -0,0 +1,55 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { notificationService } from '../services/notificationService.js';
+
+const router = express.Router();
+router.use(authenticateUser);
+
+// Query: unread=true, limit
+router.get('/', async (req, res) => {
+  try {
+    const notifications = await notificationService.listNotifications(req.user.id, {
+      unreadOnly: req.query.unread === 'true',
+      limit: req.query.limit
+    });
+
+    res.json({
+      status: 'success',
+      data: notifications
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+router.post('/read', async (req, res) => {
+  try {
+    const { notificationIds } = req.body;
+
+    if (!Array.isArray(notificationIds) || notificationIds.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'notificationIds must be a non-empty array'
+      });
+    }
+
+    const updated = await notificationService.markAsRead(req.user.id, notificationIds);
+
+    res.json({
+      status: 'success',
+      data: { updated: updated.length }
+    });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,428 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { peopleService } from '../services/peopleService.js';
+import { contactProfileService } from '../services/contactProfileService.js';
+
+const router = express.Router();
+router.use(authenticateUser);
+
+function sendError(res, error, message) {
+  console.error(`${message}:`, error);
+  res.status(error.status || 500).json({
+    status: 'error',
+    message: error.message
+  });
+}
+
+// Query: search, platform, tags (comma-separated ids or names, all must
+// match), filter[<key>]=value or filter[<key>][<op>]=value for custom fields,
+// sort (display_name, created_at, updated_at, last_seen_at or field:<key>),
+// order (asc|desc), limit, offset
+router.get('/', async (req, res) => {
+  try {
+    const result = await peopleService.listPeople(req.workspace.id, {
+      search: req.query.search,
+      platform: req.query.platform,
+      tags: req.query.tags,
+      filters: req.query.filter,
+      sort: req.query.sort,
+      order: req.query.order,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    sendError(res, error, 'Error listing people');
+  }
+});
+
+// Link every known sender and WhatsApp contact to a person, then refresh
+// merge suggestions. Runs as a people.sync job.
+router.post('/sync', async (req, res) => {
+  try {
+    const job = await peopleService.startSync(req.workspace.id, req.user.id);
+    res.status(202).json({
+      status: 'success',
+      data: job
+    });
+  } catch (error) {
+    sendError(res, error, 'Error starting people sync');
+  }
+});
+
+// Query: status (pending|dismissed, default pending), limit
+router.get('/suggestions', async (req, res) => {
+  try {
+    const suggestions = await peopleService.listSuggestions(req.workspace.id, {
+      status: req.query.status || 'pending',
+      limit: req.query.limit
+    });
+
+    res.json({
+      status: 'success',
+      data: suggestions
+    });
+  } catch (error) {
+    sendError(res, error, 'Error listing merge suggestions');
+  }
+});
+
+router.post('/suggestions/:suggestionId/accept', async (req, res) => {
+  try {
+    const person = await peopleService.acceptSuggestion(req.workspace.id, req.user.id, req.params.suggestionId);
+    res.json({
+      status: 'success',
+      data: person
+    });
+  } catch (error) {
+    sendError(res, error, 'Error accepting merge suggestion');
+  }
+});
+
+router.post('/suggestions/:suggestionId/dismiss', async (req, res) => {
+  try {
+    const suggestion = await peopleService.dismissSuggestion(req.workspace.id, req.params.suggestionId);
+    res.json({
+      status: 'success',
+      data: suggestion
+    });
+  } catch (error) {
+    sendError(res, error, 'Error dismissing merge suggestion');
+  }
+});
+
+// Body: { targetId, sourceIds: [...] }; the sources are merged into the target
+router.post('/merge', async (req, res) => {
+  try {
+    const { targetId, sourceIds } = req.body || {};
+    if (!targetId || !Array.isArray(sourceIds)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'targetId and sourceIds are required'
+      });
+    }
+
+    const person = await peopleService.mergePeople(req.workspace.id, req.user.id, targetId, sourceIds);
+    res.json({
+      status: 'success',
+      data: person
+    });
+  } catch (error) {
+    sendError(res, error, 'Error merging people');
+  }
+});
+
+// Tag taxonomy
+
+router.get('/tags', async (req, res) => {
+  try {
+    const tags = await contactProfileService.listTags(req.workspace.id);
+    res.json({
+      status: 'success',
+      data: tags
+    });
+  } catch (error) {
+    sendError(res, error, 'Error listing tags');
+  }
+});
+
+// Body: { name, color, description }
+router.post('/tags', async (req, res) => {
+  try {
+    const tag = await contactProfileService.createTag(req.workspace.id, req.user.id, req.body || {});
+    res.status(201).json({
+      status: 'success',
+      data: tag
+    });
+  } catch (error) {
+    sendError(res, error, 'Error creating tag');
+  }
+});
+
+router.patch('/tags/:tagId', async (req, res) => {
+  try {
+    const tag = await contactProfileService.updateTag(req.workspace.id, req.params.tagId, req.body || {});
+    res.json({
+      status: 'success',
+      data: tag
+    });
+  } catch (error) {
+    sendError(res, error, 'Error updating tag');
+  }
+});
+
+router.delete('/tags/:tagId', async (req, res) => {
+  try {
+    await contactProfileService.deleteTag(req.workspace.id, req.params.tagId);
+    res.json({ status: 'success' });
+  } catch (error) {
+    sendError(res, error, 'Error deleting tag');
+  }
+});
+
+// Custom field definitions
+
+router.get('/fields', async (req, res) => {
+  try {
+    const fields = await contactProfileService.listFields(req.workspace.id);
+    res.json({
+      status: 'success',
+      data: fields
+    });
+  } catch (error) {
+    sendError(res, error, 'Error listing custom fields');
+  }
+});
+
+// Body: { key, label, type (text|number|date|boolean|select|multi_select),
+// options (select types only), position }
+router.post('/fields', async (req, res) => {
+  try {
+    const field = await contactProfileService.createField(req.workspace.id, req.user.id, req.body || {});
+    res.status(201).json({
+      status: 'success',
+      data: field
+    });
+  } catch (error) {
+    sendError(res, error, 'Error creating custom field');
+  }
+});
+
+// Body: { label, options, position }
+router.patch('/fields/:fieldId', async (req, res) => {
+  try {
+    const field = await contactProfileService.updateField(req.workspace.id, req.params.fieldId, req.body || {});
+    res.json({
+      status: 'success',
+      data: field
+    });
+  } catch (error) {
+    sendError(res, error, 'Error updating custom field');
+  }
+});
+
+router.delete('/fields/:fieldId', async (req, res) => {
+  try {
+    await contactProfileService.deleteField(req.workspace.id, req.params.fieldId);
+    res.json({ status: 'success' });
+  } catch (error) {
+    sendError(res, error, 'Error deleting custom field');
+  }
+});
+
+router.get('/:personId', async (req, res) => {
+  try {
+    const person = await peopleService.getPerson(req.workspace.id, req.params.personId);
+    res.json({
+      status: 'success',
+      data: person
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching person');
+  }
+});
+
+// Body: { displayName, email, phone, avatarUrl }
+router.patch('/:personId', async (req, res) => {
+  try {
+    const person = await peopleService.updatePerson(req.workspace.id, req.params.personId, req.body || {});
+    res.json({
+      status: 'success',
+      data: person
+    });
+  } catch (error) {
+    sendError(res, error, 'Error updating person');
+  }
+});
+
+// Body: { identityIds: [...] }; those identities move to a new person
+router.post('/:personId/split', async (req, res) => {
+  try {
+    const result = await peopleService.splitPerson(req.workspace.id, req.user.id, req.params.personId, req.body?.identityIds);
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    sendError(res, error, 'Error splitting person');
+  }
+});
+
+// Notes, tags and custom field values of one person
+
+// Query: includeDeleted=true to list deleted notes too
+router.get('/:personId/notes', async (req, res) => {
+  try {
+    const notes = await contactProfileService.listNotes(req.workspace.id, req.params.personId, {
+      includeDeleted: req.query.includeDeleted === 'true'
+    });
+    res.json({
+      status: 'success',
+      data: notes
+    });
+  } catch (error) {
+    sendError(res, error, 'Error listing notes');
+  }
+});
+
+// Body: { body, pinned }
+router.post('/:personId/notes', async (req, res) => {
+  try {
+    const note = await contactProfileService.createNote(req.workspace.id, req.user.id, req.params.personId, req.body || {});
+    res.status(201).json({
+      status: 'success',
+      data: note
+    });
+  } catch (error) {
+    sendError(res, error, 'Error creating note');
+  }
+});
+
+// Body: { body, pinned }
+router.patch('/:personId/notes/:noteId', async (req, res) => {
+  try {
+    const note = await contactProfileService.updateNote(req.workspace.id, req.params.personId, req.params.noteId, req.body || {});
+    res.json({
+      status: 'success',
+      data: note
+    });
+  } catch (error) {
+    sendError(res, error, 'Error updating note');
+  }
+});
+
+// Soft delete; the note stays in its history and can be restored
+router.delete('/:personId/notes/:noteId', async (req, res) => {
+  try {
+    const note = await contactProfileService.deleteNote(req.workspace.id, req.params.personId, req.params.noteId);
+    res.json({
+      status: 'success',
+      data: note
+    });
+  } catch (error) {
+    sendError(res, error, 'Error deleting note');
+  }
+});
+
+router.post('/:personId/notes/:noteId/restore', async (req, res) => {
+  try {
+    const note = await contactProfileService.restoreNote(req.workspace.id, req.params.personId, req.params.noteId);
+    res.json({
+      status: 'success',
+      data: note
+    });
+  } catch (error) {
+    sendError(res, error, 'Error restoring note');
+  }
+});
+
+router.get('/:personId/notes/:noteId/history', async (req, res) => {
+  try {
+    const history = await contactProfileService.getNoteHistory(req.workspace.id, req.params.personId, req.params.noteId);
+    res.json({
+      status: 'success',
+      data: history
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching note history');
+  }
+});
+
+// Body: { tags: [id or name, ...] }; unknown names become new tags
+router.post('/:personId/tags', async (req, res) => {
+  try {
+    const tags = await contactProfileService.addTags(req.workspace.id, req.user.id, req.params.personId, req.body?.tags);
+    res.json({
+      status: 'success',
+      data: tags
+    });
+  } catch (error) {
+    sendError(res, error, 'Error tagging person');
+  }
+});
+
+// Body: { tags: [id or name, ...] }; replaces the person's tags
+router.put('/:personId/tags', async (req, res) => {
+  try {
+    const tags = await contactProfileService.setTags(req.workspace.id, req.user.id, req.params.personId, req.body?.tags);
+    res.json({
+      status: 'success',
+      data: tags
+    });
+  } catch (error) {
+    sendError(res, error, 'Error setting person tags');
+  }
+});
+
+router.delete('/:personId/tags/:tagId', async (req, res) => {
+  try {
+    const tags = await contactProfileService.removeTag(req.workspace.id, req.params.personId, req.params.tagId);
+    res.json({
+      status: 'success',
+      data: tags
+    });
+  } catch (error) {
+    sendError(res, error, 'Error removing tag from person');
+  }
+});
+
+// Body: { [fieldKey]: value }; null clears a field
+router.patch('/:personId/fields', async (req, res) => {
+  try {
+    const customFields = await contactProfileService.setFieldValues(req.workspace.id, req.user.id, req.params.personId, req.body);
+    res.json({
+      status: 'success',
+      data: customFields
+    });
+  } catch (error) {
+    sendError(res, error, 'Error updating custom field values');
+  }
+});
+
+router.get('/:personId/conversations', async (req, res) => {
+  try {
+    const conversations = await peopleService.getPersonConversations(req.workspace.id, req.params.personId);
+    res.json({
+      status: 'success',
+      data: conversations
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching person conversations');
+  }
+});
+
+// Query: limit, before (timestamp of the last message of the previous page)
+router.get('/:personId/messages', async (req, res) => {
+  try {
+    const result = await peopleService.getPersonMessages(req.workspace.id, req.params.personId, {
+      limit: req.query.limit,
+      before: req.query.before
+    });
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching person messages');
+  }
+});
+
+// Priority, AI summaries and open tasks across the person's conversations
+router.get('/:personId/insights', async (req, res) => {
+  try {
+    const insights = await peopleService.getPersonInsights(req.workspace.id, req.params.personId);
+    res.json({
+      status: 'success',
+      data: insights
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching person insights');
+  }
+});
+
+export default router;
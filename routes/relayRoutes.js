@@ -0,0 +1,96 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { relayService } from '../services/relayService.js';
+
+const router = express.Router();
+router.use(authenticateUser);
+
+const sendError = (res, error, label) => {
+  console.error(`${label}:`, error);
+  res.status(error.status || 500).json({
+    status: 'error',
+    message: error.message,
+    ...(error.details ? { details: error.details } : {})
+  });
+};
+
+// List relay mappings, optionally ?status=active|paused
+router.get('/', async (req, res) => {
+  try {
+    const mappings = await relayService.listMappings(req.workspace.id, { status: req.query.status || null });
+    res.json({ status: 'success', data: mappings });
+  } catch (error) {
+    sendError(res, error, 'Error fetching relay mappings');
+  }
+});
+
+// Body: { sourcePlatform, sourceChannelId, sourceName, targetPlatform,
+// targetChannelId, targetName, bidirectional, filters, relayEdits, relayDeletes }
+router.post('/', async (req, res) => {
+  try {
+    const mapping = await relayService.createMapping(req.workspace.id, req.user.id, req.body || {});
+    res.status(201).json({ status: 'success', data: mapping });
+  } catch (error) {
+    sendError(res, error, 'Error creating relay mapping');
+  }
+});
+
+router.get('/:mappingId', async (req, res) => {
+  try {
+    const mapping = await relayService.getMapping(req.workspace.id, req.params.mappingId);
+    res.json({ status: 'success', data: mapping });
+  } catch (error) {
+    sendError(res, error, 'Error fetching relay mapping');
+  }
+});
+
+router.patch('/:mappingId', async (req, res) => {
+  try {
+    const mapping = await relayService.updateMapping(req.workspace.id, req.params.mappingId, req.body || {});
+    res.json({ status: 'success', data: mapping });
+  } catch (error) {
+    sendError(res, error, 'Error updating relay mapping');
+  }
+});
+
+router.delete('/:mappingId', async (req, res) => {
+  try {
+    await relayService.deleteMapping(req.workspace.id, req.params.mappingId);
+    res.json({ status: 'success' });
+  } catch (error) {
+    sendError(res, error, 'Error deleting relay mapping');
+  }
+});
+
+router.post('/:mappingId/pause', async (req, res) => {
+  try {
+    const mapping = await relayService.pauseMapping(req.workspace.id, req.params.mappingId);
+    res.json({ status: 'success', data: mapping });
+  } catch (error) {
+    sendError(res, error, 'Error pausing relay mapping');
+  }
+});
+
+router.post('/:mappingId/resume', async (req, res) => {
+  try {
+    const mapping = await relayService.resumeMapping(req.workspace.id, req.params.mappingId);
+    res.json({ status: 'success', data: mapping });
+  } catch (error) {
+    sendError(res, error, 'Error resuming relay mapping');
+  }
+});
+
+// Relay log: copies posted through this mapping, ?status=sent|edited|deleted|failed
+router.get('/:mappingId/messages', async (req, res) => {
+  try {
+    const messages = await relayService.listRelayedMessages(req.workspace.id, req.params.mappingId, {
+      limit: req.query.limit,
+      status: req.query.status || null
+    });
+    res.json({ status: 'success', data: messages });
+  } catch (error) {
+    sendError(res, error, 'Error fetching relayed messages');
+  }
+});
+
+export default router;
@@ -0,0 +1,52 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { rulesService } from '../services/rulesService.js';
+
+// Replies drafted by the ai_reply rule action, waiting to be sent or discarded
+const router = express.Router();
+router.use(authenticateUser);
+
+function sendError(res, error, message) {
+  console.error(`${message}:`, error);
+  res.status(error.status || 500).json({
+    status: 'error',
+    message: error.message
+  });
+}
+
+// Query: status (draft|sent|discarded|all, default draft), conversationId, limit
+router.get('/', async (req, res) => {
+  try {
+    const drafts = await rulesService.listDrafts(req.workspace.id, {
+      status: req.query.status,
+      conversationId: req.query.conversationId,
+      limit: req.query.limit
+    });
+    res.json({ status: 'success', data: drafts });
+  } catch (error) {
+    sendError(res, error, 'Error fetching reply drafts');
+  }
+});
+
+// Body: { content } to send an edited reply instead of the draft as written
+router.post('/:draftId/send', async (req, res) => {
+  try {
+    const draft = await rulesService.sendDraft(req.workspace.id, req.user.id, req.params.draftId, {
+      content: req.body?.content
+    });
+    res.json({ status: 'success', data: draft });
+  } catch (error) {
+    sendError(res, error, 'Error sending reply draft');
+  }
+});
+
+router.post('/:draftId/discard', async (req, res) => {
+  try {
+    const draft = await rulesService.discardDraft(req.workspace.id, req.params.draftId);
+    res.json({ status: 'success', data: draft });
+  } catch (error) {
+    sendError(res, error, 'Error discarding reply draft');
+  }
+});
+
+export default router;
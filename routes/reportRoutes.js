@@ -1,52 +1,49 @@
 import express from 'express';
 import { supabase } from '../utils/supabase.js';
-import { generateChannelReport, generateBasicReport } from '../services/aiService.js';
-import { getChannelMessages } from '../services/discordService.js';
+import reportService from '../services/reportService.js';
+import { jobQueueService } from '../services/jobQueueService.js';
+import { digestService } from '../services/digestService.js';
 import { authenticateUser } from '../middleware/auth.js';
 
 const router = express.Router();
 
 router.use(authenticateUser);
 
-// Generate report for a channel
+// Generate report for a channel. With ?async=true the report is generated
+// by the job queue and the job is returned instead. ?days=N (or ?since=)
+// reports on stored history, e.g. after a backfill, instead of today.
 router.post('/discord/channels/:channelId/report', async (req, res) => {
   try {
     const { channelId } = req.params;
     const userId = req.user.id;
 
-    // Fetch today's messages
-    const messages = await getChannelMessages(channelId);
-    
-    if (!messages || messages.length === 0) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'No messages found for today'
-      });
+    let since = null;
+    if (req.query.since || req.query.days) {
+      since = req.query.since
+        ? new Date(req.query.since)
+        : new Date(Date.now() - parseFloat(req.query.days) * 24 * 60 * 60 * 1000);
+      if (isNaN(since.getTime())) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid since or days'
+        });
+      }
+      since = since.toISOString();
     }
 
-    let reportData;
-    try {
-      // Try AI report generation first
-      reportData = await generateChannelReport(messages, channelId);
-    } catch (error) {
-      console.warn('AI report generation failed, falling back to basic report:', error);
-      // Fall back to basic report if AI fails
-      reportData = generateBasicReport(messages);
-    }
+    if (req.query.async === 'true') {
+      const job = await jobQueueService.enqueue('discord.channel_report', { channelId, since }, {
+        userId,
+        dedupeKey: `${userId}:${channelId}`
+      });
 
-    // Store report in database
-    const { data: report, error: dbError } = await supabase
-      .from('channel_reports')
-      .insert({
-        user_id: userId,
-        channel_id: channelId,
-        report_data: reportData,
-        created_at: new Date().toISOString()
-      })
-      .select()
-      .single();
+      return res.status(202).json({
+        status: 'success',
+        data: { job }
+      });
+    }
 
-    if (dbError) throw dbError;
+    const report = await reportService.createChannelReport(userId, channelId, { since });
 
     res.json({
       status: 'success',
@@ -54,9 +51,9 @@ router.post('/discord/channels/:channelId/report', async (req, res) => {
     });
   } catch (error) {
     console.error('Error generating report:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       status: 'error',
-      message: 'Failed to generate report',
+      message: error.status === 404 ? error.message : 'Failed to generate report',
       error: error.message
     });
   }
@@ -91,4 +88,62 @@ router.get('/discord/channels/:channelId/reports', async (req, res) => {
   }
 });
 
+// Report history across all report types
+// Query: type, scheduleId, limit, before (ISO timestamp for the next page)
+router.get('/', async (req, res) => {
+  try {
+    const { type, scheduleId, limit, before } = req.query;
+    const reports = await digestService.listReports(req.workspace.id, { type, scheduleId, limit, before });
+
+    res.json({
+      status: 'success',
+      data: reports
+    });
+  } catch (error) {
+    console.error('Error fetching reports:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+router.get('/:reportId', async (req, res) => {
+  try {
+    const report = await digestService.getReport(req.workspace.id, req.params.reportId);
+
+    res.json({
+      status: 'success',
+      data: report
+    });
+  } catch (error) {
+    console.error('Error fetching report:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// Re-download a stored report. Query: format (pdf|markdown), defaults to the report's own format
+router.get('/:reportId/download', async (req, res) => {
+  try {
+    const { body, contentType, filename } = await digestService.renderReport(
+      req.workspace.id,
+      req.params.reportId,
+      req.query.format
+    );
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('Error downloading report:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
 export default router;
@@ -2,6 +2,9 @@ import express from 'express';
 
 import Message from '../models/Message.js';
 // import { authenticateToken } from '../middleware/auth.js'; removed middleware for a while
+import { authenticateUser } from '../middleware/auth.js';
+import { peopleService } from '../services/peopleService.js';
+import { contactProfileService } from '../services/contactProfileService.js';
 import { getRoomMessages, getRoomSummary, getCustomerDetails, sendMessage, calculateMessagePriority, categorizeMessage, analyzeSentiment,generateMessageSummary, extractKeyTopics } from '../services/matrixService.js';
 
 const router = express.Router();
@@ -108,8 +111,9 @@ router.get('/:roomId/messages',  async (req, res) => {
 });
 
 
-// Get customer details with enhanced error handling
-router.get('/:roomId/customer',  async (req, res) => {
+// Get customer details with enhanced error handling. Notes, tags and custom
+// fields come from the person linked to the customer's WhatsApp identity.
+router.get('/:roomId/customer', authenticateUser, async (req, res) => {
   try {
     const { roomId } = req.params;
     const client = req.app.locals.matrixClient;
@@ -139,14 +143,20 @@ router.get('/:roomId/customer',  async (req, res) => {
       return res.status(404).json({ error: 'No customer found in room' });
     }
 
+    const person = await peopleService.findPersonForSender(req.workspace.id, 'whatsapp', customer.userId);
+    const profile = person
+      ? await contactProfileService.getProfile(req.workspace.id, person.id)
+      : { personId: null, notes: [], tags: [], customFields: {} };
+
     const customerDetails = {
       userId: customer.userId,
       displayName: customer.name || customer.userId,
       avatarUrl: customer.avatarUrl,
       joinedAt: room.getMember(customer.userId)?.events?.member?.getDate(),
-      notes: '',
-      tags: [],
-      customFields: {}
+      personId: profile.personId,
+      notes: profile.notes,
+      tags: profile.tags,
+      customFields: profile.customFields
     };
 
     console.log('Customer details:', customerDetails);
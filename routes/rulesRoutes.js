@@ -0,0 +1,113 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { rulesService } from '../services/rulesService.js';
+import { adminClient } from '../utils/supabase.js';
+
+const router = express.Router();
+router.use(authenticateUser);
+
+const sendError = (res, error, label) => {
+  console.error(`${label}:`, error);
+  res.status(error.status || 500).json({
+    status: 'error',
+    message: error.message,
+    ...(error.details ? { details: error.details } : {})
+  });
+};
+
+const parseDryRunOptions = (body = {}) => ({
+  limit: body.limit,
+  from: body.from,
+  to: body.to,
+  platforms: Array.isArray(body.platforms) ? body.platforms : null,
+  includeAi: body.includeAi === true
+});
+
+// List rules in evaluation order
+router.get('/', async (req, res) => {
+  try {
+    const rules = await rulesService.listRules(req.workspace.id);
+    res.json({ status: 'success', data: rules });
+  } catch (error) {
+    sendError(res, error, 'Error fetching rules');
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const rule = await rulesService.createRule(req.workspace.id, req.user.id, req.body);
+    res.status(201).json({ status: 'success', data: rule });
+  } catch (error) {
+    sendError(res, error, 'Error creating rule');
+  }
+});
+
+// Dry-run an unsaved rule: { rule: {...}, limit, from, to, platforms, includeAi }
+router.post('/dry-run', async (req, res) => {
+  try {
+    const result = await rulesService.dryRun(req.workspace.id, req.user.id, req.body.rule || {}, parseDryRunOptions(req.body));
+    res.json({ status: 'success', data: result });
+  } catch (error) {
+    sendError(res, error, 'Error running rule dry-run');
+  }
+});
+
+router.get('/:ruleId', async (req, res) => {
+  try {
+    const rule = await rulesService.getRule(req.workspace.id, req.params.ruleId);
+    res.json({ status: 'success', data: rule });
+  } catch (error) {
+    sendError(res, error, 'Error fetching rule');
+  }
+});
+
+router.put('/:ruleId', async (req, res) => {
+  try {
+    const rule = await rulesService.updateRule(req.workspace.id, req.params.ruleId, req.body);
+    res.json({ status: 'success', data: rule });
+  } catch (error) {
+    sendError(res, error, 'Error updating rule');
+  }
+});
+
+router.delete('/:ruleId', async (req, res) => {
+  try {
+    await rulesService.deleteRule(req.workspace.id, req.params.ruleId);
+    res.json({ status: 'success' });
+  } catch (error) {
+    sendError(res, error, 'Error deleting rule');
+  }
+});
+
+// Dry-run a saved rule against message history
+router.post('/:ruleId/dry-run', async (req, res) => {
+  try {
+    const rule = await rulesService.getRule(req.workspace.id, req.params.ruleId);
+    const result = await rulesService.dryRun(req.workspace.id, req.user.id, rule, parseDryRunOptions(req.body));
+    res.json({ status: 'success', data: result });
+  } catch (error) {
+    sendError(res, error, 'Error running rule dry-run');
+  }
+});
+
+// Recent executions of a rule and the outcome of each action
+router.get('/:ruleId/executions', async (req, res) => {
+  try {
+    await rulesService.getRule(req.workspace.id, req.params.ruleId);
+
+    const { data, error } = await adminClient
+      .from('rule_executions')
+      .select('id, message_id, results, has_errors, created_at')
+      .eq('workspace_id', req.workspace.id)
+      .eq('rule_id', parseInt(req.params.ruleId, 10))
+      .order('created_at', { ascending: false })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 50, 200));
+
+    if (error) throw error;
+    res.json({ status: 'success', data });
+  } catch (error) {
+    sendError(res, error, 'Error fetching rule executions');
+  }
+});
+
+export default router;
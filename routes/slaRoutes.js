@@ -0,0 +1,51 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { conversationService } from '../services/conversationService.js';
+
+const router = express.Router();
+router.use(authenticateUser);
+
+function sendError(res, error, message) {
+  console.error(`${message}:`, error);
+  res.status(error.status || 500).json({
+    status: 'error',
+    message: error.message
+  });
+}
+
+// Response and resolution targets for each priority
+router.get('/policies', async (req, res) => {
+  try {
+    const policies = await conversationService.getPolicies(req.workspace.id);
+    res.json({ status: 'success', data: policies });
+  } catch (error) {
+    sendError(res, error, 'Error fetching SLA policies');
+  }
+});
+
+// Body: { policies: [{ priority, firstResponseMinutes, resolutionMinutes }] }
+router.put('/policies', async (req, res) => {
+  try {
+    const policies = await conversationService.updatePolicies(req.workspace.id, req.user.id, req.body?.policies);
+    res.json({ status: 'success', data: policies });
+  } catch (error) {
+    sendError(res, error, 'Error updating SLA policies');
+  }
+});
+
+// Query: since, until (conversations opened in between, default the last
+// 30 days), groupBy (assignee|priority)
+router.get('/report', async (req, res) => {
+  try {
+    const report = await conversationService.getReport(req.workspace.id, {
+      since: req.query.since,
+      until: req.query.until,
+      groupBy: req.query.groupBy
+    });
+    res.json({ status: 'success', data: report });
+  } catch (error) {
+    sendError(res, error, 'Error generating SLA report');
+  }
+});
+
+export default router;
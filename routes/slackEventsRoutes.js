@@ -0,0 +1,48 @@
+import express from 'express';
+import { verifySlackSignature } from '../middleware/slackSignature.js';
+import { processSlackEvent } from '../services/slackService.js';
+
+const router = express.Router();
+
+// Slack redelivers events it didn't see acknowledged in time; remember
+// recent event ids so a retry isn't processed twice
+const EVENT_ID_TTL_MS = 60 * 60 * 1000;
+const seenEventIds = new Map();
+
+function alreadySeen(eventId) {
+  const now = Date.now();
+  for (const [id, seenAt] of seenEventIds) {
+    if (now - seenAt < EVENT_ID_TTL_MS) break;
+    seenEventIds.delete(id);
+  }
+
+  if (seenEventIds.has(eventId)) return true;
+  seenEventIds.set(eventId, now);
+  return false;
+}
+
+// Public Events API endpoint, authenticated by Slack's request signature
+// rather than a user session
+router.post('/events', verifySlackSignature, (req, res) => {
+  const { type, challenge, event, team_id, event_id } = req.body || {};
+
+  if (type === 'url_verification') {
+    return res.json({ challenge });
+  }
+
+  // Slack expects an answer within 3 seconds, so events are processed
+  // after acknowledging
+  res.json({ ok: true });
+
+  if (type !== 'event_callback' || !event || !team_id) return;
+  if (event_id && alreadySeen(event_id)) {
+    console.log('[Slack Events] Skipping redelivered event:', event_id);
+    return;
+  }
+
+  processSlackEvent(team_id, event).catch(error => {
+    console.error('[Slack Events] Error processing event:', { teamId: team_id, type: event.type, error });
+  });
+});
+
+export default router;
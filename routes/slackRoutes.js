@@ -1,25 +1,29 @@
 // backend/routes/slackRoutes.js
 import express from 'express';
+import jwt from 'jsonwebtoken';
 import { authenticateUser } from '../middleware/auth.js';
-import Message from '../models/Message.js';
+import { adminClient } from '../utils/supabase.js';
 import Account from '../models/Account.js';
-import User from '../models/User.js';
-import { getSlackClientForUser, fetchSlackMessagesForUser } from '../services/slackService.js';
-import { analyzeSentiment, categorizeMessage, calculateMessagePriority } from '../services/matrixService.js';
-import { processSlackEvent, exchangeSlackCodeForToken } from '../services/slackService.js';
+import { MESSAGE_COLUMNS } from '../services/messageStoreService.js';
+import { getSlackClientForUser, fetchSlackMessagesForUser, exchangeSlackCodeForToken } from '../services/slackService.js';
+import { outboundMessageService } from '../services/outboundMessageService.js';
+import { slackThreadService } from '../services/slackThreadService.js';
 
 const router = express.Router();
 router.use(authenticateUser);
 
-// Slack event subscription endpoint:
-router.post('/events', async (req,res)=>{
-  const {challenge, event, team_id}=req.body;
-  if(challenge) return res.send(challenge);
-  if(event && team_id) {
-    await processSlackEvent(team_id, event);
-  }
-  res.json({ok:true});
-});
+// AI quota errors arrive with status 429 and keep their code and quota
+function sendError(res, error, message) {
+  console.error(`${message}:`, error);
+  res.status(error.status || 500).json({
+    status: 'error',
+    message: error.message,
+    ...(error.code === 'AI_QUOTA_EXCEEDED' && { code: error.code, quota: error.quota })
+  });
+}
+
+// Slack events are received by the public, signature-verified endpoint in
+// slackEventsRoutes.js
 
 router.get('/initiate', async(req,res)=>{
   const userId=req.user.id;
@@ -65,7 +69,7 @@ router.get('/callback', async (req,res)=>{
 // List channels for authenticated user
 router.get('/channels', async (req, res) => {
   try {
-    const slack = await getSlackClientForUser(req.user._id);
+    const slack = await getSlackClientForUser(req.user.id);
     const response = await slack.conversations.list({
       limit: 100,
       types: 'public_channel,private_channel'
@@ -75,11 +79,7 @@ router.get('/channels', async (req, res) => {
       throw new Error('Failed to fetch Slack channels');
     }
 
-    if (!response.channels) {
-      return res.json([]);
-    }
-
-    const channels = response.channels.map(ch => ({
+    const channels = (response.channels || []).map(ch => ({
       id: ch.id,
       name: ch.name,
       isMember: ch.is_member,
@@ -88,147 +88,146 @@ router.get('/channels', async (req, res) => {
       memberCount: ch.num_members || 0
     }));
 
-    res.json(channels);
+    res.json({
+      status: 'success',
+      data: channels
+    });
   } catch (error) {
-    console.error('Error fetching Slack channels:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error fetching Slack channels');
   }
 });
 
-// Send a message
-router.post('/channels/:channelId/messages',  async (req, res) => {
+// Send a message. Body: { content, threadTs?, broadcast? }; with threadTs
+// the message is posted as a reply in that thread.
+router.post('/channels/:channelId/messages', async (req, res) => {
   try {
     const { channelId } = req.params;
-    const { content, priority } = req.body;
-    const slack = await getSlackClientForUser(req.user._id);
+    const { content, threadTs, broadcast } = req.body || {};
 
     if (!content) {
-      return res.status(400).json({ error: 'Message content is required' });
+      return res.status(400).json({
+        status: 'error',
+        message: 'Message content is required'
+      });
     }
 
-    const finalPriority = priority || 'medium';
+    const result = threadTs
+      ? await slackThreadService.replyInThread(req.user.id, channelId, threadTs, content, { broadcast: broadcast === true })
+      : await outboundMessageService.sendSlackMessage(req.user.id, channelId, content);
 
-    const response = await slack.chat.postMessage({
-      channel: channelId,
-      text: content
+    res.json({
+      status: 'success',
+      data: {
+        messageId: result.messageId,
+        threadTs: threadTs || null
+      }
     });
+  } catch (error) {
+    sendError(res, error, 'Failed to send Slack message');
+  }
+});
 
-    if (!response.ok) {
-      throw new Error('Failed to send Slack message');
-    }
+// Channel timeline: top-level messages and replies broadcast to the channel.
+// Threaded parents carry threadTs and replyCount so clients can open them.
+router.get('/channels/:channelId/messages', async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
 
-    const sender = response.message.user || 'unknown_user';
-    await Message.create({
-      content,
-      sender,
-      senderName: sender,
-      priority: finalPriority,
-      platform: 'slack',
-      roomId: channelId,
-      timestamp: new Date()
+    await fetchSlackMessagesForUser(req.user.id, channelId).catch(error => {
+      console.error('Error syncing Slack channel history:', error);
     });
 
+    const { data, error } = await adminClient
+      .from('messages')
+      .select(MESSAGE_COLUMNS)
+      .eq('user_id', req.user.id)
+      .eq('platform', 'slack')
+      .eq('conversation_id', channelId)
+      .or('metadata->>reply_to.is.null,metadata->>subtype.eq.thread_broadcast')
+      .is('deleted_at', null)
+      .order('timestamp', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const messages = (data || []).reverse().map(message => ({
+      ...message,
+      threadTs: message.metadata?.thread_ts || null,
+      replyCount: message.metadata?.reply_count || 0
+    }));
+
     res.json({
-      success: true,
-      eventId: response.ts,
-      content,
-      timestamp: Date.now(),
-      priority: finalPriority
+      status: 'success',
+      data: { channelId, messages }
     });
   } catch (error) {
-    console.error('Failed to send Slack message:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error fetching Slack messages');
   }
 });
 
-// Fetch messages for a channel
-router.get('/channels/:channelId/messages',  async (req, res) => {
+router.get('/channels/:channelId/threads', async (req, res) => {
   try {
-    const { channelId } = req.params;
-    const { limit = 50 } = req.query;
-
-    // Fetch latest Slack messages before returning from DB
-    await fetchSlackMessagesForUser(req.user._id, channelId);
-
-    const msgs = await Message.find({ roomId: channelId, platform: 'slack' })
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .lean();
-
-    const messages = msgs.reverse().map(m => ({
-      id: m._id.toString(),
-      content: m.content,
-      sender: m.sender,
-      senderName: m.senderName,
-      timestamp: m.timestamp.getTime(),
-      priority: m.priority
-    }));
+    const threads = await slackThreadService.listThreads(req.user.id, req.params.channelId, {
+      limit: req.query.limit,
+      sync: req.query.sync !== 'false'
+    });
 
-    res.json({ messages, channelId });
+    res.json({
+      status: 'success',
+      data: threads
+    });
   } catch (error) {
-    console.error('Error fetching Slack messages:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error listing Slack threads');
   }
 });
 
-// Summary
-router.get('/channels/:channelId/summary', async (req, res) => {
+router.get('/channels/:channelId/threads/:threadTs', async (req, res) => {
   try {
-    const { channelId } = req.params;
-    await fetchSlackMessagesForUser(req.user._id, channelId);
-
-    // Fetch from DB now
-    const msgs = await Message.find({ roomId: channelId, platform: 'slack' }).lean();
-    const messages = msgs.map(m => ({
-      content: m.content,
-      sender: m.sender,
-      timestamp: m.timestamp.getTime(),
-      getContent: () => ({ body: m.content }),
-      getSender: () => m.sender,
-      getDate: () => new Date(m.timestamp)
-    }));
-
-    const keyTopics = [...new Set(messages.flatMap(m => m.getContent().body.toLowerCase().split(/\W+/)))].slice(0,5);
-    const priorityBreakdown = {
-      high: messages.filter(m => calculateMessagePriority(m, { timeline: [] }) === 'high').length,
-      medium: messages.filter(m => calculateMessagePriority(m, { timeline: [] }) === 'medium').length,
-      low: messages.filter(m => calculateMessagePriority(m, { timeline: [] }) === 'low').length
-    };
-    const sentimentAnalysis = messages.reduce((acc, m) => {
-      const s = analyzeSentiment(m.getContent().body);
-      acc[s] = (acc[s] || 0) + 1;
-      return acc;
-    }, {});
-    const categories = messages.reduce((acc, m) => {
-      const c = categorizeMessage(m.getContent().body);
-      acc[c] = (acc[c] || 0) + 1;
-      return acc;
-    }, {});
-
-    const summary = {
-      messageCount: messages.length,
-      keyTopics,
-      priorityBreakdown,
-      sentimentAnalysis,
-      categories
-    };
+    const thread = await slackThreadService.getThread(req.user.id, req.params.channelId, req.params.threadTs, {
+      sync: req.query.sync !== 'false'
+    });
 
-    res.json(summary);
+    res.json({
+      status: 'success',
+      data: thread
+    });
   } catch (error) {
-    console.error('Error generating Slack channel summary:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error fetching Slack thread');
   }
 });
 
-// router.post('/events', async (req,res)=>{
-//   const {challenge, event, team_id} = req.body;
-//   if (challenge) return res.send(challenge);
+// Body: { content, broadcast? }
+router.post('/channels/:channelId/threads/:threadTs/replies', async (req, res) => {
+  try {
+    const { content, broadcast } = req.body || {};
+    const result = await slackThreadService.replyInThread(req.user.id, req.params.channelId, req.params.threadTs, content, {
+      broadcast: broadcast === true
+    });
 
-//   if (event && team_id) {
-//     await processSlackEvent(team_id, event);
-//   }
-//   res.json({ok:true});
-// });
+    res.status(201).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    sendError(res, error, 'Error replying in Slack thread');
+  }
+});
+
+// AI summary of the channel, or of a single thread with ?threadTs=
+router.get('/channels/:channelId/summary', async (req, res) => {
+  try {
+    const summary = await slackThreadService.summarize(req.user.id, req.params.channelId, {
+      threadTs: req.query.threadTs || null
+    });
 
+    res.json({
+      status: 'success',
+      data: summary
+    });
+  } catch (error) {
+    sendError(res, error, 'Error generating Slack summary');
+  }
+});
 
 export default router;
@@ -0,0 +1,103 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { taskService } from '../services/taskService.js';
+
+const router = express.Router();
+router.use(authenticateUser);
+
+function sendError(res, error, message) {
+  console.error(`${message}:`, error);
+  res.status(error.status || 500).json({
+    status: 'error',
+    message: error.message
+  });
+}
+
+// Query: status (open|completed|dismissed|all, default open), includeSnoozed=true,
+// platform, conversationId, dueBefore, limit
+router.get('/', async (req, res) => {
+  try {
+    const tasks = await taskService.listTasks(req.workspace.id, {
+      status: req.query.status,
+      includeSnoozed: req.query.includeSnoozed === 'true',
+      platform: req.query.platform,
+      conversationId: req.query.conversationId,
+      dueBefore: req.query.dueBefore,
+      limit: req.query.limit
+    });
+
+    res.json({
+      status: 'success',
+      data: tasks
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching tasks');
+  }
+});
+
+router.get('/:taskId', async (req, res) => {
+  try {
+    const task = await taskService.getTask(req.workspace.id, req.params.taskId);
+    res.json({
+      status: 'success',
+      data: task
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching task');
+  }
+});
+
+// Body: any of title, owner, dueAt, status
+router.patch('/:taskId', async (req, res) => {
+  try {
+    const task = await taskService.editTask(req.workspace.id, req.params.taskId, req.body);
+    res.json({
+      status: 'success',
+      data: task
+    });
+  } catch (error) {
+    sendError(res, error, 'Error updating task');
+  }
+});
+
+router.post('/:taskId/complete', async (req, res) => {
+  try {
+    const task = await taskService.completeTask(req.workspace.id, req.params.taskId);
+    res.json({
+      status: 'success',
+      data: task
+    });
+  } catch (error) {
+    sendError(res, error, 'Error completing task');
+  }
+});
+
+router.post('/:taskId/reopen', async (req, res) => {
+  try {
+    const task = await taskService.reopenTask(req.workspace.id, req.params.taskId);
+    res.json({
+      status: 'success',
+      data: task
+    });
+  } catch (error) {
+    sendError(res, error, 'Error reopening task');
+  }
+});
+
+// Body: { until } (ISO time) or { minutes }
+router.post('/:taskId/snooze', async (req, res) => {
+  try {
+    const task = await taskService.snoozeTask(req.workspace.id, req.params.taskId, {
+      until: req.body.until,
+      minutes: req.body.minutes
+    });
+    res.json({
+      status: 'success',
+      data: task
+    });
+  } catch (error) {
+    sendError(res, error, 'Error snoozing task');
+  }
+});
+
+export default router;
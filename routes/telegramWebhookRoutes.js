@@ -0,0 +1,33 @@
+import express from 'express';
+import { telegramWebhookService } from '../services/telegramWebhookService.js';
+
+const router = express.Router();
+
+// Called by Telegram, not by users: authenticated by the secret token set
+// when the webhook was registered
+router.post('/webhook/:botId', async (req, res) => {
+  const { botId } = req.params;
+
+  if (!telegramWebhookService.isEnabled()) {
+    return res.status(404).json({ status: 'error', message: 'Telegram webhooks are not enabled' });
+  }
+
+  try {
+    if (!telegramWebhookService.verifySecret(botId, req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+      return res.status(401).json({ status: 'error', message: 'Invalid secret token' });
+    }
+
+    if (!req.body || typeof req.body.update_id !== 'number') {
+      return res.status(400).json({ status: 'error', message: 'Invalid update' });
+    }
+
+    await telegramWebhookService.handleUpdate(botId, req.body);
+    res.sendStatus(200);
+  } catch (error) {
+    console.error('[Telegram Webhook] Error handling update:', { botId, error: error.message });
+    // Non-2xx responses make Telegram redeliver the update later
+    res.status(error.status || 500).json({ status: 'error', message: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,59 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { accessTokenService, TOKEN_SCOPES } from '../services/accessTokenService.js';
+
+const router = express.Router();
+router.use(authenticateUser);
+
+const sendError = (res, error, label) => {
+  console.error(`${label}:`, error);
+  res.status(error.status || 500).json({
+    status: 'error',
+    message: error.message
+  });
+};
+
+router.get('/scopes', (req, res) => {
+  res.json({ status: 'success', data: TOKEN_SCOPES });
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const tokens = await accessTokenService.listTokens(req.user.id);
+    res.json({ status: 'success', data: tokens });
+  } catch (error) {
+    sendError(res, error, 'Error fetching access tokens');
+  }
+});
+
+// Body: { name, scopes: [...], expiresInDays, rateLimit (requests per
+// minute) }. The response holds the token itself; it is not shown again.
+router.post('/', async (req, res) => {
+  try {
+    const token = await accessTokenService.createToken(req.user.id, req.body || {});
+    res.status(201).json({ status: 'success', data: token });
+  } catch (error) {
+    sendError(res, error, 'Error creating access token');
+  }
+});
+
+router.get('/:tokenId', async (req, res) => {
+  try {
+    const token = await accessTokenService.getToken(req.user.id, req.params.tokenId);
+    res.json({ status: 'success', data: token });
+  } catch (error) {
+    sendError(res, error, 'Error fetching access token');
+  }
+});
+
+// Revoked tokens stay listed so their last use can still be checked
+router.delete('/:tokenId', async (req, res) => {
+  try {
+    const token = await accessTokenService.revokeToken(req.user.id, req.params.tokenId);
+    res.json({ status: 'success', data: token });
+  } catch (error) {
+    sendError(res, error, 'Error revoking access token');
+  }
+});
+
+export default router;
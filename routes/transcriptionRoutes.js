@@ -0,0 +1,55 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { transcriptionService } from '../services/transcriptionService.js';
+
+const router = express.Router();
+router.use(authenticateUser);
+
+function sendError(res, error, message) {
+  console.error(`${message}:`, error);
+  res.status(error.status || 500).json({
+    status: 'error',
+    message: error.message
+  });
+}
+
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await transcriptionService.getSettings(req.user.id);
+    res.json({
+      status: 'success',
+      data: settings
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching transcription settings');
+  }
+});
+
+// Body: { voiceTranscriptionEnabled, transcriptionLanguage }
+router.put('/settings', async (req, res) => {
+  try {
+    const settings = await transcriptionService.updateSettings(req.user.id, req.body);
+    res.json({
+      status: 'success',
+      data: settings
+    });
+  } catch (error) {
+    sendError(res, error, 'Error updating transcription settings');
+  }
+});
+
+// Transcribe (or re-transcribe) one stored message in the background; the
+// result arrives on the messages:transcribed Socket.IO event
+router.post('/messages/:messageId', async (req, res) => {
+  try {
+    const job = await transcriptionService.requestTranscription(req.workspace.id, req.params.messageId);
+    res.status(202).json({
+      status: 'success',
+      data: { job }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error requesting transcription');
+  }
+});
+
+export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { aiUsageService } from '../services/aiUsageService.js';
+
+const router = express.Router();
+router.use(authenticateUser);
+
+// AI consumption for the current user: plan limits, today's and this month's
+// totals, and per-day/feature/model breakdowns. Query: days (1-90, default 30)
+router.get('/ai', async (req, res) => {
+  try {
+    const usage = await aiUsageService.getUsageSummary(req.user.id, {
+      days: req.query.days
+    });
+
+    res.json({
+      status: 'success',
+      data: usage
+    });
+  } catch (error) {
+    console.error('Error fetching AI usage:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+export default router;
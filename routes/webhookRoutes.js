@@ -0,0 +1,141 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { webhookService, WEBHOOK_EVENT_TYPES } from '../services/webhookService.js';
+
+const router = express.Router();
+router.use(authenticateUser);
+
+const sendError = (res, error, label) => {
+  console.error(`${label}:`, error);
+  res.status(error.status || 500).json({
+    status: 'error',
+    message: error.message
+  });
+};
+
+router.get('/event-types', (req, res) => {
+  res.json({ status: 'success', data: WEBHOOK_EVENT_TYPES });
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const endpoints = await webhookService.listEndpoints(req.workspace.id);
+    res.json({ status: 'success', data: endpoints });
+  } catch (error) {
+    sendError(res, error, 'Error fetching webhook endpoints');
+  }
+});
+
+// Body: { url, description, eventTypes: [...] or ['*'] }. The response
+// holds the signing secret; it is not shown again.
+router.post('/', async (req, res) => {
+  try {
+    const endpoint = await webhookService.createEndpoint(req.workspace.id, req.user.id, req.body || {});
+    res.status(201).json({ status: 'success', data: endpoint });
+  } catch (error) {
+    sendError(res, error, 'Error creating webhook endpoint');
+  }
+});
+
+router.get('/:endpointId', async (req, res) => {
+  try {
+    const endpoint = await webhookService.getEndpoint(req.workspace.id, req.params.endpointId);
+    res.json({ status: 'success', data: endpoint });
+  } catch (error) {
+    sendError(res, error, 'Error fetching webhook endpoint');
+  }
+});
+
+// Body: { url, description, eventTypes, status: active|disabled }
+router.patch('/:endpointId', async (req, res) => {
+  try {
+    const endpoint = await webhookService.updateEndpoint(req.workspace.id, req.params.endpointId, req.body || {});
+    res.json({ status: 'success', data: endpoint });
+  } catch (error) {
+    sendError(res, error, 'Error updating webhook endpoint');
+  }
+});
+
+router.delete('/:endpointId', async (req, res) => {
+  try {
+    await webhookService.deleteEndpoint(req.workspace.id, req.params.endpointId);
+    res.json({ status: 'success' });
+  } catch (error) {
+    sendError(res, error, 'Error deleting webhook endpoint');
+  }
+});
+
+router.post('/:endpointId/rotate-secret', async (req, res) => {
+  try {
+    const endpoint = await webhookService.rotateSecret(req.workspace.id, req.params.endpointId);
+    res.json({ status: 'success', data: endpoint });
+  } catch (error) {
+    sendError(res, error, 'Error rotating webhook secret');
+  }
+});
+
+// Queue a ping event to check the endpoint and its signature handling
+router.post('/:endpointId/test', async (req, res) => {
+  try {
+    const delivery = await webhookService.sendTest(req.workspace.id, req.user.id, req.params.endpointId);
+    res.status(202).json({ status: 'success', data: delivery });
+  } catch (error) {
+    sendError(res, error, 'Error sending test webhook');
+  }
+});
+
+// Delivery log. Query: status, eventType, before (created_at cursor), limit
+router.get('/:endpointId/deliveries', async (req, res) => {
+  try {
+    const deliveries = await webhookService.listDeliveries(req.workspace.id, req.params.endpointId, {
+      status: req.query.status || null,
+      eventType: req.query.eventType || null,
+      before: req.query.before || null,
+      limit: req.query.limit
+    });
+    res.json({ status: 'success', data: deliveries });
+  } catch (error) {
+    sendError(res, error, 'Error fetching webhook deliveries');
+  }
+});
+
+// One delivery with every HTTP attempt made for it
+router.get('/:endpointId/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const delivery = await webhookService.getDelivery(req.workspace.id, req.params.endpointId, req.params.deliveryId);
+    res.json({ status: 'success', data: delivery });
+  } catch (error) {
+    sendError(res, error, 'Error fetching webhook delivery');
+  }
+});
+
+router.post('/:endpointId/deliveries/:deliveryId/replay', async (req, res) => {
+  try {
+    const delivery = await webhookService.replayDelivery(
+      req.workspace.id,
+      req.user.id,
+      req.params.endpointId,
+      req.params.deliveryId
+    );
+    res.status(202).json({ status: 'success', data: delivery });
+  } catch (error) {
+    sendError(res, error, 'Error replaying webhook delivery');
+  }
+});
+
+// Bulk replay. Body: { status (default failed), since, until, limit }
+router.post('/:endpointId/replay', async (req, res) => {
+  try {
+    const deliveries = await webhookService.replayDeliveries(
+      req.workspace.id,
+      req.user.id,
+      req.params.endpointId,
+      req.body || {}
+    );
+    res.status(202).json({ status: 'success', data: deliveries });
+  } catch (error) {
+    sendError(res, error, 'Error replaying webhook deliveries');
+  }
+});
+
+export default router;
@@ -2,31 +2,70 @@ import express from 'express';
 import { authenticateUser } from '../middleware/auth.js';
 import { whatsappEntityService } from '../services/whatsappEntityService.js';
 import { validateRequest } from '../middleware/validation.js';
-import { adminClient } from '../utils/supabase.js';
+import { jobQueueService } from '../services/jobQueueService.js';
+import { contactProfileService } from '../services/contactProfileService.js';
+import { workspaceService, hasRole } from '../services/workspaceService.js';
+import { conversationService } from '../services/conversationService.js';
 
 const router = express.Router();
 
 // Apply authentication middleware
 router.use(authenticateUser);
 
-// Get all WhatsApp contacts
+// Get the workspace's WhatsApp contacts with their tags and custom fields.
+// Accepts the same tags, filter, sort and order query options as
+// GET /api/people, assignee=<member id>|me|unassigned and
+// status=open|pending|resolved|snoozed.
 router.get('/contacts', async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { force } = req.query;
+    const workspaceId = req.workspace.id;
+    const { force, tags, filter, sort, order, assignee, status } = req.query;
 
     console.log('[WhatsApp Contacts Route] Fetching contacts:', {
-      userId,
+      workspaceId,
       forceSync: force === 'true'
     });
 
-    const contacts = await whatsappEntityService.getContacts(userId, force === 'true');
+    const contacts = await contactProfileService.applyToWhatsappContacts(
+      workspaceId,
+      await whatsappEntityService.listContacts(workspaceId, {
+        forceSync: force === 'true',
+        assignee: assignee === 'me' ? req.user.id : assignee,
+        status
+      }),
+      { tags, filters: filter, sort, order }
+    );
     res.json({
       status: 'success',
       data: contacts
     });
   } catch (error) {
     console.error('Error fetching contacts:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// Queue a full contact sync in the background, one job per WhatsApp
+// connection in the workspace
+router.post('/contacts/sync', async (req, res) => {
+  try {
+    const connectionUserIds = await workspaceService.listConnectionUserIds(req.workspace.id, 'whatsapp');
+    const jobs = await Promise.all(connectionUserIds.map(userId =>
+      jobQueueService.enqueue('whatsapp.sync_contacts', {}, {
+        userId,
+        dedupeKey: userId
+      })
+    ));
+
+    res.status(202).json({
+      status: 'success',
+      data: { job: jobs[0] || null, jobs }
+    });
+  } catch (error) {
+    console.error('Error queueing contact sync:', error);
     res.status(500).json({
       status: 'error',
       message: error.message
@@ -37,28 +76,15 @@ router.get('/contacts', async (req, res) => {
 // Get single contact details
 router.get('/contacts/:contactId', validateRequest(['contactId']), async (req, res) => {
   try {
-    const userId = req.user.id;
+    const workspaceId = req.workspace.id;
     const { contactId } = req.params;
 
     console.log('[WhatsApp Contact Route] Fetching contact details:', {
-      userId,
+      workspaceId,
       contactId
     });
 
-    const { data: contact, error } = await adminClient
-      .from('whatsapp_contacts')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('id', parseInt(contactId))
-      .single();
-
-    if (error) throw error;
-    if (!contact) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Contact not found'
-      });
-    }
+    const contact = await whatsappEntityService.getWorkspaceContact(workspaceId, contactId);
 
     res.json({
       status: 'success',
@@ -66,7 +92,25 @@ router.get('/contacts/:contactId', validateRequest(['contactId']), async (req, r
     });
   } catch (error) {
     console.error('Error fetching contact:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// Notes, tags and custom fields of the person the contact is linked to
+router.get('/contacts/:contactId/profile', validateRequest(['contactId']), async (req, res) => {
+  try {
+    const contact = await whatsappEntityService.getWorkspaceContact(req.workspace.id, req.params.contactId);
+    const profile = await contactProfileService.getWhatsappContactProfile(req.workspace.id, contact.id);
+    res.json({
+      status: 'success',
+      data: { contactId: contact.id, ...profile }
+    });
+  } catch (error) {
+    console.error('Error fetching contact profile:', error);
+    res.status(error.status || 500).json({
       status: 'error',
       message: error.message
     });
@@ -76,17 +120,16 @@ router.get('/contacts/:contactId', validateRequest(['contactId']), async (req, r
 // Request sync for a contact
 router.post('/contacts/:contactId/sync', validateRequest(['contactId']), async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { contactId } = req.params;
+    const contact = await whatsappEntityService.getWorkspaceContact(req.workspace.id, req.params.contactId);
 
-    const syncRequest = await whatsappEntityService.requestSync(userId, parseInt(contactId));
+    const syncRequest = await whatsappEntityService.requestSync(contact.user_id, contact.id);
     res.json({
       status: 'success',
       data: syncRequest
     });
   } catch (error) {
     console.error('Error requesting sync:', error);
-    res.status(error.message.includes('not found') ? 404 : 500).json({
+    res.status(error.status || (error.message.includes('not found') ? 404 : 500)).json({
       status: 'error',
       message: error.message
     });
@@ -122,10 +165,12 @@ router.get('/contacts/:contactId/messages', validateRequest(['contactId']), asyn
       });
     }
 
+    const contact = await whatsappEntityService.getWorkspaceContact(req.workspace.id, contactId);
+
     console.log('[WhatsApp Messages Route] Calling getMessages service');
     const messages = await whatsappEntityService.getMessages(
-      userId,
-      parseInt(contactId),
+      contact.user_id,
+      contact.id,
       limit ? parseInt(limit) : undefined,
       before
     );
@@ -143,7 +188,7 @@ router.get('/contacts/:contactId/messages', validateRequest(['contactId']), asyn
   } catch (error) {
     console.error('[Messages Route] Error:', error);
     console.error('[Messages Route] Stack:', error.stack);
-    res.status(error.message.includes('not approved') ? 403 : 500).json({
+    res.status(error.status || (error.message.includes('not approved') ? 403 : 500)).json({
       status: 'error',
       message: error.message,
       details: error.stack
@@ -151,11 +196,67 @@ router.get('/contacts/:contactId/messages', validateRequest(['contactId']), asyn
   }
 });
 
+// Send a message to a contact. JSON body: { content, replyTo } for text or
+// { reaction: { messageId, key } } for a reaction. Media is uploaded as the
+// raw request body with its Content-Type; caption, replyTo and filename go in
+// the query string. Responds 202 with the optimistic row; delivery updates
+// follow on the whatsapp:outbound_message and whatsapp:delivery_status events.
+router.post(
+  '/contacts/:contactId/messages',
+  validateRequest(['contactId']),
+  express.raw({
+    type: req => !req.is('json'),
+    limit: process.env.WHATSAPP_MEDIA_UPLOAD_LIMIT || '16mb'
+  }),
+  async (req, res) => {
+    try {
+      // Sent through the connection the contact belongs to, on behalf of
+      // whichever teammate is writing
+      const contact = await whatsappEntityService.getWorkspaceContact(req.workspace.id, req.params.contactId);
+      const userId = contact.user_id;
+      const contactId = contact.id;
+      const sentBy = req.user.id;
+      let message;
+
+      if (Buffer.isBuffer(req.body)) {
+        message = await whatsappEntityService.sendMessage(userId, contactId, {
+          content: req.query.caption,
+          replyTo: req.query.replyTo,
+          sentBy,
+          media: {
+            buffer: req.body,
+            mimetype: req.get('content-type'),
+            filename: req.query.filename
+          }
+        });
+      } else if (req.body?.reaction) {
+        message = await whatsappEntityService.sendReaction(userId, contactId, req.body.reaction);
+      } else {
+        message = await whatsappEntityService.sendMessage(userId, contactId, {
+          content: req.body?.content,
+          replyTo: req.body?.replyTo,
+          sentBy
+        });
+      }
+
+      res.status(202).json({
+        status: 'success',
+        data: message
+      });
+    } catch (error) {
+      console.error('Error sending WhatsApp message:', error);
+      res.status(error.status || 500).json({
+        status: 'error',
+        message: error.message,
+        ...(error.messageId && { messageId: error.messageId })
+      });
+    }
+  }
+);
+
 // Update sync status
 router.put('/contacts/:contactId/sync', validateRequest(['contactId', 'status']), async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { contactId } = req.params;
     const { status } = req.body;
 
     if (!['approved', 'rejected'].includes(status)) {
@@ -165,14 +266,15 @@ router.put('/contacts/:contactId/sync', validateRequest(['contactId', 'status'])
       });
     }
 
-    const result = await whatsappEntityService.updateSyncStatus(userId, parseInt(contactId), status);
+    const contact = await whatsappEntityService.getWorkspaceContact(req.workspace.id, req.params.contactId);
+    const result = await whatsappEntityService.updateSyncStatus(contact.user_id, contact.id, status);
     res.json({
       status: 'success',
       data: result
     });
   } catch (error) {
     console.error('Error updating sync status:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       status: 'error',
       message: error.message
     });
@@ -182,8 +284,6 @@ router.put('/contacts/:contactId/sync', validateRequest(['contactId', 'status'])
 // Mark messages as read
 router.post('/contacts/:contactId/messages/read', validateRequest(['contactId']), async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { contactId } = req.params;
     const { messageIds } = req.body;
 
     if (!Array.isArray(messageIds) || messageIds.length === 0) {
@@ -193,14 +293,88 @@ router.post('/contacts/:contactId/messages/read', validateRequest(['contactId'])
       });
     }
 
-    const result = await whatsappEntityService.markMessagesAsRead(userId, parseInt(contactId), messageIds);
+    const contact = await whatsappEntityService.getWorkspaceContact(req.workspace.id, req.params.contactId);
+    const result = await whatsappEntityService.markMessagesAsRead(contact.user_id, contact.id, messageIds);
     res.json({
       status: 'success',
       data: result
     });
   } catch (error) {
     console.error('Error marking messages as read:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// Assign the conversation to a teammate. Body: { assigneeId }, null to
+// unassign. Admins assign anyone; agents can only take or drop their own.
+router.put('/contacts/:contactId/assignee', validateRequest(['contactId']), async (req, res) => {
+  try {
+    const workspaceId = req.workspace.id;
+    const assigneeId = req.body?.assigneeId ?? null;
+
+    if (!hasRole(req.workspace.role, 'admin')) {
+      const contact = await whatsappEntityService.getWorkspaceContact(workspaceId, req.params.contactId);
+      const ownsChange = assigneeId === req.user.id
+        || (assigneeId === null && contact.assigned_to === req.user.id);
+      if (!ownsChange) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Only workspace admins can assign conversations to others',
+          code: 'INSUFFICIENT_ROLE'
+        });
+      }
+    }
+
+    const contact = await whatsappEntityService.assignContact(workspaceId, req.params.contactId, assigneeId, {
+      assignedBy: req.user.id
+    });
+    res.json({
+      status: 'success',
+      data: contact
+    });
+  } catch (error) {
+    console.error('Error assigning contact:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// Set the conversation's status. Body: { status, snoozedUntil }, where
+// snoozedUntil is required for snoozed.
+router.put('/contacts/:contactId/status', validateRequest(['contactId']), async (req, res) => {
+  try {
+    const contact = await conversationService.setStatus(req.workspace.id, req.params.contactId, req.body || {}, {
+      changedBy: req.user.id
+    });
+    res.json({
+      status: 'success',
+      data: contact
+    });
+  } catch (error) {
+    console.error('Error updating conversation status:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+});
+
+// The conversation's SLA history, newest first
+router.get('/contacts/:contactId/sla', validateRequest(['contactId']), async (req, res) => {
+  try {
+    const slas = await conversationService.listSlas(req.workspace.id, req.params.contactId, { limit: req.query.limit });
+    res.json({
+      status: 'success',
+      data: slas
+    });
+  } catch (error) {
+    console.error('Error fetching conversation SLAs:', error);
+    res.status(error.status || 500).json({
       status: 'error',
       message: error.message
     });
@@ -0,0 +1,157 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { workspaceService, WORKSPACE_ROLES } from '../services/workspaceService.js';
+
+const router = express.Router();
+router.use(authenticateUser);
+
+const sendError = (res, error, label) => {
+  console.error(`${label}:`, error);
+  res.status(error.status || 500).json({
+    status: 'error',
+    message: error.message,
+    ...(error.code && { code: error.code })
+  });
+};
+
+router.get('/roles', (req, res) => {
+  res.json({ status: 'success', data: WORKSPACE_ROLES });
+});
+
+// Workspaces the user belongs to, with their role in each
+router.get('/', async (req, res) => {
+  try {
+    const workspaces = await workspaceService.listWorkspaces(req.user.id);
+    res.json({ status: 'success', data: workspaces });
+  } catch (error) {
+    sendError(res, error, 'Error fetching workspaces');
+  }
+});
+
+// Body: { name }. The creator becomes its owner.
+router.post('/', async (req, res) => {
+  try {
+    const workspace = await workspaceService.createWorkspace(req.user.id, req.body || {});
+    res.status(201).json({ status: 'success', data: workspace });
+  } catch (error) {
+    sendError(res, error, 'Error creating workspace');
+  }
+});
+
+// Body: { token } from the invitation
+router.post('/invitations/accept', async (req, res) => {
+  try {
+    const workspace = await workspaceService.acceptInvitation(req.user, req.body?.token);
+    res.json({ status: 'success', data: workspace });
+  } catch (error) {
+    sendError(res, error, 'Error accepting workspace invitation');
+  }
+});
+
+router.get('/:workspaceId', async (req, res) => {
+  try {
+    const workspace = await workspaceService.getWorkspace(req.params.workspaceId, req.user.id);
+    res.json({ status: 'success', data: workspace });
+  } catch (error) {
+    sendError(res, error, 'Error fetching workspace');
+  }
+});
+
+// Body: { name }
+router.patch('/:workspaceId', async (req, res) => {
+  try {
+    const workspace = await workspaceService.updateWorkspace(req.params.workspaceId, req.user.id, req.body || {});
+    res.json({ status: 'success', data: workspace });
+  } catch (error) {
+    sendError(res, error, 'Error updating workspace');
+  }
+});
+
+router.delete('/:workspaceId', async (req, res) => {
+  try {
+    await workspaceService.deleteWorkspace(req.params.workspaceId, req.user.id);
+    res.json({ status: 'success' });
+  } catch (error) {
+    sendError(res, error, 'Error deleting workspace');
+  }
+});
+
+// Use this workspace when requests don't send X-Workspace-Id; data from the
+// user's platform connections lands here from now on
+router.post('/:workspaceId/default', async (req, res) => {
+  try {
+    const workspace = await workspaceService.setDefault(req.params.workspaceId, req.user.id);
+    res.json({ status: 'success', data: workspace });
+  } catch (error) {
+    sendError(res, error, 'Error setting default workspace');
+  }
+});
+
+router.get('/:workspaceId/members', async (req, res) => {
+  try {
+    const members = await workspaceService.listMembers(req.params.workspaceId, req.user.id);
+    res.json({ status: 'success', data: members });
+  } catch (error) {
+    sendError(res, error, 'Error fetching workspace members');
+  }
+});
+
+// Body: { role }
+router.patch('/:workspaceId/members/:memberId', async (req, res) => {
+  try {
+    const member = await workspaceService.updateMemberRole(
+      req.params.workspaceId,
+      req.user.id,
+      req.params.memberId,
+      req.body?.role
+    );
+    res.json({ status: 'success', data: member });
+  } catch (error) {
+    sendError(res, error, 'Error updating workspace member');
+  }
+});
+
+// Removing yourself leaves the workspace
+router.delete('/:workspaceId/members/:memberId', async (req, res) => {
+  try {
+    await workspaceService.removeMember(req.params.workspaceId, req.user.id, req.params.memberId);
+    res.json({ status: 'success' });
+  } catch (error) {
+    sendError(res, error, 'Error removing workspace member');
+  }
+});
+
+router.get('/:workspaceId/invitations', async (req, res) => {
+  try {
+    const invitations = await workspaceService.listInvitations(req.params.workspaceId, req.user.id);
+    res.json({ status: 'success', data: invitations });
+  } catch (error) {
+    sendError(res, error, 'Error fetching workspace invitations');
+  }
+});
+
+// Body: { email, role: admin|agent|viewer }. The response holds the
+// invitation token; it is not shown again.
+router.post('/:workspaceId/invitations', async (req, res) => {
+  try {
+    const invitation = await workspaceService.createInvitation(req.params.workspaceId, req.user.id, req.body || {});
+    res.status(201).json({ status: 'success', data: invitation });
+  } catch (error) {
+    sendError(res, error, 'Error creating workspace invitation');
+  }
+});
+
+router.delete('/:workspaceId/invitations/:invitationId', async (req, res) => {
+  try {
+    const invitation = await workspaceService.revokeInvitation(
+      req.params.workspaceId,
+      req.user.id,
+      req.params.invitationId
+    );
+    res.json({ status: 'success', data: invitation });
+  } catch (error) {
+    sendError(res, error, 'Error revoking workspace invitation');
+  }
+});
+
+export default router;
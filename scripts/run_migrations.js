@@ -22,7 +22,33 @@ async function runMigrations() {
     const migrationsDir = path.join(__dirname, '..', 'migrations');
     const migrations = [
       '20240324_update_accounts.sql',
-      '20240324_store_discord_connection.sql'
+      '20240324_store_discord_connection.sql',
+      '20240326_unified_messages.sql',
+      '20240327_message_search.sql',
+      '20240328_rules_engine.sql',
+      '20240329_job_queue.sql',
+      '20240330_digests.sql',
+      '20240331_llm_usage.sql',
+      '20240401_ai_quotas.sql',
+      '20240402_tasks.sql',
+      '20240403_whatsapp_outbound.sql',
+      '20240404_media.sql',
+      '20240405_voice_transcription.sql',
+      '20240406_telegram_messages.sql',
+      '20240407_discord_realtime.sql',
+      '20240408_discord_backfill.sql',
+      '20240409_slack_threads.sql',
+      '20240410_channel_relays.sql',
+      '20240411_people.sql',
+      '20240412_contact_profiles.sql',
+      '20240413_webhooks.sql',
+      '20240414_personal_access_tokens.sql',
+      '20240415_workspaces.sql',
+      '20240416_conversation_sla.sql',
+      '20240417_embedding_skipped.sql',
+      '20240418_pending_embedding_workspace.sql',
+      '20240419_match_messages_transcript.sql',
+      '20240420_report_idempotency.sql'
     ];
 
     for (const migration of migrations) {
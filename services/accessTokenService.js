@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import { adminClient } from '../utils/supabase.js';
+
+// admin grants everything; a route that names no scope needs admin
+export const TOKEN_SCOPES = ['read:messages', 'send:messages', 'read:contacts', 'reports', 'admin'];
+export const TOKEN_PREFIX = 'dfx_pat_';
+
+const TOKEN_COLUMNS = 'id, name, token_prefix, scopes, rate_limit, expires_at, revoked_at, last_used_at, last_used_ip, created_at';
+const DEFAULT_RATE_LIMIT = parseInt(process.env.ACCESS_TOKEN_DEFAULT_RATE_LIMIT, 10) || 60;
+const MAX_RATE_LIMIT = parseInt(process.env.ACCESS_TOKEN_MAX_RATE_LIMIT, 10) || 600;
+const MAX_TOKENS_PER_USER = 50;
+const MAX_EXPIRY_DAYS = 366;
+const USER_CACHE_TTL_MS = 5 * 60 * 1000;
+
+function tokenError(message, status, code = null) {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export function isAccessToken(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+}
+
+class AccessTokenService {
+  constructor() {
+    // userId -> { user, loadedAt }
+    this.userCache = new Map();
+  }
+
+  async listTokens(userId) {
+    const { data, error } = await adminClient
+      .from('personal_access_tokens')
+      .select(TOKEN_COLUMNS)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getToken(userId, tokenId) {
+    const { data, error } = await adminClient
+      .from('personal_access_tokens')
+      .select(TOKEN_COLUMNS)
+      .eq('user_id', userId)
+      .eq('id', parseInt(tokenId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw tokenError('Access token not found', 404);
+    return data;
+  }
+
+  // Body: { name, scopes, expiresInDays, rateLimit }. No expiresInDays means
+  // the token never expires. The plain token is only returned here.
+  async createToken(userId, { name, scopes, expiresInDays = null, rateLimit = DEFAULT_RATE_LIMIT } = {}) {
+    if (typeof name !== 'string' || !name.trim()) throw tokenError('name must be a non-empty string', 400);
+    if (!Array.isArray(scopes) || scopes.length === 0) throw tokenError('scopes must be a non-empty array', 400);
+
+    const unknown = scopes.filter(scope => !TOKEN_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw tokenError(`Unknown scopes: ${unknown.join(', ')}. Valid scopes: ${TOKEN_SCOPES.join(', ')}`, 400);
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== null && expiresInDays !== undefined) {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        throw tokenError(`expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}`, 400);
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    const limit = Number(rateLimit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RATE_LIMIT) {
+      throw tokenError(`rateLimit must be a whole number of requests per minute from 1 to ${MAX_RATE_LIMIT}`, 400);
+    }
+
+    const { count, error: countError } = await adminClient
+      .from('personal_access_tokens')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+
+    if (countError) throw countError;
+    if (count >= MAX_TOKENS_PER_USER) throw tokenError(`At most ${MAX_TOKENS_PER_USER} active tokens are allowed`, 409);
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const { data, error } = await adminClient
+      .from('personal_access_tokens')
+      .insert({
+        user_id: userId,
+        name: name.trim(),
+        token_hash: hashToken(token),
+        token_prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+        scopes: [...new Set(scopes)],
+        rate_limit: limit,
+        expires_at: expiresAt
+      })
+      .select(TOKEN_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    console.log('[Access Tokens] Created token:', { userId, tokenId: data.id, scopes: data.scopes });
+    return { ...data, token };
+  }
+
+  async revokeToken(userId, tokenId) {
+    const existing = await this.getToken(userId, tokenId);
+    if (existing.revoked_at) return existing;
+
+    const { data, error } = await adminClient
+      .from('personal_access_tokens')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select(TOKEN_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    console.log('[Access Tokens] Revoked token:', { userId, tokenId: existing.id });
+    return data;
+  }
+
+  async getUser(userId) {
+    const cached = this.userCache.get(userId);
+    if (cached && Date.now() - cached.loadedAt < USER_CACHE_TTL_MS) return cached.user;
+
+    const { data, error } = await adminClient.auth.admin.getUserById(userId);
+    if (error) throw error;
+    if (!data?.user) throw tokenError('User not found', 401, 'USER_NOT_FOUND');
+
+    this.userCache.set(userId, { user: data.user, loadedAt: Date.now() });
+    return data.user;
+  }
+
+  // Resolve a presented token to its user, counting the request against the
+  // token's rate limit. Throws with status 401 for unusable tokens and 429
+  // (with error.rate) when the limit is used up.
+  async authenticate(token, { ip = null } = {}) {
+    const { data, error } = await adminClient.rpc('use_personal_access_token', {
+      p_token_hash: hashToken(token),
+      p_ip: ip
+    });
+
+    if (error) throw error;
+
+    const row = data?.[0];
+    if (!row) throw tokenError('Invalid access token', 401, 'TOKEN_INVALID');
+    if (row.revoked_at) throw tokenError('Access token has been revoked', 401, 'TOKEN_REVOKED');
+    if (row.expires_at && new Date(row.expires_at) <= new Date()) throw tokenError('Access token has expired', 401, 'TOKEN_EXPIRED');
+
+    const rate = {
+      limit: row.rate_limit,
+      remaining: Math.max(row.rate_limit - row.request_count, 0),
+      resetsAt: new Date(row.window_resets_at)
+    };
+
+    if (row.request_count > row.rate_limit) {
+      const rateError = tokenError('Rate limit exceeded for this access token', 429, 'RATE_LIMITED');
+      rateError.rate = rate;
+      throw rateError;
+    }
+
+    return {
+      user: await this.getUser(row.user_id),
+      token: { id: row.token_id, scopes: row.scopes },
+      rate
+    };
+  }
+
+  hasScope(scopes, required) {
+    return scopes.includes('admin') || scopes.includes(required);
+  }
+}
+
+export const accessTokenService = new AccessTokenService();
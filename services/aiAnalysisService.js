@@ -1,12 +1,45 @@
-import OpenAI from 'openai';
 import { adminClient } from '../utils/supabase.js';
+import { ioEmitter } from '../utils/emitter.js';
+import { llmService } from './llmService.js';
+import { taskService } from './taskService.js';
+import { messageText } from './messageStoreService.js';
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+const REALTIME_SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['mainPoints', 'actionItems', 'keyDecisions'],
+  properties: {
+    mainPoints: stringArray,
+    actionItems: stringArray,
+    keyDecisions: stringArray
+  }
+};
+
+const CONVERSATION_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'sentiment', 'keywords', 'tone', 'suggestedPriority', 'topics', 'communicationPatterns'],
+  properties: {
+    summary: { type: 'string' },
+    sentiment: {
+      type: 'object',
+      required: ['overall', 'positive', 'negative', 'neutral'],
+      properties: {
+        overall: { type: 'string', enum: ['positive', 'negative', 'neutral'] },
+        positive: { type: 'number', minimum: 0, maximum: 100 },
+        negative: { type: 'number', minimum: 0, maximum: 100 },
+        neutral: { type: 'number', minimum: 0, maximum: 100 }
+      }
+    },
+    keywords: stringArray,
+    tone: { type: 'string' },
+    suggestedPriority: { type: 'string', enum: ['HIGH', 'MEDIUM', 'LOW'] },
+    topics: stringArray,
+    communicationPatterns: stringArray
+  }
+};
 
 class AIAnalysisService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-  }
 
   async getRealtimeSummary(userId, contactId, limit = 50) {
     try {
@@ -37,38 +70,22 @@ class AIAnalysisService {
         } catch (e) {
           // If parsing fails, use the content as is
         }
-        return `[${new Date(msg.timestamp).toLocaleTimeString()}] ${content}`;
+        return `[${new Date(msg.timestamp).toLocaleTimeString()}] ${messageText({ content, transcript: msg.transcript })}`;
       }).join('\n');
 
-      // Generate quick summary using OpenAI
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [{
-          role: "system",
-          content: "You are a helpful assistant that provides quick, concise summaries of recent WhatsApp conversations. Focus on the main points, action items, and key decisions made."
-        }, {
-          role: "user",
-          content: `Please provide a quick summary of these recent messages with:
+      // Generate quick summary
+      const { data: summary } = await llmService.complete('realtime_summary', {
+        userId,
+        system: "You are a helpful assistant that provides quick, concise summaries of recent WhatsApp conversations. Focus on the main points, action items, and key decisions made.",
+        prompt: `Please provide a quick summary of these recent messages with:
           1. Main discussion points (2-3 bullet points)
           2. Any immediate action items
           3. Key decisions made (if any)
 
-          Format as a JSON object with these exact fields:
-          {
-            "mainPoints": string[],
-            "actionItems": string[],
-            "keyDecisions": string[]
-          }
-
-          Messages:
-          ${messageTexts}`
-        }],
-        temperature: 0.7,
-        max_tokens: 500,
-        response_format: { type: "json_object" }
+          Messages:`,
+        transcript: messageTexts,
+        schema: REALTIME_SUMMARY_SCHEMA
       });
-
-      const summary = JSON.parse(response.choices[0].message.content);
       
       // Ensure all required fields exist
       const formattedSummary = {
@@ -77,6 +94,19 @@ class AIAnalysisService {
         keyDecisions: Array.isArray(summary.keyDecisions) ? summary.keyDecisions : []
       };
 
+      await taskService.recordActionItems(userId, {
+        source: 'realtime_summary',
+        platform: 'whatsapp',
+        conversationId: contactId,
+        items: formattedSummary.actionItems,
+        messages: messages.map(msg => ({
+          externalId: msg.message_id,
+          senderName: msg.sender_name,
+          content: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content),
+          timestamp: msg.timestamp
+        }))
+      });
+
       return {
         summary: formattedSummary,
         messageCount: messages.length,
@@ -131,41 +161,30 @@ class AIAnalysisService {
         } catch (e) {
           // If parsing fails, use the content as is
         }
-        return `[${new Date(msg.timestamp).toLocaleTimeString()}] ${content}`;
+        return `[${new Date(msg.timestamp).toLocaleTimeString()}] ${messageText({ content, transcript: msg.transcript })}`;
       }).join('\n');
 
       // Calculate basic stats
       const wordCount = messageTexts.split(/\s+/).length;
       const messageCount = messages.length;
 
-      // Generate comprehensive analysis using OpenAI
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [{
-          role: "system",
-          content: "You are an AI assistant analyzing WhatsApp conversations. Provide detailed analysis focusing on patterns, sentiment, and insights."
-        }, {
-          role: "user",
-          content: `Analyze these recent messages and provide a detailed report with:
+      // Generate comprehensive analysis
+      const { data: analysis } = await llmService.complete('conversation_analysis', {
+        userId,
+        system: "You are an AI assistant analyzing WhatsApp conversations. Provide detailed analysis focusing on patterns, sentiment, and insights.",
+        prompt: `Analyze these recent messages and provide a detailed report with:
           1. Sentiment analysis (positive/negative/neutral with percentages)
-          2. Top keywords or phrases (with frequency)
+          2. Top keywords or phrases
           3. Overall conversation tone
           4. Suggested priority level (HIGH/MEDIUM/LOW) based on content urgency and importance
           5. Topic categorization
           6. Communication patterns
 
-          Format the response as a JSON object with these exact fields.
-
-          Messages:
-          ${messageTexts}`
-        }],
-        temperature: 0.7,
-        max_tokens: 1000,
-        response_format: { type: "json_object" }
+          Messages:`,
+        transcript: messageTexts,
+        schema: CONVERSATION_ANALYSIS_SCHEMA
       });
 
-      const analysis = JSON.parse(response.choices[0].message.content);
-
       // Combine AI analysis with basic stats
       const fullAnalysis = {
         ...analysis,
@@ -214,6 +233,12 @@ class AIAnalysisService {
           .eq('user_id', userId);
 
         if (updateError) throw updateError;
+        // Open conversations take the new priority's SLA targets
+        ioEmitter.emit('whatsapp_contact_priority_changed', {
+          userId,
+          contactId: parseInt(contactId),
+          priority: analysis.suggestedPriority.toUpperCase()
+        });
       }
 
       if (insertError) throw insertError;
@@ -261,30 +286,21 @@ class AIAnalysisService {
         } catch (e) {
           // If parsing fails, use the content as is
         }
-        return `[${new Date(msg.timestamp).toLocaleTimeString()}] ${content}`;
+        return `[${new Date(msg.timestamp).toLocaleTimeString()}] ${messageText({ content, transcript: msg.transcript })}`;
       }).join('\n');
 
       // Generate basic summary for historical data
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [{
-          role: "system",
-          content: "You are a helpful assistant that summarizes WhatsApp conversations. Provide a concise summary of the key points and any action items."
-        }, {
-          role: "user",
-          content: `Please provide a brief summary of these messages with:
+      const { text: summary } = await llmService.complete('historical_summary', {
+        userId,
+        system: "You are a helpful assistant that summarizes WhatsApp conversations. Provide a concise summary of the key points and any action items.",
+        prompt: `Please provide a brief summary of these messages with:
           1. Key points discussed
           2. Any action items or decisions made
 
-          Messages:
-          ${messageTexts}`
-        }],
-        temperature: 0.7,
-        max_tokens: 500
+          Messages:`,
+        transcript: messageTexts
       });
 
-      const summary = response.choices[0].message.content;
-
       // Store the summary
       const { error: insertError } = await adminClient
         .from('message_summaries')
@@ -1,10 +1,26 @@
-import OpenAI from 'openai';
+import { llmService } from './llmService.js';
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const CHANNEL_REPORT_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'mainTopics', 'keyHighlights', 'activityMetrics'],
+  properties: {
+    summary: { type: 'string' },
+    mainTopics: { type: 'array', items: { type: 'string' } },
+    keyHighlights: { type: 'array', items: { type: 'string' } },
+    activityMetrics: {
+      type: 'object',
+      required: ['activeParticipants', 'peakTimes', 'messagePatterns'],
+      properties: {
+        activeParticipants: { type: 'array', items: { type: 'string' } },
+        peakTimes: { type: 'array', items: { type: 'string' } },
+        messagePatterns: { type: 'string' }
+      }
+    }
+  }
+};
 
-export const generateChannelReport = async (messages, channelName) => {
+// since widens the report from today's messages to a longer stored history
+export const generateChannelReport = async (messages, channelName, userId = null, since = null) => {
   try {
     if (!messages || messages.length === 0) {
       throw new Error('No messages provided for report generation');
@@ -14,50 +30,31 @@ export const generateChannelReport = async (messages, channelName) => {
     const messageContent = messages.map(msg => ({
       author: msg.author.username,
       content: msg.content,
-      timestamp: new Date(msg.timestamp).toLocaleTimeString()
+      timestamp: since ? new Date(msg.timestamp).toISOString() : new Date(msg.timestamp).toLocaleTimeString()
     }));
+    const period = since ? `messages since ${new Date(since).toDateString()}` : "today's messages";
 
     // Create system prompt
     const systemPrompt = `You are an AI assistant analyzing Discord channel activity. 
-    Generate a comprehensive but concise report for the channel "${channelName}" based on today's messages. 
+    Generate a comprehensive but concise report for the channel "${channelName}" based on ${period}. 
     Focus on key discussions, patterns, and notable interactions.`;
 
-    // Create user prompt with message data
-    const userPrompt = `Here are today's messages from the channel:
-    ${JSON.stringify(messageContent, null, 2)}
-    
-    Please provide a report that includes:
+    // Create user prompt; the message data is appended as a budgeted transcript
+    const userPrompt = `Please provide a report that includes:
     1. A brief summary of the main topics and discussions
     2. Notable patterns or trends in the conversation
     3. Key highlights or important moments
     4. Activity metrics (active participants, peak times)
-    
-    Format the response as a JSON object with the following structure:
-    {
-      "summary": "Overall summary of channel activity",
-      "mainTopics": ["List of main topics discussed"],
-      "keyHighlights": ["List of important moments or discussions"],
-      "activityMetrics": {
-        "activeParticipants": ["List of most active participants"],
-        "peakTimes": ["List of peak activity times"],
-        "messagePatterns": "Description of message patterns"
-      }
-    }`;
 
-    // Get AI response
-    const response = await openai.chat.completions.create({
-      model: "gpt-4",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt }
-      ],
-      temperature: 0.7,
-      max_tokens: 1000,
-      response_format: { type: "json_object" }
-    });
+    Here are the channel's ${period}, one JSON object per line:`;
 
-    // Parse the AI response
-    const reportData = JSON.parse(response.choices[0].message.content);
+    const { data: reportData } = await llmService.complete('channel_report', {
+      userId,
+      system: systemPrompt,
+      prompt: userPrompt,
+      transcript: messageContent.map(msg => JSON.stringify(msg)).join('\n'),
+      schema: CHANNEL_REPORT_SCHEMA
+    });
 
     // Add additional metrics
     reportData.messageCount = messages.length;
@@ -0,0 +1,169 @@
+import { adminClient } from '../utils/supabase.js';
+import { aiPlans, defaultAiPlan } from '../config/llmConfig.js';
+
+const MAX_USAGE_DAYS = 90;
+
+function startOfUtcDay(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function startOfUtcMonth(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+// Metering and quota checks on top of the llm_usage rows written by llmService
+class AIUsageService {
+  async getPlan(userId) {
+    const { data, error } = await adminClient
+      .from('user_ai_plans')
+      .select('plan, daily_token_limit, monthly_token_limit, daily_request_limit, monthly_request_limit')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    const name = data?.plan && aiPlans[data.plan] ? data.plan : defaultAiPlan;
+    const plan = aiPlans[name] || {};
+    const pick = (override, fallback) => (override === null || override === undefined ? fallback ?? null : Number(override));
+
+    return {
+      name,
+      limits: {
+        dailyTokens: pick(data?.daily_token_limit, plan.dailyTokens),
+        monthlyTokens: pick(data?.monthly_token_limit, plan.monthlyTokens),
+        dailyRequests: pick(data?.daily_request_limit, plan.dailyRequests),
+        monthlyRequests: pick(data?.monthly_request_limit, plan.monthlyRequests)
+      }
+    };
+  }
+
+  async getTotals(userId, now = new Date()) {
+    const { data, error } = await adminClient.rpc('ai_usage_totals', {
+      p_user_id: userId,
+      p_day_start: startOfUtcDay(now).toISOString(),
+      p_month_start: startOfUtcMonth(now).toISOString()
+    });
+
+    if (error) throw error;
+    const row = data?.[0] || {};
+
+    return {
+      day: {
+        tokens: Number(row.day_tokens || 0),
+        requests: Number(row.day_requests || 0),
+        cost: Number(row.day_cost || 0)
+      },
+      month: {
+        tokens: Number(row.month_tokens || 0),
+        requests: Number(row.month_requests || 0),
+        cost: Number(row.month_cost || 0)
+      }
+    };
+  }
+
+  // Throws a 429 when any of the user's daily or monthly limits is used up
+  async assertWithinQuota(userId) {
+    const now = new Date();
+    const [plan, totals] = await Promise.all([this.getPlan(userId), this.getTotals(userId, now)]);
+
+    const checks = [
+      { period: 'daily', metric: 'tokens', limit: plan.limits.dailyTokens, used: totals.day.tokens },
+      { period: 'daily', metric: 'requests', limit: plan.limits.dailyRequests, used: totals.day.requests },
+      { period: 'monthly', metric: 'tokens', limit: plan.limits.monthlyTokens, used: totals.month.tokens },
+      { period: 'monthly', metric: 'requests', limit: plan.limits.monthlyRequests, used: totals.month.requests }
+    ];
+
+    const exceeded = checks.find(check => check.limit !== null && check.used >= check.limit);
+    if (!exceeded) return;
+
+    const resetsAt = exceeded.period === 'daily'
+      ? new Date(startOfUtcDay(now).getTime() + 24 * 60 * 60 * 1000)
+      : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+    const error = new Error(
+      `AI ${exceeded.period} ${exceeded.metric} quota exceeded for the ${plan.name} plan ` +
+      `(${exceeded.used}/${exceeded.limit}). It resets at ${resetsAt.toISOString()}.`
+    );
+    error.status = 429;
+    error.code = 'AI_QUOTA_EXCEEDED';
+    // Retrying won't help until the quota resets
+    error.retryable = false;
+    error.permanent = true;
+    error.quota = {
+      plan: plan.name,
+      period: exceeded.period,
+      metric: exceeded.metric,
+      limit: exceeded.limit,
+      used: exceeded.used,
+      resetsAt: resetsAt.toISOString()
+    };
+    throw error;
+  }
+
+  // Consumption for the usage endpoint: current period totals against limits,
+  // plus per-day, per-feature and per-model breakdowns
+  async getUsageSummary(userId, { days = 30 } = {}) {
+    const windowDays = Math.min(Math.max(parseInt(days, 10) || 30, 1), MAX_USAGE_DAYS);
+    const since = new Date(startOfUtcDay().getTime() - (windowDays - 1) * 24 * 60 * 60 * 1000);
+
+    const [plan, totals, breakdown] = await Promise.all([
+      this.getPlan(userId),
+      this.getTotals(userId),
+      adminClient.rpc('ai_usage_breakdown', {
+        p_user_id: userId,
+        p_since: since.toISOString()
+      })
+    ]);
+
+    if (breakdown.error) throw breakdown.error;
+
+    const byDay = new Map();
+    const byFeature = new Map();
+    const byModel = new Map();
+    const add = (map, key, row) => {
+      const entry = map.get(key) || { requests: 0, failedRequests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+      entry.requests += Number(row.requests);
+      entry.failedRequests += Number(row.failed_requests);
+      entry.promptTokens += Number(row.prompt_tokens);
+      entry.completionTokens += Number(row.completion_tokens);
+      entry.cost += Number(row.cost_usd);
+      map.set(key, entry);
+    };
+
+    for (const row of breakdown.data || []) {
+      add(byDay, row.day, row);
+      add(byFeature, row.task, row);
+      add(byModel, row.model, row);
+    }
+
+    const remaining = (limit, used) => (limit === null ? null : Math.max(limit - used, 0));
+    const toList = (map, keyName) => [...map.entries()].map(([key, value]) => ({
+      [keyName]: key,
+      ...value,
+      cost: Math.round(value.cost * 1e6) / 1e6
+    }));
+
+    return {
+      plan: plan.name,
+      limits: plan.limits,
+      current: {
+        day: {
+          ...totals.day,
+          remainingTokens: remaining(plan.limits.dailyTokens, totals.day.tokens),
+          remainingRequests: remaining(plan.limits.dailyRequests, totals.day.requests)
+        },
+        month: {
+          ...totals.month,
+          remainingTokens: remaining(plan.limits.monthlyTokens, totals.month.tokens),
+          remainingRequests: remaining(plan.limits.monthlyRequests, totals.month.requests)
+        }
+      },
+      since: since.toISOString(),
+      byDay: toList(byDay, 'date'),
+      byFeature: toList(byFeature, 'feature'),
+      byModel: toList(byModel, 'model')
+    };
+  }
+}
+
+export const aiUsageService = new AIUsageService();
@@ -0,0 +1,819 @@
+import { adminClient } from '../utils/supabase.js';
+
+const NOTE_COLUMNS = 'id, person_id, body, pinned, deleted_at, created_at, updated_at';
+const TAG_COLUMNS = 'id, name, color, description, created_at, updated_at';
+const FIELD_COLUMNS = 'id, key, label, field_type, options, position, created_at, updated_at';
+const FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'select', 'multi_select'];
+const FILTER_OPS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'contains', 'in', 'exists', 'missing'];
+const BUILT_IN_SORTS = ['display_name', 'created_at', 'updated_at', 'last_seen_at'];
+const MAX_NOTE_LENGTH = 10000;
+
+function profileError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Escape LIKE wildcards so search text matches literally
+function likeTerm(value) {
+  return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
+function parseBoolean(value) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return null;
+}
+
+function parseDate(value) {
+  if (typeof value !== 'string' && !(value instanceof Date)) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Options are stored as a list of unique, non-empty strings
+function normalizeOptions(options) {
+  if (!Array.isArray(options)) throw profileError('options must be an array of strings', 400);
+  const normalized = [...new Set(options.map(option => String(option).trim()).filter(Boolean))];
+  if (normalized.length === 0) throw profileError('select fields need at least one option', 400);
+  return normalized;
+}
+
+function findOption(field, value) {
+  const match = field.options.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+  if (!match) {
+    throw profileError(`${field.key} must be one of: ${field.options.join(', ')}`, 400);
+  }
+  return match;
+}
+
+// Stored value plus the typed copies used for filtering and sorting.
+// Throws 400 when the value does not fit the field.
+function typedValue(field, value) {
+  const row = { value, text_value: null, number_value: null, date_value: null, boolean_value: null };
+
+  switch (field.field_type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(value);
+      if (value === '' || typeof value === 'boolean' || !Number.isFinite(number)) {
+        throw profileError(`${field.key} must be a number`, 400);
+      }
+      return { ...row, value: number, number_value: number };
+    }
+    case 'date': {
+      const date = parseDate(value);
+      if (!date) throw profileError(`${field.key} must be a date`, 400);
+      return { ...row, value: date, date_value: date };
+    }
+    case 'boolean': {
+      const flag = parseBoolean(value);
+      if (flag === null) throw profileError(`${field.key} must be true or false`, 400);
+      return { ...row, value: flag, boolean_value: flag };
+    }
+    case 'select': {
+      const option = findOption(field, value);
+      return { ...row, value: option, text_value: option };
+    }
+    case 'multi_select': {
+      const values = Array.isArray(value) ? value : [value];
+      const options = [...new Set(values.map(item => findOption(field, item)))];
+      return { ...row, value: options, text_value: options.join(', ') };
+    }
+    default: {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw profileError(`${field.key} must be text`, 400);
+      }
+      const text = String(value).trim();
+      return { ...row, value: text, text_value: text };
+    }
+  }
+}
+
+class ContactProfileService {
+  async assertPerson(workspaceId, personId) {
+    const { data, error } = await adminClient
+      .from('people')
+      .select('id')
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(personId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw profileError('Person not found', 404);
+    return data.id;
+  }
+
+  // Notes
+
+  async listNotes(workspaceId, personId, { includeDeleted = false } = {}) {
+    const id = await this.assertPerson(workspaceId, personId);
+
+    let query = adminClient
+      .from('contact_notes')
+      .select(NOTE_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .eq('person_id', id)
+      .order('pinned', { ascending: false })
+      .order('created_at', { ascending: false });
+
+    if (!includeDeleted) query = query.is('deleted_at', null);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getNote(workspaceId, personId, noteId) {
+    const { data, error } = await adminClient
+      .from('contact_notes')
+      .select(NOTE_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .eq('person_id', parseInt(personId, 10))
+      .eq('id', parseInt(noteId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw profileError('Note not found', 404);
+    return data;
+  }
+
+  validateNoteBody(body) {
+    if (typeof body !== 'string' || !body.trim()) throw profileError('body must be a non-empty string', 400);
+    if (body.length > MAX_NOTE_LENGTH) throw profileError(`body must be at most ${MAX_NOTE_LENGTH} characters`, 400);
+    return body.trim();
+  }
+
+  // userId is the note's author
+  async createNote(workspaceId, userId, personId, { body, pinned = false } = {}) {
+    const id = await this.assertPerson(workspaceId, personId);
+
+    const { data, error } = await adminClient
+      .from('contact_notes')
+      .insert({
+        workspace_id: workspaceId,
+        user_id: userId,
+        person_id: id,
+        body: this.validateNoteBody(body),
+        pinned: pinned === true
+      })
+      .select(NOTE_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Every change is kept in contact_note_revisions by a trigger
+  async updateNote(workspaceId, personId, noteId, changes) {
+    const note = await this.getNote(workspaceId, personId, noteId);
+    if (note.deleted_at) throw profileError('Note has been deleted', 409);
+
+    const update = {};
+    if (changes.body !== undefined) update.body = this.validateNoteBody(changes.body);
+    if (changes.pinned !== undefined) update.pinned = changes.pinned === true;
+    if (Object.keys(update).length === 0) return note;
+
+    const { data, error } = await adminClient
+      .from('contact_notes')
+      .update(update)
+      .eq('id', note.id)
+      .select(NOTE_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async deleteNote(workspaceId, personId, noteId) {
+    const note = await this.getNote(workspaceId, personId, noteId);
+    if (note.deleted_at) return note;
+
+    const { data, error } = await adminClient
+      .from('contact_notes')
+      .update({ deleted_at: new Date().toISOString() })
+      .eq('id', note.id)
+      .select(NOTE_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async restoreNote(workspaceId, personId, noteId) {
+    const note = await this.getNote(workspaceId, personId, noteId);
+    if (!note.deleted_at) return note;
+
+    const { data, error } = await adminClient
+      .from('contact_notes')
+      .update({ deleted_at: null })
+      .eq('id', note.id)
+      .select(NOTE_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Oldest first, so the list reads as the note's history
+  async getNoteHistory(workspaceId, personId, noteId) {
+    const note = await this.getNote(workspaceId, personId, noteId);
+
+    const { data, error } = await adminClient
+      .from('contact_note_revisions')
+      .select('id, action, body, created_at')
+      .eq('workspace_id', workspaceId)
+      .eq('note_id', note.id)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) throw error;
+    return { note, revisions: data || [] };
+  }
+
+  // Tags
+
+  async listTags(workspaceId) {
+    const { data, error } = await adminClient
+      .from('contact_tags')
+      .select(`${TAG_COLUMNS}, people:person_tags(count)`)
+      .eq('workspace_id', workspaceId)
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(({ people, ...tag }) => ({ ...tag, person_count: people?.[0]?.count || 0 }));
+  }
+
+  async getTag(workspaceId, tagId) {
+    const { data, error } = await adminClient
+      .from('contact_tags')
+      .select(TAG_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(tagId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw profileError('Tag not found', 404);
+    return data;
+  }
+
+  tagFields(input, { partial = false } = {}) {
+    const fields = {};
+    if (!partial || input.name !== undefined) {
+      if (typeof input.name !== 'string' || !input.name.trim()) throw profileError('name must be a non-empty string', 400);
+      fields.name = input.name.trim();
+    }
+    if (input.color !== undefined) {
+      if (input.color !== null && !/^#[0-9a-fA-F]{6}$/.test(input.color)) {
+        throw profileError('color must be a hex color like #1a2b3c', 400);
+      }
+      fields.color = input.color;
+    }
+    if (input.description !== undefined) fields.description = input.description || null;
+    return fields;
+  }
+
+  async createTag(workspaceId, userId, input) {
+    const { data, error } = await adminClient
+      .from('contact_tags')
+      .insert({ workspace_id: workspaceId, user_id: userId, ...this.tagFields(input) })
+      .select(TAG_COLUMNS)
+      .single();
+
+    if (error?.code === '23505') throw profileError('A tag with this name already exists', 409);
+    if (error) throw error;
+    return data;
+  }
+
+  async updateTag(workspaceId, tagId, changes) {
+    const tag = await this.getTag(workspaceId, tagId);
+
+    const { data, error } = await adminClient
+      .from('contact_tags')
+      .update(this.tagFields(changes, { partial: true }))
+      .eq('id', tag.id)
+      .select(TAG_COLUMNS)
+      .single();
+
+    if (error?.code === '23505') throw profileError('A tag with this name already exists', 409);
+    if (error) throw error;
+    return data;
+  }
+
+  async deleteTag(workspaceId, tagId) {
+    const tag = await this.getTag(workspaceId, tagId);
+
+    const { error } = await adminClient
+      .from('contact_tags')
+      .delete()
+      .eq('id', tag.id);
+
+    if (error) throw error;
+  }
+
+  // Tags given by id or by name; with createdBy, unknown names are added to
+  // the taxonomy
+  async resolveTags(workspaceId, refs, { createdBy = null } = {}) {
+    if (!Array.isArray(refs)) throw profileError('tags must be an array of tag ids or names', 400);
+
+    const { data: existing, error } = await adminClient
+      .from('contact_tags')
+      .select(TAG_COLUMNS)
+      .eq('workspace_id', workspaceId);
+
+    if (error) throw error;
+
+    const tags = [];
+    for (const ref of refs) {
+      const tag = typeof ref === 'number' || /^\d+$/.test(String(ref))
+        ? existing.find(candidate => candidate.id === parseInt(ref, 10))
+        : existing.find(candidate => candidate.name.toLowerCase() === String(ref).trim().toLowerCase());
+
+      if (tag) {
+        tags.push(tag);
+      } else if (createdBy && typeof ref === 'string' && !/^\d+$/.test(ref)) {
+        const created = await this.createTag(workspaceId, createdBy, { name: ref });
+        existing.push(created);
+        tags.push(created);
+      } else {
+        throw profileError(`Unknown tag: ${ref}`, 400);
+      }
+    }
+    return [...new Map(tags.map(tag => [tag.id, tag])).values()];
+  }
+
+  async addTags(workspaceId, userId, personId, refs) {
+    const id = await this.assertPerson(workspaceId, personId);
+    const tags = await this.resolveTags(workspaceId, refs, { createdBy: userId });
+
+    if (tags.length > 0) {
+      const { error } = await adminClient
+        .from('person_tags')
+        .upsert(tags.map(tag => ({ person_id: id, tag_id: tag.id, workspace_id: workspaceId, user_id: userId })), {
+          onConflict: 'person_id,tag_id',
+          ignoreDuplicates: true
+        });
+
+      if (error) throw error;
+    }
+    return this.getPersonTags(workspaceId, id);
+  }
+
+  async removeTag(workspaceId, personId, tagId) {
+    const id = await this.assertPerson(workspaceId, personId);
+
+    const { error } = await adminClient
+      .from('person_tags')
+      .delete()
+      .eq('workspace_id', workspaceId)
+      .eq('person_id', id)
+      .eq('tag_id', parseInt(tagId, 10));
+
+    if (error) throw error;
+    return this.getPersonTags(workspaceId, id);
+  }
+
+  // Replace the person's tags with exactly the given ones
+  async setTags(workspaceId, userId, personId, refs) {
+    const id = await this.assertPerson(workspaceId, personId);
+    const tags = await this.resolveTags(workspaceId, refs, { createdBy: userId });
+
+    let remove = adminClient
+      .from('person_tags')
+      .delete()
+      .eq('workspace_id', workspaceId)
+      .eq('person_id', id);
+
+    if (tags.length > 0) remove = remove.not('tag_id', 'in', `(${tags.map(tag => tag.id).join(',')})`);
+
+    const { error } = await remove;
+    if (error) throw error;
+
+    return this.addTags(workspaceId, userId, id, tags.map(tag => tag.id));
+  }
+
+  async getPersonTags(workspaceId, personId) {
+    const { data, error } = await adminClient
+      .from('person_tags')
+      .select(`tag:contact_tags(${TAG_COLUMNS})`)
+      .eq('workspace_id', workspaceId)
+      .eq('person_id', parseInt(personId, 10));
+
+    if (error) throw error;
+    return (data || []).map(row => row.tag).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Custom fields
+
+  async listFields(workspaceId) {
+    const { data, error } = await adminClient
+      .from('contact_fields')
+      .select(FIELD_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .order('position', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getField(workspaceId, fieldId) {
+    const { data, error } = await adminClient
+      .from('contact_fields')
+      .select(FIELD_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(fieldId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw profileError('Custom field not found', 404);
+    return data;
+  }
+
+  async createField(workspaceId, userId, { key, label, type, options, position } = {}) {
+    if (typeof key !== 'string' || !/^[a-z][a-z0-9_]*$/.test(key)) {
+      throw profileError('key must start with a letter and contain only lowercase letters, digits and underscores', 400);
+    }
+    if (!FIELD_TYPES.includes(type)) throw profileError(`type must be one of: ${FIELD_TYPES.join(', ')}`, 400);
+
+    const isSelect = type === 'select' || type === 'multi_select';
+    const { data, error } = await adminClient
+      .from('contact_fields')
+      .insert({
+        workspace_id: workspaceId,
+        user_id: userId,
+        key,
+        label: typeof label === 'string' && label.trim() ? label.trim() : key,
+        field_type: type,
+        options: isSelect ? normalizeOptions(options) : [],
+        position: Number.isInteger(position) ? position : 0
+      })
+      .select(FIELD_COLUMNS)
+      .single();
+
+    if (error?.code === '23505') throw profileError('A custom field with this key already exists', 409);
+    if (error) throw error;
+    return data;
+  }
+
+  // key and type are fixed once created, since stored values depend on them.
+  // Removing an option leaves values that use it untouched.
+  async updateField(workspaceId, fieldId, changes) {
+    const field = await this.getField(workspaceId, fieldId);
+    if (changes.key !== undefined && changes.key !== field.key) throw profileError('key cannot be changed', 400);
+    if (changes.type !== undefined && changes.type !== field.field_type) throw profileError('type cannot be changed', 400);
+
+    const update = {};
+    if (changes.label !== undefined) {
+      if (typeof changes.label !== 'string' || !changes.label.trim()) throw profileError('label must be a non-empty string', 400);
+      update.label = changes.label.trim();
+    }
+    if (changes.options !== undefined) {
+      if (field.field_type !== 'select' && field.field_type !== 'multi_select') {
+        throw profileError('Only select fields have options', 400);
+      }
+      update.options = normalizeOptions(changes.options);
+    }
+    if (changes.position !== undefined) {
+      if (!Number.isInteger(changes.position)) throw profileError('position must be an integer', 400);
+      update.position = changes.position;
+    }
+    if (Object.keys(update).length === 0) return field;
+
+    const { data, error } = await adminClient
+      .from('contact_fields')
+      .update(update)
+      .eq('id', field.id)
+      .select(FIELD_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Also removes every stored value of the field
+  async deleteField(workspaceId, fieldId) {
+    const field = await this.getField(workspaceId, fieldId);
+
+    const { error } = await adminClient
+      .from('contact_fields')
+      .delete()
+      .eq('id', field.id);
+
+    if (error) throw error;
+  }
+
+  // values: { [key]: value }; null or '' clears a field
+  async setFieldValues(workspaceId, userId, personId, values) {
+    const id = await this.assertPerson(workspaceId, personId);
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw profileError('Body must be an object of field keys to values', 400);
+    }
+
+    const fields = await this.listFields(workspaceId);
+    const upserts = [];
+    const cleared = [];
+
+    for (const [key, value] of Object.entries(values)) {
+      const field = fields.find(candidate => candidate.key === key);
+      if (!field) throw profileError(`Unknown custom field: ${key}`, 400);
+
+      if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+        cleared.push(field.id);
+      } else {
+        upserts.push({ person_id: id, field_id: field.id, workspace_id: workspaceId, user_id: userId, ...typedValue(field, value) });
+      }
+    }
+
+    if (upserts.length > 0) {
+      const { error } = await adminClient
+        .from('contact_field_values')
+        .upsert(upserts, { onConflict: 'person_id,field_id' });
+
+      if (error) throw error;
+    }
+
+    if (cleared.length > 0) {
+      const { error } = await adminClient
+        .from('contact_field_values')
+        .delete()
+        .eq('person_id', id)
+        .in('field_id', cleared);
+
+      if (error) throw error;
+    }
+
+    return this.getFieldValues(workspaceId, id);
+  }
+
+  async getFieldValues(workspaceId, personId) {
+    const { customFields } = (await this.attachProfiles(workspaceId, [{ id: parseInt(personId, 10) }]))[0];
+    return customFields;
+  }
+
+  // Adds tags and customFields ({ [key]: value }) to each person
+  async attachProfiles(workspaceId, people) {
+    const ids = people.map(person => person.id);
+    if (ids.length === 0) return people;
+
+    const [{ data: tagRows, error: tagError }, { data: valueRows, error: valueError }] = await Promise.all([
+      adminClient
+        .from('person_tags')
+        .select('person_id, tag:contact_tags(id, name, color)')
+        .eq('workspace_id', workspaceId)
+        .in('person_id', ids),
+      adminClient
+        .from('contact_field_values')
+        .select('person_id, value, field:contact_fields(key)')
+        .eq('workspace_id', workspaceId)
+        .in('person_id', ids)
+    ]);
+
+    if (tagError) throw tagError;
+    if (valueError) throw valueError;
+
+    return people.map(person => ({
+      ...person,
+      tags: (tagRows || [])
+        .filter(row => row.person_id === person.id)
+        .map(row => row.tag)
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      customFields: Object.fromEntries((valueRows || [])
+        .filter(row => row.person_id === person.id)
+        .map(row => [row.field.key, row.value]))
+    }));
+  }
+
+  // Everything kept on one person: notes, tags and custom fields
+  async getProfile(workspaceId, personId) {
+    const [notes, [profile]] = await Promise.all([
+      this.listNotes(workspaceId, personId),
+      this.attachProfiles(workspaceId, [{ id: parseInt(personId, 10) }])
+    ]);
+    return { personId: profile.id, notes, tags: profile.tags, customFields: profile.customFields };
+  }
+
+  // Profile of the person a WhatsApp contact is linked to; empty when the
+  // contact hasn't been linked to a person yet
+  async getWhatsappContactProfile(workspaceId, contactId) {
+    const { data, error } = await adminClient
+      .from('person_identities')
+      .select('person_id')
+      .eq('workspace_id', workspaceId)
+      .eq('whatsapp_contact_id', contactId)
+      .limit(1);
+
+    if (error) throw error;
+    if (!data?.[0]) return { personId: null, notes: [], tags: [], customFields: {} };
+    return this.getProfile(workspaceId, data[0].person_id);
+  }
+
+  // Merging people: notes move to the target, tags are combined, and the
+  // target keeps its own field values over the sources'
+  async mergeProfiles(workspaceId, userId, targetId, sourceIds) {
+    const { error: notesError } = await adminClient
+      .from('contact_notes')
+      .update({ person_id: targetId })
+      .eq('workspace_id', workspaceId)
+      .in('person_id', sourceIds);
+
+    if (notesError) throw notesError;
+
+    const [{ data: tagRows, error: tagError }, { data: valueRows, error: valueError }] = await Promise.all([
+      adminClient.from('person_tags').select('tag_id').eq('workspace_id', workspaceId).in('person_id', sourceIds),
+      adminClient
+        .from('contact_field_values')
+        .select('field_id, value, text_value, number_value, date_value, boolean_value')
+        .eq('workspace_id', workspaceId)
+        .in('person_id', sourceIds)
+        .order('updated_at', { ascending: false })
+    ]);
+
+    if (tagError) throw tagError;
+    if (valueError) throw valueError;
+
+    if (tagRows.length > 0) {
+      const { error } = await adminClient
+        .from('person_tags')
+        .upsert([...new Set(tagRows.map(row => row.tag_id))].map(tagId => ({ person_id: targetId, tag_id: tagId, workspace_id: workspaceId, user_id: userId })), {
+          onConflict: 'person_id,tag_id',
+          ignoreDuplicates: true
+        });
+
+      if (error) throw error;
+    }
+
+    // The most recently updated source value wins among the sources
+    const values = new Map();
+    for (const row of valueRows) {
+      if (!values.has(row.field_id)) values.set(row.field_id, { ...row, person_id: targetId, workspace_id: workspaceId, user_id: userId });
+    }
+
+    if (values.size > 0) {
+      const { error } = await adminClient
+        .from('contact_field_values')
+        .upsert([...values.values()], { onConflict: 'person_id,field_id', ignoreDuplicates: true });
+
+      if (error) throw error;
+    }
+  }
+
+  // Contact list filters
+
+  // Turns list query options into search_people arguments.
+  // filters: { [key]: value | { [op]: value } } as parsed from
+  // ?filter[plan]=pro&filter[seats][gte]=10. sort: a built-in column or
+  // field:<key>; order: asc | desc.
+  async buildSearch(workspaceId, { tags = null, filters = null, sort = null, order = null } = {}) {
+    const search = { tagIds: [], filters: [], sort: 'display_name', sortFieldId: null, descending: order === 'desc' };
+    if (order && order !== 'asc' && order !== 'desc') throw profileError('order must be asc or desc', 400);
+
+    const tagRefs = typeof tags === 'string' ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : tags;
+    if (tagRefs?.length) {
+      search.tagIds = (await this.resolveTags(workspaceId, tagRefs)).map(tag => tag.id);
+    }
+
+    const needsFields = (filters && Object.keys(filters).length > 0) || String(sort || '').startsWith('field:');
+    const fields = needsFields ? await this.listFields(workspaceId) : [];
+    const fieldByKey = key => {
+      const field = fields.find(candidate => candidate.key === key);
+      if (!field) throw profileError(`Unknown custom field: ${key}`, 400);
+      return field;
+    };
+
+    if (filters) {
+      if (typeof filters !== 'object' || Array.isArray(filters)) throw profileError('filter must be an object of field keys', 400);
+
+      for (const [key, condition] of Object.entries(filters)) {
+        const field = fieldByKey(key);
+        const ops = condition && typeof condition === 'object' && !Array.isArray(condition) ? condition : { eq: condition };
+
+        for (const [op, value] of Object.entries(ops)) {
+          search.filters.push(this.buildFilter(field, op, value));
+        }
+      }
+    }
+
+    if (sort) {
+      if (sort.startsWith('field:')) {
+        search.sort = 'field';
+        search.sortFieldId = fieldByKey(sort.slice('field:'.length)).id;
+      } else if (BUILT_IN_SORTS.includes(sort)) {
+        search.sort = sort;
+      } else {
+        throw profileError(`sort must be one of: ${BUILT_IN_SORTS.join(', ')}, or field:<key>`, 400);
+      }
+    }
+
+    return search;
+  }
+
+  buildFilter(field, op, value) {
+    if (!FILTER_OPS.includes(op)) throw profileError(`Unknown filter operator: ${op}`, 400);
+
+    const filter = {
+      field_id: field.id,
+      field_type: field.field_type,
+      op,
+      text_value: null,
+      number_value: null,
+      date_value: null,
+      boolean_value: null,
+      list_value: null
+    };
+
+    if (op === 'exists' || op === 'missing') return filter;
+
+    if (op === 'in') {
+      const list = Array.isArray(value) ? value : String(value).split(',');
+      return { ...filter, list_value: list.map(item => String(item).trim()).filter(Boolean) };
+    }
+
+    if (op === 'contains') {
+      return { ...filter, text_value: likeTerm(String(value)) };
+    }
+
+    const ordered = ['gt', 'gte', 'lt', 'lte'].includes(op);
+    if (ordered && !['number', 'date', 'text'].includes(field.field_type)) {
+      throw profileError(`${op} is not supported for ${field.field_type} fields`, 400);
+    }
+
+    if (field.field_type === 'multi_select') return { ...filter, text_value: findOption(field, value) };
+
+    const typed = typedValue(field, value);
+    return {
+      ...filter,
+      text_value: typed.text_value,
+      number_value: typed.number_value,
+      date_value: typed.date_value,
+      boolean_value: typed.boolean_value
+    };
+  }
+
+  // Ids of matching people in list order. limit null returns all of them.
+  async searchPeople(workspaceId, { search = null, platform = null, tags, filters, sort, order, limit = null, offset = 0 } = {}) {
+    const options = await this.buildSearch(workspaceId, { tags, filters, sort, order });
+
+    const { data, error } = await adminClient.rpc('search_people', {
+      p_workspace_id: workspaceId,
+      p_search: search ? likeTerm(search) : null,
+      p_platform: platform || null,
+      p_tag_ids: options.tagIds,
+      p_filters: options.filters,
+      p_sort: options.sort,
+      p_sort_field_id: options.sortFieldId,
+      p_descending: options.descending,
+      p_limit: limit,
+      p_offset: offset
+    });
+
+    if (error) throw error;
+    return {
+      ids: (data || []).map(row => row.person_id),
+      total: data?.[0]?.total_count || 0
+    };
+  }
+
+  // WhatsApp contact list with each contact's profile attached. With tags,
+  // filters or sort, only contacts whose person matches are kept, in the
+  // person order.
+  async applyToWhatsappContacts(workspaceId, contacts, { tags, filters, sort, order } = {}) {
+    const ids = contacts.map(contact => contact.id);
+    const identities = [];
+    for (let i = 0; i < ids.length; i += 500) {
+      const { data, error } = await adminClient
+        .from('person_identities')
+        .select('person_id, whatsapp_contact_id')
+        .eq('workspace_id', workspaceId)
+        .in('whatsapp_contact_id', ids.slice(i, i + 500));
+
+      if (error) throw error;
+      identities.push(...(data || []));
+    }
+
+    const personByContact = new Map(identities.map(identity => [identity.whatsapp_contact_id, identity.person_id]));
+    const profiles = await this.attachProfiles(workspaceId, [...new Set(personByContact.values())].map(id => ({ id })));
+    const profileByPerson = new Map(profiles.map(profile => [profile.id, profile]));
+
+    let result = contacts.map(contact => {
+      const profile = profileByPerson.get(personByContact.get(contact.id));
+      return {
+        ...contact,
+        person_id: profile?.id || null,
+        tags: profile?.tags || [],
+        customFields: profile?.customFields || {}
+      };
+    });
+
+    const filtering = (tags && tags.length > 0) || (filters && Object.keys(filters).length > 0);
+    if (!filtering && !sort) return result;
+
+    const { ids: personIds } = await this.searchPeople(workspaceId, { tags, filters, sort, order });
+    const rank = new Map(personIds.map((id, index) => [id, index]));
+
+    if (filtering) result = result.filter(contact => rank.has(contact.person_id));
+    const last = personIds.length;
+    return result.sort((a, b) => (rank.get(a.person_id) ?? last) - (rank.get(b.person_id) ?? last));
+  }
+}
+
+export const contactProfileService = new ContactProfileService();
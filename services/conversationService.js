@@ -0,0 +1,604 @@
+import { adminClient } from '../utils/supabase.js';
+import { ioEmitter } from '../utils/emitter.js';
+import { notificationService } from './notificationService.js';
+import { whatsappEntityService } from './whatsappEntityService.js';
+
+export const CONVERSATION_STATUSES = ['open', 'pending', 'resolved', 'snoozed'];
+export const SLA_PRIORITIES = ['HIGH', 'MEDIUM', 'LOW'];
+
+// Targets, in minutes, for workspaces that haven't set their own
+const DEFAULT_SLA_POLICIES = {
+  HIGH: { first_response_minutes: 15, resolution_minutes: 4 * 60 },
+  MEDIUM: { first_response_minutes: 60, resolution_minutes: 24 * 60 },
+  LOW: { first_response_minutes: 4 * 60, resolution_minutes: 72 * 60 }
+};
+// Used for conversations the priority analysis hasn't reached yet
+const DEFAULT_PRIORITY = 'MEDIUM';
+
+const SLA_COLUMNS = 'id, workspace_id, user_id, contact_id, priority, assigned_to, opened_at, first_response_due_at, first_response_at, first_response_by, resolution_due_at, resolved_at, resolved_by, first_response_breached_at, resolution_breached_at, created_at, updated_at';
+const CONTACT_COLUMNS = 'id, user_id, workspace_id, display_name, is_group, status, snoozed_until, priority, assigned_to';
+const CHECK_INTERVAL = 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const PAGE_SIZE = 1000;
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 366;
+const REPORT_GROUPS = { assignee: 'assigned_to', priority: 'priority' };
+
+const BREACHES = {
+  first_response: {
+    label: 'First response',
+    dueKey: 'first_response_due_at',
+    doneKey: 'first_response_at',
+    breachedKey: 'first_response_breached_at'
+  },
+  resolution: {
+    label: 'Resolution',
+    dueKey: 'resolution_due_at',
+    doneKey: 'resolved_at',
+    breachedKey: 'resolution_breached_at'
+  }
+};
+
+function conversationError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw conversationError(`${name} must be a valid date`, 400);
+  return date;
+}
+
+const round = value => Math.round(value * 10) / 10;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return round(sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+// How one target went across SLA cycles. A target is met when it was done
+// by its due time and breached when it was done later, or wasn't done and
+// the due time passed before the conversation was resolved (or now).
+function targetStats(cycles, { doneKey, dueKey }, now) {
+  const minutes = [];
+  let met = 0;
+  let breached = 0;
+
+  for (const cycle of cycles) {
+    const done = cycle[doneKey] && new Date(cycle[doneKey]);
+    const due = new Date(cycle[dueKey]);
+    if (done) {
+      minutes.push((done - new Date(cycle.opened_at)) / MINUTE_MS);
+      if (done <= due) met++;
+      else breached++;
+    } else if (due <= (cycle.resolved_at ? new Date(cycle.resolved_at) : now)) {
+      breached++;
+    }
+  }
+
+  return {
+    count: minutes.length,
+    met,
+    breached,
+    // Percentage of decided targets that were met
+    compliance: met + breached > 0 ? round((met / (met + breached)) * 100) : null,
+    averageMinutes: minutes.length > 0 ? round(minutes.reduce((sum, value) => sum + value, 0) / minutes.length) : null,
+    medianMinutes: median(minutes)
+  };
+}
+
+// Helpdesk status and SLA timers for WhatsApp conversations.
+//
+// A contact's message opens an SLA cycle (conversation_slas) unless one is
+// already open, and sets the conversation to open. The first reply sent
+// afterwards records the first response and moves it to pending; resolving
+// the conversation closes the cycle. Due times come from the workspace's
+// policy for the conversation's priority, which aiAnalysisService suggests,
+// and follow it when the priority changes. Timers run on wall-clock time:
+// pending and snoozed conversations keep their due times.
+//
+// A scheduler wakes snoozed conversations and sends each breach alert once,
+// over Socket.IO and as a notification to the assignee.
+class ConversationService {
+  constructor() {
+    this.isRunning = false;
+    this.listeners = [
+      ['message_received', payload => this.handleMessageReceived(payload)],
+      ['whatsapp_outbound_message', payload => this.handleOutboundMessage(payload)],
+      ['whatsapp_contact_assigned', payload => this.handleAssigned(payload)],
+      ['whatsapp_contact_priority_changed', payload => this.handlePriorityChanged(payload)]
+    ];
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    for (const [event, listener] of this.listeners) ioEmitter.on(event, listener);
+    console.log('[Conversation Service] Tracking conversation status and SLAs');
+    this.scheduleNextCheck();
+  }
+
+  stop() {
+    for (const [event, listener] of this.listeners) ioEmitter.off(event, listener);
+    this.isRunning = false;
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+    }
+  }
+
+  scheduleNextCheck() {
+    if (!this.isRunning) return;
+
+    this.timeoutId = setTimeout(async () => {
+      await this.checkDeadlines();
+      this.scheduleNextCheck();
+    }, CHECK_INTERVAL);
+  }
+
+  // Policies
+
+  async getPolicies(workspaceId) {
+    const { data, error } = await adminClient
+      .from('sla_policies')
+      .select('priority, first_response_minutes, resolution_minutes, updated_by, updated_at')
+      .eq('workspace_id', workspaceId);
+
+    if (error) throw error;
+
+    return SLA_PRIORITIES.map(priority => {
+      const policy = (data || []).find(row => row.priority === priority);
+      return policy
+        ? { ...policy, is_default: false }
+        : { priority, ...DEFAULT_SLA_POLICIES[priority], updated_by: null, updated_at: null, is_default: true };
+    });
+  }
+
+  async getPolicy(workspaceId, priority) {
+    const policies = await this.getPolicies(workspaceId);
+    return policies.find(policy => policy.priority === priority);
+  }
+
+  // Body: [{ priority, firstResponseMinutes, resolutionMinutes }]. Open
+  // conversations keep their due times until their priority changes.
+  async updatePolicies(workspaceId, userId, policies) {
+    if (!Array.isArray(policies) || policies.length === 0) {
+      throw conversationError('policies must be a non-empty array', 400);
+    }
+
+    const rows = policies.map((policy, index) => {
+      const { priority, firstResponseMinutes, resolutionMinutes } = policy || {};
+      if (!SLA_PRIORITIES.includes(priority)) {
+        throw conversationError(`policies[${index}].priority must be one of ${SLA_PRIORITIES.join(', ')}`, 400);
+      }
+      for (const [name, value] of [['firstResponseMinutes', firstResponseMinutes], ['resolutionMinutes', resolutionMinutes]]) {
+        if (!Number.isInteger(value) || value < 1) {
+          throw conversationError(`policies[${index}].${name} must be a positive integer`, 400);
+        }
+      }
+      if (resolutionMinutes < firstResponseMinutes) {
+        throw conversationError(`policies[${index}].resolutionMinutes must not be less than firstResponseMinutes`, 400);
+      }
+      return {
+        workspace_id: workspaceId,
+        priority,
+        first_response_minutes: firstResponseMinutes,
+        resolution_minutes: resolutionMinutes,
+        updated_by: userId
+      };
+    });
+
+    const { error } = await adminClient
+      .from('sla_policies')
+      .upsert(rows, { onConflict: 'workspace_id,priority' });
+
+    if (error) throw error;
+
+    console.log('[Conversation Service] Updated SLA policies:', { workspaceId, userId, priorities: rows.map(row => row.priority) });
+    return this.getPolicies(workspaceId);
+  }
+
+  dueDates(policy, openedAt) {
+    const opened = new Date(openedAt).getTime();
+    return {
+      first_response_due_at: new Date(opened + policy.first_response_minutes * MINUTE_MS).toISOString(),
+      resolution_due_at: new Date(opened + policy.resolution_minutes * MINUTE_MS).toISOString()
+    };
+  }
+
+  // SLA cycles
+
+  async getContact(contactId) {
+    const { data, error } = await adminClient
+      .from('whatsapp_contacts')
+      .select(CONTACT_COLUMNS)
+      .eq('id', contactId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getOpenSla(contactId) {
+    const { data, error } = await adminClient
+      .from('conversation_slas')
+      .select(SLA_COLUMNS)
+      .eq('contact_id', contactId)
+      .is('resolved_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async openSla(contact, openedAt) {
+    const priority = contact.priority || DEFAULT_PRIORITY;
+    const policy = await this.getPolicy(contact.workspace_id, priority);
+
+    const { data, error } = await adminClient
+      .from('conversation_slas')
+      .insert({
+        workspace_id: contact.workspace_id,
+        user_id: contact.user_id,
+        contact_id: contact.id,
+        priority,
+        assigned_to: contact.assigned_to,
+        opened_at: new Date(openedAt).toISOString(),
+        ...this.dueDates(policy, openedAt)
+      })
+      .select(SLA_COLUMNS)
+      .single();
+
+    if (error) {
+      // Only one open cycle per conversation; another message got there first
+      if (error.code === '23505') return this.getOpenSla(contact.id);
+      throw error;
+    }
+    return data;
+  }
+
+  async updateStatus(contact, status, { snoozedUntil = null, changedBy = null } = {}) {
+    const { data, error } = await adminClient
+      .from('whatsapp_contacts')
+      .update({
+        status,
+        status_changed_at: new Date().toISOString(),
+        snoozed_until: status === 'snoozed' ? snoozedUntil : null
+      })
+      .eq('id', contact.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    ioEmitter.emit('conversation_status_changed', {
+      userId: contact.user_id,
+      workspaceId: contact.workspace_id,
+      contactId: contact.id,
+      status,
+      previousStatus: contact.status,
+      snoozedUntil: data.snoozed_until,
+      changedBy
+    });
+    return data;
+  }
+
+  // Messages stored for our own sends are not the contact writing
+  async isOwnMessage(userId, message) {
+    const { data, error } = await adminClient
+      .from('whatsapp_messages')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('message_id', message.external_id)
+      .eq('direction', 'outbound')
+      .limit(1);
+
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  // Group chats aren't tracked
+  async handleMessageReceived({ userId, message }) {
+    if (message?.platform !== 'whatsapp') return;
+
+    try {
+      const contact = await this.getContact(parseInt(message.conversation_id, 10));
+      if (!contact || contact.is_group) return;
+      if (await this.isOwnMessage(userId, message)) return;
+
+      if (!await this.getOpenSla(contact.id)) await this.openSla(contact, message.timestamp);
+      if (contact.status !== 'open') await this.updateStatus(contact, 'open');
+    } catch (error) {
+      console.error('[Conversation Service] Error tracking incoming message:', {
+        userId,
+        conversationId: message.conversation_id,
+        error
+      });
+    }
+  }
+
+  // The first reply to reach the bridge is the first response; any reply
+  // hands an open conversation back to the contact
+  async handleOutboundMessage({ userId, contactId, message }) {
+    if (!message || ['pending', 'failed'].includes(message.delivery_status)) return;
+
+    try {
+      const contact = await this.getContact(contactId);
+      if (!contact || contact.is_group) return;
+
+      const { error } = await adminClient
+        .from('conversation_slas')
+        .update({ first_response_at: message.timestamp, first_response_by: message.metadata?.sent_by || userId })
+        .eq('contact_id', contact.id)
+        .is('resolved_at', null)
+        .is('first_response_at', null)
+        .lte('opened_at', message.timestamp);
+
+      if (error) throw error;
+
+      // Receipts re-announce the message; only the send itself moves the status
+      if (message.delivery_status === 'sent' && contact.status === 'open') {
+        await this.updateStatus(contact, 'pending', { changedBy: message.metadata?.sent_by || userId });
+      }
+    } catch (error) {
+      console.error('[Conversation Service] Error tracking reply:', { userId, contactId, error });
+    }
+  }
+
+  async handleAssigned({ contactId, assignedTo }) {
+    try {
+      const { error } = await adminClient
+        .from('conversation_slas')
+        .update({ assigned_to: assignedTo })
+        .eq('contact_id', contactId)
+        .is('resolved_at', null);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('[Conversation Service] Error updating SLA assignee:', { contactId, error });
+    }
+  }
+
+  // Due times of the open cycle follow the conversation's priority
+  async handlePriorityChanged({ contactId, priority }) {
+    try {
+      const sla = await this.getOpenSla(contactId);
+      if (!sla || sla.priority === priority) return;
+
+      const policy = await this.getPolicy(sla.workspace_id, priority);
+      const { error } = await adminClient
+        .from('conversation_slas')
+        .update({ priority, ...this.dueDates(policy, sla.opened_at) })
+        .eq('id', sla.id);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('[Conversation Service] Error applying priority to SLA:', { contactId, priority, error });
+    }
+  }
+
+  // Status
+
+  // Body: { status, snoozedUntil }. Resolving closes the SLA cycle; reopening
+  // a resolved conversation by hand starts a new one from now.
+  async setStatus(workspaceId, contactId, { status, snoozedUntil = null } = {}, { changedBy = null } = {}) {
+    if (!CONVERSATION_STATUSES.includes(status)) {
+      throw conversationError(`status must be one of ${CONVERSATION_STATUSES.join(', ')}`, 400);
+    }
+
+    let until = null;
+    if (status === 'snoozed') {
+      if (!snoozedUntil) throw conversationError('snoozedUntil is required to snooze a conversation', 400);
+      until = parseDate(snoozedUntil, 'snoozedUntil');
+      if (until <= new Date()) throw conversationError('snoozedUntil must be in the future', 400);
+    }
+
+    const contact = await whatsappEntityService.getWorkspaceContact(workspaceId, contactId);
+    if (contact.is_group) throw conversationError('Group chats have no conversation status', 400);
+    if (status === contact.status && status !== 'snoozed') return contact;
+
+    const now = new Date().toISOString();
+    if (status === 'resolved') {
+      const { error } = await adminClient
+        .from('conversation_slas')
+        .update({ resolved_at: now, resolved_by: changedBy })
+        .eq('contact_id', contact.id)
+        .is('resolved_at', null);
+
+      if (error) throw error;
+    } else if (contact.status === 'resolved') {
+      await this.openSla(contact, now);
+    }
+
+    return this.updateStatus(contact, status, { snoozedUntil: until?.toISOString() || null, changedBy });
+  }
+
+  // A conversation's SLA cycles, newest first
+  async listSlas(workspaceId, contactId, { limit = 50 } = {}) {
+    const contact = await whatsappEntityService.getWorkspaceContact(workspaceId, contactId);
+
+    const { data, error } = await adminClient
+      .from('conversation_slas')
+      .select(SLA_COLUMNS)
+      .eq('contact_id', contact.id)
+      .order('opened_at', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200));
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Deadlines
+
+  async checkDeadlines() {
+    try {
+      await this.wakeSnoozed();
+    } catch (error) {
+      console.error('[Conversation Service] Error waking snoozed conversations:', error);
+    }
+
+    for (const type of Object.keys(BREACHES)) {
+      try {
+        await this.alertBreaches(type);
+      } catch (error) {
+        console.error('[Conversation Service] Error checking SLA breaches:', { type, error });
+      }
+    }
+  }
+
+  async wakeSnoozed() {
+    const now = new Date().toISOString();
+    const { data, error } = await adminClient
+      .from('whatsapp_contacts')
+      .update({ status: 'open', status_changed_at: now, snoozed_until: null })
+      .eq('status', 'snoozed')
+      .lte('snoozed_until', now)
+      .select('id, user_id, workspace_id');
+
+    if (error) throw error;
+
+    for (const contact of data || []) {
+      ioEmitter.emit('conversation_status_changed', {
+        userId: contact.user_id,
+        workspaceId: contact.workspace_id,
+        contactId: contact.id,
+        status: 'open',
+        previousStatus: 'snoozed',
+        snoozedUntil: null,
+        changedBy: null
+      });
+    }
+  }
+
+  // Marking the cycles breached in one update means each alert goes out
+  // once, even with several instances checking
+  async alertBreaches(type) {
+    const { dueKey, doneKey, breachedKey } = BREACHES[type];
+    const now = new Date().toISOString();
+
+    let query = adminClient
+      .from('conversation_slas')
+      .update({ [breachedKey]: now })
+      .is('resolved_at', null)
+      .is(breachedKey, null)
+      .lte(dueKey, now);
+    if (doneKey !== 'resolved_at') query = query.is(doneKey, null);
+
+    const { data, error } = await query.select(SLA_COLUMNS);
+    if (error) throw error;
+
+    for (const sla of data || []) {
+      await this.announceBreach(type, sla);
+    }
+  }
+
+  async announceBreach(type, sla) {
+    const { label, dueKey } = BREACHES[type];
+    const contact = await this.getContact(sla.contact_id);
+    const contactName = contact?.display_name || 'a WhatsApp contact';
+
+    console.warn('[Conversation Service] SLA breached:', { type, slaId: sla.id, contactId: sla.contact_id, dueAt: sla[dueKey] });
+    ioEmitter.emit('sla_breached', {
+      userId: sla.user_id,
+      workspaceId: sla.workspace_id,
+      contactId: sla.contact_id,
+      contactName,
+      type,
+      sla
+    });
+
+    if (!sla.assigned_to) return;
+    try {
+      await notificationService.createNotification(sla.assigned_to, {
+        type: 'sla_breach',
+        title: `${label} overdue for ${contactName}`,
+        body: `This ${sla.priority.toLowerCase()} priority conversation was due a ${label.toLowerCase()} by ${sla[dueKey]}.`,
+        data: { contactId: sla.contact_id, slaId: sla.id, type }
+      });
+    } catch (error) {
+      console.error('[Conversation Service] Error notifying assignee of breach:', { slaId: sla.id, error });
+    }
+  }
+
+  // Reports
+
+  // Supabase caps a select at 1000 rows
+  async selectAll(buildQuery) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return rows;
+    }
+  }
+
+  async countStatuses(workspaceId) {
+    const contacts = await this.selectAll(() => adminClient
+      .from('whatsapp_contacts')
+      .select('status')
+      .eq('workspace_id', workspaceId)
+      .eq('is_group', false)
+      .order('id', { ascending: true }));
+
+    const counts = Object.fromEntries(CONVERSATION_STATUSES.map(status => [status, 0]));
+    for (const { status } of contacts) counts[status]++;
+    return counts;
+  }
+
+  // SLA performance of conversations opened in [since, until), by default
+  // the last 30 days. groupBy: assignee or priority.
+  async getReport(workspaceId, { since = null, until = null, groupBy = null } = {}) {
+    const end = until ? parseDate(until, 'until') : new Date();
+    const start = since ? parseDate(since, 'since') : new Date(end.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * MINUTE_MS);
+    if (start >= end) throw conversationError('since must be before until', 400);
+    if (end - start > MAX_REPORT_DAYS * 24 * 60 * MINUTE_MS) {
+      throw conversationError(`A report can cover at most ${MAX_REPORT_DAYS} days`, 400);
+    }
+    if (groupBy && !REPORT_GROUPS[groupBy]) {
+      throw conversationError(`groupBy must be one of ${Object.keys(REPORT_GROUPS).join(', ')}`, 400);
+    }
+
+    const cycles = await this.selectAll(() => adminClient
+      .from('conversation_slas')
+      .select(SLA_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .gte('opened_at', start.toISOString())
+      .lt('opened_at', end.toISOString())
+      .order('id', { ascending: true }));
+
+    const now = new Date();
+    const summarize = rows => ({
+      conversations: rows.length,
+      unresolved: rows.filter(row => !row.resolved_at).length,
+      firstResponse: targetStats(rows, BREACHES.first_response, now),
+      resolution: targetStats(rows, BREACHES.resolution, now)
+    });
+
+    const report = {
+      since: start.toISOString(),
+      until: end.toISOString(),
+      statuses: await this.countStatuses(workspaceId),
+      policies: await this.getPolicies(workspaceId),
+      ...summarize(cycles)
+    };
+
+    if (groupBy) {
+      const key = REPORT_GROUPS[groupBy];
+      const groups = new Map();
+      for (const cycle of cycles) {
+        const value = cycle[key] ?? null;
+        if (!groups.has(value)) groups.set(value, []);
+        groups.get(value).push(cycle);
+      }
+      report.groups = [...groups].map(([value, rows]) => ({ [groupBy]: value, ...summarize(rows) }));
+    }
+
+    return report;
+  }
+}
+
+export const conversationService = new ConversationService();
@@ -0,0 +1,654 @@
+import PDFDocument from 'pdfkit';
+import { adminClient } from '../utils/supabase.js';
+import { ioEmitter } from '../utils/emitter.js';
+import { SUPPORTED_PLATFORMS, messageText } from './messageStoreService.js';
+import { jobQueueService } from './jobQueueService.js';
+import { notificationService } from './notificationService.js';
+import { llmService } from './llmService.js';
+import { taskService } from './taskService.js';
+
+const CADENCES = ['daily', 'weekly'];
+const OUTPUT_FORMATS = ['pdf', 'markdown', 'notification'];
+const CADENCE_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+const SCHEDULER_INTERVAL = 60 * 1000;
+const MAX_MESSAGES_PER_CONVERSATION = 300;
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const CONVERSATION_DIGEST_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'keyPoints', 'actionItems'],
+  properties: {
+    summary: { type: 'string' },
+    keyPoints: { type: 'array', items: { type: 'string' } },
+    actionItems: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+// Local hour, minute and weekday of a date in an IANA timezone
+function getLocalTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type)?.value;
+  return {
+    hour: parseInt(get('hour'), 10),
+    minute: parseInt(get('minute'), 10),
+    day: DAY_NAMES.indexOf(get('weekday').toLowerCase())
+  };
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+class DigestService {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  async start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    console.log('[Digest Service] Starting digest scheduler');
+    this.scheduleNextRun();
+  }
+
+  async stop() {
+    this.isRunning = false;
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+    }
+  }
+
+  scheduleNextRun() {
+    if (!this.isRunning) return;
+
+    this.timeoutId = setTimeout(async () => {
+      await this.enqueueDueDigests();
+      this.scheduleNextRun();
+    }, SCHEDULER_INTERVAL);
+  }
+
+  // Next time at or after `after` when the schedule's local hour comes round.
+  // Steps in 15 minutes since every timezone offset is a multiple of that.
+  computeNextRun(schedule, after = new Date()) {
+    const step = 15 * 60 * 1000;
+    let candidate = Math.ceil((after.getTime() + 1) / step) * step;
+    const limit = candidate + CADENCE_MS.weekly + CADENCE_MS.daily;
+
+    for (; candidate <= limit; candidate += step) {
+      const local = getLocalTime(new Date(candidate), schedule.timezone);
+      if (local.hour !== schedule.hour || local.minute !== 0) continue;
+      if (schedule.cadence === 'weekly' && local.day !== schedule.day_of_week) continue;
+      return new Date(candidate);
+    }
+
+    throw new Error('Unable to compute next digest run');
+  }
+
+  validateSchedule(schedule, { partial = false } = {}) {
+    const errors = [];
+    const has = (key) => !partial || schedule[key] !== undefined;
+
+    if (has('name') && (typeof schedule.name !== 'string' || !schedule.name.trim())) {
+      errors.push('name: is required');
+    }
+
+    if (has('conversations')) {
+      if (!Array.isArray(schedule.conversations) || schedule.conversations.length === 0) {
+        errors.push('conversations: at least one conversation is required');
+      } else {
+        schedule.conversations.forEach((conversation, index) => {
+          if (!SUPPORTED_PLATFORMS.includes(conversation?.platform)) {
+            errors.push(`conversations[${index}].platform: must be one of ${SUPPORTED_PLATFORMS.join(', ')}`);
+          }
+          if (!conversation?.conversationId) {
+            errors.push(`conversations[${index}].conversationId: is required`);
+          }
+        });
+      }
+    }
+
+    if (has('cadence') && !CADENCES.includes(schedule.cadence)) {
+      errors.push(`cadence: must be one of ${CADENCES.join(', ')}`);
+    }
+
+    if (schedule.cadence === 'weekly' || schedule.dayOfWeek !== undefined) {
+      const day = schedule.dayOfWeek;
+      if (schedule.cadence === 'weekly' && day === undefined && !partial) {
+        errors.push('dayOfWeek: is required for weekly digests');
+      } else if (day !== undefined && !(Number.isInteger(day) && day >= 0 && day <= 6)) {
+        errors.push('dayOfWeek: must be an integer between 0 (Sunday) and 6');
+      }
+    }
+
+    if (schedule.hour !== undefined && !(Number.isInteger(schedule.hour) && schedule.hour >= 0 && schedule.hour <= 23)) {
+      errors.push('hour: must be an integer between 0 and 23');
+    }
+
+    if (schedule.timezone !== undefined && !isValidTimezone(schedule.timezone)) {
+      errors.push(`timezone: unknown timezone ${schedule.timezone}`);
+    }
+
+    if (has('outputFormat') && schedule.outputFormat !== undefined && !OUTPUT_FORMATS.includes(schedule.outputFormat)) {
+      errors.push(`outputFormat: must be one of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid digest schedule: ${errors.join('; ')}`);
+      error.status = 400;
+      error.details = errors;
+      throw error;
+    }
+  }
+
+  async listSchedules(workspaceId) {
+    const { data, error } = await adminClient
+      .from('digest_schedules')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getSchedule(workspaceId, scheduleId) {
+    const { data, error } = await adminClient
+      .from('digest_schedules')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(scheduleId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      const notFound = new Error('Digest schedule not found');
+      notFound.status = 404;
+      throw notFound;
+    }
+    return data;
+  }
+
+  // userId owns the schedule: digests notify them and AI usage is theirs
+  async createSchedule(workspaceId, userId, schedule) {
+    this.validateSchedule(schedule);
+
+    const row = {
+      workspace_id: workspaceId,
+      user_id: userId,
+      name: schedule.name.trim(),
+      conversations: schedule.conversations.map(({ platform, conversationId }) => ({
+        platform,
+        conversationId: String(conversationId)
+      })),
+      cadence: schedule.cadence,
+      day_of_week: schedule.cadence === 'weekly' ? schedule.dayOfWeek : null,
+      hour: schedule.hour ?? 8,
+      timezone: schedule.timezone || 'UTC',
+      output_format: schedule.outputFormat || 'pdf',
+      enabled: schedule.enabled !== false
+    };
+    row.next_run_at = this.computeNextRun(row).toISOString();
+
+    const { data, error } = await adminClient
+      .from('digest_schedules')
+      .insert(row)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async updateSchedule(workspaceId, scheduleId, changes) {
+    const existing = await this.getSchedule(workspaceId, scheduleId);
+    this.validateSchedule({ cadence: existing.cadence, ...changes }, { partial: true });
+
+    const update = {};
+    if (changes.name !== undefined) update.name = changes.name.trim();
+    if (changes.conversations !== undefined) {
+      update.conversations = changes.conversations.map(({ platform, conversationId }) => ({
+        platform,
+        conversationId: String(conversationId)
+      }));
+    }
+    if (changes.cadence !== undefined) update.cadence = changes.cadence;
+    if (changes.dayOfWeek !== undefined) update.day_of_week = changes.dayOfWeek;
+    if (changes.hour !== undefined) update.hour = changes.hour;
+    if (changes.timezone !== undefined) update.timezone = changes.timezone;
+    if (changes.outputFormat !== undefined) update.output_format = changes.outputFormat;
+    if (changes.enabled !== undefined) update.enabled = !!changes.enabled;
+
+    const merged = { ...existing, ...update };
+    if (merged.cadence === 'daily') update.day_of_week = null;
+    if (merged.cadence === 'weekly' && merged.day_of_week === null) {
+      const error = new Error('Invalid digest schedule: dayOfWeek: is required for weekly digests');
+      error.status = 400;
+      throw error;
+    }
+    update.next_run_at = this.computeNextRun({ ...merged, ...update }).toISOString();
+
+    const { data, error } = await adminClient
+      .from('digest_schedules')
+      .update(update)
+      .eq('workspace_id', workspaceId)
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async deleteSchedule(workspaceId, scheduleId) {
+    const schedule = await this.getSchedule(workspaceId, scheduleId);
+
+    const { error } = await adminClient
+      .from('digest_schedules')
+      .delete()
+      .eq('workspace_id', workspaceId)
+      .eq('id', schedule.id);
+
+    if (error) throw error;
+    return true;
+  }
+
+  // Claim due schedules and hand each run to the job queue. The conditional
+  // update on next_run_at means only one instance enqueues a given run.
+  async enqueueDueDigests() {
+    try {
+      const now = new Date();
+      const { data: due, error } = await adminClient
+        .from('digest_schedules')
+        .select('*')
+        .eq('enabled', true)
+        .lte('next_run_at', now.toISOString())
+        .limit(100);
+
+      if (error) throw error;
+
+      for (const schedule of due || []) {
+        const { data: claimed, error: claimError } = await adminClient
+          .from('digest_schedules')
+          .update({
+            next_run_at: this.computeNextRun(schedule, now).toISOString(),
+            last_run_at: now.toISOString()
+          })
+          .eq('id', schedule.id)
+          .eq('next_run_at', schedule.next_run_at)
+          .select('id');
+
+        if (claimError) throw claimError;
+        if (!claimed?.length) continue;
+
+        const periodEnd = new Date(schedule.next_run_at);
+        await this.enqueueDigest(schedule, periodEnd);
+      }
+    } catch (error) {
+      console.error('[Digest Service] Error enqueueing due digests:', error);
+    }
+  }
+
+  async enqueueDigest(schedule, periodEnd = new Date()) {
+    const periodStart = new Date(periodEnd.getTime() - CADENCE_MS[schedule.cadence]);
+
+    return jobQueueService.enqueue('digest.generate', {
+      scheduleId: schedule.id,
+      periodStart: periodStart.toISOString(),
+      periodEnd: periodEnd.toISOString()
+    }, {
+      userId: schedule.user_id,
+      dedupeKey: `${schedule.id}:${periodEnd.toISOString()}`
+    });
+  }
+
+  async runNow(workspaceId, scheduleId) {
+    const schedule = await this.getSchedule(workspaceId, scheduleId);
+    return this.enqueueDigest(schedule);
+  }
+
+  async fetchConversationMessages(workspaceId, conversation, periodStart, periodEnd) {
+    const { data, error } = await adminClient
+      .from('messages')
+      .select('external_id, sender_name, sender_id, content, transcript, timestamp, conversation_name')
+      .eq('workspace_id', workspaceId)
+      .eq('platform', conversation.platform)
+      .eq('conversation_id', conversation.conversationId)
+      .gte('timestamp', periodStart.toISOString())
+      .lt('timestamp', periodEnd.toISOString())
+      .or('content.not.is.null,transcript.not.is.null')
+      .order('timestamp', { ascending: false })
+      .limit(MAX_MESSAGES_PER_CONVERSATION);
+
+    if (error) throw error;
+    return (data || []).reverse();
+  }
+
+  async analyzeConversation(userId, platform, messages) {
+    const transcript = messages
+      .map(msg => `[${new Date(msg.timestamp).toISOString()}] ${msg.sender_name || msg.sender_id}: ${messageText(msg)}`)
+      .join('\n');
+
+    const { data } = await llmService.complete('digest_conversation', {
+      userId,
+      system: `You summarize ${platform} conversations for a periodic digest.`,
+      transcript,
+      schema: CONVERSATION_DIGEST_SCHEMA
+    });
+
+    return data;
+  }
+
+  async generateOverallSummary(userId, sections) {
+    const summaries = sections
+      .map(section => `${section.platform} · ${section.name}:\n${section.analysis.summary}`)
+      .join('\n\n');
+
+    const { text } = await llmService.complete('digest_overview', {
+      userId,
+      system: 'You write a short executive overview of several conversation summaries for a digest. Highlight what needs attention first.',
+      transcript: summaries
+    });
+
+    return text.trim();
+  }
+
+  // Build the digest for one period and store it in the reports table.
+  // Safe to retry: the report is stored once per schedule and period, and a
+  // retry only finishes the task and notification steps it has not marked done.
+  async generateDigest(scheduleId, { periodStart, periodEnd }, { progress } = {}) {
+    const { data: schedule, error: scheduleError } = await adminClient
+      .from('digest_schedules')
+      .select('*')
+      .eq('id', scheduleId)
+      .maybeSingle();
+
+    if (scheduleError) throw scheduleError;
+    if (!schedule) {
+      throw Object.assign(new Error('Digest schedule no longer exists'), { permanent: true });
+    }
+
+    const start = new Date(periodStart);
+    const end = new Date(periodEnd);
+
+    const { data: existing, error: existingError } = await adminClient
+      .from('reports')
+      .select('*')
+      .eq('schedule_id', schedule.id)
+      .eq('period_start', start.toISOString())
+      .eq('period_end', end.toISOString())
+      .maybeSingle();
+
+    if (existingError) throw existingError;
+
+    let report = existing;
+    const sectionMessages = [];
+
+    if (!report) {
+      const sections = [];
+
+      for (const [index, conversation] of schedule.conversations.entries()) {
+        const messages = await this.fetchConversationMessages(schedule.workspace_id, conversation, start, end);
+
+        if (messages.length > 0) {
+          const section = {
+            platform: conversation.platform,
+            conversationId: conversation.conversationId,
+            name: messages.find(msg => msg.conversation_name)?.conversation_name || conversation.conversationId,
+            messageCount: messages.length,
+            analysis: await this.analyzeConversation(schedule.user_id, conversation.platform, messages)
+          };
+          sections.push(section);
+          sectionMessages.push(messages);
+        }
+
+        await progress?.(((index + 1) / (schedule.conversations.length + 1)) * 100, `Summarized ${index + 1} of ${schedule.conversations.length} conversations`);
+      }
+
+      const data = {
+        generatedAt: new Date().toISOString(),
+        summary: sections.length > 0
+          ? await this.generateOverallSummary(schedule.user_id, sections)
+          : 'No new messages in the selected conversations for this period.',
+        sections
+      };
+
+      const { data: stored, error } = await adminClient
+        .from('reports')
+        .upsert({
+          workspace_id: schedule.workspace_id,
+          user_id: schedule.user_id,
+          schedule_id: schedule.id,
+          type: 'digest',
+          title: `${schedule.name} – ${end.toISOString().slice(0, 10)}`,
+          format: schedule.output_format,
+          period_start: start.toISOString(),
+          period_end: end.toISOString(),
+          data
+        }, { onConflict: 'schedule_id,period_start,period_end' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      report = stored;
+    }
+
+    const sections = report.data?.sections || [];
+
+    if (!report.tasks_recorded_at) {
+      for (const [index, section] of sections.entries()) {
+        const messages = sectionMessages[index] ||
+          await this.fetchConversationMessages(schedule.workspace_id, section, start, end);
+
+        await taskService.recordActionItems(schedule.user_id, {
+          workspaceId: schedule.workspace_id,
+          source: 'digest',
+          platform: section.platform,
+          conversationId: section.conversationId,
+          conversationName: section.name,
+          items: section.analysis.actionItems,
+          messages: messages.map(msg => ({
+            externalId: msg.external_id,
+            senderName: msg.sender_name,
+            content: messageText(msg),
+            timestamp: msg.timestamp
+          }))
+        });
+      }
+
+      await this.markReport(report.id, 'tasks_recorded_at');
+    }
+
+    if (schedule.output_format === 'notification' && !report.notified_at) {
+      await notificationService.createNotification(schedule.user_id, {
+        type: 'digest',
+        title: report.title,
+        body: report.data.summary,
+        data: { reportId: report.id }
+      });
+
+      await this.markReport(report.id, 'notified_at');
+    }
+
+    ioEmitter.emit('report_generated', {
+      userId: schedule.user_id,
+      workspaceId: schedule.workspace_id,
+      report: { id: report.id, title: report.title, type: report.type, format: report.format }
+    });
+
+    console.log('[Digest Service] Digest generated:', {
+      scheduleId: schedule.id,
+      reportId: report.id,
+      conversations: sections.length,
+      retried: Boolean(existing)
+    });
+
+    return { reportId: report.id, conversations: sections.length };
+  }
+
+  // Record that a delivery step of a report is done
+  async markReport(reportId, column) {
+    const { error } = await adminClient
+      .from('reports')
+      .update({ [column]: new Date().toISOString() })
+      .eq('id', reportId);
+
+    if (error) throw error;
+  }
+
+  async listReports(workspaceId, { type = null, scheduleId = null, limit = 50, before = null } = {}) {
+    let query = adminClient
+      .from('reports')
+      .select('id, schedule_id, type, title, format, period_start, period_end, created_at')
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200));
+
+    if (type) query = query.eq('type', type);
+    if (scheduleId) query = query.eq('schedule_id', parseInt(scheduleId, 10));
+    if (before) query = query.lt('created_at', new Date(before).toISOString());
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getReport(workspaceId, reportId) {
+    const { data, error } = await adminClient
+      .from('reports')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(reportId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      const notFound = new Error('Report not found');
+      notFound.status = 404;
+      throw notFound;
+    }
+    return data;
+  }
+
+  // Render a stored report for download. Notification digests have no file
+  // of their own and default to Markdown.
+  async renderReport(workspaceId, reportId, format = null) {
+    const report = await this.getReport(workspaceId, reportId);
+    const outputFormat = format || (report.format === 'pdf' ? 'pdf' : 'markdown');
+    const filename = `${report.title.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || `report-${report.id}`}`;
+
+    if (outputFormat === 'pdf') {
+      return {
+        body: await this.renderPDF(report),
+        contentType: 'application/pdf',
+        filename: `${filename}.pdf`
+      };
+    }
+
+    if (outputFormat === 'markdown') {
+      return {
+        body: this.renderMarkdown(report),
+        contentType: 'text/markdown; charset=utf-8',
+        filename: `${filename}.md`
+      };
+    }
+
+    const error = new Error(`Unsupported download format: ${outputFormat}`);
+    error.status = 400;
+    throw error;
+  }
+
+  renderMarkdown(report) {
+    const { data } = report;
+    const lines = [
+      `# ${report.title}`,
+      '',
+      `_${new Date(report.period_start).toUTCString()} – ${new Date(report.period_end).toUTCString()}_`,
+      '',
+      '## Overview',
+      '',
+      data.summary,
+      ''
+    ];
+
+    for (const section of data.sections || []) {
+      lines.push(`## ${section.name} (${section.platform})`, '', `${section.messageCount} messages`, '', section.analysis.summary, '');
+
+      if (section.analysis.keyPoints.length > 0) {
+        lines.push('### Key Points', '', ...section.analysis.keyPoints.map(point => `- ${point}`), '');
+      }
+      if (section.analysis.actionItems.length > 0) {
+        lines.push('### Action Items', '', ...section.analysis.actionItems.map(item => `- [ ] ${item}`), '');
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  renderPDF(report) {
+    return new Promise((resolve, reject) => {
+      try {
+        const { data } = report;
+        const doc = new PDFDocument();
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        doc.fontSize(24).text(report.title, { align: 'center' });
+        doc.moveDown();
+        doc.fontSize(12).text(`${new Date(report.period_start).toUTCString()} – ${new Date(report.period_end).toUTCString()}`, { align: 'center' });
+        doc.moveDown(2);
+
+        doc.fontSize(18).text('Overview');
+        doc.moveDown();
+        doc.fontSize(12).text(data.summary);
+        doc.moveDown(2);
+
+        for (const section of data.sections || []) {
+          doc.fontSize(16).text(`${section.name} (${section.platform})`);
+          doc.fontSize(10).text(`${section.messageCount} messages`);
+          doc.moveDown();
+          doc.fontSize(12).text(section.analysis.summary);
+          doc.moveDown();
+
+          if (section.analysis.keyPoints.length > 0) {
+            doc.fontSize(14).text('Key Points');
+            section.analysis.keyPoints.forEach(point => doc.fontSize(12).text(`• ${point}`));
+            doc.moveDown();
+          }
+
+          if (section.analysis.actionItems.length > 0) {
+            doc.fontSize(14).text('Action Items');
+            section.analysis.actionItems.forEach(item => doc.fontSize(12).text(`• ${item}`));
+            doc.moveDown();
+          }
+
+          doc.moveDown();
+        }
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+}
+
+export const digestService = new DigestService();
@@ -3,6 +3,8 @@ import axios from 'axios';
 import { Client, GatewayIntentBits, Partials } from 'discord.js';
 import { ioEmitter } from '../../utils/emitter.js';
 import PDFDocument from 'pdfkit';
+import { discordRealtimeService } from '../discordRealtimeService.js';
+import { discordBackfillService } from '../discordBackfillService.js';
 
 const DISCORD_API_URL = 'https://discord.com/api/v10';
 
@@ -68,8 +70,10 @@ class ConnectionManager {
           GatewayIntentBits.GuildMessages,
           GatewayIntentBits.DirectMessages,
           GatewayIntentBits.MessageContent,
+          GatewayIntentBits.GuildMessageReactions,
+          GatewayIntentBits.DirectMessageReactions,
         ],
-        partials: [Partials.Channel, Partials.Message],
+        partials: [Partials.Channel, Partials.Message, Partials.Reaction, Partials.User],
         retryLimit: 5,
         presence: {
           status: 'online'
@@ -162,6 +166,9 @@ class ConnectionManager {
         }
       });
 
+      // Capture opted-in channels as messages arrive
+      discordRealtimeService.attach(userId, client);
+
       // Login with bot token
       await client.login(process.env.DISCORD_BOT_TOKEN);
       this.#gatewayClients.set(userId, client);
@@ -976,42 +983,11 @@ class ConnectionManager {
 
       // Get channel info to get server_id
       const channelInfo = await this.getChannel(userId, channelId);
-      const serverId = channelInfo.guild_id;
-
-      // Store messages in database
-      const messagesToInsert = messages.map(msg => ({
-        id: msg.id,
-        channel_id: channelId,
-        server_id: serverId,
-        user_id: userId,
-        author: {
-          id: msg.author.id,
-          username: msg.author.username,
-          discriminator: msg.author.discriminator,
-          avatar: msg.author.avatar
-        },
-        content: msg.content,
-        timestamp: msg.timestamp,
-        attachments: msg.attachments,
-        embeds: msg.embeds,
-        metadata: {
-          type: msg.type,
-          pinned: msg.pinned,
-          tts: msg.tts,
-          mention_everyone: msg.mention_everyone
-        }
-      }));
-
-      // Upsert messages to handle duplicates
-      const { error: insertError } = await adminClient
-        .from('discord_messages')
-        .upsert(messagesToInsert, {
-          onConflict: 'id',
-          ignoreDuplicates: false
-        });
 
-      if (insertError) {
-        console.error('Error storing messages:', insertError);
+      try {
+        await discordBackfillService.storeMessages(userId, channelInfo, messages);
+      } catch (storeError) {
+        console.error('Error storing Discord messages:', storeError);
       }
 
       return messages;
@@ -1348,9 +1324,100 @@ class ConnectionManager {
   }
   }
 
+  async sendMessage(userId, channelId, content) {
+    try {
+      const response = await fetch(`${DISCORD_API_URL}/channels/${channelId}/messages`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bot ${process.env.DISCORD_BOT_TOKEN}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ content })
+      });
+
+      if (!response.ok) {
+        if (response.status === 429) {
+          const retryAfter = parseFloat(response.headers.get('Retry-After') || '1');
+          console.log(`Rate limited sending to ${channelId}, retrying after ${retryAfter} seconds`);
+          await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+          return this.sendMessage(userId, channelId, content);
+        }
+        throw new Error(`Failed to send Discord message: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error(`Error sending Discord message for ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  async editMessage(userId, channelId, messageId, content) {
+    const response = await fetch(`${DISCORD_API_URL}/channels/${channelId}/messages/${messageId}`, {
+      method: 'PATCH',
+      headers: {
+        Authorization: `Bot ${process.env.DISCORD_BOT_TOKEN}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ content })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to edit Discord message: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  async deleteMessage(userId, channelId, messageId) {
+    const response = await fetch(`${DISCORD_API_URL}/channels/${channelId}/messages/${messageId}`, {
+      method: 'DELETE',
+      headers: {
+        Authorization: `Bot ${process.env.DISCORD_BOT_TOKEN}`
+      }
+    });
+
+    // Already gone counts as deleted
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`Failed to delete Discord message: ${response.status}`);
+    }
+  }
+
   getClient(userId) {
     return this.#gatewayClients.get(userId);
   }
+
+  async ensureGatewayClient(userId) {
+    return this.#initializeGatewayClient(userId);
+  }
+
+  // Reconnect gateway clients for users capturing channels, since clients
+  // only live in memory
+  async startGatewayClients() {
+    try {
+      const userIds = await discordRealtimeService.getSubscribedUserIds();
+      if (userIds.length === 0) return;
+
+      const { data: accounts, error } = await adminClient
+        .from('accounts')
+        .select('user_id')
+        .eq('platform', 'discord')
+        .eq('status', 'active')
+        .in('user_id', userIds);
+
+      if (error) throw error;
+
+      for (const { user_id: userId } of accounts || []) {
+        try {
+          await this.#initializeGatewayClient(userId);
+        } catch (error) {
+          console.error(`Failed to start Discord gateway client for ${userId}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Error starting Discord gateway clients:', error);
+    }
+  }
 }
 
 // Export singleton instance
@@ -1365,6 +1432,12 @@ export const getDiscordServers = (userId) => connectionManager.getServers(userId
 export const getDiscordChannels = (userId, serverId) => connectionManager.getChannels(userId, serverId);
 export const getDiscordDirectMessages = (userId) => connectionManager.getDirectMessages(userId);
 export const getDiscordClient = (userId) => connectionManager.getClient(userId);
+export const getDiscordChannel = (userId, channelId) => connectionManager.getChannel(userId, channelId);
+export const ensureDiscordGateway = (userId) => connectionManager.ensureGatewayClient(userId);
+export const startDiscordGateways = () => connectionManager.startGatewayClients();
 export const getDiscordMessages = (userId, channelId) => connectionManager.getMessages(userId, channelId);
+export const sendDiscordMessage = (userId, channelId, content) => connectionManager.sendMessage(userId, channelId, content);
+export const editDiscordMessage = (userId, channelId, messageId, content) => connectionManager.editMessage(userId, channelId, messageId, content);
+export const deleteDiscordMessage = (userId, channelId, messageId) => connectionManager.deleteMessage(userId, channelId, messageId);
 export const validateDiscordToken = (userId) => connectionManager.validateAndRefreshToken(userId);
 export const refreshDiscordToken = (userId) => connectionManager.refreshToken(userId); 
\ No newline at end of file
@@ -2,6 +2,8 @@ import { Telegraf } from 'telegraf';
 import { adminClient } from '../../utils/supabase.js';
 import { ioEmitter } from '../../utils/emitter.js';
 import { encryptToken } from '../../utils/encryption.js';
+import { telegramIngestService, TELEGRAM_ALLOWED_UPDATES } from '../telegramIngestService.js';
+import { telegramWebhookService } from '../telegramWebhookService.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -126,8 +128,10 @@ class ConnectionManager {
         return;
       }
 
-      // Stop bot if exists
-      if (connection?.bot) {
+      // Webhook bots aren't running a loop; removing the webhook stops delivery
+      if (connection?.bot && connection.webhook) {
+        await telegramWebhookService.unregisterWebhook(connection.bot, connection.botInfo?.id);
+      } else if (connection?.bot) {
         try {
           console.log(`Stopping bot for user ${userId}`);
           // Add timeout to bot.stop()
@@ -360,7 +364,7 @@ class ConnectionManager {
             user_id: userId,
             platform: 'telegram',
             credentials: { 
-              token: encryptToken(token),
+              token: await encryptToken(token),
               botId: botInfo.id.toString(),
               botUsername: botInfo.username
             },
@@ -383,30 +387,40 @@ class ConnectionManager {
         this.#emitStatus(userId, 'connecting', { botInfo });
 
         console.log('Initializing bot...');
-        
-        // Delete webhook with short timeout
-        await Promise.race([
-          bot.telegram.deleteWebhook({ drop_pending_updates: true }),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Webhook deletion timed out')), 10000)
-          )
-        ]);
 
         // Set up bot event handlers with error handling
-        bot.on('message', (ctx) => {
-          console.log(`Received message for user ${userId}:`, ctx.message);
-        });
+        telegramIngestService.registerHandlers(bot, userId, botInfo);
 
         bot.catch((error) => {
           console.error(`Bot error for user ${userId}:`, error);
         });
 
+        const webhook = telegramWebhookService.isEnabled();
+
+        if (webhook) {
+          // Updates arrive at /telegram/webhook/:botId; no polling loop to start
+          await Promise.race([
+            telegramWebhookService.registerWebhook(bot, botInfo, userId),
+            new Promise((_, reject) => 
+              setTimeout(() => reject(new Error('Webhook registration timed out')), 10000)
+            )
+          ]);
+        } else {
+          // Delete webhook with short timeout
+          await Promise.race([
+            bot.telegram.deleteWebhook({ drop_pending_updates: true }),
+            new Promise((_, reject) => 
+              setTimeout(() => reject(new Error('Webhook deletion timed out')), 10000)
+            )
+          ]);
+        }
+
         // Launch bot with multiple retries and exponential backoff
         let retryCount = 0;
         const maxRetries = 2;
         let lastError = null;
 
-        while (retryCount <= maxRetries) {
+        while (!webhook && retryCount <= maxRetries) {
           try {
             console.log(`Attempting bot launch (attempt ${retryCount + 1}/${maxRetries + 1})`);
             
@@ -416,7 +430,7 @@ class ConnectionManager {
                 polling: {
                   timeout: 10,
                   limit: 100,
-                  allowedUpdates: ['message', 'callback_query']
+                  allowedUpdates: TELEGRAM_ALLOWED_UPDATES
                 }
               }),
               new Promise((_, reject) => 
@@ -453,6 +467,7 @@ class ConnectionManager {
         this.#connections.set(userId, {
           bot,
           botInfo,
+          webhook,
           state: ConnectionState.CONNECTED,
           timestamp: Date.now()
         });
@@ -483,7 +498,9 @@ class ConnectionManager {
         console.error('Bot initialization error:', error);
         
         // Ensure bot is stopped if it exists
-        if (bot) {
+        if (bot && telegramWebhookService.isEnabled()) {
+          await telegramWebhookService.unregisterWebhook(bot, bot.botInfo?.id);
+        } else if (bot) {
           try {
             await bot.stop();
           } catch (stopError) {
@@ -549,28 +566,33 @@ class ConnectionManager {
         }
       });
 
-      try {
-        // Delete webhook before starting polling
-        await bot.telegram.deleteWebhook({ drop_pending_updates: true });
+      const webhook = telegramWebhookService.isEnabled();
 
+      try {
         // Set up bot event handlers
-        bot.on('message', (ctx) => {
-          console.log(`Received message for user ${userId}:`, ctx.message);
-        });
+        telegramIngestService.registerHandlers(bot, userId, botInfo);
 
-        // Start the bot with custom polling options
-        await bot.launch({
-          polling: {
-            timeout: 30,
-            limit: 100,
-            allowedUpdates: ['message', 'callback_query']
-          }
-        });
+        if (webhook) {
+          await telegramWebhookService.registerWebhook(bot, botInfo, userId);
+        } else {
+          // Delete webhook before starting polling
+          await bot.telegram.deleteWebhook({ drop_pending_updates: true });
+
+          // Start the bot with custom polling options
+          await bot.launch({
+            polling: {
+              timeout: 30,
+              limit: 100,
+              allowedUpdates: TELEGRAM_ALLOWED_UPDATES
+            }
+          });
+        }
 
         // Update connection state with bot instance
         this.#connections.set(userId, {
           bot,
           botInfo,
+          webhook,
           state: ConnectionState.CONNECTED,
           timestamp: Date.now()
         });
@@ -640,6 +662,10 @@ class ConnectionManager {
   getConnectionState(userId) {
     return this.#connections.get(userId)?.state || ConnectionState.DISCONNECTED;
   }
+
+  getBot(userId) {
+    return this.#connections.get(userId)?.bot || null;
+  }
 }
 
 const connectionManager = new ConnectionManager();
@@ -652,16 +678,38 @@ export const disconnectTelegram = (userId) => connectionManager.disconnect(userI
 // Helper function to send messages
 export const sendTelegramMessage = async (userId, chatId, message) => {
   const state = connectionManager.getConnectionState(userId);
-  const connection = connectionManager.getStatus(userId);
+  const bot = connectionManager.getBot(userId);
   
-  if (state === ConnectionState.DISCONNECTED || !connection.botInfo) {
+  if (state !== ConnectionState.CONNECTED || !bot) {
     throw new Error('No active Telegram connection');
   }
 
   try {
-    return await connection.bot.telegram.sendMessage(chatId, message);
+    return await bot.telegram.sendMessage(chatId, message);
   } catch (error) {
     console.error(`Error sending Telegram message for ${userId}:`, error);
     throw error;
   }
-}; 
\ No newline at end of file
+};
+
+export const editTelegramMessage = async (userId, chatId, messageId, message) => {
+  const state = connectionManager.getConnectionState(userId);
+  const bot = connectionManager.getBot(userId);
+
+  if (state !== ConnectionState.CONNECTED || !bot) {
+    throw new Error('No active Telegram connection');
+  }
+
+  return bot.telegram.editMessageText(chatId, parseInt(messageId, 10), undefined, message);
+};
+
+export const deleteTelegramMessage = async (userId, chatId, messageId) => {
+  const state = connectionManager.getConnectionState(userId);
+  const bot = connectionManager.getBot(userId);
+
+  if (state !== ConnectionState.CONNECTED || !bot) {
+    throw new Error('No active Telegram connection');
+  }
+
+  return bot.telegram.deleteMessage(chatId, parseInt(messageId, 10));
+};
@@ -0,0 +1,358 @@
+import { adminClient } from '../utils/supabase.js';
+import { jobQueueService } from './jobQueueService.js';
+import { messageStoreService } from './messageStoreService.js';
+
+const DISCORD_API_URL = 'https://discord.com/api/v10';
+const PAGE_SIZE = 100;
+const DEFAULT_DAYS = 30;
+const DEFAULT_MAX_MESSAGES = 10000;
+const MAX_MESSAGES_LIMIT = 100000;
+const MAX_RATE_LIMIT_RETRIES = 5;
+
+function backfillError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(new Error('Backfill interrupted'));
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Unified store shape of a message as returned by the REST API
+function toUnifiedMessage(message, channel) {
+  return {
+    platform: 'discord',
+    conversationId: message.channel_id || channel.id,
+    conversationName: channel.name,
+    externalId: message.id,
+    senderId: message.author.id,
+    senderName: message.author.global_name || message.author.username,
+    content: message.content,
+    attachments: (message.attachments || []).map(attachment => ({
+      type: 'file',
+      url: attachment.url,
+      name: attachment.filename,
+      mimetype: attachment.content_type,
+      size: attachment.size,
+      width: attachment.width,
+      height: attachment.height,
+      durationMs: attachment.duration_secs ? attachment.duration_secs * 1000 : undefined
+    })),
+    timestamp: message.timestamp,
+    editedAt: message.edited_timestamp,
+    metadata: {
+      server_id: channel.guild_id,
+      reply_to: message.message_reference?.message_id || null
+    }
+  };
+}
+
+// Walks Discord channel history backwards with `before` cursors as a
+// discord.backfill_channel job. Progress is written to discord_backfills
+// after every page, so a restarted worker or a retried job picks up at the
+// last stored cursor instead of starting over.
+class DiscordBackfillService {
+  // REST call with the bot token that waits out rate limits: a 429 is
+  // retried after retry_after, and an exhausted bucket is waited on before
+  // returning so the next call doesn't hit the limit.
+  async request(path, { signal } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const response = await fetch(`${DISCORD_API_URL}${path}`, {
+        headers: { Authorization: `Bot ${process.env.DISCORD_BOT_TOKEN}` },
+        signal
+      });
+
+      if (response.status === 429) {
+        const body = await response.json().catch(() => ({}));
+        const retryAfter = parseFloat(body.retry_after ?? response.headers.get('Retry-After') ?? '1');
+        if (attempt >= MAX_RATE_LIMIT_RETRIES) {
+          throw backfillError('Discord rate limit retries exhausted', 429);
+        }
+        console.log(`[Discord Backfill] Rate limited on ${path}${body.global ? ' (global)' : ''}, retrying after ${retryAfter}s`);
+        await sleep(retryAfter * 1000, signal);
+        continue;
+      }
+
+      if (!response.ok) {
+        const error = backfillError(`Discord API error ${response.status} for ${path}`, response.status);
+        // Missing access or unknown channel won't fix itself on retry
+        error.permanent = [401, 403, 404].includes(response.status);
+        throw error;
+      }
+
+      const data = await response.json();
+
+      if (response.headers.get('X-RateLimit-Remaining') === '0') {
+        const resetAfter = parseFloat(response.headers.get('X-RateLimit-Reset-After') || '1');
+        await sleep(resetAfter * 1000, signal);
+      }
+
+      return data;
+    }
+  }
+
+  // Persist REST messages into discord_messages and the unified store.
+  // History never notifies: old messages must not trigger rules.
+  async storeMessages(userId, channel, messages) {
+    if (messages.length === 0) return;
+
+    const { error } = await adminClient
+      .from('discord_messages')
+      .upsert(messages.map(message => ({
+        id: message.id,
+        channel_id: channel.id,
+        server_id: channel.guild_id,
+        user_id: userId,
+        author: {
+          id: message.author.id,
+          username: message.author.username,
+          discriminator: message.author.discriminator,
+          avatar: message.author.avatar
+        },
+        content: message.content,
+        timestamp: message.timestamp,
+        attachments: message.attachments,
+        embeds: message.embeds,
+        reactions: (message.reactions || []).map(reaction => ({
+          emoji: reaction.emoji.id ? `${reaction.emoji.name}:${reaction.emoji.id}` : reaction.emoji.name,
+          count: reaction.count
+        })),
+        edited_at: message.edited_timestamp,
+        metadata: {
+          type: message.type,
+          pinned: message.pinned,
+          tts: message.tts,
+          mention_everyone: message.mention_everyone
+        }
+      })), {
+        onConflict: 'id',
+        ignoreDuplicates: false
+      });
+
+    if (error) throw error;
+
+    await messageStoreService.storeMessages(userId, messages.map(message => toUnifiedMessage(message, channel)));
+  }
+
+  async getBackfill(userId, channelId) {
+    const { data, error } = await adminClient
+      .from('discord_backfills')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('channel_id', String(channelId))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw backfillError('No backfill for this channel', 404);
+    return data;
+  }
+
+  async listBackfills(userId) {
+    const { data, error } = await adminClient
+      .from('discord_backfills')
+      .select('*')
+      .eq('user_id', userId)
+      .order('updated_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Bounds: { since } or { days } (default 30 days), and { maxMessages }.
+  // An existing backfill continues from its cursor with the new bounds
+  // unless { restart: true }.
+  async startBackfill(userId, channelId, { since = null, days = null, maxMessages = null, restart = false } = {}) {
+    let sinceDate = null;
+    if (since) {
+      sinceDate = new Date(since);
+      if (isNaN(sinceDate.getTime())) throw backfillError(`Invalid since: ${since}`, 400);
+    } else if (days !== 0) {
+      const dayCount = days === null || days === undefined ? DEFAULT_DAYS : Number(days);
+      if (!(dayCount > 0)) throw backfillError('days must be a positive number', 400);
+      sinceDate = new Date(Date.now() - dayCount * 24 * 60 * 60 * 1000);
+    }
+
+    const limit = maxMessages === null || maxMessages === undefined ? DEFAULT_MAX_MESSAGES : parseInt(maxMessages, 10);
+    if (!(limit > 0) || limit > MAX_MESSAGES_LIMIT) {
+      throw backfillError(`maxMessages must be between 1 and ${MAX_MESSAGES_LIMIT}`, 400);
+    }
+
+    const existing = await this.getBackfill(userId, channelId).catch(error => {
+      if (error.status === 404) return null;
+      throw error;
+    });
+
+    if (existing?.status === 'running') {
+      throw backfillError('A backfill is already running for this channel', 409);
+    }
+
+    const channel = await this.request(`/channels/${channelId}`);
+    const resume = existing && !restart;
+
+    const { data: backfill, error } = await adminClient
+      .from('discord_backfills')
+      .upsert({
+        user_id: userId,
+        channel_id: String(channelId),
+        server_id: channel.guild_id || null,
+        channel_name: channel.name || null,
+        status: 'queued',
+        since: sinceDate?.toISOString() || null,
+        max_messages: limit,
+        before_id: resume ? existing.before_id : null,
+        messages_fetched: resume ? existing.messages_fetched : 0,
+        oldest_timestamp: resume ? existing.oldest_timestamp : null,
+        stop_reason: null,
+        last_error: null,
+        completed_at: null
+      }, {
+        onConflict: 'user_id,channel_id'
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const job = await jobQueueService.enqueue('discord.backfill_channel', { channelId: String(channelId) }, {
+      userId,
+      maxAttempts: 5,
+      dedupeKey: `${userId}:${channelId}`
+    });
+
+    await this.updateBackfill(backfill.id, { job_id: job.id });
+    return { backfill: { ...backfill, job_id: job.id }, job };
+  }
+
+  // Stops a queued or running backfill after its current page
+  async cancelBackfill(userId, channelId) {
+    const backfill = await this.getBackfill(userId, channelId);
+    if (!['queued', 'running'].includes(backfill.status)) {
+      throw backfillError(`Backfill is not in progress (status: ${backfill.status})`, 409);
+    }
+    return this.updateBackfill(backfill.id, { status: 'cancelled' });
+  }
+
+  async updateBackfill(id, update) {
+    const { data, error } = await adminClient
+      .from('discord_backfills')
+      .update(update)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Job handler for discord.backfill_channel. finalAttempt marks the
+  // backfill failed rather than queued when the job won't be retried.
+  async runBackfill(userId, channelId, { progress, signal, finalAttempt = false } = {}) {
+    let backfill = await this.getBackfill(userId, channelId);
+    if (backfill.status === 'cancelled' || backfill.status === 'completed') {
+      return { backfillId: backfill.id, skipped: backfill.status };
+    }
+
+    backfill = await this.updateBackfill(backfill.id, { status: 'running', last_error: null });
+
+    try {
+      const channel = await this.request(`/channels/${channelId}`, { signal });
+      const sinceTime = backfill.since ? new Date(backfill.since).getTime() : null;
+      const startedAt = Date.now();
+      let stopReason = null;
+
+      while (!stopReason) {
+        if (signal?.aborted) throw new Error('Backfill interrupted');
+
+        const remaining = backfill.max_messages - backfill.messages_fetched;
+        if (remaining <= 0) {
+          stopReason = 'max_messages';
+          break;
+        }
+
+        const params = new URLSearchParams({ limit: String(Math.min(PAGE_SIZE, remaining)) });
+        if (backfill.before_id) params.set('before', backfill.before_id);
+
+        // Newest first
+        const page = await this.request(`/channels/${channelId}/messages?${params}`, { signal });
+        if (page.length === 0) {
+          stopReason = 'channel_start';
+          break;
+        }
+
+        const inRange = sinceTime
+          ? page.filter(message => new Date(message.timestamp).getTime() >= sinceTime)
+          : page;
+
+        await this.storeMessages(userId, channel, inRange);
+
+        const oldest = page[page.length - 1];
+        if (inRange.length < page.length) stopReason = 'since';
+
+        // Re-read status so a cancel request lands between pages
+        const { data: current, error: statusError } = await adminClient
+          .from('discord_backfills')
+          .select('status')
+          .eq('id', backfill.id)
+          .single();
+
+        if (statusError) throw statusError;
+
+        backfill = await this.updateBackfill(backfill.id, {
+          before_id: oldest.id,
+          messages_fetched: backfill.messages_fetched + inRange.length,
+          oldest_timestamp: (inRange[inRange.length - 1] || oldest).timestamp
+        });
+
+        if (current.status === 'cancelled') {
+          return { backfillId: backfill.id, cancelled: true, messagesFetched: backfill.messages_fetched };
+        }
+
+        if (progress) {
+          const countShare = backfill.messages_fetched / backfill.max_messages;
+          const timeShare = sinceTime
+            ? (startedAt - new Date(backfill.oldest_timestamp).getTime()) / (startedAt - sinceTime)
+            : 0;
+          await progress(Math.min(99, Math.max(countShare, timeShare) * 100),
+            `Fetched ${backfill.messages_fetched} messages back to ${backfill.oldest_timestamp}`);
+        }
+      }
+
+      backfill = await this.updateBackfill(backfill.id, {
+        status: 'completed',
+        stop_reason: stopReason,
+        completed_at: new Date().toISOString()
+      });
+
+      console.log('[Discord Backfill] Completed backfill:', {
+        userId,
+        channelId,
+        messagesFetched: backfill.messages_fetched,
+        stopReason
+      });
+
+      return { backfillId: backfill.id, messagesFetched: backfill.messages_fetched, stopReason };
+    } catch (error) {
+      // The cursor is kept; a retry of the job resumes from before_id
+      await this.updateBackfill(backfill.id, {
+        status: error.permanent || finalAttempt ? 'failed' : 'queued',
+        last_error: error.message
+      }).catch(updateError => {
+        console.error('[Discord Backfill] Error recording failure:', updateError);
+      });
+      throw error;
+    }
+  }
+}
+
+export const discordBackfillService = new DiscordBackfillService();
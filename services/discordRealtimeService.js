@@ -0,0 +1,310 @@
+import { adminClient } from '../utils/supabase.js';
+import { ioEmitter } from '../utils/emitter.js';
+import { messageStoreService } from './messageStoreService.js';
+
+// How long a user's opted-in channel list is trusted before it is re-read,
+// so changes made through another instance are picked up
+const SUBSCRIPTION_TTL_MS = 60 * 1000;
+
+function realtimeError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function emojiKey(emoji) {
+  return emoji.id ? `${emoji.name}:${emoji.id}` : emoji.name;
+}
+
+function reactionSummary(message) {
+  return [...message.reactions.cache.values()].map(reaction => ({
+    emoji: emojiKey(reaction.emoji),
+    count: reaction.count
+  }));
+}
+
+// Attachment JSON as the REST API returns it, matching rows stored by
+// getMessages
+function attachmentJson(attachment) {
+  return {
+    id: attachment.id,
+    filename: attachment.name,
+    url: attachment.url,
+    content_type: attachment.contentType,
+    size: attachment.size,
+    width: attachment.width,
+    height: attachment.height,
+    duration_secs: attachment.duration
+  };
+}
+
+function channelName(channel) {
+  if (!channel) return null;
+  return channel.name || channel.recipient?.globalName || channel.recipient?.username || null;
+}
+
+// Live capture of Discord channels through a user's gateway client. Only
+// channels (and their threads) the user opted in to are captured; messages,
+// edits, deletions and reaction changes are written to discord_messages and
+// the unified store and pushed to the user's sockets.
+class DiscordRealtimeService {
+  constructor() {
+    // userId -> { channelIds: Set, loadedAt }
+    this.subscriptions = new Map();
+    this.attachedClients = new WeakSet();
+  }
+
+  async listSubscriptions(userId) {
+    const { data, error } = await adminClient
+      .from('discord_channel_subscriptions')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // channel is the REST channel object the caller already resolved
+  async subscribe(userId, channel) {
+    if (!channel?.id) throw realtimeError('Channel not found', 404);
+
+    const { data, error } = await adminClient
+      .from('discord_channel_subscriptions')
+      .upsert({
+        user_id: userId,
+        channel_id: String(channel.id),
+        server_id: channel.guild_id || null,
+        channel_name: channel.name || null
+      }, {
+        onConflict: 'user_id,channel_id'
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    this.subscriptions.delete(userId);
+    return data;
+  }
+
+  async unsubscribe(userId, channelId) {
+    const { data, error } = await adminClient
+      .from('discord_channel_subscriptions')
+      .delete()
+      .eq('user_id', userId)
+      .eq('channel_id', String(channelId))
+      .select();
+
+    if (error) throw error;
+    if (!data?.length) throw realtimeError('Channel is not being captured', 404);
+
+    this.subscriptions.delete(userId);
+    return data[0];
+  }
+
+  // Users with at least one opted-in channel, for starting gateway clients on boot
+  async getSubscribedUserIds() {
+    const { data, error } = await adminClient
+      .from('discord_channel_subscriptions')
+      .select('user_id');
+
+    if (error) throw error;
+    return [...new Set((data || []).map(row => row.user_id))];
+  }
+
+  async getChannelIds(userId) {
+    const cached = this.subscriptions.get(userId);
+    if (cached && Date.now() - cached.loadedAt < SUBSCRIPTION_TTL_MS) {
+      return cached.channelIds;
+    }
+
+    const rows = await this.listSubscriptions(userId);
+    const channelIds = new Set(rows.map(row => row.channel_id));
+    this.subscriptions.set(userId, { channelIds, loadedAt: Date.now() });
+    return channelIds;
+  }
+
+  // Threads are captured along with their parent channel
+  async isCaptured(userId, channel, channelId = channel?.id) {
+    const channelIds = await this.getChannelIds(userId);
+    return channelIds.has(channelId) || (!!channel?.parentId && channelIds.has(channel.parentId));
+  }
+
+  attach(userId, client) {
+    if (this.attachedClients.has(client)) return;
+    this.attachedClients.add(client);
+
+    const run = (label, handler) => async (...args) => {
+      try {
+        await handler(...args);
+      } catch (error) {
+        console.error(`[Discord Realtime] Error handling ${label}:`, { userId, error });
+      }
+    };
+
+    client.on('messageCreate', run('messageCreate', async (message) => {
+      if (!await this.isCaptured(userId, message.channel, message.channelId)) return;
+      // The bot's own messages are stored but don't trigger rules, so an
+      // automated reply can't answer itself
+      await this.storeMessage(userId, message, { notify: message.author?.id !== client.user?.id });
+    }));
+
+    client.on('messageUpdate', run('messageUpdate', async (oldMessage, newMessage) => {
+      if (!await this.isCaptured(userId, newMessage.channel, newMessage.channelId)) return;
+      const message = newMessage.partial ? await newMessage.fetch() : newMessage;
+      // Embed unfurls also arrive as updates; only content edits set editedAt
+      await this.storeMessage(userId, message, {
+        edited: !!message.editedTimestamp,
+        notify: message.author?.id !== client.user?.id
+      });
+    }));
+
+    client.on('messageDelete', run('messageDelete', async (message) => {
+      if (!await this.isCaptured(userId, message.channel, message.channelId)) return;
+      await this.markDeleted(userId, message.channelId, [message.id]);
+    }));
+
+    client.on('messageDeleteBulk', run('messageDeleteBulk', async (messages, channel) => {
+      if (!await this.isCaptured(userId, channel)) return;
+      await this.markDeleted(userId, channel.id, [...messages.keys()]);
+    }));
+
+    const reactionChanged = run('reaction', async (reaction) => {
+      if (!await this.isCaptured(userId, reaction.message.channel, reaction.message.channelId)) return;
+      // Uncached messages arrive partial; fetching brings current counts
+      const message = reaction.message.partial ? await reaction.message.fetch() : reaction.message;
+      await this.updateReactions(userId, message);
+    });
+
+    client.on('messageReactionAdd', reactionChanged);
+    client.on('messageReactionRemove', reactionChanged);
+    client.on('messageReactionRemoveEmoji', reactionChanged);
+    client.on('messageReactionRemoveAll', run('messageReactionRemoveAll', async (message) => {
+      if (!await this.isCaptured(userId, message.channel, message.channelId)) return;
+      await this.updateReactions(userId, message);
+    }));
+  }
+
+  async storeMessage(userId, message, { notify = false, edited = false } = {}) {
+    const editedAt = edited ? message.editedAt.toISOString() : null;
+    const reactions = reactionSummary(message);
+
+    const { data: stored, error } = await adminClient
+      .from('discord_messages')
+      .upsert({
+        id: message.id,
+        channel_id: message.channelId,
+        server_id: message.guildId,
+        user_id: userId,
+        author: {
+          id: message.author.id,
+          username: message.author.username,
+          discriminator: message.author.discriminator,
+          avatar: message.author.avatar
+        },
+        content: message.content,
+        timestamp: message.createdAt.toISOString(),
+        attachments: [...message.attachments.values()].map(attachmentJson),
+        embeds: message.embeds.map(embed => embed.toJSON()),
+        reactions,
+        metadata: {
+          type: message.type,
+          pinned: message.pinned,
+          tts: message.tts,
+          mention_everyone: message.mentions.everyone
+        },
+        ...(editedAt && { edited_at: editedAt })
+      }, {
+        onConflict: 'id',
+        ignoreDuplicates: false
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await messageStoreService.storeMessage(userId, {
+      platform: 'discord',
+      conversationId: message.channelId,
+      conversationName: channelName(message.channel),
+      externalId: message.id,
+      senderId: message.author.id,
+      senderName: message.member?.displayName || message.author.globalName || message.author.username,
+      content: message.content,
+      attachments: [...message.attachments.values()].map(attachment => ({
+        type: 'file',
+        url: attachment.url,
+        name: attachment.name,
+        mimetype: attachment.contentType,
+        size: attachment.size,
+        width: attachment.width,
+        height: attachment.height,
+        durationMs: attachment.duration ? attachment.duration * 1000 : undefined
+      })),
+      timestamp: message.createdAt,
+      editedAt,
+      metadata: {
+        server_id: message.guildId,
+        reply_to: message.reference?.messageId || null,
+        thread_parent_id: message.channel?.isThread?.() ? message.channel.parentId : null,
+        reactions
+      }
+    }, { notify });
+
+    ioEmitter.emit('discord_message', {
+      userId,
+      type: edited ? 'edited' : 'new',
+      channelId: message.channelId,
+      message: stored
+    });
+
+    return stored;
+  }
+
+  async markDeleted(userId, channelId, messageIds) {
+    const deletedAt = new Date().toISOString();
+
+    const { error } = await adminClient
+      .from('discord_messages')
+      .update({ deleted_at: deletedAt })
+      .eq('user_id', userId)
+      .in('id', messageIds);
+
+    if (error) throw error;
+
+    await messageStoreService.markExternalDeleted(userId, 'discord', messageIds);
+
+    ioEmitter.emit('discord_message', {
+      userId,
+      type: 'deleted',
+      channelId,
+      messageIds,
+      deletedAt
+    });
+  }
+
+  async updateReactions(userId, message) {
+    const reactions = reactionSummary(message);
+
+    const { error } = await adminClient
+      .from('discord_messages')
+      .update({ reactions })
+      .eq('user_id', userId)
+      .eq('id', message.id);
+
+    if (error) throw error;
+
+    await messageStoreService.mergeExternalMetadata(userId, 'discord', message.id, { reactions });
+
+    ioEmitter.emit('discord_message', {
+      userId,
+      type: 'reaction',
+      channelId: message.channelId,
+      messageId: message.id,
+      reactions
+    });
+  }
+}
+
+export const discordRealtimeService = new DiscordRealtimeService();
@@ -9,7 +9,10 @@ const client = new Client({
   ]
 });
 
-client.login(process.env.DISCORD_BOT_TOKEN);
+// A missing or bad token must not take the whole server down
+client.login(process.env.DISCORD_BOT_TOKEN).catch(error => {
+  console.error('[Discord Service] Bot login failed:', error.message);
+});
 
 export const getChannelMessages = async (channelId) => {
   try {
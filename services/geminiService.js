@@ -1,28 +1,30 @@
-import axios from 'axios';
+import { llmService } from './llmService.js';
 
-const GEMINI_ENDPOINT = process.env.GEMINI_API_ENDPOINT;
+const MESSAGE_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['conversationTone', 'mainTopics', 'actionItems', 'customerSentiment', 'suggestedNextSteps'],
+  properties: {
+    conversationTone: { type: 'string' },
+    mainTopics: { type: 'array', items: { type: 'string' } },
+    actionItems: { type: 'array', items: { type: 'string' } },
+    customerSentiment: { type: 'string' },
+    suggestedNextSteps: { type: 'array', items: { type: 'string' } }
+  }
+};
 
-export async function analyzeMessagesWithGemini(messages) {
+// Provider and model come from the message_analysis task in config/llmConfig.js;
+// set LLM_TASK_OVERRIDES to route it to gemini.
+export async function analyzeMessagesWithGemini(messages, userId = null) {
   // Send last N messages
-  const lastMessages = messages.slice(0,50); 
+  const lastMessages = messages.slice(0,50);
   const textContent = lastMessages.map(m=>`${m.senderName}: ${m.content}`).join('\n');
 
-  const prompt = `Analyze these messages and provide a JSON response:
-  {
-    "conversationTone": "string",
-    "mainTopics": [array of topics],
-    "actionItems": [array of required actions],
-    "customerSentiment": "string",
-    "suggestedNextSteps": [array of suggestions]
-  }
-  Messages:
-  "${textContent}"`;
-
-  const resp = await axios.post(GEMINI_ENDPOINT, {
-    prompt
-  },{
-    headers:{'Authorization':`Bearer ${process.env.GEMINI_API_KEY}`}
+  const { data } = await llmService.complete('message_analysis', {
+    userId,
+    prompt: 'Analyze these messages.\n  Messages:',
+    transcript: textContent,
+    schema: MESSAGE_ANALYSIS_SCHEMA
   });
 
-  return resp.data;
+  return data;
 }
@@ -0,0 +1,79 @@
+import { jobQueueService } from './jobQueueService.js';
+import { matrixWhatsAppService } from './matrixWhatsAppService.js';
+import { whatsappEntityService } from './whatsappEntityService.js';
+import { aiAnalysisService } from './aiAnalysisService.js';
+import reportService from './reportService.js';
+import { digestService } from './digestService.js';
+import { transcriptionService } from './transcriptionService.js';
+import { discordBackfillService } from './discordBackfillService.js';
+import { peopleService } from './peopleService.js';
+import { webhookService } from './webhookService.js';
+import { workspaceService } from './workspaceService.js';
+
+// Workspace jobs carry their workspace in the payload; ones queued before
+// workspaces existed run in the user's default workspace
+const jobWorkspaceId = async job => job.payload?.workspaceId || workspaceService.getDefaultWorkspaceId(job.user_id);
+
+// Long-running tasks that can be handed to the job queue. Each handler gets
+// the leased job row and a context with progress() for Socket.IO updates.
+export function registerJobHandlers() {
+  jobQueueService.registerHandler('whatsapp.sync_messages', async (job, { progress }) => {
+    const result = await matrixWhatsAppService.syncMessages(job.user_id, job.payload.contactId, 0, {
+      onProgress: progress
+    });
+
+    if (result?.details?.syncStatus === 'rejected') {
+      throw new Error('Sync encountered errors during processing');
+    }
+    return result;
+  });
+
+  jobQueueService.registerHandler('whatsapp.sync_contacts', async (job, { progress }) => {
+    await progress(10, 'Syncing contacts');
+    const contacts = await whatsappEntityService.forceSyncContacts(job.user_id);
+    return { contactCount: contacts?.length || 0 };
+  });
+
+  jobQueueService.registerHandler('discord.channel_report', async (job) => {
+    const report = await reportService.createChannelReport(job.user_id, job.payload.channelId, {
+      since: job.payload.since
+    });
+    return { reportId: report.id };
+  });
+
+  jobQueueService.registerHandler('discord.backfill_channel', async (job, { progress, signal }) => {
+    return discordBackfillService.runBackfill(job.user_id, job.payload.channelId, {
+      progress,
+      signal,
+      finalAttempt: job.attempts >= job.max_attempts
+    });
+  });
+
+  jobQueueService.registerHandler('ai.initialize_analysis', async (job) => {
+    return aiAnalysisService.initializeContactAnalysis(job.user_id, job.payload.contactId, !!job.payload.force);
+  });
+
+  jobQueueService.registerHandler('digest.generate', async (job, { progress }) => {
+    const { scheduleId, periodStart, periodEnd } = job.payload;
+    return digestService.generateDigest(scheduleId, { periodStart, periodEnd }, { progress });
+  });
+
+  jobQueueService.registerHandler('media.transcribe', async (job) => {
+    return transcriptionService.transcribeMessage(job.user_id, job.payload.messageId, {
+      force: !!job.payload.force
+    });
+  });
+
+  jobQueueService.registerHandler('people.sync', async (job, { progress }) => {
+    return peopleService.syncPeople(await jobWorkspaceId(job), job.user_id, { progress });
+  });
+
+  jobQueueService.registerHandler('people.suggest', async (job) => {
+    const suggestions = await peopleService.refreshSuggestions(await jobWorkspaceId(job), job.user_id);
+    return { suggestions: suggestions.length };
+  });
+
+  jobQueueService.registerHandler('webhook.deliver', async (job, { signal }) => {
+    return webhookService.deliver(job.payload.deliveryId, { signal });
+  });
+}
@@ -0,0 +1,373 @@
+import os from 'os';
+import crypto from 'crypto';
+import { adminClient } from '../utils/supabase.js';
+import { ioEmitter } from '../utils/emitter.js';
+import { exponentialBackoff } from '../utils/backoff.js';
+
+const JOB_COLUMNS = 'id, user_id, type, payload, status, priority, attempts, max_attempts, run_at, progress, progress_message, result, last_error, started_at, completed_at, dead_lettered_at, created_at, updated_at';
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Database-backed job queue. Jobs are leased with claim_jobs() so several
+// backend instances can poll the same table without double-processing; a
+// worker that dies simply lets its lease expire and the job is picked up again.
+class JobQueueService {
+  constructor() {
+    this.handlers = new Map();
+    this.activeJobs = new Map();
+    this.isRunning = false;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+    this.leaseSeconds = parseInt(process.env.JOB_LEASE_SECONDS, 10) || 120;
+    this.maxConcurrent = parseInt(process.env.JOB_MAX_CONCURRENT, 10) || 4;
+    this.perUserConcurrency = parseInt(process.env.JOB_PER_USER_CONCURRENCY, 10) || 2;
+  }
+
+  // handler(job, { progress, signal }) receives the leased row and returns a
+  // JSON-serializable result. Throwing schedules a retry.
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  async enqueue(type, payload = {}, { userId = null, priority = 0, runAt = null, maxAttempts = DEFAULT_MAX_ATTEMPTS, dedupeKey = null } = {}) {
+    if (!this.handlers.has(type)) {
+      console.warn('[Job Queue] Enqueueing job with no registered handler:', type);
+    }
+
+    const { data: job, error } = await adminClient
+      .from('jobs')
+      .insert({
+        user_id: userId,
+        type,
+        payload,
+        priority,
+        max_attempts: maxAttempts,
+        run_at: runAt ? new Date(runAt).toISOString() : new Date().toISOString(),
+        dedupe_key: dedupeKey
+      })
+      .select(JOB_COLUMNS)
+      .single();
+
+    if (error) {
+      // A live job with the same dedupe key already exists - hand that one back
+      if (error.code === '23505' && dedupeKey) {
+        const { data: existing, error: existingError } = await adminClient
+          .from('jobs')
+          .select(JOB_COLUMNS)
+          .eq('type', type)
+          .eq('dedupe_key', dedupeKey)
+          .in('status', ['queued', 'running'])
+          .maybeSingle();
+
+        if (existingError) throw existingError;
+        if (existing) return existing;
+      }
+      throw error;
+    }
+
+    console.log('[Job Queue] Enqueued job:', { id: job.id, type, userId });
+    this.emitUpdate(job);
+    this.poll();
+    return job;
+  }
+
+  async start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    console.log('[Job Queue] Starting worker:', {
+      workerId: this.workerId,
+      handlers: [...this.handlers.keys()]
+    });
+    this.scheduleNextPoll();
+  }
+
+  async stop() {
+    this.isRunning = false;
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+    }
+
+    // Abort running handlers; their leases expire and another worker retries them
+    for (const { controller } of this.activeJobs.values()) {
+      controller.abort();
+    }
+  }
+
+  scheduleNextPoll() {
+    if (!this.isRunning) return;
+
+    clearTimeout(this.timeoutId);
+    this.timeoutId = setTimeout(async () => {
+      await this.poll();
+      this.scheduleNextPoll();
+    }, this.pollInterval);
+  }
+
+  async poll() {
+    if (!this.isRunning || this.isPolling) return;
+
+    const capacity = this.maxConcurrent - this.activeJobs.size;
+    if (capacity <= 0) return;
+
+    this.isPolling = true;
+    try {
+      const { data: jobs, error } = await adminClient.rpc('claim_jobs', {
+        p_worker_id: this.workerId,
+        p_limit: capacity,
+        p_lease_seconds: this.leaseSeconds,
+        p_per_user_limit: this.perUserConcurrency
+      });
+
+      if (error) throw error;
+
+      for (const job of jobs || []) {
+        this.runJob(job);
+      }
+    } catch (error) {
+      console.error('[Job Queue] Error claiming jobs:', error);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  async runJob(job) {
+    const controller = new AbortController();
+    const heartbeat = setInterval(() => this.extendLease(job), (this.leaseSeconds * 1000) / 2);
+    this.activeJobs.set(job.id, { job, controller });
+
+    console.log('[Job Queue] Running job:', { id: job.id, type: job.type, attempt: job.attempts });
+    this.emitUpdate(job);
+
+    try {
+      // A lease that expired on its final attempt (crashed worker) goes straight to the DLQ
+      if (job.attempts > job.max_attempts) {
+        throw Object.assign(new Error('Lease expired on final attempt'), { permanent: true });
+      }
+
+      const handler = this.handlers.get(job.type);
+      if (!handler) {
+        throw Object.assign(new Error(`No handler registered for job type: ${job.type}`), { permanent: true });
+      }
+
+      const result = await handler(job, {
+        signal: controller.signal,
+        progress: (progress, message = null) => this.reportProgress(job, progress, message)
+      });
+
+      await this.completeJob(job, result);
+    } catch (error) {
+      await this.failJob(job, error);
+    } finally {
+      clearInterval(heartbeat);
+      this.activeJobs.delete(job.id);
+      this.poll();
+    }
+  }
+
+  // Every write after the claim is conditioned on locked_by so a worker whose
+  // lease was taken over can't overwrite the new owner's state.
+  async updateLeasedJob(job, update) {
+    const { data, error } = await adminClient
+      .from('jobs')
+      .update(update)
+      .eq('id', job.id)
+      .eq('locked_by', this.workerId)
+      .eq('status', 'running')
+      .select(JOB_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      console.warn('[Job Queue] Lost lease on job:', { id: job.id, type: job.type });
+      return null;
+    }
+
+    this.emitUpdate(data);
+    return data;
+  }
+
+  async extendLease(job) {
+    try {
+      await this.updateLeasedJob(job, {
+        locked_until: new Date(Date.now() + this.leaseSeconds * 1000).toISOString()
+      });
+    } catch (error) {
+      console.error('[Job Queue] Error extending lease:', { id: job.id, error });
+    }
+  }
+
+  async reportProgress(job, progress, message = null) {
+    try {
+      await this.updateLeasedJob(job, {
+        progress: Math.max(0, Math.min(100, Math.round(progress))),
+        progress_message: message
+      });
+    } catch (error) {
+      console.error('[Job Queue] Error reporting progress:', { id: job.id, error });
+    }
+  }
+
+  async completeJob(job, result) {
+    console.log('[Job Queue] Job completed:', { id: job.id, type: job.type });
+
+    await this.updateLeasedJob(job, {
+      status: 'completed',
+      progress: 100,
+      result: result ?? null,
+      last_error: null,
+      completed_at: new Date().toISOString(),
+      locked_by: null,
+      locked_until: null
+    });
+  }
+
+  async failJob(job, error) {
+    const isDead = error.permanent || job.attempts >= job.max_attempts;
+
+    console.error(`[Job Queue] Job ${isDead ? 'dead-lettered' : 'failed'}:`, {
+      id: job.id,
+      type: job.type,
+      attempt: job.attempts,
+      error: error.message
+    });
+
+    const update = isDead
+      ? {
+          status: 'dead',
+          dead_lettered_at: new Date().toISOString()
+        }
+      : {
+          status: 'queued',
+          run_at: new Date(Date.now() + exponentialBackoff(job.attempts - 1)).toISOString()
+        };
+
+    try {
+      await this.updateLeasedJob(job, {
+        ...update,
+        last_error: error.message,
+        locked_by: null,
+        locked_until: null
+      });
+    } catch (updateError) {
+      console.error('[Job Queue] Error recording job failure:', { id: job.id, error: updateError });
+    }
+  }
+
+  emitUpdate(job) {
+    if (!job.user_id) return;
+
+    ioEmitter.emit('job_progress', {
+      userId: job.user_id,
+      job: {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        progressMessage: job.progress_message,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        lastError: job.last_error
+      }
+    });
+  }
+
+  async listJobs(userId, { status = null, type = null, limit = 50 } = {}) {
+    let query = adminClient
+      .from('jobs')
+      .select(JOB_COLUMNS)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200));
+
+    if (status) query = query.eq('status', status);
+    if (type) query = query.eq('type', type);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getJob(userId, jobId) {
+    const { data, error } = await adminClient
+      .from('jobs')
+      .select(JOB_COLUMNS)
+      .eq('user_id', userId)
+      .eq('id', parseInt(jobId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      const notFound = new Error('Job not found');
+      notFound.status = 404;
+      throw notFound;
+    }
+    return data;
+  }
+
+  // Move a dead-lettered or cancelled job back onto the queue with fresh attempts
+  async retryJob(userId, jobId) {
+    const job = await this.getJob(userId, jobId);
+    if (!['dead', 'cancelled'].includes(job.status)) {
+      const conflict = new Error(`Only dead or cancelled jobs can be retried (status: ${job.status})`);
+      conflict.status = 409;
+      throw conflict;
+    }
+
+    const { data, error } = await adminClient
+      .from('jobs')
+      .update({
+        status: 'queued',
+        attempts: 0,
+        progress: 0,
+        progress_message: null,
+        run_at: new Date().toISOString(),
+        dead_lettered_at: null
+      })
+      .eq('id', job.id)
+      .select(JOB_COLUMNS)
+      .single();
+
+    if (error) {
+      // The same work was enqueued again after this job stopped
+      if (error.code === '23505') {
+        const conflict = new Error('An active job with this dedupe key already exists');
+        conflict.status = 409;
+        throw conflict;
+      }
+      throw error;
+    }
+
+    this.emitUpdate(data);
+    this.poll();
+    return data;
+  }
+
+  async cancelJob(userId, jobId) {
+    const job = await this.getJob(userId, jobId);
+    if (job.status !== 'queued') {
+      const conflict = new Error(`Only queued jobs can be cancelled (status: ${job.status})`);
+      conflict.status = 409;
+      throw conflict;
+    }
+
+    const { data, error } = await adminClient
+      .from('jobs')
+      .update({ status: 'cancelled' })
+      .eq('id', job.id)
+      .eq('status', 'queued')
+      .select(JOB_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      const conflict = new Error('Job was picked up before it could be cancelled');
+      conflict.status = 409;
+      throw conflict;
+    }
+
+    this.emitUpdate(data);
+    return data;
+  }
+}
+
+export const jobQueueService = new JobQueueService();
@@ -0,0 +1,51 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { llmConfig } from '../../config/llmConfig.js';
+
+export class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.client = new GoogleGenerativeAI(llmConfig.gemini.apiKey || '');
+  }
+
+  resolveModel(model) {
+    return model?.startsWith('gemini') ? model : llmConfig.gemini.defaultModel;
+  }
+
+  async complete({ model, messages, maxTokens, temperature, json }) {
+    const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+    const contents = messages
+      .filter(message => message.role !== 'system')
+      .map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      }));
+
+    const generativeModel = this.client.getGenerativeModel({
+      model: this.resolveModel(model),
+      ...(system ? { systemInstruction: system } : {}),
+      generationConfig: {
+        maxOutputTokens: maxTokens,
+        temperature,
+        ...(json ? { responseMimeType: 'application/json' } : {})
+      }
+    }, {
+      timeout: llmConfig.requestTimeout
+    });
+
+    const result = await generativeModel.generateContent({ contents });
+    const usage = result.response.usageMetadata || {};
+
+    return {
+      text: result.response.text(),
+      usage: {
+        promptTokens: usage.promptTokenCount || 0,
+        completionTokens: usage.candidatesTokenCount || 0
+      }
+    };
+  }
+
+  async embed() {
+    // Gemini embeddings are 768-dimensional and can't share messages.embedding
+    throw new Error('Embeddings are not supported by the gemini provider');
+  }
+}
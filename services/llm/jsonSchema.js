@@ -0,0 +1,7 @@
+// Model output is checked with the shared JSON Schema checker
+export { validateJson } from '../../utils/jsonSchema.js';
+
+// Schema rendered into the prompt so every provider knows the expected shape
+export function describeSchema(schema) {
+  return JSON.stringify(schema, null, 2);
+}
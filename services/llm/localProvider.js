@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import { llmConfig } from '../../config/llmConfig.js';
+import { estimateTokens } from './tokens.js';
+
+const POSITIVE_WORDS = ['thanks', 'thank', 'great', 'good', 'awesome', 'love', 'happy', 'perfect', 'nice', 'excellent', 'glad', 'appreciate'];
+const NEGATIVE_WORDS = ['bad', 'angry', 'terrible', 'hate', 'awful', 'broken', 'issue', 'problem', 'fail', 'failed', 'wrong', 'disappointed', 'refund', 'complaint'];
+const URGENT_WORDS = ['urgent', 'asap', 'immediately', 'emergency', 'critical', 'deadline', 'now', 'today'];
+const ACTION_PATTERN = /\b(please|need to|needs to|todo|to-do|should|must|can you|could you|will you|let's|remind|follow up|deadline|by (mon|tues|wednes|thurs|fri|satur|sun)day|tomorrow)\b/i;
+
+// Deterministic offline provider. Output is derived only from the prompt, so
+// the same input always gives the same result and nothing leaves the machine.
+export class LocalProvider {
+  constructor() {
+    this.name = 'local';
+  }
+
+  // Conversation lines from the last user message, without timestamps
+  extractLines(messages) {
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    return (lastUser?.content || '')
+      .split('\n')
+      .map(line => line.replace(/^\s*\[[^\]]*\]\s*/, '').trim())
+      .filter(line => line && !line.endsWith(':'));
+  }
+
+  sentimentScore(text) {
+    const words = text.toLowerCase().match(/[a-z']+/g) || [];
+    const positive = words.filter(word => POSITIVE_WORDS.includes(word)).length;
+    const negative = words.filter(word => NEGATIVE_WORDS.includes(word)).length;
+    if (positive + negative === 0) return 0;
+    return Math.round(((positive - negative) / (positive + negative)) * 100) / 100;
+  }
+
+  pickEnum(values, key, text) {
+    const upper = values.map(value => String(value).toUpperCase());
+    const score = this.sentimentScore(text);
+
+    if (upper.includes('POSITIVE') && upper.includes('NEGATIVE')) {
+      const label = score > 0.2 ? 'POSITIVE' : score < -0.2 ? 'NEGATIVE' : 'NEUTRAL';
+      return values[upper.indexOf(label)] ?? values[0];
+    }
+
+    if (upper.includes('HIGH') && upper.includes('LOW')) {
+      const words = text.toLowerCase().match(/[a-z]+/g) || [];
+      const urgent = words.filter(word => URGENT_WORDS.includes(word)).length;
+      const label = urgent >= 2 ? 'HIGH' : urgent === 1 || score < -0.2 ? 'MEDIUM' : 'LOW';
+      return values[upper.indexOf(label)] ?? values[0];
+    }
+
+    const hash = crypto.createHash('sha256').update(`${key}:${text}`).digest();
+    return values[hash[0] % values.length];
+  }
+
+  summarize(lines, maxLength = 400) {
+    if (lines.length === 0) return 'No content to summarize.';
+    const summary = `${lines.length} message${lines.length === 1 ? '' : 's'}. ${lines.slice(-3).join(' ')}`;
+    return summary.length > maxLength ? `${summary.slice(0, maxLength - 1)}…` : summary;
+  }
+
+  // Build a value that satisfies the schema from the conversation itself
+  fromSchema(schema, key, lines) {
+    const text = lines.join('\n');
+
+    if (schema?.enum) return this.pickEnum(schema.enum, key, text);
+
+    switch (schema?.type) {
+      case 'object':
+        return Object.fromEntries(
+          Object.entries(schema.properties || {}).map(([property, propertySchema]) => [
+            property,
+            this.fromSchema(propertySchema, property, lines)
+          ])
+        );
+
+      case 'array': {
+        const lowerKey = key.toLowerCase();
+        let picked;
+        if (lowerKey.includes('action') || lowerKey.includes('next')) {
+          picked = lines.filter(line => ACTION_PATTERN.test(line));
+        } else if (lowerKey.includes('keyword') || lowerKey.includes('topic')) {
+          picked = this.topWords(text);
+        } else {
+          picked = lines.slice(-3);
+        }
+        return picked.slice(0, 5).map(item => this.fromSchema(schema.items, key, [item]));
+      }
+
+      case 'number':
+        return key.toLowerCase().includes('score') || key.toLowerCase().includes('sentiment')
+          ? this.sentimentScore(text)
+          : 0;
+
+      case 'integer':
+        return lines.length;
+
+      case 'boolean':
+        return false;
+
+      default: {
+        if (lines.length === 1) return lines[0];
+        if (key.toLowerCase().includes('sentiment')) return this.pickEnum(['positive', 'neutral', 'negative'], key, text);
+        return this.summarize(lines);
+      }
+    }
+  }
+
+  topWords(text) {
+    const counts = new Map();
+    for (const word of text.toLowerCase().match(/[a-z]{4,}/g) || []) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 5)
+      .map(([word]) => word);
+  }
+
+  async complete({ messages, json, schema }) {
+    const lines = this.extractLines(messages);
+    const text = json
+      ? JSON.stringify(schema ? this.fromSchema(schema, 'root', lines) : { summary: this.summarize(lines) })
+      : this.summarize(lines, 1000);
+
+    return {
+      text,
+      usage: {
+        promptTokens: estimateTokens(messages.map(message => message.content).join('\n')),
+        completionTokens: estimateTokens(text)
+      }
+    };
+  }
+
+  // Feature-hashed bag of words, L2-normalized, so texts sharing words are
+  // close in cosine distance
+  async embed({ input }) {
+    const dimensions = llmConfig.local.embeddingDimensions;
+
+    const embeddings = input.map(text => {
+      const vector = new Array(dimensions).fill(0);
+      for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+        const hash = crypto.createHash('md5').update(word).digest();
+        const index = hash.readUInt32BE(0) % dimensions;
+        vector[index] += hash[4] & 1 ? 1 : -1;
+      }
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+      return vector.map(value => value / norm);
+    });
+
+    return {
+      embeddings,
+      usage: {
+        promptTokens: estimateTokens(input.join('\n')),
+        completionTokens: 0
+      }
+    };
+  }
+}
@@ -0,0 +1,44 @@
+import OpenAI from 'openai';
+import { llmConfig } from '../../config/llmConfig.js';
+
+export class OpenAIProvider {
+  constructor() {
+    this.name = 'openai';
+    this.client = new OpenAI({
+      apiKey: llmConfig.openai.apiKey,
+      timeout: llmConfig.requestTimeout,
+      // Retries are handled by llmService so they can be counted and priced
+      maxRetries: 0
+    });
+  }
+
+  async complete({ model, messages, maxTokens, temperature, json }) {
+    const response = await this.client.chat.completions.create({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    });
+
+    return {
+      text: response.choices[0]?.message?.content || '',
+      usage: {
+        promptTokens: response.usage?.prompt_tokens || 0,
+        completionTokens: response.usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  async embed({ model, input }) {
+    const response = await this.client.embeddings.create({ model, input });
+
+    return {
+      embeddings: response.data.map(item => item.embedding),
+      usage: {
+        promptTokens: response.usage?.prompt_tokens || 0,
+        completionTokens: 0
+      }
+    };
+  }
+}
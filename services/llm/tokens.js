@@ -0,0 +1,29 @@
+// Rough token estimate (~4 characters per token for English text). Used for
+// budgeting before a request is sent; billing uses the provider's own counts.
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Trim text to a token budget by dropping whole lines from the start, so the
+// most recent part of a transcript is kept.
+export function trimToTokenBudget(text, maxTokens) {
+  if (!text || estimateTokens(text) <= maxTokens) return text;
+
+  const lines = text.split('\n');
+  const kept = [];
+  let used = 0;
+
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(lines[i]) + 1;
+    if (used + cost > maxTokens) break;
+    kept.unshift(lines[i]);
+    used += cost;
+  }
+
+  // A single line longer than the budget: keep its tail
+  if (kept.length === 0) {
+    return text.slice(-maxTokens * 4);
+  }
+
+  return kept.join('\n');
+}
@@ -0,0 +1,267 @@
+import { adminClient } from '../utils/supabase.js';
+import { exponentialBackoff } from '../utils/backoff.js';
+import { llmConfig, llmPricing, llmTasks } from '../config/llmConfig.js';
+import { OpenAIProvider } from './llm/openaiProvider.js';
+import { GeminiProvider } from './llm/geminiProvider.js';
+import { LocalProvider } from './llm/localProvider.js';
+import { validateJson, describeSchema } from './llm/jsonSchema.js';
+import { estimateTokens, trimToTokenBudget } from './llm/tokens.js';
+import { aiUsageService } from './aiUsageService.js';
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  gemini: GeminiProvider,
+  local: LocalProvider
+};
+
+// Single entry point for every AI call. Callers name a task (see
+// config/llmConfig.js) instead of a model, so provider and model can be
+// switched per task without touching feature code.
+class LLMService {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  getProvider(name) {
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    if (!this.providers.has(name)) {
+      this.providers.set(name, new PROVIDERS[name]());
+    }
+    return this.providers.get(name);
+  }
+
+  getTaskConfig(task) {
+    const taskConfig = llmTasks[task];
+    if (!taskConfig) {
+      throw new Error(`Unknown LLM task: ${task}`);
+    }
+    return taskConfig;
+  }
+
+  calculateCost(model, usage) {
+    const pricing = llmPricing[model];
+    if (!pricing) return 0;
+    return (usage.promptTokens * pricing.input + usage.completionTokens * pricing.output) / 1_000_000;
+  }
+
+  isRetryable(error) {
+    if (error.retryable !== undefined) return error.retryable;
+    const status = error.status || error.response?.status;
+    if (status === 429 || status >= 500) return true;
+    return ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'].includes(error.code) ||
+      error.name === 'APIConnectionTimeoutError' || error.name === 'APIConnectionError';
+  }
+
+  async recordUsage({ userId, task, provider, model, usage, cost, latencyMs, attempts, success, error }) {
+    const { error: insertError } = await adminClient
+      .from('llm_usage')
+      .insert({
+        user_id: userId || null,
+        task,
+        provider,
+        model,
+        prompt_tokens: usage.promptTokens,
+        completion_tokens: usage.completionTokens,
+        cost_usd: cost,
+        latency_ms: latencyMs,
+        attempts,
+        success,
+        error: error || null
+      });
+
+    if (insertError) {
+      console.error('[LLM Service] Error recording usage:', insertError);
+    }
+  }
+
+  buildMessages({ system, prompt, transcript, messages, schema }, taskConfig) {
+    if (messages) return messages;
+
+    let userContent = prompt || '';
+    if (transcript !== undefined) {
+      // Budget what's left after the instructions and the reserved output
+      const fixedTokens = estimateTokens(system) + estimateTokens(prompt);
+      const transcriptBudget = Math.max(taskConfig.maxInputTokens - fixedTokens, 200);
+      const trimmed = trimToTokenBudget(transcript, transcriptBudget);
+      if (trimmed.length < transcript.length) {
+        console.log('[LLM Service] Trimmed transcript to token budget:', {
+          budget: transcriptBudget,
+          originalTokens: estimateTokens(transcript)
+        });
+      }
+      userContent = userContent ? `${userContent}\n\n${trimmed}` : trimmed;
+    }
+
+    const systemContent = schema
+      ? `${system || ''}\n\nRespond only with a JSON object matching this JSON Schema:\n${describeSchema(schema)}`.trim()
+      : system;
+
+    return [
+      ...(systemContent ? [{ role: 'system', content: systemContent }] : []),
+      { role: 'user', content: userContent }
+    ];
+  }
+
+  // complete(task, { system, prompt, transcript, messages, schema, json, userId, maxTokens, temperature })
+  //  - userId is metered and checked against the user's AI quota (429 AI_QUOTA_EXCEEDED)
+  //  - transcript is appended to prompt and trimmed (oldest lines first) to the task's input budget
+  //  - schema (or json: true) requests JSON output; schema output is validated and retried when invalid
+  // Resolves to { text, data, usage, cost, provider, model }.
+  async complete(task, options = {}) {
+    const taskConfig = this.getTaskConfig(task);
+    const provider = this.getProvider(taskConfig.provider);
+    if (options.userId) {
+      await aiUsageService.assertWithinQuota(options.userId);
+    }
+
+    const json = !!(options.schema || options.json);
+    const messages = this.buildMessages(options, taskConfig);
+    const request = {
+      model: taskConfig.model,
+      messages,
+      maxTokens: options.maxTokens || taskConfig.maxTokens,
+      temperature: options.temperature ?? taskConfig.temperature,
+      json,
+      schema: options.schema
+    };
+
+    const totalUsage = { promptTokens: 0, completionTokens: 0 };
+    const startedAt = Date.now();
+    let attempts = 0;
+    let lastError;
+
+    while (attempts <= llmConfig.maxRetries) {
+      attempts++;
+      try {
+        const result = await provider.complete(request);
+        totalUsage.promptTokens += result.usage.promptTokens;
+        totalUsage.completionTokens += result.usage.completionTokens;
+
+        let data;
+        if (json) {
+          data = this.parseJson(result.text, options.schema);
+        }
+
+        const cost = this.calculateCost(taskConfig.model, totalUsage);
+        await this.recordUsage({
+          userId: options.userId,
+          task,
+          provider: provider.name,
+          model: taskConfig.model,
+          usage: totalUsage,
+          cost,
+          latencyMs: Date.now() - startedAt,
+          attempts,
+          success: true
+        });
+
+        return {
+          text: result.text,
+          data,
+          usage: totalUsage,
+          cost,
+          provider: provider.name,
+          model: taskConfig.model
+        };
+      } catch (error) {
+        lastError = error;
+        if (!this.isRetryable(error) || attempts > llmConfig.maxRetries) break;
+
+        const delay = exponentialBackoff(attempts - 1);
+        console.warn(`[LLM Service] ${task} attempt ${attempts} failed, retrying in ${Math.round(delay)}ms:`, error.message);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    await this.recordUsage({
+      userId: options.userId,
+      task,
+      provider: provider.name,
+      model: taskConfig.model,
+      usage: totalUsage,
+      cost: this.calculateCost(taskConfig.model, totalUsage),
+      latencyMs: Date.now() - startedAt,
+      attempts,
+      success: false,
+      error: lastError.message
+    });
+
+    console.error(`[LLM Service] ${task} failed after ${attempts} attempt(s):`, lastError);
+    throw lastError;
+  }
+
+  // Invalid JSON from the model is worth another attempt, so it is retryable
+  parseJson(text, schema) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw Object.assign(new Error(`Model returned invalid JSON: ${error.message}`), { retryable: true, status: 502 });
+    }
+
+    const errors = validateJson(data, schema);
+    if (errors.length > 0) {
+      throw Object.assign(new Error(`Model output failed validation: ${errors.slice(0, 5).join('; ')}`), {
+        retryable: true,
+        status: 502
+      });
+    }
+
+    return data;
+  }
+
+  async embed(task, texts, { userId } = {}) {
+    const taskConfig = this.getTaskConfig(task);
+    const provider = this.getProvider(taskConfig.provider);
+    if (userId) {
+      await aiUsageService.assertWithinQuota(userId);
+    }
+
+    const input = texts.map(text => trimToTokenBudget(text, taskConfig.maxInputTokens));
+    const startedAt = Date.now();
+    let attempts = 0;
+
+    while (true) {
+      attempts++;
+      try {
+        const result = await provider.embed({ model: taskConfig.model, input });
+        const cost = this.calculateCost(taskConfig.model, result.usage);
+
+        await this.recordUsage({
+          userId,
+          task,
+          provider: provider.name,
+          model: taskConfig.model,
+          usage: result.usage,
+          cost,
+          latencyMs: Date.now() - startedAt,
+          attempts,
+          success: true
+        });
+
+        return result.embeddings;
+      } catch (error) {
+        if (!this.isRetryable(error) || attempts > llmConfig.maxRetries) {
+          await this.recordUsage({
+            userId,
+            task,
+            provider: provider.name,
+            model: taskConfig.model,
+            usage: { promptTokens: 0, completionTokens: 0 },
+            cost: 0,
+            latencyMs: Date.now() - startedAt,
+            attempts,
+            success: false,
+            error: error.message
+          });
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, exponentialBackoff(attempts - 1)));
+      }
+    }
+  }
+}
+
+export const llmService = new LLMService();
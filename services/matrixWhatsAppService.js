@@ -3,6 +3,7 @@ import { BRIDGE_CONFIGS, BRIDGE_TIMEOUTS } from '../config/bridgeConfig.js';
 import { supabase, adminClient } from '../utils/supabase.js';
 import { ioEmitter } from '../utils/emitter.js';
 import { getIO } from '../utils/socket.js';
+import { messageStoreService } from './messageStoreService.js';
 import {
   validateMatrixServer,
   validateCredentialsFormat,
@@ -15,6 +16,17 @@ const SYNC_BATCH_SIZE = parseInt(process.env.MATRIX_SYNC_BATCH_SIZE || '50', 10)
 const MAX_SYNC_BATCHES = parseInt(process.env.MATRIX_MAX_SYNC_BATCHES || '5', 10);
 const MAX_SYNC_RETRIES = parseInt(process.env.MATRIX_SYNC_RETRIES || '3', 10);
 
+// Bridge message checkpoint events (mautrix MSS) reporting whether an event
+// made it to WhatsApp
+const SEND_STATUS_EVENT = 'com.beeper.message_send_status';
+
+// Receipts only move an outbound message forward: a message that is still
+// pending (not yet accepted by the homeserver) is never advanced by a receipt
+const DELIVERY_STATUS_FROM = {
+  delivered: ['sent'],
+  read: ['sent', 'delivered']
+};
+
 class MatrixWhatsAppService {
   constructor() {
     this.connections = new Map();
@@ -22,6 +34,7 @@ class MatrixWhatsAppService {
     this.syncStates = new Map();
     this.messageHandlers = new Map();
     this.roomToContactMap = new Map();
+    this.deliveryWatchedClients = new WeakSet();
   }
 
   async validateMatrixClient(userId) {
@@ -170,6 +183,7 @@ class MatrixWhatsAppService {
       // Store client in memory
       console.log('Step 7: Storing Matrix client in memory for user:', userId);
       this.matrixClients.set(userId, matrixClient);
+      this.watchDeliveryState(userId, matrixClient);
 
       // Verify client was stored
       const storedClient = this.matrixClients.get(userId);
@@ -886,6 +900,10 @@ class MatrixWhatsAppService {
             return;
           }
 
+          await this.storeUnifiedMessage(userId, contactInfo.contactId, event, room, {
+            notify: !toStartOfTimeline
+          });
+
           // Update sync status if needed
           await this.updateSyncStatus(userId, contactInfo.contactId, 'approved');
 
@@ -921,7 +939,7 @@ class MatrixWhatsAppService {
     }
   }
 
-  async syncMessages(userId, contactId, retryCount = 0) {
+  async syncMessages(userId, contactId, retryCount = 0, { onProgress } = {}) {
     try {
         console.log('[Matrix Service] Starting message sync:', { 
             userId, 
@@ -1077,6 +1095,8 @@ class MatrixWhatsAppService {
               }
             }
 
+            onProgress?.(((i + 1) / MAX_SYNC_BATCHES) * 100, `${totalEvents} events processed`);
+
             if (newEvents < SYNC_BATCH_SIZE) {
               console.log('[Matrix Service] Reached end of timeline');
               break;
@@ -1085,7 +1105,7 @@ class MatrixWhatsAppService {
             console.error(`[Matrix Service] Batch ${i + 1} scrollback error:`, scrollError);
             if (retryCount < MAX_SYNC_RETRIES) {
               console.log(`[Matrix Service] Retrying sync (attempt ${retryCount + 1})`);
-              return this.syncMessages(userId, contactId, retryCount + 1);
+              return this.syncMessages(userId, contactId, retryCount + 1, { onProgress });
             }
             hasError = true;
             break;
@@ -1133,7 +1153,7 @@ class MatrixWhatsAppService {
         console.error('[Matrix Service] Sync error:', error);
         if (retryCount < MAX_SYNC_RETRIES) {
             console.log(`[Matrix Service] Retrying sync (attempt ${retryCount + 1})`);
-            return this.syncMessages(userId, contactId, retryCount + 1);
+            return this.syncMessages(userId, contactId, retryCount + 1, { onProgress });
         }
         // Update sync status to rejected
         await this.updateSyncStatus(userId, contactId, 'rejected', error);
@@ -1187,6 +1207,46 @@ class MatrixWhatsAppService {
     if (insertError) {
       throw insertError;
     }
+
+    await this.storeUnifiedMessage(userId, contactId, event);
+  }
+
+  // Mirror a WhatsApp message into the unified message store. Failures are
+  // logged rather than thrown so the legacy whatsapp_messages path keeps working.
+  async storeUnifiedMessage(userId, contactId, event, room = null, options = {}) {
+    try {
+      const content = event.getContent();
+      const attachments = content.url ? [{
+        type: content.msgtype,
+        url: content.url,
+        name: content.body,
+        mimetype: content.info?.mimetype,
+        size: content.info?.size,
+        width: content.info?.w,
+        height: content.info?.h,
+        durationMs: content.info?.duration,
+        thumbnailUrl: content.info?.thumbnail_url,
+        voice: !!content['org.matrix.msc3245.voice']
+      }] : [];
+
+      await messageStoreService.storeMessage(userId, {
+        platform: 'whatsapp',
+        conversationId: contactId,
+        conversationName: room?.name,
+        externalId: event.getId(),
+        senderId: event.getSender(),
+        senderName: room?.getMember(event.getSender())?.name || event.getSender(),
+        content: content.body || null,
+        attachments,
+        timestamp: event.getTs(),
+        metadata: {
+          room_id: event.getRoomId(),
+          message_type: content.msgtype === 'm.text' ? 'text' : 'media'
+        }
+      }, options);
+    } catch (error) {
+      console.error('[Matrix Service] Error storing unified message:', error);
+    }
   }
 
   async updateSyncStatus(userId, contactId, status, error = null) {
@@ -1256,6 +1316,111 @@ class MatrixWhatsAppService {
     return this.matrixClients.get(userId);
   }
 
+  // Track delivery of messages sent from the dashboard. The bridge bot's read
+  // receipt (or a SUCCESS send-status event) means the message reached
+  // WhatsApp; a receipt from anyone else in the room means the contact read it.
+  watchDeliveryState(userId, matrixClient) {
+    if (this.deliveryWatchedClients.has(matrixClient)) return;
+    this.deliveryWatchedClients.add(matrixClient);
+
+    matrixClient.on('Room.receipt', async (event, room) => {
+      try {
+        const ownUserId = matrixClient.getUserId();
+
+        for (const [eventId, receipts] of Object.entries(event.getContent() || {})) {
+          const readers = Object.keys(receipts['m.read'] || {}).filter(reader => reader !== ownUserId);
+          if (readers.length === 0) continue;
+
+          const status = readers.some(reader => reader !== BRIDGE_CONFIGS.whatsapp.bridgeBot) ? 'read' : 'delivered';
+          await this.updateDeliveryStatus(userId, eventId, status);
+        }
+      } catch (error) {
+        console.error('[Matrix Service] Error processing receipt:', { roomId: room?.roomId, error });
+      }
+    });
+
+    matrixClient.on('Room.timeline', async (event) => {
+      if (event.getType() !== SEND_STATUS_EVENT) return;
+
+      try {
+        const content = event.getContent();
+        const eventId = content['m.relates_to']?.event_id;
+        if (!eventId) return;
+
+        if (content.status === 'SUCCESS') {
+          await this.updateDeliveryStatus(userId, eventId, 'delivered');
+        } else if (content.status === 'FAIL') {
+          await this.markDeliveryFailed(userId, eventId, content.message || content.reason || 'Bridge failed to deliver message');
+        }
+      } catch (error) {
+        console.error('[Matrix Service] Error processing send status:', error);
+      }
+    });
+  }
+
+  // Advance every outbound message in the conversation up to and including
+  // eventId; receipts in Matrix acknowledge all earlier events too
+  async updateDeliveryStatus(userId, eventId, status) {
+    const { data: target, error: targetError } = await adminClient
+      .from('whatsapp_messages')
+      .select('contact_id, timestamp')
+      .eq('user_id', userId)
+      .eq('message_id', eventId)
+      .maybeSingle();
+
+    if (targetError) throw targetError;
+    if (!target) return [];
+
+    const now = new Date().toISOString();
+    const { data: updated, error } = await adminClient
+      .from('whatsapp_messages')
+      .update({
+        delivery_status: status,
+        ...(status === 'delivered' ? { delivered_at: now } : { read_at: now })
+      })
+      .eq('user_id', userId)
+      .eq('contact_id', target.contact_id)
+      .eq('direction', 'outbound')
+      .lte('timestamp', target.timestamp)
+      .in('delivery_status', DELIVERY_STATUS_FROM[status])
+      .select('message_id');
+
+    if (error) throw error;
+
+    if (updated?.length) {
+      ioEmitter.emit('whatsapp_delivery_status', {
+        userId,
+        contactId: target.contact_id,
+        messageIds: updated.map(row => row.message_id),
+        status
+      });
+    }
+
+    return updated || [];
+  }
+
+  async markDeliveryFailed(userId, eventId, reason) {
+    const { data: updated, error } = await adminClient
+      .from('whatsapp_messages')
+      .update({ delivery_status: 'failed', delivery_error: reason })
+      .eq('user_id', userId)
+      .eq('message_id', eventId)
+      .eq('direction', 'outbound')
+      .select('contact_id, message_id');
+
+    if (error) throw error;
+
+    if (updated?.length) {
+      ioEmitter.emit('whatsapp_delivery_status', {
+        userId,
+        contactId: updated[0].contact_id,
+        messageIds: [eventId],
+        status: 'failed',
+        error: reason
+      });
+    }
+  }
+
   async restoreConnection(userId, bridgeRoomId) {
     try {
       console.log('[Matrix Service] Attempting to restore WhatsApp connection:', {
@@ -1409,6 +1574,7 @@ class MatrixWhatsAppService {
     
     try {
       this.matrixClients.set(userId, client);
+      this.watchDeliveryState(userId, client);
       console.log('[Matrix Service] Successfully stored Matrix client for user:', userId);
       return true;
     } catch (error) {
@@ -0,0 +1,384 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { adminClient } from '../utils/supabase.js';
+import { decryptToken } from '../utils/encryption.js';
+
+const CACHE_DIR = path.resolve(process.env.MEDIA_CACHE_DIR || 'media-cache');
+const CACHE_MAX_BYTES = parseInt(process.env.MEDIA_CACHE_MAX_BYTES || String(1024 * 1024 * 1024), 10);
+const CACHE_TTL_MS = parseInt(process.env.MEDIA_CACHE_TTL_HOURS || '168', 10) * 60 * 60 * 1000;
+const MAX_MEDIA_BYTES = parseInt(process.env.MEDIA_MAX_BYTES || String(100 * 1024 * 1024), 10);
+const THUMBNAIL_SIZE = 320;
+const VARIANTS = ['full', 'thumbnail'];
+
+function mediaError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function mediaKind(mimetype = '', type = '') {
+  const [major] = (mimetype || '').split('/');
+  if (['image', 'video', 'audio'].includes(major)) return major;
+
+  // Matrix msgtypes when the mimetype is missing
+  const byMsgtype = { 'm.image': 'image', 'm.video': 'video', 'm.audio': 'audio' };
+  return byMsgtype[type] || 'file';
+}
+
+function toInt(value) {
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+// Attachment metadata plus an on-disk cache of the bytes. Every stored
+// message's attachments are registered here (see messageStoreService), and
+// media is fetched from the owning platform with the user's own credentials
+// the first time it is requested.
+class MediaService {
+  constructor() {
+    // cache file name -> { size, lastAccess }
+    this.cacheIndex = new Map();
+    this.cacheBytes = 0;
+    this.cacheReady = null;
+    this.inflight = new Map();
+  }
+
+  // Register the attachments of freshly stored unified message rows
+  async registerAttachments(userId, messages) {
+    const rows = [];
+    for (const message of messages) {
+      for (const attachment of message.attachments || []) {
+        if (!attachment?.url) continue;
+
+        rows.push({
+          user_id: userId,
+          platform: message.platform,
+          message_id: message.id,
+          conversation_id: message.conversation_id,
+          source_url: attachment.url,
+          thumbnail_url: attachment.thumbnailUrl || null,
+          kind: mediaKind(attachment.mimetype, attachment.type),
+          filename: attachment.name || null,
+          mimetype: attachment.mimetype || null,
+          size_bytes: toInt(attachment.size),
+          width: toInt(attachment.width),
+          height: toInt(attachment.height),
+          duration_ms: toInt(attachment.durationMs)
+        });
+      }
+    }
+
+    if (rows.length === 0) return [];
+
+    const { data, error } = await adminClient
+      .from('media_assets')
+      .upsert(rows, { onConflict: 'user_id,platform,source_url' })
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async listMedia(workspaceId, { messageId = null, platform = null, conversationId = null, limit = 50 } = {}) {
+    let query = adminClient
+      .from('media_assets')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200));
+
+    if (messageId) query = query.eq('message_id', parseInt(messageId, 10));
+    if (platform) query = query.eq('platform', platform);
+    if (conversationId) query = query.eq('conversation_id', String(conversationId));
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Assets are only visible in the workspace their message landed in;
+  // anyone else gets the same 404 as for a missing asset
+  async getAsset(workspaceId, mediaId) {
+    const { data, error } = await adminClient
+      .from('media_assets')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(mediaId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw mediaError('Media not found', 404);
+    return data;
+  }
+
+  // Resolve an asset variant to a local file, downloading it on a cache miss.
+  // Resolves to { path, mimetype, filename, size } for res.sendFile, which
+  // handles Range and conditional requests.
+  async getMediaFile(workspaceId, mediaId, variant = 'full') {
+    if (!VARIANTS.includes(variant)) {
+      throw mediaError(`Invalid variant: ${variant}. Must be one of: ${VARIANTS.join(', ')}`, 400);
+    }
+
+    return this.getAssetFile(await this.getAsset(workspaceId, mediaId), variant);
+  }
+
+  // As getMediaFile, for an asset row already loaded
+  async getAssetFile(asset, variant = 'full') {
+    if (variant === 'thumbnail' && !['image', 'video'].includes(asset.kind)) {
+      throw mediaError('No thumbnail available for this media', 404);
+    }
+
+    await this.initCache();
+
+    const cacheName = crypto.createHash('sha256').update(`${asset.id}|${asset.source_url}|${variant}`).digest('hex');
+    const cachePath = path.join(CACHE_DIR, cacheName);
+    const metaPath = `${cachePath}.json`;
+
+    let meta = this.readCached(cacheName, cachePath, metaPath);
+    if (!meta) {
+      // Concurrent requests for the same file share one download
+      if (!this.inflight.has(cacheName)) {
+        this.inflight.set(cacheName, this.download(asset, variant, cacheName, cachePath, metaPath)
+          .finally(() => this.inflight.delete(cacheName)));
+      }
+      meta = await this.inflight.get(cacheName);
+    }
+
+    return {
+      path: cachePath,
+      mimetype: meta.mimetype,
+      filename: variant === 'thumbnail' ? null : asset.filename,
+      size: meta.size
+    };
+  }
+
+  readCached(cacheName, cachePath, metaPath) {
+    const entry = this.cacheIndex.get(cacheName);
+    if (!entry) return null;
+
+    try {
+      const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+      if (Date.now() - meta.cachedAt > CACHE_TTL_MS || !fs.existsSync(cachePath)) {
+        this.evict(cacheName);
+        return null;
+      }
+      entry.lastAccess = Date.now();
+      return meta;
+    } catch (error) {
+      this.evict(cacheName);
+      return null;
+    }
+  }
+
+  async download(asset, variant, cacheName, cachePath, metaPath) {
+    const { url, headers } = await this.resolveSource(asset, variant);
+
+    const response = await fetch(url, { headers });
+    if (!response.ok) {
+      if ([401, 403, 404, 410].includes(response.status)) {
+        throw mediaError(`Media is no longer available from ${asset.platform} (${response.status})`, 404);
+      }
+      throw mediaError(`Failed to fetch media from ${asset.platform}: ${response.status} ${response.statusText}`, 502);
+    }
+
+    const declaredSize = parseInt(response.headers.get('content-length') || '0', 10);
+    if (declaredSize > MAX_MEDIA_BYTES) {
+      throw mediaError(`Media exceeds the ${MAX_MEDIA_BYTES} byte limit`, 413);
+    }
+
+    let size = 0;
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        if (size > MAX_MEDIA_BYTES) {
+          callback(mediaError(`Media exceeds the ${MAX_MEDIA_BYTES} byte limit`, 413));
+          return;
+        }
+        callback(null, chunk);
+      }
+    });
+
+    // Write to a temp file first so readers never see a partial download
+    const tempPath = `${cachePath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+      await pipeline(Readable.fromWeb(response.body), limiter, fs.createWriteStream(tempPath));
+      await fs.promises.rename(tempPath, cachePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    const meta = {
+      mimetype: response.headers.get('content-type') || asset.mimetype || 'application/octet-stream',
+      size,
+      cachedAt: Date.now()
+    };
+    await fs.promises.writeFile(metaPath, JSON.stringify(meta));
+
+    this.cacheIndex.set(cacheName, { size, lastAccess: Date.now() });
+    this.cacheBytes += size;
+    this.enforceCacheLimit();
+
+    if (variant === 'full' && (!asset.size_bytes || !asset.mimetype)) {
+      await this.backfillMetadata(asset, meta);
+    }
+
+    return meta;
+  }
+
+  async backfillMetadata(asset, meta) {
+    const { error } = await adminClient
+      .from('media_assets')
+      .update({
+        size_bytes: asset.size_bytes || meta.size,
+        mimetype: asset.mimetype || meta.mimetype,
+        kind: asset.kind === 'file' ? mediaKind(meta.mimetype) : asset.kind
+      })
+      .eq('id', asset.id);
+
+    if (error) {
+      console.error('[Media Service] Error backfilling media metadata:', error);
+    }
+  }
+
+  // Where to fetch an asset from and with which credentials. Thumbnails come
+  // from the platform itself: the Matrix thumbnail API, Slack's pre-rendered
+  // thumbs and Discord's media proxy.
+  async resolveSource(asset, variant) {
+    const thumbnail = variant === 'thumbnail';
+
+    if (asset.source_url.startsWith('mxc://')) {
+      const { homeserver, accessToken } = await this.getCredentials(asset.user_id, 'matrix');
+      const mxc = thumbnail && asset.thumbnail_url?.startsWith('mxc://') ? asset.thumbnail_url : asset.source_url;
+      const match = mxc.match(/^mxc:\/\/([^/]+)\/([^/?#]+)$/);
+      if (!match) throw mediaError('Invalid mxc URL', 400);
+
+      const [, serverName, mediaId] = match;
+      const base = `${homeserver.replace(/\/$/, '')}/_matrix/client/v1/media`;
+      return {
+        url: thumbnail && mxc === asset.source_url
+          ? `${base}/thumbnail/${serverName}/${mediaId}?width=${THUMBNAIL_SIZE}&height=${THUMBNAIL_SIZE}&method=scale`
+          : `${base}/download/${serverName}/${mediaId}`,
+        headers: { Authorization: `Bearer ${accessToken}` }
+      };
+    }
+
+    if (asset.source_url.startsWith('tg://')) {
+      if (thumbnail && !asset.thumbnail_url) {
+        throw mediaError('No thumbnail available for this media', 404);
+      }
+      const { token } = await this.getCredentials(asset.user_id, 'telegram');
+      return { url: await this.resolveTelegramFile(await decryptToken(token), thumbnail ? asset.thumbnail_url : asset.source_url), headers: {} };
+    }
+
+    if (asset.platform === 'slack') {
+      const { token } = await this.getCredentials(asset.user_id, 'slack');
+      return {
+        url: thumbnail && asset.thumbnail_url ? asset.thumbnail_url : asset.source_url,
+        headers: { Authorization: `Bearer ${token}` }
+      };
+    }
+
+    if (asset.platform === 'discord' && thumbnail) {
+      if (asset.thumbnail_url) return { url: asset.thumbnail_url, headers: {} };
+
+      const url = new URL(asset.source_url.replace('cdn.discordapp.com', 'media.discordapp.net'));
+      url.searchParams.set('width', String(THUMBNAIL_SIZE));
+      url.searchParams.set('height', String(THUMBNAIL_SIZE));
+      if (asset.kind === 'video') url.searchParams.set('format', 'webp');
+      return { url: url.toString(), headers: {} };
+    }
+
+    if (thumbnail && !asset.thumbnail_url) {
+      throw mediaError('No thumbnail available for this media', 404);
+    }
+
+    return { url: thumbnail ? asset.thumbnail_url : asset.source_url, headers: {} };
+  }
+
+  // Bot API download URLs embed the bot token, so they are resolved per
+  // request from the file_id and never stored
+  async resolveTelegramFile(token, sourceUrl) {
+    const fileId = sourceUrl.slice('tg://'.length);
+    const response = await fetch(`https://api.telegram.org/bot${token}/getFile?file_id=${encodeURIComponent(fileId)}`);
+    const body = await response.json().catch(() => ({}));
+
+    if (!body.ok || !body.result?.file_path) {
+      // Bots can only download files up to 20MB
+      throw mediaError(`Telegram file unavailable: ${body.description || response.status}`, 404);
+    }
+    return `https://api.telegram.org/file/bot${token}/${body.result.file_path}`;
+  }
+
+  async getCredentials(userId, platform) {
+    const { data: account, error } = await adminClient
+      .from('accounts')
+      .select('credentials')
+      .eq('user_id', userId)
+      .eq('platform', platform)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    const credentials = account?.credentials || {};
+    const valid = platform === 'matrix' ? credentials.homeserver && credentials.accessToken : credentials.token;
+    if (!valid) {
+      throw mediaError(`No connected ${platform} account to fetch media with`, 409);
+    }
+    return credentials;
+  }
+
+  // Load the index of what is already on disk, once per process
+  initCache() {
+    if (!this.cacheReady) {
+      this.cacheReady = (async () => {
+        await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+        for (const name of await fs.promises.readdir(CACHE_DIR)) {
+          if (name.endsWith('.tmp')) {
+            await fs.promises.rm(path.join(CACHE_DIR, name), { force: true });
+            continue;
+          }
+          if (name.endsWith('.json')) continue;
+
+          const stats = await fs.promises.stat(path.join(CACHE_DIR, name));
+          this.cacheIndex.set(name, { size: stats.size, lastAccess: stats.atimeMs });
+          this.cacheBytes += stats.size;
+        }
+        this.enforceCacheLimit();
+      })().catch(error => {
+        this.cacheReady = null;
+        throw error;
+      });
+    }
+    return this.cacheReady;
+  }
+
+  // Least recently used files go first once the cache is over its size limit
+  enforceCacheLimit() {
+    if (this.cacheBytes <= CACHE_MAX_BYTES) return;
+
+    const entries = [...this.cacheIndex.entries()].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+    for (const [name] of entries) {
+      if (this.cacheBytes <= CACHE_MAX_BYTES) break;
+      this.evict(name);
+    }
+  }
+
+  evict(cacheName) {
+    const entry = this.cacheIndex.get(cacheName);
+    if (entry) {
+      this.cacheBytes -= entry.size;
+      this.cacheIndex.delete(cacheName);
+    }
+
+    const cachePath = path.join(CACHE_DIR, cacheName);
+    fs.rm(cachePath, { force: true }, () => {});
+    fs.rm(`${cachePath}.json`, { force: true }, () => {});
+  }
+}
+
+export const mediaService = new MediaService();
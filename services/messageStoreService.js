@@ -0,0 +1,286 @@
+import { adminClient } from '../utils/supabase.js';
+import { ioEmitter } from '../utils/emitter.js';
+import { mediaService } from './mediaService.js';
+import { transcriptionService } from './transcriptionService.js';
+
+export const SUPPORTED_PLATFORMS = ['whatsapp', 'discord', 'slack', 'telegram', 'matrix'];
+
+// Explicit column list so search vectors and embeddings never leave the database
+export const MESSAGE_COLUMNS = 'id, user_id, workspace_id, platform, conversation_id, conversation_name, external_id, sender_id, sender_name, content, transcript, attachments, metadata, timestamp, edited_at, deleted_at, is_read, read_at, tags, created_at, updated_at';
+
+// Text of a message as AI features should see it: voice notes contribute
+// their transcript
+export function messageText(message) {
+  if (!message.transcript) return message.content || '';
+  return `${message.content ? `${message.content} ` : ''}[voice note] ${message.transcript}`;
+}
+
+const DEFAULT_INBOX_LIMIT = 50;
+const MAX_INBOX_LIMIT = 200;
+
+// Timestamps as Postgres returns them. Cursors keep this exact text, since
+// going through Date would drop the microseconds and skip or repeat rows.
+const CURSOR_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)$/;
+
+class MessageStoreService {
+  constructor() {
+    this.adminClient = adminClient;
+  }
+
+  // Convert a platform message into a row of the unified messages table.
+  // Every ingestion path passes the same camelCase shape so the table only
+  // has to know about one format.
+  normalizeMessage(userId, message) {
+    if (!message?.platform || !SUPPORTED_PLATFORMS.includes(message.platform)) {
+      throw new Error(`Unsupported platform: ${message?.platform}`);
+    }
+
+    if (!message.conversationId || !message.externalId) {
+      throw new Error('conversationId and externalId are required');
+    }
+
+    const timestamp = message.timestamp ? new Date(message.timestamp) : new Date();
+    if (isNaN(timestamp.getTime())) {
+      throw new Error(`Invalid message timestamp: ${message.timestamp}`);
+    }
+
+    return {
+      user_id: userId,
+      platform: message.platform,
+      conversation_id: String(message.conversationId),
+      conversation_name: message.conversationName || null,
+      external_id: String(message.externalId),
+      sender_id: message.senderId ? String(message.senderId) : null,
+      sender_name: message.senderName || null,
+      content: message.content ?? null,
+      attachments: Array.isArray(message.attachments) ? message.attachments : [],
+      metadata: message.metadata || {},
+      timestamp: timestamp.toISOString(),
+      // Only set by edit events, so re-ingesting a message keeps its edit time
+      ...(message.editedAt && { edited_at: new Date(message.editedAt).toISOString() }),
+      is_read: !!message.isRead
+    };
+  }
+
+  async storeMessage(userId, message, options = {}) {
+    const [stored] = await this.storeMessages(userId, [message], options);
+    return stored || null;
+  }
+
+  // Live ingestion paths pass { notify: true } so newly stored messages are
+  // announced on the 'message_received' event (rules, relays, ...) and edits
+  // of stored ones on 'message_edited'. History syncs leave it off so old
+  // messages don't trigger anything.
+  async storeMessages(userId, messages, { notify = false } = {}) {
+    if (!userId) {
+      throw new Error('userId is required');
+    }
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return [];
+    }
+
+    const rows = messages.map(message => this.normalizeMessage(userId, message));
+
+    // Re-ingesting a message must not reset its read state, so is_read is only
+    // written for messages that arrive already read.
+    const readRows = rows.filter(row => row.is_read);
+    const unreadRows = rows
+      .filter(row => !row.is_read)
+      .map(({ is_read, ...rest }) => rest);
+
+    const stored = [];
+    for (const batch of [unreadRows, readRows]) {
+      if (batch.length === 0) continue;
+
+      const { data, error } = await this.adminClient
+        .from('messages')
+        .upsert(batch, {
+          onConflict: 'user_id,platform,external_id'
+        })
+        .select(MESSAGE_COLUMNS);
+
+      if (error) {
+        console.error('[Message Store] Error storing messages:', error);
+        throw error;
+      }
+
+      stored.push(...(data || []));
+    }
+
+    // Attachment metadata is best effort; the messages themselves are stored
+    const withAttachments = stored.filter(message => message.attachments?.length > 0);
+    if (withAttachments.length > 0) {
+      try {
+        await mediaService.registerAttachments(userId, withAttachments);
+      } catch (error) {
+        console.error('[Message Store] Error registering attachments:', error);
+      }
+
+      try {
+        await transcriptionService.queueVoiceNotes(userId, withAttachments);
+      } catch (error) {
+        console.error('[Message Store] Error queueing voice note transcription:', error);
+      }
+    }
+
+    if (notify) {
+      // created_at only equals updated_at on insert, so re-ingested
+      // messages are not announced twice
+      const editedIds = new Set(rows.filter(row => row.edited_at).map(row => row.external_id));
+      for (const message of stored) {
+        if (message.created_at === message.updated_at) {
+          ioEmitter.emit('message_received', { userId, message });
+        } else if (editedIds.has(message.external_id)) {
+          ioEmitter.emit('message_edited', { userId, message });
+        }
+      }
+    }
+
+    return stored;
+  }
+
+  encodeCursor(message) {
+    return Buffer.from(`${message.timestamp}|${message.id}`).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const [timestamp, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+      if (!CURSOR_TIMESTAMP_PATTERN.test(timestamp || '') || isNaN(new Date(timestamp).getTime()) || !/^\d+$/.test(id || '')) {
+        throw new Error('Malformed cursor');
+      }
+      return { timestamp, id: parseInt(id, 10) };
+    } catch (error) {
+      const cursorError = new Error('Invalid cursor');
+      cursorError.status = 400;
+      throw cursorError;
+    }
+  }
+
+  // Newest-first workspace inbox across every platform using keyset
+  // pagination on (timestamp, id), so pages stay stable while new messages
+  // arrive.
+  async getInbox(workspaceId, { limit = DEFAULT_INBOX_LIMIT, cursor = null, platforms = null, conversationId = null, unreadOnly = false } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_INBOX_LIMIT, 1), MAX_INBOX_LIMIT);
+
+    let query = this.adminClient
+      .from('messages')
+      .select(MESSAGE_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .order('timestamp', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(pageSize + 1);
+
+    if (platforms?.length) {
+      const invalid = platforms.filter(platform => !SUPPORTED_PLATFORMS.includes(platform));
+      if (invalid.length > 0) {
+        const platformError = new Error(`Unsupported platform: ${invalid.join(', ')}`);
+        platformError.status = 400;
+        throw platformError;
+      }
+      query = query.in('platform', platforms);
+    }
+
+    if (conversationId) {
+      query = query.eq('conversation_id', String(conversationId));
+    }
+
+    if (unreadOnly) {
+      query = query.eq('is_read', false);
+    }
+
+    if (cursor) {
+      const { timestamp, id } = this.decodeCursor(cursor);
+      query = query.or(`timestamp.lt."${timestamp}",and(timestamp.eq."${timestamp}",id.lt.${id})`);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const rows = data || [];
+    const hasMore = rows.length > pageSize;
+    const messages = hasMore ? rows.slice(0, pageSize) : rows;
+
+    return {
+      messages,
+      nextCursor: hasMore ? this.encodeCursor(messages[messages.length - 1]) : null,
+      hasMore
+    };
+  }
+
+  async markAsRead(workspaceId, messageIds) {
+    const { data, error } = await this.adminClient
+      .from('messages')
+      .update({ is_read: true, read_at: new Date().toISOString() })
+      .eq('workspace_id', workspaceId)
+      .in('id', messageIds)
+      .select('id');
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Mirror read receipts coming from a platform-specific table
+  async markExternalAsRead(userId, platform, externalIds) {
+    if (!externalIds?.length) return [];
+
+    const { data, error } = await this.adminClient
+      .from('messages')
+      .update({ is_read: true, read_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('platform', platform)
+      .in('external_id', externalIds.map(String))
+      .select('id');
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Flag messages deleted on their platform; rows are kept. Each newly
+  // deleted message is announced on 'message_deleted'.
+  async markExternalDeleted(userId, platform, externalIds) {
+    if (!externalIds?.length) return [];
+
+    const { data, error } = await this.adminClient
+      .from('messages')
+      .update({ deleted_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('platform', platform)
+      .in('external_id', externalIds.map(String))
+      .is('deleted_at', null)
+      .select(MESSAGE_COLUMNS);
+
+    if (error) throw error;
+
+    (data || []).forEach(message => ioEmitter.emit('message_deleted', { userId, message }));
+    return data || [];
+  }
+
+  // Shallow-merge keys into a stored message's metadata, e.g. reaction
+  // counts. patch may be a function of the current metadata.
+  async mergeExternalMetadata(userId, platform, externalId, patch) {
+    const { data: message, error: fetchError } = await this.adminClient
+      .from('messages')
+      .select('id, metadata')
+      .eq('user_id', userId)
+      .eq('platform', platform)
+      .eq('external_id', String(externalId))
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!message) return null;
+
+    const { data, error } = await this.adminClient
+      .from('messages')
+      .update({ metadata: { ...message.metadata, ...(typeof patch === 'function' ? patch(message.metadata || {}) : patch) } })
+      .eq('id', message.id)
+      .select(MESSAGE_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+}
+
+export const messageStoreService = new MessageStoreService();
@@ -0,0 +1,55 @@
+import { adminClient } from '../utils/supabase.js';
+import { ioEmitter } from '../utils/emitter.js';
+
+class NotificationService {
+  async createNotification(userId, { type, title, body = null, data = {} }) {
+    const { data: notification, error } = await adminClient
+      .from('notifications')
+      .insert({
+        user_id: userId,
+        type,
+        title,
+        body,
+        data
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    ioEmitter.emit('notification_created', { userId, notification });
+    return notification;
+  }
+
+  async listNotifications(userId, { unreadOnly = false, limit = 50 } = {}) {
+    let query = adminClient
+      .from('notifications')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200));
+
+    if (unreadOnly) query = query.is('read_at', null);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async markAsRead(userId, notificationIds) {
+    if (!notificationIds?.length) return [];
+
+    const { data, error } = await adminClient
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .in('id', notificationIds)
+      .is('read_at', null)
+      .select('id');
+
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+export const notificationService = new NotificationService();
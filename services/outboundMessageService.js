@@ -0,0 +1,133 @@
+import { WebClient } from '@slack/web-api';
+import { adminClient } from '../utils/supabase.js';
+import { whatsappEntityService } from './whatsappEntityService.js';
+import { sendTelegramMessage, editTelegramMessage, deleteTelegramMessage } from './directServices/telegramDirect.js';
+import { sendDiscordMessage, editDiscordMessage, deleteDiscordMessage } from './directServices/discordDirect.js';
+
+// Single entry point for sending a text message to any connected platform.
+// conversationId uses the same ids as the unified message store: the
+// whatsapp_contacts id for WhatsApp, the chat id for Telegram and the channel
+// id for Slack and Discord. threadTs posts a Slack message as a thread reply.
+// editMessage and deleteMessage take the messageId that sendMessage returned.
+class OutboundMessageService {
+  async sendMessage(userId, { platform, conversationId, content, threadTs = null }) {
+    if (!content?.trim()) {
+      throw new Error('Message content is required');
+    }
+
+    console.log('[Outbound] Sending message:', { userId, platform, conversationId });
+
+    switch (platform) {
+      case 'whatsapp':
+        return this.sendWhatsAppMessage(userId, conversationId, content);
+      case 'telegram': {
+        const result = await sendTelegramMessage(userId, conversationId, content);
+        return { platform, messageId: String(result.message_id) };
+      }
+      case 'slack':
+        return this.sendSlackMessage(userId, conversationId, content, { threadTs });
+      case 'discord': {
+        const result = await sendDiscordMessage(userId, conversationId, content);
+        return { platform, messageId: result.id };
+      }
+      default:
+        throw new Error(`Unsupported platform: ${platform}`);
+    }
+  }
+
+  async editMessage(userId, { platform, conversationId, messageId, content }) {
+    if (!content?.trim()) {
+      throw new Error('Message content is required');
+    }
+
+    switch (platform) {
+      case 'whatsapp':
+        await whatsappEntityService.editMessage(userId, parseInt(conversationId, 10), { messageId, content });
+        break;
+      case 'telegram':
+        await editTelegramMessage(userId, conversationId, messageId, content);
+        break;
+      case 'slack': {
+        const client = await this.getSlackClient(userId);
+        const result = await client.chat.update({ channel: conversationId, ts: this.slackTs(messageId), text: content });
+        if (!result.ok) throw new Error(`Failed to edit Slack message: ${result.error}`);
+        break;
+      }
+      case 'discord':
+        await editDiscordMessage(userId, conversationId, messageId, content);
+        break;
+      default:
+        throw new Error(`Unsupported platform: ${platform}`);
+    }
+
+    return { platform, messageId };
+  }
+
+  async deleteMessage(userId, { platform, conversationId, messageId }) {
+    switch (platform) {
+      case 'whatsapp':
+        await whatsappEntityService.deleteMessage(userId, parseInt(conversationId, 10), { messageId });
+        break;
+      case 'telegram':
+        await deleteTelegramMessage(userId, conversationId, messageId);
+        break;
+      case 'slack': {
+        const client = await this.getSlackClient(userId);
+        const result = await client.chat.delete({ channel: conversationId, ts: this.slackTs(messageId) });
+        if (!result.ok) throw new Error(`Failed to delete Slack message: ${result.error}`);
+        break;
+      }
+      case 'discord':
+        await deleteDiscordMessage(userId, conversationId, messageId);
+        break;
+      default:
+        throw new Error(`Unsupported platform: ${platform}`);
+    }
+
+    return { platform, messageId };
+  }
+
+  async sendWhatsAppMessage(userId, contactId, content) {
+    const message = await whatsappEntityService.sendMessage(userId, parseInt(contactId, 10), { content });
+    return { platform: 'whatsapp', messageId: message.message_id };
+  }
+
+  // broadcast also shows a thread reply in the channel
+  async sendSlackMessage(userId, channelId, content, { threadTs = null, broadcast = false } = {}) {
+    const client = await this.getSlackClient(userId);
+    const result = await client.chat.postMessage({
+      channel: channelId,
+      text: content,
+      ...(threadTs && { thread_ts: threadTs, reply_broadcast: broadcast })
+    });
+
+    if (!result.ok) {
+      throw new Error(`Failed to send Slack message: ${result.error}`);
+    }
+
+    return { platform: 'slack', messageId: `${channelId}:${result.ts}`, message: result.message };
+  }
+
+  async getSlackClient(userId) {
+    const { data: account, error } = await adminClient
+      .from('accounts')
+      .select('credentials')
+      .eq('user_id', userId)
+      .eq('platform', 'slack')
+      .eq('status', 'active')
+      .single();
+
+    if (error || !account?.credentials?.token) {
+      throw new Error('No active Slack account found');
+    }
+
+    return new WebClient(account.credentials.token);
+  }
+
+  // Slack message ids are "<channel>:<ts>"
+  slackTs(messageId) {
+    return String(messageId).slice(String(messageId).indexOf(':') + 1);
+  }
+}
+
+export const outboundMessageService = new OutboundMessageService();
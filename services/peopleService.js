@@ -0,0 +1,844 @@
+import { adminClient } from '../utils/supabase.js';
+import { ioEmitter } from '../utils/emitter.js';
+import { MESSAGE_COLUMNS } from './messageStoreService.js';
+import { jobQueueService } from './jobQueueService.js';
+import { getSlackClientForUser } from './slackService.js';
+import { contactProfileService } from './contactProfileService.js';
+
+const PERSON_COLUMNS = 'id, user_id, workspace_id, display_name, email, phone, avatar_url, metadata, created_at, updated_at';
+const IDENTITY_COLUMNS = 'id, person_id, platform, external_id, sender_id, display_name, username, email, phone, dm_conversation_id, whatsapp_contact_id, last_seen_at, metadata, created_at, updated_at';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const PAGE_SIZE = 1000;
+const IDENTITY_BATCH_SIZE = 200;
+const MAX_SLACK_LOOKUPS = 200;
+// Senders seen recently are not re-sent to the database on every message
+const SEEN_SENDER_TTL_MS = 10 * 60 * 1000;
+const SUGGESTION_DELAY_MS = 2 * 60 * 1000;
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+const PRIORITY_ORDER = ['LOW', 'MEDIUM', 'HIGH'];
+
+const SCORES = {
+  phone: 0.95,
+  email: 0.9,
+  name: 0.7
+};
+
+function peopleError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits : null;
+}
+
+// Bridge puppets look like @whatsapp_4915112345678:server, contacts like
+// 4915112345678@s.whatsapp.net
+function whatsappPhone(id) {
+  const match = String(id || '').match(/^@whatsapp_(\d+):/) || String(id || '').match(/^(\d+)@s\.whatsapp\.net$/);
+  return match ? normalizePhone(match[1]) : null;
+}
+
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Dice coefficient over character bigrams, with word order ignored
+function nameSimilarity(a, b) {
+  const left = normalizeName(a).split(' ').sort().join(' ');
+  const right = normalizeName(b).split(' ').sort().join(' ');
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const bigrams = text => {
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const bigram = text.slice(i, i + 2);
+      counts.set(bigram, (counts.get(bigram) || 0) + 1);
+    }
+    return counts;
+  };
+
+  const leftBigrams = bigrams(left);
+  const rightBigrams = bigrams(right);
+  let overlap = 0;
+  for (const [bigram, count] of leftBigrams) {
+    overlap += Math.min(count, rightBigrams.get(bigram) || 0);
+  }
+  return (2 * overlap) / (left.length - 1 + right.length - 1);
+}
+
+// Identity candidate for the sender of a stored message, or null for the
+// user's own messages
+function identityFromMessage(message) {
+  if (!message.sender_id || message.metadata?.direction === 'outbound') return null;
+
+  const metadata = message.metadata || {};
+  let externalId = String(message.sender_id);
+  let phone = null;
+
+  if (message.platform === 'whatsapp') {
+    phone = whatsappPhone(message.sender_id);
+    // Anything else is the user's own Matrix account
+    if (!phone) return null;
+    externalId = phone;
+  }
+
+  const isDirect = metadata.chat_type === 'private' ||
+    metadata.channel_type === 'im' ||
+    (message.platform === 'discord' && !metadata.server_id);
+
+  return {
+    platform: message.platform,
+    external_id: externalId,
+    sender_id: String(message.sender_id),
+    display_name: message.sender_name || null,
+    phone,
+    dm_conversation_id: isDirect ? String(message.conversation_id) : null,
+    last_seen_at: message.timestamp
+  };
+}
+
+// Quote a value for a PostgREST filter list
+function quote(value) {
+  return `"${String(value).replace(/"/g, '')}"`;
+}
+
+// Merges platform identities into person records. Identities are created
+// as senders show up (live through message_received, and for history with
+// a people.sync job); each new identity starts as its own person until it
+// is merged, either by the user or by accepting a suggestion.
+class PeopleService {
+  constructor() {
+    this.isListening = false;
+    // `${workspaceId}:${platform}:${senderId}` -> seen at
+    this.seenSenders = new Map();
+    this.handleMessageReceived = this.handleMessageReceived.bind(this);
+  }
+
+  start() {
+    if (this.isListening) return;
+    this.isListening = true;
+    ioEmitter.on('message_received', this.handleMessageReceived);
+    console.log('[People Service] Listening for new senders');
+  }
+
+  stop() {
+    ioEmitter.off('message_received', this.handleMessageReceived);
+    this.isListening = false;
+  }
+
+  // People live in the workspace the message landed in; the connection's
+  // user is recorded on new identities
+  async handleMessageReceived({ userId, message }) {
+    try {
+      if (!message?.workspace_id) return;
+      await this.recordSender(message.workspace_id, userId, message);
+    } catch (error) {
+      console.error('[People Service] Error recording sender:', { userId, messageId: message?.id, error });
+    }
+  }
+
+  async recordSender(workspaceId, userId, message) {
+    const candidate = identityFromMessage(message);
+    if (!candidate) return null;
+
+    const key = `${workspaceId}:${candidate.platform}:${candidate.sender_id}`;
+    const now = Date.now();
+    if (now - (this.seenSenders.get(key) || 0) < SEEN_SENDER_TTL_MS) return null;
+    this.seenSenders.set(key, now);
+
+    const [result] = await this.ensureIdentities(workspaceId, userId, [candidate]);
+    if (result?.created) await this.scheduleSuggestions(workspaceId, userId);
+    return result || null;
+  }
+
+  async ensureIdentities(workspaceId, userId, candidates) {
+    const results = [];
+    for (let i = 0; i < candidates.length; i += IDENTITY_BATCH_SIZE) {
+      const { data, error } = await adminClient.rpc('ensure_person_identities', {
+        p_workspace_id: workspaceId,
+        p_user_id: userId,
+        p_identities: candidates.slice(i, i + IDENTITY_BATCH_SIZE)
+      });
+
+      if (error) throw error;
+      results.push(...(data || []));
+    }
+    return results;
+  }
+
+  // New identities are checked against everyone else shortly after they
+  // appear; the delay batches a burst of new senders into one run
+  async scheduleSuggestions(workspaceId, userId) {
+    return jobQueueService.enqueue('people.suggest', { workspaceId }, {
+      userId,
+      runAt: new Date(Date.now() + SUGGESTION_DELAY_MS),
+      dedupeKey: `people.suggest:${workspaceId}`
+    });
+  }
+
+  async startSync(workspaceId, userId) {
+    return jobQueueService.enqueue('people.sync', { workspaceId }, {
+      userId,
+      dedupeKey: `people.sync:${workspaceId}`
+    });
+  }
+
+  // Job handler for people.sync: identities for every sender in the message
+  // store and every WhatsApp contact, then fresh suggestions
+  async syncPeople(workspaceId, userId, { progress } = {}) {
+    const { data: senders, error: sendersError } = await adminClient
+      .rpc('person_identity_candidates', { p_workspace_id: workspaceId });
+
+    if (sendersError) throw sendersError;
+
+    const candidates = [];
+    for (const sender of senders || []) {
+      const candidate = identityFromMessage({
+        platform: sender.platform,
+        sender_id: sender.sender_id,
+        sender_name: sender.sender_name,
+        timestamp: sender.last_seen_at,
+        metadata: {}
+      });
+      if (candidate) candidates.push({ ...candidate, dm_conversation_id: sender.dm_conversation_id || null });
+    }
+
+    const contacts = await this.selectAll(() => adminClient
+      .from('whatsapp_contacts')
+      .select('id, whatsapp_id, display_name, last_message_at')
+      .eq('workspace_id', workspaceId)
+      .eq('is_group', false));
+
+    for (const contact of contacts) {
+      const phone = whatsappPhone(contact.whatsapp_id) || normalizePhone(contact.whatsapp_id);
+      if (!phone) continue;
+      candidates.push({
+        platform: 'whatsapp',
+        external_id: phone,
+        display_name: contact.display_name || null,
+        phone,
+        dm_conversation_id: String(contact.id),
+        whatsapp_contact_id: contact.id,
+        last_seen_at: contact.last_message_at
+      });
+    }
+
+    if (progress) await progress(20, `Linking ${candidates.length} identities`);
+    const results = await this.ensureIdentities(workspaceId, userId, candidates);
+
+    if (progress) await progress(60, 'Looking up Slack profiles');
+    const enriched = await this.enrichSlackIdentities(workspaceId);
+
+    if (progress) await progress(80, 'Finding people to merge');
+    const suggestions = await this.refreshSuggestions(workspaceId, userId);
+
+    return {
+      identities: results.length,
+      created: results.filter(result => result.created).length,
+      slackProfiles: enriched,
+      suggestions: suggestions.length
+    };
+  }
+
+  // Slack is the one platform that hands out emails, which makes it the
+  // best anchor for merges. Lookups use the Slack connection of the member
+  // whose messages brought the identity in. Best effort: failures leave
+  // identities as they are.
+  async enrichSlackIdentities(workspaceId) {
+    const { data: identities, error } = await adminClient
+      .from('person_identities')
+      .select('id, user_id, external_id, metadata')
+      .eq('workspace_id', workspaceId)
+      .eq('platform', 'slack')
+      .is('email', null)
+      .is('metadata->slack_profile_checked_at', null)
+      .limit(MAX_SLACK_LOOKUPS);
+
+    if (error) throw error;
+    if (!identities?.length) return 0;
+
+    const clients = new Map();
+    const clientFor = async userId => {
+      if (!clients.has(userId)) clients.set(userId, await getSlackClientForUser(userId).catch(() => null));
+      return clients.get(userId);
+    };
+
+    let enriched = 0;
+    for (const identity of identities) {
+      const client = await clientFor(identity.user_id);
+      if (!client) continue;
+
+      try {
+        const { user } = await client.users.info({ user: identity.external_id });
+        const update = {
+          metadata: { ...identity.metadata, slack_profile_checked_at: new Date().toISOString() }
+        };
+        if (user?.profile?.email) update.email = user.profile.email.toLowerCase();
+        if (normalizePhone(user?.profile?.phone)) update.phone = normalizePhone(user.profile.phone);
+        if (user?.name) update.username = user.name;
+
+        const { error: updateError } = await adminClient
+          .from('person_identities')
+          .update(update)
+          .eq('id', identity.id);
+
+        if (updateError) throw updateError;
+        if (update.email || update.phone) enriched++;
+      } catch (lookupError) {
+        console.error('[People Service] Error looking up Slack profile:', { workspaceId, slackUserId: identity.external_id, error: lookupError });
+      }
+    }
+    return enriched;
+  }
+
+  // Supabase caps a select at 1000 rows
+  async selectAll(buildQuery) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return rows;
+    }
+  }
+
+  async loadPeople(workspaceId) {
+    const people = await this.selectAll(() => adminClient
+      .from('people')
+      .select(PERSON_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .order('id', { ascending: true }));
+
+    const identities = await this.selectAll(() => adminClient
+      .from('person_identities')
+      .select(IDENTITY_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .order('id', { ascending: true }));
+
+    const byPerson = new Map(people.map(person => [person.id, { ...person, identities: [] }]));
+    for (const identity of identities) {
+      byPerson.get(identity.person_id)?.identities.push(identity);
+    }
+    return [...byPerson.values()];
+  }
+
+  // Why two people might be the same person, strongest reason first
+  scorePair(a, b) {
+    const reasons = [];
+
+    const phones = person => new Set([person.phone, ...person.identities.map(identity => identity.phone)]
+      .map(normalizePhone).filter(Boolean));
+    const sharedPhone = [...phones(a)].find(phone => phones(b).has(phone));
+    if (sharedPhone) reasons.push({ type: 'phone', value: sharedPhone, similarity: 1 });
+
+    const emails = person => new Set([person.email, ...person.identities.map(identity => identity.email)]
+      .filter(Boolean).map(email => email.toLowerCase()));
+    const sharedEmail = [...emails(a)].find(email => emails(b).has(email));
+    if (sharedEmail) reasons.push({ type: 'email', value: sharedEmail, similarity: 1 });
+
+    // Same name on the same platform is more often two different people
+    const platformsA = new Set(a.identities.map(identity => identity.platform));
+    const crossPlatform = b.identities.some(identity => !platformsA.has(identity.platform));
+    if (crossPlatform) {
+      const similarity = nameSimilarity(a.display_name, b.display_name);
+      if (similarity >= NAME_SIMILARITY_THRESHOLD) {
+        reasons.push({ type: 'name', value: b.display_name, similarity: Number(similarity.toFixed(3)) });
+      }
+    }
+
+    if (reasons.length === 0) return null;
+
+    const best = Math.max(...reasons.map(reason => SCORES[reason.type] * reason.similarity));
+    // Each extra signal closes a third of the remaining gap
+    const score = reasons.length > 1 ? best + (1 - best) / 3 * (reasons.length - 1) : best;
+    return { score: Math.min(Number(score.toFixed(3)), 0.999), reasons };
+  }
+
+  // Recompute merge suggestions. Candidate pairs come from shared phone,
+  // email or name tokens so not every pair of people is compared. Pairs
+  // already suggested, including dismissed ones, are left alone.
+  async refreshSuggestions(workspaceId, userId) {
+    const people = await this.loadPeople(workspaceId);
+    const buckets = new Map();
+    const addToBucket = (key, person) => {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(person);
+    };
+
+    for (const person of people) {
+      const keys = new Set();
+      for (const phone of [person.phone, ...person.identities.map(identity => identity.phone)]) {
+        if (normalizePhone(phone)) keys.add(`phone:${normalizePhone(phone)}`);
+      }
+      for (const email of [person.email, ...person.identities.map(identity => identity.email)]) {
+        if (email) keys.add(`email:${email.toLowerCase()}`);
+      }
+      for (const token of normalizeName(person.display_name).split(' ')) {
+        if (token.length >= 3) keys.add(`name:${token}`);
+      }
+      keys.forEach(key => addToBucket(key, person));
+    }
+
+    const pairs = new Map();
+    for (const members of buckets.values()) {
+      // Very common tokens ("the", a shared surname in a big team) say little
+      if (members.length > 50) continue;
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const [a, b] = members[i].id < members[j].id ? [members[i], members[j]] : [members[j], members[i]];
+          const key = `${a.id}:${b.id}`;
+          if (pairs.has(key)) continue;
+          // People split apart by the user are not suggested again
+          if (a.metadata?.split_from === b.id || b.metadata?.split_from === a.id) continue;
+          const match = this.scorePair(a, b);
+          pairs.set(key, match && { a, b, ...match });
+        }
+      }
+    }
+
+    const suggestions = [...pairs.values()].filter(Boolean).map(({ a, b, score, reasons }) => ({
+      workspace_id: workspaceId,
+      user_id: userId,
+      person_id: a.id,
+      candidate_person_id: b.id,
+      score,
+      reasons
+    }));
+
+    for (let i = 0; i < suggestions.length; i += IDENTITY_BATCH_SIZE) {
+      const { error } = await adminClient
+        .from('person_merge_suggestions')
+        .upsert(suggestions.slice(i, i + IDENTITY_BATCH_SIZE), {
+          onConflict: 'workspace_id,person_id,candidate_person_id',
+          ignoreDuplicates: true
+        });
+
+      if (error) throw error;
+    }
+
+    console.log('[People Service] Refreshed merge suggestions:', { workspaceId, people: people.length, suggestions: suggestions.length });
+    return suggestions;
+  }
+
+  async listSuggestions(workspaceId, { status = 'pending', limit = DEFAULT_LIMIT } = {}) {
+    const { data, error } = await adminClient
+      .from('person_merge_suggestions')
+      .select(`id, score, reasons, status, created_at,
+        person:people!person_merge_suggestions_person_id_fkey(${PERSON_COLUMNS}, identities:person_identities(${IDENTITY_COLUMNS})),
+        candidate:people!person_merge_suggestions_candidate_person_id_fkey(${PERSON_COLUMNS}, identities:person_identities(${IDENTITY_COLUMNS}))`)
+      .eq('workspace_id', workspaceId)
+      .eq('status', status)
+      .order('score', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT));
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getSuggestion(workspaceId, suggestionId) {
+    const { data, error } = await adminClient
+      .from('person_merge_suggestions')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(suggestionId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw peopleError('Suggestion not found', 404);
+    return data;
+  }
+
+  // The lower id, usually the person seen first, is kept
+  async acceptSuggestion(workspaceId, userId, suggestionId) {
+    const suggestion = await this.getSuggestion(workspaceId, suggestionId);
+    if (suggestion.status !== 'pending') throw peopleError('Suggestion was dismissed', 409);
+    return this.mergePeople(workspaceId, userId, suggestion.person_id, [suggestion.candidate_person_id]);
+  }
+
+  async dismissSuggestion(workspaceId, suggestionId) {
+    await this.getSuggestion(workspaceId, suggestionId);
+
+    const { data, error } = await adminClient
+      .from('person_merge_suggestions')
+      .update({ status: 'dismissed', dismissed_at: new Date().toISOString() })
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(suggestionId, 10))
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Query: search (name, email or phone), platform, limit, offset
+  // Query options as for contactProfileService.searchPeople: tags, custom
+  // field filters and sort apply on top of search and platform
+  async listPeople(workspaceId, { search = null, platform = null, tags = null, filters = null, sort = null, order = null, limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+    const { ids, total } = await contactProfileService.searchPeople(workspaceId, {
+      search,
+      platform,
+      tags,
+      filters,
+      sort,
+      order,
+      limit: pageSize,
+      offset: start
+    });
+    if (ids.length === 0) return { people: [], total };
+
+    const { data, error } = await adminClient
+      .from('people')
+      .select(`${PERSON_COLUMNS}, identities:person_identities(${IDENTITY_COLUMNS})`)
+      .eq('workspace_id', workspaceId)
+      .in('id', ids);
+
+    if (error) throw error;
+
+    const byId = new Map((data || []).map(person => [person.id, person]));
+    const people = await contactProfileService.attachProfiles(workspaceId, ids.map(id => byId.get(id)).filter(Boolean));
+    return { people, total };
+  }
+
+  async getPerson(workspaceId, personId) {
+    const { data, error } = await adminClient
+      .from('people')
+      .select(`${PERSON_COLUMNS}, identities:person_identities(${IDENTITY_COLUMNS})`)
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(personId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw peopleError('Person not found', 404);
+
+    const [person] = await contactProfileService.attachProfiles(workspaceId, [data]);
+    return person;
+  }
+
+  // Person behind a sender id as it appears in messages or Matrix rooms;
+  // WhatsApp puppets and JIDs resolve through the phone number
+  async findPersonForSender(workspaceId, platform, senderId) {
+    const phone = platform === 'whatsapp' ? whatsappPhone(senderId) : null;
+
+    let query = adminClient
+      .from('person_identities')
+      .select('person_id')
+      .eq('workspace_id', workspaceId)
+      .eq('platform', platform)
+      .limit(1);
+
+    query = phone ? query.eq('external_id', phone) : query.eq('sender_id', String(senderId));
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data?.[0] ? this.getPerson(workspaceId, data[0].person_id) : null;
+  }
+
+  async updatePerson(workspaceId, personId, changes) {
+    await this.getPerson(workspaceId, personId);
+
+    const update = {};
+    if (changes.displayName !== undefined) {
+      if (typeof changes.displayName !== 'string' || !changes.displayName.trim()) {
+        throw peopleError('displayName must be a non-empty string', 400);
+      }
+      update.display_name = changes.displayName.trim();
+    }
+    if (changes.email !== undefined) update.email = changes.email ? String(changes.email).trim().toLowerCase() : null;
+    if (changes.phone !== undefined) update.phone = changes.phone ? normalizePhone(changes.phone) : null;
+    if (changes.avatarUrl !== undefined) update.avatar_url = changes.avatarUrl || null;
+
+    const { error } = await adminClient
+      .from('people')
+      .update(update)
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(personId, 10));
+
+    if (error) throw error;
+    return this.getPerson(workspaceId, personId);
+  }
+
+  // Move every identity of the source people onto the target and delete
+  // the sources. Details the target is missing are taken from the sources.
+  async mergePeople(workspaceId, userId, targetId, sourceIds) {
+    const target = await this.getPerson(workspaceId, targetId);
+    const ids = [...new Set((sourceIds || []).map(id => parseInt(id, 10)))].filter(id => id !== target.id);
+    if (ids.length === 0) throw peopleError('sourceIds must name at least one other person', 400);
+
+    const sources = await Promise.all(ids.map(id => this.getPerson(workspaceId, id)));
+
+    const { error: moveError } = await adminClient
+      .from('person_identities')
+      .update({ person_id: target.id })
+      .eq('workspace_id', workspaceId)
+      .in('person_id', ids);
+
+    if (moveError) throw moveError;
+
+    const { error: updateError } = await adminClient
+      .from('people')
+      .update({
+        email: target.email || sources.find(source => source.email)?.email || null,
+        phone: target.phone || sources.find(source => source.phone)?.phone || null,
+        avatar_url: target.avatar_url || sources.find(source => source.avatar_url)?.avatar_url || null,
+        metadata: {
+          ...target.metadata,
+          merged_from: [...(target.metadata?.merged_from || []), ...ids]
+        }
+      })
+      .eq('id', target.id);
+
+    if (updateError) throw updateError;
+
+    await contactProfileService.mergeProfiles(workspaceId, userId, target.id, ids);
+
+    const { error: deleteError } = await adminClient
+      .from('people')
+      .delete()
+      .eq('workspace_id', workspaceId)
+      .in('id', ids);
+
+    if (deleteError) throw deleteError;
+
+    console.log('[People Service] Merged people:', { workspaceId, userId, targetId: target.id, sourceIds: ids });
+    await this.scheduleSuggestions(workspaceId, userId);
+    return this.getPerson(workspaceId, target.id);
+  }
+
+  // Move some identities of a person onto a new person
+  async splitPerson(workspaceId, userId, personId, identityIds) {
+    const person = await this.getPerson(workspaceId, personId);
+    const ids = [...new Set((identityIds || []).map(id => parseInt(id, 10)))];
+    const moving = person.identities.filter(identity => ids.includes(identity.id));
+
+    if (moving.length === 0 || moving.length !== ids.length) {
+      throw peopleError('identityIds must name identities of this person', 400);
+    }
+    if (moving.length === person.identities.length) {
+      throw peopleError('At least one identity must stay with the person', 400);
+    }
+
+    const { data: created, error: createError } = await adminClient
+      .from('people')
+      .insert({
+        workspace_id: workspaceId,
+        user_id: userId,
+        display_name: moving.find(identity => identity.display_name)?.display_name || moving[0].external_id,
+        email: moving.find(identity => identity.email)?.email || null,
+        phone: moving.find(identity => identity.phone)?.phone || null,
+        metadata: { split_from: person.id }
+      })
+      .select(PERSON_COLUMNS)
+      .single();
+
+    if (createError) throw createError;
+
+    const { error: moveError } = await adminClient
+      .from('person_identities')
+      .update({ person_id: created.id })
+      .eq('workspace_id', workspaceId)
+      .in('id', ids);
+
+    if (moveError) throw moveError;
+
+    console.log('[People Service] Split person:', { workspaceId, personId: person.id, newPersonId: created.id, identityIds: ids });
+    return {
+      person: await this.getPerson(workspaceId, person.id),
+      split: await this.getPerson(workspaceId, created.id)
+    };
+  }
+
+  // PostgREST filter matching the person's messages: anything they sent,
+  // plus everything in direct conversations with them
+  messageFilter(identities) {
+    const clauses = [];
+    const byPlatform = new Map();
+    for (const identity of identities) {
+      if (!byPlatform.has(identity.platform)) byPlatform.set(identity.platform, { senders: [], conversations: [] });
+      if (identity.sender_id) byPlatform.get(identity.platform).senders.push(quote(identity.sender_id));
+      if (identity.dm_conversation_id) byPlatform.get(identity.platform).conversations.push(quote(identity.dm_conversation_id));
+    }
+
+    for (const [platform, { senders, conversations }] of byPlatform) {
+      if (senders.length > 0) clauses.push(`and(platform.eq.${platform},sender_id.in.(${senders.join(',')}))`);
+      if (conversations.length > 0) clauses.push(`and(platform.eq.${platform},conversation_id.in.(${conversations.join(',')}))`);
+    }
+    return clauses.join(',');
+  }
+
+  // Cross-platform timeline, newest first. before: ISO timestamp cursor.
+  async getPersonMessages(workspaceId, personId, { limit = DEFAULT_LIMIT, before = null } = {}) {
+    const person = await this.getPerson(workspaceId, personId);
+    const filter = this.messageFilter(person.identities);
+    if (!filter) return { messages: [], nextBefore: null };
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    let query = adminClient
+      .from('messages')
+      .select(MESSAGE_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .or(filter)
+      .is('deleted_at', null)
+      .order('timestamp', { ascending: false })
+      .limit(pageSize);
+
+    if (before) {
+      const beforeDate = new Date(before);
+      if (isNaN(beforeDate.getTime())) throw peopleError(`Invalid before: ${before}`, 400);
+      query = query.lt('timestamp', beforeDate.toISOString());
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const messages = data || [];
+    return {
+      messages,
+      nextBefore: messages.length === pageSize ? messages[messages.length - 1].timestamp : null
+    };
+  }
+
+  // Conversations across platforms with their rule and AI priority
+  async getPersonConversations(workspaceId, personId) {
+    await this.getPerson(workspaceId, personId);
+
+    const { data: conversations, error } = await adminClient
+      .rpc('person_conversations', { p_workspace_id: workspaceId, p_person_id: parseInt(personId, 10) });
+
+    if (error) throw error;
+    if (!conversations?.length) return [];
+
+    const whatsappIds = conversations
+      .filter(conversation => conversation.platform === 'whatsapp')
+      .map(conversation => parseInt(conversation.conversation_id, 10))
+      .filter(id => !isNaN(id));
+
+    const [{ data: settings, error: settingsError }, { data: contacts, error: contactsError }] = await Promise.all([
+      adminClient
+        .from('conversation_settings')
+        .select('platform, conversation_id, assignee, muted, muted_until, snoozed_until')
+        .eq('workspace_id', workspaceId)
+        .in('conversation_id', conversations.map(conversation => conversation.conversation_id)),
+      whatsappIds.length > 0
+        ? adminClient
+          .from('whatsapp_contacts')
+          .select('id, priority, last_analysis_at')
+          .eq('workspace_id', workspaceId)
+          .in('id', whatsappIds)
+        : Promise.resolve({ data: [] })
+    ]);
+
+    if (settingsError) throw settingsError;
+    if (contactsError) throw contactsError;
+
+    return conversations.map(conversation => {
+      const setting = (settings || []).find(row =>
+        row.platform === conversation.platform && row.conversation_id === conversation.conversation_id);
+      const contact = conversation.platform === 'whatsapp'
+        ? (contacts || []).find(row => String(row.id) === conversation.conversation_id)
+        : null;
+
+      return {
+        platform: conversation.platform,
+        conversationId: conversation.conversation_id,
+        conversationName: conversation.conversation_name,
+        isDirect: conversation.is_direct,
+        messageCount: Number(conversation.message_count),
+        personMessageCount: Number(conversation.person_message_count),
+        lastMessageAt: conversation.last_message_at,
+        priority: contact?.priority || null,
+        lastAnalysisAt: contact?.last_analysis_at || null,
+        settings: setting || null
+      };
+    });
+  }
+
+  // Priority, AI summaries and open tasks gathered from every platform
+  async getPersonInsights(workspaceId, personId) {
+    const person = await this.getPerson(workspaceId, personId);
+    const conversations = await this.getPersonConversations(workspaceId, personId);
+
+    const contactIds = [...new Set([
+      ...person.identities.map(identity => identity.whatsapp_contact_id),
+      ...conversations
+        .filter(conversation => conversation.platform === 'whatsapp' && conversation.isDirect)
+        .map(conversation => parseInt(conversation.conversationId, 10))
+    ].filter(Boolean))];
+
+    const { data: summaries, error: summariesError } = contactIds.length > 0
+      ? await adminClient
+        .from('message_summaries')
+        .select('contact_id, date, summary, sentiment, priority, keywords, message_count')
+        .eq('workspace_id', workspaceId)
+        .in('contact_id', contactIds)
+        .order('date', { ascending: false })
+        .limit(30)
+      : { data: [] };
+
+    if (summariesError) throw summariesError;
+
+    // Priority set on their messages by rules in the last 30 days
+    const filter = this.messageFilter(person.identities);
+    let messagePriorities = [];
+    if (filter) {
+      const { data, error } = await adminClient
+        .from('messages')
+        .select('metadata->priority')
+        .eq('workspace_id', workspaceId)
+        .or(filter)
+        .not('metadata->priority', 'is', null)
+        .gte('timestamp', new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString())
+        .limit(500);
+
+      if (error) throw error;
+      messagePriorities = (data || []).map(row => String(row.priority).toUpperCase());
+    }
+
+    const conversationKeys = conversations.map(conversation =>
+      `and(platform.eq.${conversation.platform},conversation_id.eq.${quote(conversation.conversationId)})`);
+    const { data: tasks, error: tasksError } = conversationKeys.length > 0
+      ? await adminClient
+        .from('tasks')
+        .select('*')
+        .eq('workspace_id', workspaceId)
+        .eq('status', 'open')
+        .or(conversationKeys.join(','))
+        .order('due_at', { ascending: true, nullsFirst: false })
+        .limit(50)
+      : { data: [] };
+
+    if (tasksError) throw tasksError;
+
+    const priorities = [
+      ...conversations.map(conversation => conversation.priority),
+      ...messagePriorities
+    ].filter(priority => PRIORITY_ORDER.includes(priority));
+    const priority = priorities.length > 0
+      ? PRIORITY_ORDER[Math.max(...priorities.map(value => PRIORITY_ORDER.indexOf(value)))]
+      : null;
+
+    return {
+      personId: person.id,
+      priority,
+      conversationCount: conversations.length,
+      lastMessageAt: conversations.find(conversation => conversation.lastMessageAt)?.lastMessageAt || null,
+      summaries: summaries || [],
+      openTasks: tasks || []
+    };
+  }
+}
+
+export const peopleService = new PeopleService();
@@ -0,0 +1,473 @@
+import { adminClient } from '../utils/supabase.js';
+import { ioEmitter } from '../utils/emitter.js';
+import { outboundMessageService } from './outboundMessageService.js';
+import { evaluateConditions, usesAiFields, validateConditions } from './rulesEngine.js';
+
+// Platforms outboundMessageService can post to
+export const RELAY_PLATFORMS = ['whatsapp', 'telegram', 'slack', 'discord'];
+
+const MAPPING_COLUMNS = 'id, user_id, workspace_id, source_platform, source_channel_id, source_name, target_platform, target_channel_id, target_name, bidirectional, status, filters, relay_edits, relay_deletes, last_relayed_at, last_error, paused_at, created_at, updated_at';
+const PLATFORM_NAMES = { whatsapp: 'WhatsApp', telegram: 'Telegram', slack: 'Slack', discord: 'Discord' };
+const DEFAULT_LOG_LIMIT = 50;
+const MAX_LOG_LIMIT = 200;
+// How long a posted copy is remembered by content, for echoes that arrive
+// before the send call has returned the copy's id
+const ECHO_WINDOW_MS = 60 * 1000;
+
+function relayError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Copies use the rules engine's forward format, "[platform · sender] text"
+function relayedContent(message) {
+  const sender = message.sender_name || message.sender_id || 'unknown';
+  const attachments = (message.attachments || [])
+    .map(attachment => `(attachment: ${attachment.name || attachment.type || 'file'})`);
+  const text = [message.content, ...attachments].filter(Boolean).join('\n');
+  return text ? `[${PLATFORM_NAMES[message.platform] || message.platform} · ${sender}] ${text}` : null;
+}
+
+// The messages table stores Telegram messages as "<chat>:<message>"; every
+// other platform's send id already is its external_id
+function storedExternalId(platform, conversationId, messageId) {
+  if (!messageId) return null;
+  return platform === 'telegram' ? `${conversationId}:${messageId}` : String(messageId);
+}
+
+// Forwards live messages between mapped channels. Listens to the message
+// store's message_received, message_edited and message_deleted events, so
+// only live traffic is relayed. Copies are recorded in relayed_messages:
+// edits and deletes of the original are applied to them, and a copy coming
+// back in through ingestion is never relayed again. Relays are one hop, so
+// A -> B -> C needs its own A -> C mapping.
+class RelayService {
+  constructor() {
+    this.isListening = false;
+    // `${platform}:${channelId}` -> [{ content, sentAt }]
+    this.recentSends = new Map();
+    this.handleMessageReceived = this.handleMessageReceived.bind(this);
+    this.handleMessageEdited = this.handleMessageEdited.bind(this);
+    this.handleMessageDeleted = this.handleMessageDeleted.bind(this);
+  }
+
+  start() {
+    if (this.isListening) return;
+    this.isListening = true;
+    ioEmitter.on('message_received', this.handleMessageReceived);
+    ioEmitter.on('message_edited', this.handleMessageEdited);
+    ioEmitter.on('message_deleted', this.handleMessageDeleted);
+    console.log('[Relay Service] Listening for messages to relay');
+  }
+
+  stop() {
+    ioEmitter.off('message_received', this.handleMessageReceived);
+    ioEmitter.off('message_edited', this.handleMessageEdited);
+    ioEmitter.off('message_deleted', this.handleMessageDeleted);
+    this.isListening = false;
+  }
+
+  async handleMessageReceived({ userId, message }) {
+    try {
+      await this.relayMessage(userId, message);
+    } catch (error) {
+      console.error('[Relay Service] Error relaying message:', { userId, messageId: message?.id, error });
+    }
+  }
+
+  async handleMessageEdited({ userId, message }) {
+    try {
+      await this.propagateEdit(userId, message);
+    } catch (error) {
+      console.error('[Relay Service] Error relaying edit:', { userId, messageId: message?.id, error });
+    }
+  }
+
+  async handleMessageDeleted({ userId, message }) {
+    try {
+      await this.propagateDelete(userId, message);
+    } catch (error) {
+      console.error('[Relay Service] Error relaying delete:', { userId, messageId: message?.id, error });
+    }
+  }
+
+  validateMapping(mapping, { partial = false } = {}) {
+    const errors = [];
+
+    for (const side of ['source', 'target']) {
+      const platform = mapping[`${side}Platform`];
+      const channelId = mapping[`${side}ChannelId`];
+      if (!partial || platform !== undefined) {
+        if (!RELAY_PLATFORMS.includes(platform)) {
+          errors.push(`${side}Platform: must be one of ${RELAY_PLATFORMS.join(', ')}`);
+        }
+      }
+      if (!partial || channelId !== undefined) {
+        if (channelId === undefined || channelId === null || String(channelId).trim() === '') {
+          errors.push(`${side}ChannelId: is required`);
+        }
+      }
+    }
+
+    if (!partial &&
+      mapping.sourcePlatform === mapping.targetPlatform &&
+      String(mapping.sourceChannelId) === String(mapping.targetChannelId)) {
+      errors.push('target: must differ from source');
+    }
+
+    if (mapping.filters !== undefined && mapping.filters !== null) {
+      errors.push(...validateConditions(mapping.filters, 'filters'));
+      // Relays run on every message; AI-derived fields would mean a model call each
+      if (usesAiFields(mapping.filters)) errors.push('filters: AI fields are not supported for relays');
+    }
+
+    for (const flag of ['bidirectional', 'relayEdits', 'relayDeletes']) {
+      if (mapping[flag] !== undefined && typeof mapping[flag] !== 'boolean') {
+        errors.push(`${flag}: must be a boolean`);
+      }
+    }
+
+    return errors;
+  }
+
+  validationError(errors) {
+    const error = relayError(`Invalid mapping: ${errors.join('; ')}`, 400);
+    error.details = errors;
+    return error;
+  }
+
+  async listMappings(workspaceId, { status = null } = {}) {
+    let query = adminClient
+      .from('channel_mappings')
+      .select(MAPPING_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: false });
+
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getMapping(workspaceId, mappingId) {
+    const { data, error } = await adminClient
+      .from('channel_mappings')
+      .select(MAPPING_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(mappingId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw relayError('Mapping not found', 404);
+    return data;
+  }
+
+  // Relays read and post through the connections of the member who
+  // creates the mapping (userId)
+  async createMapping(workspaceId, userId, mapping) {
+    const errors = this.validateMapping(mapping);
+    if (errors.length > 0) throw this.validationError(errors);
+
+    const { data, error } = await adminClient
+      .from('channel_mappings')
+      .insert({
+        workspace_id: workspaceId,
+        user_id: userId,
+        source_platform: mapping.sourcePlatform,
+        source_channel_id: String(mapping.sourceChannelId),
+        source_name: mapping.sourceName || null,
+        target_platform: mapping.targetPlatform,
+        target_channel_id: String(mapping.targetChannelId),
+        target_name: mapping.targetName || null,
+        bidirectional: mapping.bidirectional === true,
+        filters: mapping.filters || {},
+        relay_edits: mapping.relayEdits !== false,
+        relay_deletes: mapping.relayDeletes !== false
+      })
+      .select(MAPPING_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') throw relayError('These channels are already mapped', 409);
+      throw error;
+    }
+    return data;
+  }
+
+  // Names, direction, filters and edit/delete flags. The channels of a
+  // mapping can't change; create a new one instead.
+  async updateMapping(workspaceId, mappingId, changes) {
+    await this.getMapping(workspaceId, mappingId);
+
+    const errors = this.validateMapping(changes, { partial: true });
+    if (['sourcePlatform', 'sourceChannelId', 'targetPlatform', 'targetChannelId'].some(key => changes[key] !== undefined)) {
+      errors.push('source and target channels cannot be changed');
+    }
+    if (errors.length > 0) throw this.validationError(errors);
+
+    const update = {};
+    if (changes.sourceName !== undefined) update.source_name = changes.sourceName;
+    if (changes.targetName !== undefined) update.target_name = changes.targetName;
+    if (changes.bidirectional !== undefined) update.bidirectional = changes.bidirectional;
+    if (changes.filters !== undefined) update.filters = changes.filters || {};
+    if (changes.relayEdits !== undefined) update.relay_edits = changes.relayEdits;
+    if (changes.relayDeletes !== undefined) update.relay_deletes = changes.relayDeletes;
+
+    return this.saveMapping(workspaceId, mappingId, update);
+  }
+
+  async deleteMapping(workspaceId, mappingId) {
+    await this.getMapping(workspaceId, mappingId);
+
+    const { error } = await adminClient
+      .from('channel_mappings')
+      .delete()
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(mappingId, 10));
+
+    if (error) throw error;
+  }
+
+  // A paused mapping relays nothing, edits and deletes included, and
+  // doesn't catch up on resume
+  async pauseMapping(workspaceId, mappingId) {
+    await this.getMapping(workspaceId, mappingId);
+    return this.saveMapping(workspaceId, mappingId, { status: 'paused', paused_at: new Date().toISOString() });
+  }
+
+  async resumeMapping(workspaceId, mappingId) {
+    await this.getMapping(workspaceId, mappingId);
+    return this.saveMapping(workspaceId, mappingId, { status: 'active', paused_at: null, last_error: null });
+  }
+
+  async saveMapping(workspaceId, mappingId, update) {
+    const { data, error } = await adminClient
+      .from('channel_mappings')
+      .update(update)
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(mappingId, 10))
+      .select(MAPPING_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Relay log of a mapping, newest first
+  async listRelayedMessages(workspaceId, mappingId, { limit = DEFAULT_LOG_LIMIT, status = null } = {}) {
+    await this.getMapping(workspaceId, mappingId);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LOG_LIMIT, 1), MAX_LOG_LIMIT);
+
+    let query = adminClient
+      .from('relayed_messages')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .eq('mapping_id', parseInt(mappingId, 10))
+      .order('created_at', { ascending: false })
+      .limit(pageSize);
+
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Active mappings the message's channel feeds into, with the side to post to
+  async findRoutes(userId, message) {
+    const platform = message.platform;
+    const channelId = String(message.conversation_id).replace(/"/g, '');
+
+    const { data, error } = await adminClient
+      .from('channel_mappings')
+      .select(MAPPING_COLUMNS)
+      .eq('user_id', userId)
+      .eq('status', 'active')
+      .or(`and(source_platform.eq.${platform},source_channel_id.eq."${channelId}"),and(bidirectional.is.true,target_platform.eq.${platform},target_channel_id.eq."${channelId}")`);
+
+    if (error) throw error;
+
+    return (data || []).map(mapping => {
+      const fromSource = mapping.source_platform === platform && mapping.source_channel_id === String(message.conversation_id);
+      return {
+        mapping,
+        target: fromSource
+          ? { platform: mapping.target_platform, channelId: mapping.target_channel_id }
+          : { platform: mapping.source_platform, channelId: mapping.source_channel_id }
+      };
+    });
+  }
+
+  // True for messages the relay posted itself
+  async isRelayedCopy(userId, message) {
+    const key = `${message.platform}:${message.conversation_id}`;
+    const now = Date.now();
+    const recent = (this.recentSends.get(key) || []).filter(send => now - send.sentAt < ECHO_WINDOW_MS);
+    if (recent.length > 0) this.recentSends.set(key, recent);
+    else this.recentSends.delete(key);
+
+    if (message.content && recent.some(send => send.content === message.content)) return true;
+
+    const { data, error } = await adminClient
+      .from('relayed_messages')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('target_platform', message.platform)
+      .eq('target_external_id', message.external_id)
+      .limit(1);
+
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  rememberSend(platform, channelId, content) {
+    const key = `${platform}:${channelId}`;
+    this.recentSends.set(key, [...(this.recentSends.get(key) || []), { content, sentAt: Date.now() }]);
+  }
+
+  async relayMessage(userId, message) {
+    if (!RELAY_PLATFORMS.includes(message.platform)) return [];
+
+    const routes = await this.findRoutes(userId, message);
+    if (routes.length === 0) return [];
+    if (await this.isRelayedCopy(userId, message)) return [];
+
+    const content = relayedContent(message);
+    if (!content) return [];
+
+    const results = [];
+    for (const { mapping, target } of routes) {
+      let matched;
+      try {
+        matched = await evaluateConditions(mapping.filters || {}, message, {});
+      } catch (error) {
+        console.error('[Relay Service] Error evaluating mapping filters:', { mappingId: mapping.id, error });
+        continue;
+      }
+      if (!matched) continue;
+
+      results.push(await this.relayToTarget(userId, mapping, message, target, content));
+    }
+    return results;
+  }
+
+  async relayToTarget(userId, mapping, message, target, content) {
+    const record = {
+      user_id: userId,
+      mapping_id: mapping.id,
+      source_platform: message.platform,
+      source_conversation_id: String(message.conversation_id),
+      source_external_id: message.external_id,
+      target_platform: target.platform,
+      target_conversation_id: target.channelId
+    };
+
+    try {
+      this.rememberSend(target.platform, target.channelId, content);
+      const { messageId } = await outboundMessageService.sendMessage(userId, {
+        platform: target.platform,
+        conversationId: target.channelId,
+        content
+      });
+
+      await this.recordRelay({
+        ...record,
+        target_message_id: String(messageId),
+        target_external_id: storedExternalId(target.platform, target.channelId, messageId),
+        status: 'sent',
+        error: null
+      });
+      await this.saveMapping(mapping.workspace_id, mapping.id, { last_relayed_at: new Date().toISOString(), last_error: null });
+
+      return { mappingId: mapping.id, target, messageId };
+    } catch (error) {
+      console.error('[Relay Service] Error posting relayed message:', { mappingId: mapping.id, target, error });
+
+      await this.recordRelay({ ...record, status: 'failed', error: error.message }).catch(recordError => {
+        console.error('[Relay Service] Error recording failed relay:', recordError);
+      });
+      await this.saveMapping(mapping.workspace_id, mapping.id, { last_error: error.message }).catch(() => {});
+
+      return { mappingId: mapping.id, target, error: error.message };
+    }
+  }
+
+  async recordRelay(record) {
+    const { error } = await adminClient
+      .from('relayed_messages')
+      .upsert(record, { onConflict: 'mapping_id,source_platform,source_external_id,target_platform' });
+
+    if (error) throw error;
+  }
+
+  // Copies of a message that are still live, with their mapping's settings
+  async findCopies(userId, message) {
+    const { data, error } = await adminClient
+      .from('relayed_messages')
+      .select('*, mapping:channel_mappings(status, relay_edits, relay_deletes)')
+      .eq('user_id', userId)
+      .eq('source_platform', message.platform)
+      .eq('source_external_id', message.external_id)
+      .in('status', ['sent', 'edited'])
+      .not('target_message_id', 'is', null);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async propagateEdit(userId, message) {
+    const copies = (await this.findCopies(userId, message))
+      .filter(copy => copy.mapping?.status === 'active' && copy.mapping.relay_edits);
+    if (copies.length === 0) return;
+
+    const content = relayedContent(message);
+    if (!content) return;
+
+    for (const copy of copies) {
+      try {
+        await outboundMessageService.editMessage(userId, {
+          platform: copy.target_platform,
+          conversationId: copy.target_conversation_id,
+          messageId: copy.target_message_id,
+          content
+        });
+        await this.updateCopy(copy.id, { status: 'edited', error: null });
+      } catch (error) {
+        console.error('[Relay Service] Error editing relayed message:', { copyId: copy.id, error });
+        await this.updateCopy(copy.id, { error: `Edit failed: ${error.message}` }).catch(() => {});
+      }
+    }
+  }
+
+  async propagateDelete(userId, message) {
+    const copies = (await this.findCopies(userId, message))
+      .filter(copy => copy.mapping?.status === 'active' && copy.mapping.relay_deletes);
+
+    for (const copy of copies) {
+      try {
+        await outboundMessageService.deleteMessage(userId, {
+          platform: copy.target_platform,
+          conversationId: copy.target_conversation_id,
+          messageId: copy.target_message_id
+        });
+        await this.updateCopy(copy.id, { status: 'deleted', error: null });
+      } catch (error) {
+        console.error('[Relay Service] Error deleting relayed message:', { copyId: copy.id, error });
+        await this.updateCopy(copy.id, { error: `Delete failed: ${error.message}` }).catch(() => {});
+      }
+    }
+  }
+
+  async updateCopy(id, update) {
+    const { error } = await adminClient
+      .from('relayed_messages')
+      .update(update)
+      .eq('id', id);
+
+    if (error) throw error;
+  }
+}
+
+export const relayService = new RelayService();
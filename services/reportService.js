@@ -1,14 +1,46 @@
 import PDFDocument from 'pdfkit';
 import { getDiscordClient } from './directServices/discordDirect.js';
-import OpenAI from 'openai';
 import { adminClient } from '../utils/supabase.js';
+import { llmService } from './llmService.js';
+import { generateChannelReport, generateBasicReport } from './aiService.js';
+import { getChannelMessages } from './discordService.js';
+import { taskService } from './taskService.js';
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Upper bound on stored history read into one channel report; the LLM
+// transcript is trimmed to its token budget anyway
+const MAX_REPORT_MESSAGES = 5000;
 
 class ReportService {
-  async generateReport(userId, serverId, channelIds) {
+  // Channel history captured live or by a backfill, oldest first, in the
+  // shape the report generators expect
+  async getStoredChannelMessages(userId, channelId, since) {
+    const { data, error } = await adminClient
+      .from('messages')
+      .select('external_id, sender_id, sender_name, content, timestamp')
+      .eq('user_id', userId)
+      .eq('platform', 'discord')
+      .eq('conversation_id', String(channelId))
+      .gte('timestamp', new Date(since).toISOString())
+      .is('deleted_at', null)
+      .order('timestamp', { ascending: false })
+      .limit(MAX_REPORT_MESSAGES);
+
+    if (error) throw error;
+
+    return (data || []).reverse().map(message => ({
+      id: message.external_id,
+      content: message.content,
+      author: {
+        id: message.sender_id,
+        username: message.sender_name
+      },
+      timestamp: message.timestamp
+    }));
+  }
+
+  // With { since }, channels are analyzed from stored history (see
+  // discordBackfillService) instead of their latest 100 messages
+  async generateReport(userId, serverId, channelIds, { since = null } = {}) {
     try {
       const client = await getDiscordClient(userId);
       if (!client) {
@@ -24,15 +56,37 @@ class ReportService {
       for (const channelId of channelIds) {
         const channel = await server.channels.fetch(channelId);
         if (channel) {
-          const messages = await channel.messages.fetch({ limit: 100 });
-          const messageData = Array.from(messages.values()).map(msg => ({
-            author: msg.author.username,
-            content: msg.content,
-            timestamp: msg.createdAt
-          }));
+          const stored = since ? await this.getStoredChannelMessages(userId, channelId, since) : [];
+          const messageData = stored.length > 0
+            ? stored.map(msg => ({
+                id: msg.id,
+                author: msg.author.username,
+                content: msg.content,
+                timestamp: new Date(msg.timestamp)
+              }))
+            : Array.from((await channel.messages.fetch({ limit: 100 })).values()).map(msg => ({
+                id: msg.id,
+                author: msg.author.username,
+                content: msg.content,
+                timestamp: msg.createdAt
+              }));
 
           // Analyze messages using OpenAI
-          const analysis = await this.analyzeMessages(messageData);
+          const analysis = await this.analyzeMessages(messageData, userId);
+
+          await taskService.recordActionItems(userId, {
+            source: 'server_report',
+            platform: 'discord',
+            conversationId: channelId,
+            conversationName: channel.name,
+            items: analysis.actionItems,
+            messages: messageData.map(msg => ({
+              externalId: msg.id,
+              senderName: msg.author,
+              content: msg.content,
+              timestamp: msg.timestamp
+            }))
+          });
           
           channelData.push({
             name: channel.name,
@@ -43,7 +97,7 @@ class ReportService {
       }
 
       // Generate overall summary using OpenAI
-      const overallSummary = await this.generateOverallSummary(channelData);
+      const overallSummary = await this.generateOverallSummary(channelData, userId);
 
       return this.generatePDF(server.name, channelData, overallSummary);
     } catch (error) {
@@ -52,7 +106,7 @@ class ReportService {
     }
   }
 
-  async analyzeMessages(messages) {
+  async analyzeMessages(messages, userId = null) {
     try {
       const messageContent = messages.map(msg => 
         `${msg.author}: ${msg.content}`
@@ -64,23 +118,15 @@ class ReportService {
 3. Action items or next steps
 4. Sentiment analysis of the conversation
 
-Conversation:
-${messageContent}`;
-
-      const response = await openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [{
-          role: "system",
-          content: "You are an AI assistant analyzing Discord conversations to generate insightful reports."
-        }, {
-          role: "user",
-          content: prompt
-        }],
-        temperature: 0.7,
-        max_tokens: 1000
+Conversation:`;
+
+      const { text: analysis } = await llmService.complete('server_report_channel', {
+        userId,
+        system: "You are an AI assistant analyzing Discord conversations to generate insightful reports.",
+        prompt,
+        transcript: messageContent
       });
 
-      const analysis = response.choices[0].message.content;
       return this.parseAnalysis(analysis);
     } catch (error) {
       console.error('Error analyzing messages:', error);
@@ -88,7 +134,7 @@ ${messageContent}`;
     }
   }
 
-  async generateOverallSummary(channelData) {
+  async generateOverallSummary(channelData, userId = null) {
     try {
       const channelSummaries = channelData.map(channel => 
         `Channel: ${channel.name}\n${channel.analysis.summary}`
@@ -102,20 +148,13 @@ Please provide:
 2. Common themes or patterns
 3. High-level recommendations`;
 
-      const response = await openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [{
-          role: "system",
-          content: "You are an AI assistant generating executive summaries of Discord conversations."
-        }, {
-          role: "user",
-          content: prompt
-        }],
-        temperature: 0.7,
-        max_tokens: 500
+      const { text } = await llmService.complete('server_report_summary', {
+        userId,
+        system: "You are an AI assistant generating executive summaries of Discord conversations.",
+        prompt
       });
 
-      return response.choices[0].message.content;
+      return text;
     } catch (error) {
       console.error('Error generating overall summary:', error);
       throw error;
@@ -200,6 +239,43 @@ Please provide:
     });
   }
 
+  // Summarize today's messages in a Discord channel, or stored history back
+  // to { since }, and store the result
+  async createChannelReport(userId, channelId, { since = null } = {}) {
+    const messages = since
+      ? await this.getStoredChannelMessages(userId, channelId, since)
+      : await getChannelMessages(channelId);
+
+    if (!messages || messages.length === 0) {
+      const notFound = new Error(since ? 'No stored messages found for this period' : 'No messages found for today');
+      notFound.status = 404;
+      throw notFound;
+    }
+
+    let reportData;
+    try {
+      // Try AI report generation first
+      reportData = await generateChannelReport(messages, channelId, userId, since);
+    } catch (error) {
+      console.warn('AI report generation failed, falling back to basic report:', error);
+      reportData = generateBasicReport(messages);
+    }
+
+    const { data: report, error } = await adminClient
+      .from('channel_reports')
+      .insert({
+        user_id: userId,
+        channel_id: channelId,
+        report_data: reportData,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return report;
+  }
+
   async getReport(userId, serverId, reportId) {
     try {
       const { data: report, error } = await adminClient
@@ -0,0 +1,455 @@
+// Pure evaluation logic for rules v2. Nothing in here touches the database or
+// the network; AI-derived facts such as sentiment are supplied by the caller
+// through the evaluation context so rules can be replayed safely.
+//
+// Conditions are a tree of groups and leaves:
+//   { all: [...] } | { any: [...] } | { not: {...} } | { field, op, value }
+//
+// Example:
+// {
+//   all: [
+//     { field: 'platform', op: 'in', value: ['whatsapp', 'telegram'] },
+//     { any: [
+//       { field: 'content', op: 'regex', value: '\\burgent\\b', flags: 'i' },
+//       { field: 'sentiment', op: 'equals', value: 'negative' }
+//     ] },
+//     { not: { field: 'timestamp', op: 'time_between', value: { start: '09:00', end: '18:00' }, timezone: 'Europe/London' } }
+//   ]
+// }
+
+import { outboundUrlError } from '../utils/outboundUrl.js';
+
+export const STRING_OPERATORS = ['equals', 'not_equals', 'contains', 'not_contains', 'starts_with', 'ends_with', 'regex'];
+export const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'between'];
+export const LIST_OPERATORS = ['in', 'not_in'];
+export const TIME_OPERATORS = ['time_between', 'day_of_week'];
+export const PRESENCE_OPERATORS = ['exists', 'not_exists'];
+
+const ALL_OPERATORS = [
+  ...STRING_OPERATORS,
+  ...NUMERIC_OPERATORS,
+  ...LIST_OPERATORS,
+  ...TIME_OPERATORS,
+  ...PRESENCE_OPERATORS
+];
+
+export const AI_FIELDS = ['sentiment', 'sentiment_score'];
+
+const FIELD_RESOLVERS = {
+  content: message => message.content || '',
+  platform: message => message.platform,
+  sender_id: message => message.sender_id,
+  sender_name: message => message.sender_name,
+  conversation_id: message => message.conversation_id,
+  conversation_name: message => message.conversation_name,
+  timestamp: message => message.timestamp,
+  length: message => (message.content || '').length,
+  attachment_count: message => (message.attachments || []).length,
+  tags: message => message.tags || []
+};
+
+export const ACTION_TYPES = ['tag', 'assign', 'forward', 'mute', 'snooze', 'webhook', 'ai_reply', 'reply', 'priority'];
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MAX_CONDITION_DEPTH = 10;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_REGEX_LENGTH = 200;
+const MAX_CACHED_REGEXES = 500;
+// Result of a leaf whose AI fact is unavailable
+const UNKNOWN = null;
+
+const isGroup = node => node && (Array.isArray(node.all) || Array.isArray(node.any) || node.not !== undefined);
+
+export function isKnownField(field) {
+  return typeof field === 'string' &&
+    (FIELD_RESOLVERS[field] !== undefined || AI_FIELDS.includes(field) || field.startsWith('metadata.'));
+}
+
+// Returns true when any leaf in the tree needs an AI-derived fact
+export function usesAiFields(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (Array.isArray(node.all)) return node.all.some(usesAiFields);
+  if (Array.isArray(node.any)) return node.any.some(usesAiFields);
+  if (node.not !== undefined) return usesAiFields(node.not);
+  return AI_FIELDS.includes(node.field);
+}
+
+// Quantified groups that contain a quantifier themselves, such as (a+)+ or
+// (\w*\s?)*, can take exponential time to fail a match. Only unbounded
+// quantifiers count; ? is at most one repetition.
+const repeatsAt = (pattern, index) => pattern[index] === '*' || pattern[index] === '+' ||
+  (pattern[index] === '{' && /^\{\d+(,\d*)?\}/.test(pattern.slice(index)));
+
+function hasNestedQuantifier(pattern) {
+  const groups = [{ quantified: false }];
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+      if (!inClass && repeatsAt(pattern, i + 1)) groups[groups.length - 1].quantified = true;
+    } else if (inClass) {
+      if (char === ']') {
+        inClass = false;
+        if (repeatsAt(pattern, i + 1)) groups[groups.length - 1].quantified = true;
+      }
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ quantified: false });
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const repeats = repeatsAt(pattern, i + 1);
+      if (group.quantified && repeats) return true;
+      if (group.quantified || repeats) groups[groups.length - 1].quantified = true;
+    } else if (!'*+}'.includes(char) && repeatsAt(pattern, i + 1)) {
+      groups[groups.length - 1].quantified = true;
+    }
+  }
+
+  return false;
+}
+
+// Why the pattern can't be used in a regex condition, or null when it can
+function regexProblem(pattern, flags) {
+  if (typeof pattern !== 'string' || pattern.length === 0) return 'regex expects a pattern';
+  if (pattern.length > MAX_REGEX_LENGTH) return `regular expressions are limited to ${MAX_REGEX_LENGTH} characters`;
+  if (hasNestedQuantifier(pattern)) return 'regular expressions can\'t repeat a group that already repeats, such as (a+)+';
+
+  try {
+    new RegExp(pattern, flags || '');
+  } catch (error) {
+    return `invalid regular expression (${error.message})`;
+  }
+  return null;
+}
+
+// Compiled patterns keyed by flags and source, so a rule's regex is built
+// once rather than for every message. Patterns that fail regexProblem
+// (rules saved before the checks) are cached as null and never match.
+const regexCache = new Map();
+
+function compileRegex(pattern, flags = '') {
+  // g and y make test() stateful, which a shared instance can't be
+  const safeFlags = String(flags).replace(/[gy]/g, '');
+  const key = `${safeFlags}/${pattern}`;
+
+  if (!regexCache.has(key)) {
+    if (regexCache.size >= MAX_CACHED_REGEXES) regexCache.clear();
+    regexCache.set(key, regexProblem(pattern, safeFlags) ? null : new RegExp(pattern, safeFlags));
+  }
+  return regexCache.get(key);
+}
+
+export function validateConditions(node, path = 'conditions', depth = 0) {
+  const errors = [];
+
+  if (depth > MAX_CONDITION_DEPTH) {
+    return [`${path}: conditions are nested more than ${MAX_CONDITION_DEPTH} levels deep`];
+  }
+
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    return [`${path}: must be an object`];
+  }
+
+  // An empty object matches every message
+  if (Object.keys(node).length === 0 && depth === 0) {
+    return errors;
+  }
+
+  if (isGroup(node)) {
+    if (Array.isArray(node.all)) {
+      node.all.forEach((child, index) => errors.push(...validateConditions(child, `${path}.all[${index}]`, depth + 1)));
+    } else if (Array.isArray(node.any)) {
+      if (node.any.length === 0) errors.push(`${path}.any: must contain at least one condition`);
+      node.any.forEach((child, index) => errors.push(...validateConditions(child, `${path}.any[${index}]`, depth + 1)));
+    } else {
+      errors.push(...validateConditions(node.not, `${path}.not`, depth + 1));
+    }
+    return errors;
+  }
+
+  const { field, op, value } = node;
+
+  if (!isKnownField(field)) {
+    errors.push(`${path}.field: unknown field "${field}"`);
+  }
+
+  if (!ALL_OPERATORS.includes(op)) {
+    errors.push(`${path}.op: unknown operator "${op}"`);
+    return errors;
+  }
+
+  if (op === 'regex') {
+    const problem = regexProblem(value, node.flags);
+    if (problem) errors.push(`${path}.value: ${problem}`);
+  } else if (op === 'between') {
+    if (!Array.isArray(value) || value.length !== 2 || value.some(v => isNaN(Number(v)))) {
+      errors.push(`${path}.value: between expects [min, max]`);
+    }
+  } else if (NUMERIC_OPERATORS.includes(op)) {
+    if (isNaN(Number(value))) errors.push(`${path}.value: ${op} expects a number`);
+  } else if (LIST_OPERATORS.includes(op)) {
+    if (!Array.isArray(value)) errors.push(`${path}.value: ${op} expects an array`);
+  } else if (op === 'time_between') {
+    if (!TIME_PATTERN.test(value?.start || '') || !TIME_PATTERN.test(value?.end || '')) {
+      errors.push(`${path}.value: time_between expects { start: "HH:MM", end: "HH:MM" }`);
+    }
+  } else if (op === 'day_of_week') {
+    const days = Array.isArray(value) ? value : [];
+    if (days.length === 0 || days.some(day => parseDay(day) === null)) {
+      errors.push(`${path}.value: day_of_week expects days such as ["mon", "tue"] or [1, 2]`);
+    }
+  }
+
+  if (['time_between', 'day_of_week'].includes(op) && node.timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: node.timezone });
+    } catch (error) {
+      errors.push(`${path}.timezone: unknown timezone "${node.timezone}"`);
+    }
+  }
+
+  return errors;
+}
+
+export function validateActions(actions) {
+  const errors = [];
+
+  if (!Array.isArray(actions) || actions.length === 0) {
+    return ['actions: must be a non-empty array'];
+  }
+
+  actions.forEach((action, index) => {
+    const path = `actions[${index}]`;
+
+    if (!ACTION_TYPES.includes(action?.type)) {
+      errors.push(`${path}.type: unknown action "${action?.type}"`);
+      return;
+    }
+
+    switch (action.type) {
+      case 'tag':
+        if (!Array.isArray(action.tags) || action.tags.length === 0 || action.tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+          errors.push(`${path}.tags: must be a non-empty array of strings`);
+        }
+        break;
+      case 'assign':
+        if (!UUID_PATTERN.test(action.assignee || '')) errors.push(`${path}.assignee: must be a workspace member's user id`);
+        break;
+      case 'forward':
+        if (!action.platform) errors.push(`${path}.platform: is required`);
+        if (!action.conversationId) errors.push(`${path}.conversationId: is required`);
+        break;
+      case 'mute':
+      case 'snooze':
+        if (!(Number(action.durationMinutes) > 0)) {
+          errors.push(`${path}.durationMinutes: must be a positive number`);
+        }
+        break;
+      case 'webhook': {
+        const problem = outboundUrlError(action.url);
+        if (problem) errors.push(`${path}.url: ${problem}`);
+        break;
+      }
+      case 'reply':
+        if (!action.text?.trim()) errors.push(`${path}.text: is required`);
+        break;
+      case 'priority':
+        if (!['HIGH', 'MEDIUM', 'LOW'].includes(String(action.priority).toUpperCase())) {
+          errors.push(`${path}.priority: must be HIGH, MEDIUM or LOW`);
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  return errors;
+}
+
+export function validateRule(rule, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || rule.name !== undefined) {
+    if (typeof rule.name !== 'string' || !rule.name.trim()) errors.push('name: is required');
+  }
+
+  if (!partial || rule.conditions !== undefined) {
+    errors.push(...validateConditions(rule.conditions ?? {}));
+  }
+
+  if (!partial || rule.actions !== undefined) {
+    errors.push(...validateActions(rule.actions));
+  }
+
+  return errors;
+}
+
+function parseDay(day) {
+  if (typeof day === 'number' && day >= 0 && day <= 6) return day;
+  const index = DAY_NAMES.indexOf(String(day).slice(0, 3).toLowerCase());
+  return index === -1 ? null : index;
+}
+
+// Hour, minute and weekday of a timestamp in the given timezone
+function getLocalTime(timestamp, timezone = 'UTC') {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(timestamp));
+
+  const get = type => parts.find(part => part.type === type)?.value;
+  return {
+    minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10),
+    weekday: parseDay(get('weekday'))
+  };
+}
+
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+async function resolveField(field, message, context) {
+  if (field === 'sentiment' || field === 'sentiment_score') {
+    const sentiment = context.getSentiment ? await context.getSentiment(message) : null;
+    if (!sentiment) return undefined;
+    return field === 'sentiment' ? sentiment.label : sentiment.score;
+  }
+
+  if (field.startsWith('metadata.')) {
+    return field
+      .slice('metadata.'.length)
+      .split('.')
+      .reduce((value, key) => (value == null ? undefined : value[key]), message.metadata || {});
+  }
+
+  return FIELD_RESOLVERS[field]?.(message);
+}
+
+function compareStrings(actual, op, expected, caseSensitive) {
+  const normalize = value => (caseSensitive ? String(value ?? '') : String(value ?? '').toLowerCase());
+
+  // Array fields (tags) match when any element matches
+  if (Array.isArray(actual)) {
+    const matches = actual.some(item => compareStrings(item, op.replace('not_', ''), expected, caseSensitive));
+    return op.startsWith('not_') ? !matches : matches;
+  }
+
+  const a = normalize(actual);
+  const e = normalize(expected);
+
+  switch (op) {
+    case 'equals': return a === e;
+    case 'not_equals': return a !== e;
+    case 'contains': return a.includes(e);
+    case 'not_contains': return !a.includes(e);
+    case 'starts_with': return a.startsWith(e);
+    case 'ends_with': return a.endsWith(e);
+    default: return false;
+  }
+}
+
+async function evaluateLeaf(node, message, context) {
+  const { field, op, value } = node;
+  const actual = await resolveField(field, message, context);
+
+  // These say whether a fact is available, so they are never unknown
+  if (op === 'exists') return actual !== undefined && actual !== null && actual !== '';
+  if (op === 'not_exists') return actual === undefined || actual === null || actual === '';
+
+  // Without the AI fact the leaf is neither true nor false
+  if (actual === undefined && AI_FIELDS.includes(field)) return UNKNOWN;
+
+  if (op === 'regex') {
+    const regex = compileRegex(value, node.flags);
+    return regex ? regex.test(String(actual ?? '')) : false;
+  }
+
+  if (NUMERIC_OPERATORS.includes(op)) {
+    const number = Number(actual);
+    if (actual === null || actual === undefined || isNaN(number)) return false;
+    switch (op) {
+      case 'gt': return number > Number(value);
+      case 'gte': return number >= Number(value);
+      case 'lt': return number < Number(value);
+      case 'lte': return number <= Number(value);
+      case 'between': return number >= Number(value[0]) && number <= Number(value[1]);
+      default: return false;
+    }
+  }
+
+  if (LIST_OPERATORS.includes(op)) {
+    const list = value.map(item => String(item).toLowerCase());
+    const candidates = Array.isArray(actual) ? actual : [actual];
+    const included = candidates.some(candidate => list.includes(String(candidate ?? '').toLowerCase()));
+    return op === 'in' ? included : !included;
+  }
+
+  if (op === 'time_between') {
+    if (!actual) return false;
+    const { minutes } = getLocalTime(actual, node.timezone);
+    const start = toMinutes(value.start);
+    const end = toMinutes(value.end);
+    // Windows such as 22:00-06:00 wrap past midnight
+    return start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  if (op === 'day_of_week') {
+    if (!actual) return false;
+    const { weekday } = getLocalTime(actual, node.timezone);
+    return value.map(parseDay).includes(weekday);
+  }
+
+  return compareStrings(actual, op, value, !!node.caseSensitive);
+}
+
+// Groups follow three-valued logic: all is false if any child is false,
+// any is true if any child is true, and otherwise an unknown child makes the
+// group unknown. not keeps unknown as unknown, so a missing sentiment can't
+// make { not: { field: 'sentiment', op: 'equals', value: 'negative' } } match.
+async function evaluateNode(node, message, context) {
+  if (!node || Object.keys(node).length === 0) return true;
+
+  if (Array.isArray(node.all)) {
+    let result = true;
+    for (const child of node.all) {
+      const childResult = await evaluateNode(child, message, context);
+      if (childResult === false) return false;
+      if (childResult === UNKNOWN) result = UNKNOWN;
+    }
+    return result;
+  }
+
+  if (Array.isArray(node.any)) {
+    let result = false;
+    for (const child of node.any) {
+      const childResult = await evaluateNode(child, message, context);
+      if (childResult === true) return true;
+      if (childResult === UNKNOWN) result = UNKNOWN;
+    }
+    return result;
+  }
+
+  if (node.not !== undefined) {
+    const result = await evaluateNode(node.not, message, context);
+    return result === UNKNOWN ? UNKNOWN : !result;
+  }
+
+  return evaluateLeaf(node, message, context);
+}
+
+// True only when the conditions definitely match; conditions that depend on
+// an AI fact the context couldn't supply never match.
+export async function evaluateConditions(node, message, context = {}) {
+  return (await evaluateNode(node, message, context)) === true;
+}
@@ -1,58 +1,615 @@
-import Rules from '../models/Rules.js';
-import { sendWhatsAppMessage } from './whatsappService.js';
-import { sendTelegramMessage } from './telegramService.js';
-import { sendSlackMessage } from './slackService.js';
-
-export async function applyRulesToMessage(message, userId) {
-  const rules = await Rules.find({ userId }).lean();
-  for (const rule of rules) {
-    if (matchesConditions(message, rule.conditions)) {
-      if (rule.actions.priority) {
-        message.priority = rule.actions.priority;
-      }
-      if (rule.actions.autoRespond && rule.actions.autoResponseText) {
-        // Immediately send an automated response
-        try {
-          await sendAutoResponse(message, rule.actions.autoResponseText);
-        } catch (err) {
-          console.error('Auto-response sending failed:', err);
+import axios from 'axios';
+import crypto from 'crypto';
+import { adminClient } from '../utils/supabase.js';
+import { outboundUrlError, publicLookup } from '../utils/outboundUrl.js';
+import { ioEmitter } from '../utils/emitter.js';
+import { getCachedAnalysis, setCachedAnalysis } from './cacheService.js';
+import { MESSAGE_COLUMNS } from './messageStoreService.js';
+import { outboundMessageService } from './outboundMessageService.js';
+import { whatsappEntityService } from './whatsappEntityService.js';
+import { conversationService } from './conversationService.js';
+import { llmService } from './llmService.js';
+import { evaluateConditions, usesAiFields, validateRule } from './rulesEngine.js';
+
+const RULE_COLUMNS = 'id, user_id, workspace_id, name, description, enabled, position, stop_processing, conditions, actions, trigger_count, last_triggered_at, created_at, updated_at';
+const DEFAULT_DRY_RUN_LIMIT = 200;
+const MAX_DRY_RUN_LIMIT = 1000;
+const WEBHOOK_TIMEOUT = 10000;
+const DRAFT_COLUMNS = 'id, user_id, workspace_id, message_id, rule_id, platform, conversation_id, content, status, created_at, updated_at';
+const DRAFT_STATUSES = ['draft', 'sent', 'discarded'];
+const DEFAULT_DRAFT_LIMIT = 50;
+const MAX_DRAFT_LIMIT = 200;
+
+const SENTIMENT_SCHEMA = {
+  type: 'object',
+  required: ['label', 'score'],
+  properties: {
+    label: { type: 'string', enum: ['positive', 'negative', 'neutral'] },
+    score: { type: 'number', minimum: -1, maximum: 1 }
+  }
+};
+
+function draftError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class RulesService {
+  constructor() {
+    this.isListening = false;
+    this.handleMessageReceived = this.handleMessageReceived.bind(this);
+  }
+
+  // Subscribe to live messages from every ingestion path
+  start() {
+    if (this.isListening) return;
+    this.isListening = true;
+    ioEmitter.on('message_received', this.handleMessageReceived);
+    console.log('[Rules Service] Listening for incoming messages');
+  }
+
+  stop() {
+    ioEmitter.off('message_received', this.handleMessageReceived);
+    this.isListening = false;
+  }
+
+  async handleMessageReceived({ userId, message }) {
+    try {
+      await this.applyRules(userId, message);
+    } catch (error) {
+      console.error('[Rules Service] Error applying rules:', { userId, messageId: message?.id, error });
+    }
+  }
+
+  validationError(errors) {
+    const error = new Error(`Invalid rule: ${errors.join('; ')}`);
+    error.status = 400;
+    error.details = errors;
+    return error;
+  }
+
+  async listRules(workspaceId) {
+    const { data, error } = await adminClient
+      .from('message_rules')
+      .select(RULE_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .order('position', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getRule(workspaceId, ruleId) {
+    const { data, error } = await adminClient
+      .from('message_rules')
+      .select(RULE_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(ruleId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      const notFound = new Error('Rule not found');
+      notFound.status = 404;
+      throw notFound;
+    }
+    return data;
+  }
+
+  async createRule(workspaceId, userId, rule) {
+    const errors = validateRule(rule);
+    if (errors.length > 0) throw this.validationError(errors);
+
+    const { data, error } = await adminClient
+      .from('message_rules')
+      .insert({
+        workspace_id: workspaceId,
+        user_id: userId,
+        name: rule.name.trim(),
+        description: rule.description || null,
+        // New rules start disabled so they can be dry-run first
+        enabled: rule.enabled === true,
+        position: parseInt(rule.position, 10) || 0,
+        stop_processing: !!rule.stopProcessing,
+        conditions: rule.conditions || {},
+        actions: rule.actions
+      })
+      .select(RULE_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async updateRule(workspaceId, ruleId, changes) {
+    await this.getRule(workspaceId, ruleId);
+
+    const errors = validateRule(changes, { partial: true });
+    if (errors.length > 0) throw this.validationError(errors);
+
+    const update = {};
+    if (changes.name !== undefined) update.name = changes.name.trim();
+    if (changes.description !== undefined) update.description = changes.description;
+    if (changes.enabled !== undefined) update.enabled = !!changes.enabled;
+    if (changes.position !== undefined) update.position = parseInt(changes.position, 10) || 0;
+    if (changes.stopProcessing !== undefined) update.stop_processing = !!changes.stopProcessing;
+    if (changes.conditions !== undefined) update.conditions = changes.conditions;
+    if (changes.actions !== undefined) update.actions = changes.actions;
+
+    const { data, error } = await adminClient
+      .from('message_rules')
+      .update(update)
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(ruleId, 10))
+      .select(RULE_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async deleteRule(workspaceId, ruleId) {
+    await this.getRule(workspaceId, ruleId);
+
+    const { error } = await adminClient
+      .from('message_rules')
+      .delete()
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(ruleId, 10));
+
+    if (error) throw error;
+    return true;
+  }
+
+  // AI-derived sentiment, cached by content so replays don't re-bill. Billed
+  // to the message's owner unless another user (userId) asked for it.
+  async getSentiment(message, userId = message.user_id) {
+    const content = message.content?.trim();
+    if (!content) return null;
+
+    const cached = getCachedAnalysis(content, 'rule_sentiment');
+    if (cached) return cached;
+
+    const { data } = await llmService.complete('rule_sentiment', {
+      userId,
+      system: 'Classify the sentiment of a chat message. label is positive, negative or neutral; score runs from -1 (negative) to 1 (positive).',
+      transcript: content,
+      schema: SENTIMENT_SCHEMA
+    });
+    const sentiment = { label: data.label, score: data.score };
+
+    setCachedAnalysis(content, 'rule_sentiment', sentiment);
+    return sentiment;
+  }
+
+  createContext({ allowAi = true, billTo = null } = {}) {
+    const memo = new Map();
+    const stats = { aiEvaluations: 0, aiSkipped: 0 };
+
+    return {
+      stats,
+      getSentiment: async (message) => {
+        if (!allowAi) {
+          stats.aiSkipped++;
+          return null;
+        }
+        if (!memo.has(message.id)) {
+          stats.aiEvaluations++;
+          memo.set(message.id, this.getSentiment(message, billTo || message.user_id).catch(error => {
+            console.error('[Rules Service] Sentiment analysis failed:', error);
+            return null;
+          }));
         }
+        return memo.get(message.id);
       }
+    };
+  }
+
+  // Rules of the workspace the message landed in; actions run through the
+  // connection it arrived on (userId)
+  async applyRules(userId, message) {
+    if (!message?.workspace_id) return [];
+
+    const { data: rules, error } = await adminClient
+      .from('message_rules')
+      .select(RULE_COLUMNS)
+      .eq('workspace_id', message.workspace_id)
+      .eq('enabled', true)
+      .order('position', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) throw error;
+    if (!rules?.length) return [];
+
+    const context = this.createContext();
+    const triggered = [];
+
+    for (const rule of rules) {
+      let matched = false;
+      try {
+        matched = await evaluateConditions(rule.conditions, message, context);
+      } catch (evaluationError) {
+        console.error('[Rules Service] Error evaluating rule:', { ruleId: rule.id, error: evaluationError });
+        continue;
+      }
+
+      if (!matched) continue;
+
+      const results = await this.executeActions(userId, rule, message);
+      triggered.push({ ruleId: rule.id, results });
+      await this.recordExecution(userId, rule, message, results);
+
+      if (rule.stop_processing) break;
     }
+
+    return triggered;
   }
-  return message;
-}
 
-async function sendAutoResponse(message, responseText) {
-  switch (message.platform) {
-    case 'whatsapp':
-      await sendWhatsAppMessage(message.roomId, responseText);
-      break;
-    case 'telegram':
-      await sendTelegramMessage(message.roomId, responseText);
-      break;
-    case 'slack':
-      await sendSlackMessage(message.roomId, responseText);
-      break;
-    default:
-      console.log(`No auto-response handler for platform ${message.platform}`);
+  async recordExecution(userId, rule, message, results) {
+    const hasErrors = results.some(result => result.status === 'error');
+
+    const { error: logError } = await adminClient
+      .from('rule_executions')
+      .insert({
+        workspace_id: rule.workspace_id,
+        user_id: userId,
+        rule_id: rule.id,
+        message_id: message.id || null,
+        results,
+        has_errors: hasErrors
+      });
+
+    if (logError) {
+      console.error('[Rules Service] Error recording rule execution:', logError);
+    }
+
+    const { error: updateError } = await adminClient
+      .from('message_rules')
+      .update({
+        trigger_count: (rule.trigger_count || 0) + 1,
+        last_triggered_at: new Date().toISOString()
+      })
+      .eq('id', rule.id);
+
+    if (updateError) {
+      console.error('[Rules Service] Error updating rule stats:', updateError);
+    }
   }
-}
 
-function matchesConditions(message, conditions) {
-  for (const cond of conditions) {
-    const val = message[cond.field];
-    if (!evaluateCondition(val, cond.op, cond.value)) return false;
+  async executeActions(userId, rule, message) {
+    const results = [];
+
+    for (const action of rule.actions || []) {
+      try {
+        const detail = await this.executeAction(userId, rule, message, action);
+        results.push({ type: action.type, status: 'success', ...(detail ? { detail } : {}) });
+      } catch (error) {
+        console.error('[Rules Service] Action failed:', { ruleId: rule.id, type: action.type, error });
+        results.push({ type: action.type, status: 'error', error: error.message });
+      }
+    }
+
+    return results;
   }
-  return true;
-}
 
-function evaluateCondition(val, op, expected) {
-  val = String(val || '').toLowerCase();
-  expected = String(expected || '').toLowerCase();
-  switch (op) {
-    case 'contains': return val.includes(expected);
-    case 'equals': return val === expected;
-    default: return false;
+  async executeAction(userId, rule, message, action) {
+    switch (action.type) {
+      case 'tag': {
+        const tags = [...new Set([...(message.tags || []), ...action.tags.map(tag => tag.trim())])];
+        await this.updateMessage(userId, message, { tags });
+        message.tags = tags;
+        return { tags };
+      }
+
+      case 'priority': {
+        const priority = String(action.priority).toUpperCase();
+        const metadata = { ...(message.metadata || {}), priority };
+        await this.updateMessage(userId, message, { metadata });
+        message.metadata = metadata;
+        return { priority };
+      }
+
+      // WhatsApp conversations are the ones with an assignee and a status
+      // (whatsapp_contacts); for them conversation_id is the contact id
+      case 'assign': {
+        const contact = await whatsappEntityService.assignContact(
+          message.workspace_id,
+          this.whatsappContactId(message, action),
+          action.assignee
+        );
+        return { assignee: contact.assigned_to };
+      }
+
+      // Muting also marks the message read, so it doesn't count as unread
+      // while the conversation is snoozed
+      case 'mute':
+      case 'snooze': {
+        const contactId = this.whatsappContactId(message, action);
+        const snoozedUntil = new Date(Date.now() + Number(action.durationMinutes) * 60000).toISOString();
+        await conversationService.setStatus(message.workspace_id, contactId, { status: 'snoozed', snoozedUntil });
+        if (action.type === 'mute') {
+          await this.updateMessage(userId, message, { is_read: true, read_at: new Date().toISOString() });
+        }
+        return { snoozedUntil };
+      }
+
+      case 'forward': {
+        const sender = message.sender_name || message.sender_id || 'unknown';
+        const content = `[${message.platform} · ${sender}] ${message.content || ''}`.trim();
+        return outboundMessageService.sendMessage(userId, {
+          platform: action.platform,
+          conversationId: action.conversationId,
+          content
+        });
+      }
+
+      case 'reply':
+        return outboundMessageService.sendMessage(userId, {
+          platform: message.platform,
+          conversationId: message.conversation_id,
+          content: action.text
+        });
+
+      case 'webhook':
+        return this.sendWebhook(rule, message, action);
+
+      case 'ai_reply':
+        return this.createReplyDraft(userId, rule, message, action);
+
+      default:
+        throw new Error(`Unknown action: ${action.type}`);
+    }
+  }
+
+  async updateMessage(userId, message, update) {
+    if (!message.id) return;
+
+    const { error } = await adminClient
+      .from('messages')
+      .update(update)
+      .eq('user_id', userId)
+      .eq('id', message.id);
+
+    if (error) throw error;
+  }
+
+  whatsappContactId(message, action) {
+    const contactId = parseInt(message.conversation_id, 10);
+    if (message.platform !== 'whatsapp' || isNaN(contactId)) {
+      throw new Error(`${action.type} only applies to WhatsApp conversations`);
+    }
+    return contactId;
+  }
+
+  async sendWebhook(rule, message, action) {
+    // Rules saved before the address checks, or while private URLs were allowed
+    const urlProblem = outboundUrlError(action.url);
+    if (urlProblem) throw new Error(`Webhook url ${urlProblem}`);
+
+    const body = JSON.stringify({
+      event: 'rule.matched',
+      rule: { id: rule.id, name: rule.name },
+      message: {
+        id: message.id,
+        platform: message.platform,
+        conversationId: message.conversation_id,
+        conversationName: message.conversation_name,
+        senderId: message.sender_id,
+        senderName: message.sender_name,
+        content: message.content,
+        timestamp: message.timestamp
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (action.secret) {
+      headers['X-DailyFix-Signature'] = `sha256=${crypto.createHmac('sha256', action.secret).update(body).digest('hex')}`;
+    }
+
+    const response = await axios.post(action.url, body, {
+      headers,
+      timeout: WEBHOOK_TIMEOUT,
+      maxRedirects: 0,
+      // Refuses hostnames that resolve to private addresses
+      lookup: publicLookup
+    });
+
+    return { statusCode: response.status };
+  }
+
+  async createReplyDraft(userId, rule, message, action) {
+    const { data: history, error: historyError } = await adminClient
+      .from('messages')
+      .select('sender_name, sender_id, content, timestamp')
+      .eq('user_id', userId)
+      .eq('platform', message.platform)
+      .eq('conversation_id', message.conversation_id)
+      .order('timestamp', { ascending: false })
+      .limit(20);
+
+    if (historyError) throw historyError;
+
+    const transcript = (history || [])
+      .reverse()
+      .map(msg => `${msg.sender_name || msg.sender_id}: ${msg.content || ''}`)
+      .join('\n');
+
+    const { text } = await llmService.complete('reply_draft', {
+      userId,
+      system: `You draft short, helpful replies to ${message.platform} conversations on behalf of the user. Reply with the message text only.${action.instructions ? ` Follow these instructions: ${action.instructions}` : ''}`,
+      prompt: 'Draft a reply to the latest message in this conversation:',
+      transcript
+    });
+
+    const content = text.trim();
+    let status = 'draft';
+
+    if (action.autoSend) {
+      await outboundMessageService.sendMessage(userId, {
+        platform: message.platform,
+        conversationId: message.conversation_id,
+        content
+      });
+      status = 'sent';
+    }
+
+    const { data: draft, error } = await adminClient
+      .from('reply_drafts')
+      .insert({
+        user_id: userId,
+        workspace_id: message.workspace_id,
+        message_id: message.id || null,
+        rule_id: rule.id || null,
+        platform: message.platform,
+        conversation_id: message.conversation_id,
+        content,
+        status
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    ioEmitter.emit('reply_draft_created', { userId, workspaceId: message.workspace_id, draft });
+    return { draftId: draft.id, status };
+  }
+
+  // Drafts from ai_reply actions, newest first. status: draft (default),
+  // sent, discarded or all.
+  async listDrafts(workspaceId, { status = 'draft', conversationId = null, limit = DEFAULT_DRAFT_LIMIT } = {}) {
+    if (status !== 'all' && !DRAFT_STATUSES.includes(status)) {
+      throw draftError(`status must be all or one of ${DRAFT_STATUSES.join(', ')}`, 400);
+    }
+
+    let query = adminClient
+      .from('reply_drafts')
+      .select(DRAFT_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || DEFAULT_DRAFT_LIMIT, 1), MAX_DRAFT_LIMIT));
+
+    if (status !== 'all') query = query.eq('status', status);
+    if (conversationId) query = query.eq('conversation_id', String(conversationId));
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Move a pending draft to sent or discarded. Only one request can do it,
+  // so a draft is never sent twice.
+  async closeDraft(workspaceId, draftId, update) {
+    const { data, error } = await adminClient
+      .from('reply_drafts')
+      .update(update)
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(draftId, 10))
+      .eq('status', 'draft')
+      .select(DRAFT_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (data) return data;
+
+    const { data: existing, error: existingError } = await adminClient
+      .from('reply_drafts')
+      .select('status')
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(draftId, 10))
+      .maybeSingle();
+
+    if (existingError) throw existingError;
+    if (!existing) throw draftError('Reply draft not found', 404);
+    throw draftError(`Reply draft was already ${existing.status}`, 409);
+  }
+
+  // Send a draft, optionally edited, through the connection its message
+  // arrived on
+  async sendDraft(workspaceId, userId, draftId, { content } = {}) {
+    if (content !== undefined && (typeof content !== 'string' || !content.trim())) {
+      throw draftError('content must be a non-empty string', 400);
+    }
+
+    const draft = await this.closeDraft(workspaceId, draftId, {
+      status: 'sent',
+      ...(content !== undefined ? { content: content.trim() } : {})
+    });
+
+    try {
+      await outboundMessageService.sendMessage(draft.user_id, {
+        platform: draft.platform,
+        conversationId: draft.conversation_id,
+        content: draft.content
+      });
+    } catch (error) {
+      // Back to pending so it can be retried or discarded
+      await adminClient
+        .from('reply_drafts')
+        .update({ status: 'draft' })
+        .eq('id', draft.id);
+      throw error;
+    }
+
+    console.log('[Rules Service] Sent reply draft:', { workspaceId, draftId: draft.id, sentBy: userId });
+    return draft;
+  }
+
+  async discardDraft(workspaceId, draftId) {
+    return this.closeDraft(workspaceId, draftId, { status: 'discarded' });
+  }
+
+  // Replay a rule (saved or unsaved) against stored history without running
+  // any actions, so its effect can be checked before it is enabled. AI facts
+  // are only evaluated when asked for (includeAi), billed to userId.
+  async dryRun(workspaceId, userId, rule, { limit = DEFAULT_DRY_RUN_LIMIT, platforms = null, from = null, to = null, includeAi = false } = {}) {
+    const errors = validateRule(rule);
+    if (errors.length > 0) throw this.validationError(errors);
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_DRY_RUN_LIMIT, 1), MAX_DRY_RUN_LIMIT);
+
+    let query = adminClient
+      .from('messages')
+      .select(MESSAGE_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .order('timestamp', { ascending: false })
+      .limit(pageSize);
+
+    if (platforms?.length) query = query.in('platform', platforms);
+    if (from) query = query.gte('timestamp', new Date(from).toISOString());
+    if (to) query = query.lte('timestamp', new Date(to).toISOString());
+
+    const { data: messages, error } = await query;
+    if (error) throw error;
+
+    const context = this.createContext({ allowAi: includeAi && usesAiFields(rule.conditions), billTo: userId });
+    const matches = [];
+
+    for (const message of messages || []) {
+      if (await evaluateConditions(rule.conditions || {}, message, context)) {
+        matches.push({
+          messageId: message.id,
+          platform: message.platform,
+          conversationId: message.conversation_id,
+          conversationName: message.conversation_name,
+          senderName: message.sender_name,
+          content: message.content,
+          timestamp: message.timestamp,
+          plannedActions: rule.actions.map(action => action.type)
+        });
+      }
+    }
+
+    return {
+      evaluated: messages?.length || 0,
+      matched: matches.length,
+      aiEvaluations: context.stats.aiEvaluations,
+      aiSkipped: context.stats.aiSkipped,
+      matches
+    };
   }
 }
+
+export const rulesService = new RulesService();
@@ -0,0 +1,216 @@
+import { adminClient } from '../utils/supabase.js';
+import { SUPPORTED_PLATFORMS } from './messageStoreService.js';
+import { llmService } from './llmService.js';
+
+const SEARCH_COLUMNS = 'id, platform, conversation_id, conversation_name, external_id, sender_id, sender_name, content, transcript, attachments, timestamp';
+const EMBEDDING_BATCH_SIZE = 100;
+const MAX_SEARCH_LIMIT = 100;
+
+class SearchService {
+  // Voice notes are embedded by their transcript
+  embeddingText(message) {
+    return [message.content, message.transcript].filter(text => text?.trim()).join('\n').trim();
+  }
+
+  validateFilters({ platforms, from, to } = {}) {
+    const invalid = (platforms || []).filter(platform => !SUPPORTED_PLATFORMS.includes(platform));
+    if (invalid.length > 0) {
+      const error = new Error(`Unsupported platform: ${invalid.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        const error = new Error(`Invalid date for ${name}: ${value}`);
+        error.status = 400;
+        throw error;
+      }
+    }
+  }
+
+  // Shape a row so the UI can jump straight to the message in context
+  formatResult(row, extra = {}) {
+    return {
+      id: row.id,
+      platform: row.platform,
+      content: row.content,
+      transcript: row.transcript || null,
+      senderId: row.sender_id,
+      senderName: row.sender_name,
+      timestamp: row.timestamp,
+      conversation: {
+        id: row.conversation_id,
+        name: row.conversation_name
+      },
+      link: {
+        platform: row.platform,
+        conversationId: row.conversation_id,
+        messageId: row.external_id
+      },
+      ...extra
+    };
+  }
+
+  async keywordSearch(workspaceId, { query, platforms, conversationId, senderId, sender, from, to, page = 1, limit = 20 } = {}) {
+    if (!query?.trim()) {
+      const error = new Error('Search query is required');
+      error.status = 400;
+      throw error;
+    }
+
+    this.validateFilters({ platforms, from, to });
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_SEARCH_LIMIT);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const offset = (pageNumber - 1) * pageSize;
+
+    let dbQuery = adminClient
+      .from('messages')
+      .select(SEARCH_COLUMNS, { count: 'exact' })
+      .eq('workspace_id', workspaceId)
+      .textSearch('search_vector', query.trim(), { type: 'websearch', config: 'simple' })
+      .order('timestamp', { ascending: false })
+      .range(offset, offset + pageSize - 1);
+
+    if (platforms?.length) dbQuery = dbQuery.in('platform', platforms);
+    if (conversationId) dbQuery = dbQuery.eq('conversation_id', String(conversationId));
+    if (senderId) dbQuery = dbQuery.eq('sender_id', String(senderId));
+    if (sender) dbQuery = dbQuery.ilike('sender_name', `%${sender}%`);
+    if (from) dbQuery = dbQuery.gte('timestamp', new Date(from).toISOString());
+    if (to) dbQuery = dbQuery.lte('timestamp', new Date(to).toISOString());
+
+    const { data, error, count } = await dbQuery;
+    if (error) throw error;
+
+    return {
+      results: (data || []).map(row => this.formatResult(row)),
+      page: pageNumber,
+      limit: pageSize,
+      total: count || 0
+    };
+  }
+
+  async embed(texts, userId = null) {
+    return llmService.embed('search_embedding', texts, { userId });
+  }
+
+  // Find messages semantically close to an existing message or to free text.
+  // Embedding usage is counted against userId.
+  async findSimilar(workspaceId, userId, { messageId, text, platforms, conversationId, senderId, from, to, limit = 20 } = {}) {
+    if (!messageId && !text?.trim()) {
+      const error = new Error('Either messageId or text is required');
+      error.status = 400;
+      throw error;
+    }
+
+    this.validateFilters({ platforms, from, to });
+
+    let embedding;
+    if (messageId) {
+      const { data: source, error } = await adminClient
+        .from('messages')
+        .select('id, content, transcript, embedding')
+        .eq('workspace_id', workspaceId)
+        .eq('id', parseInt(messageId, 10))
+        .single();
+
+      if (error || !source) {
+        const notFound = new Error('Message not found');
+        notFound.status = 404;
+        throw notFound;
+      }
+
+      if (!this.embeddingText(source)) {
+        const noContent = new Error('Message has no text to compare');
+        noContent.status = 400;
+        throw noContent;
+      }
+
+      embedding = source.embedding;
+      if (!embedding) {
+        [embedding] = await this.embed([this.embeddingText(source)], userId);
+        await this.saveEmbeddings([{ id: source.id, embedding }]);
+      }
+    } else {
+      [embedding] = await this.embed([text.trim()], userId);
+    }
+
+    const { data, error } = await adminClient.rpc('match_messages', {
+      p_workspace_id: workspaceId,
+      p_embedding: embedding,
+      p_match_count: Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_SEARCH_LIMIT),
+      p_platforms: platforms?.length ? platforms : null,
+      p_conversation_id: conversationId ? String(conversationId) : null,
+      p_sender_id: senderId ? String(senderId) : null,
+      p_from: from ? new Date(from).toISOString() : null,
+      p_to: to ? new Date(to).toISOString() : null,
+      p_exclude_id: messageId ? parseInt(messageId, 10) : null
+    });
+
+    if (error) throw error;
+
+    return {
+      results: (data || []).map(row => this.formatResult(row, { similarity: row.similarity }))
+    };
+  }
+
+  async saveEmbeddings(items) {
+    const embeddedAt = new Date().toISOString();
+    for (const { id, embedding } of items) {
+      const { error } = await adminClient
+        .from('messages')
+        .update({ embedding, embedded_at: embeddedAt })
+        .eq('id', id);
+
+      if (error) {
+        console.error('[Search Service] Error saving embedding:', { id, error });
+      }
+    }
+  }
+
+  // Embed messages that don't have a vector yet. Called on demand and can be
+  // run repeatedly; each call processes at most `limit` messages. Messages
+  // with only whitespace are marked skipped so later calls move past them.
+  // Embedding usage is counted against userId.
+  async indexEmbeddings(workspaceId, userId, { limit = EMBEDDING_BATCH_SIZE } = {}) {
+    const { data: pending, error } = await adminClient
+      .from('messages')
+      .select('id, content, transcript')
+      .eq('workspace_id', workspaceId)
+      .is('embedding', null)
+      .is('embedding_skipped_at', null)
+      .or('content.not.is.null,transcript.not.is.null')
+      .order('id', { ascending: true })
+      .limit(Math.min(parseInt(limit, 10) || EMBEDDING_BATCH_SIZE, EMBEDDING_BATCH_SIZE));
+
+    if (error) throw error;
+
+    const messages = (pending || []).filter(message => this.embeddingText(message));
+    const blankIds = (pending || []).filter(message => !this.embeddingText(message)).map(message => message.id);
+
+    if (blankIds.length > 0) {
+      const { error: skipError } = await adminClient
+        .from('messages')
+        .update({ embedding_skipped_at: new Date().toISOString() })
+        .in('id', blankIds);
+
+      if (skipError) throw skipError;
+    }
+
+    if (messages.length === 0) {
+      return { indexed: 0, skipped: blankIds.length };
+    }
+
+    const embeddings = await this.embed(messages.map(message => this.embeddingText(message)), userId);
+    await this.saveEmbeddings(messages.map((message, index) => ({
+      id: message.id,
+      embedding: embeddings[index]
+    })));
+
+    console.log('[Search Service] Indexed embeddings', { workspaceId, userId, count: messages.length, skipped: blankIds.length });
+    return { indexed: messages.length, skipped: blankIds.length };
+  }
+}
+
+export const searchService = new SearchService();
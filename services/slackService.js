@@ -1,11 +1,12 @@
 import { WebClient } from '@slack/web-api';
 import Account from '../models/Account.js';
-import Message from '../models/Message.js';
-import { applyRulesToMessage } from './rulesService.js';
 import ChannelMapping from '../models/ChannelMapping.js';
 import { ioEmitter } from '../utils/emitter.js';
+import { adminClient } from '../utils/supabase.js';
+import { messageStoreService } from './messageStoreService.js';
 
 let slackUserCache=new Map();
+let slackChannelCache=new Map();
 
 // On-demand init:
 export async function initializeSlackClientForUser(userId) {
@@ -52,21 +53,18 @@ export async function sendSlackMessage(channelId, content) {
   }
 }
 
-async function fetchSlackUserName(team_id,user_id) {
+async function fetchSlackUserName(team_id,user_id,token) {
   const key=`${team_id}:${user_id}`;
   if(slackUserCache.has(key)) return slackUserCache.get(key);
-
-  // find token from any account with this team_id:
-  const acc=await Account.findOne({'credentials.team_id':team_id,platform:'slack'}).lean();
-  if(!acc||!acc.credentials.access_token) return user_id;
-  const token=acc.credentials.access_token;
+  if(!token) return user_id;
 
   const client=new WebClient(token);
   try {
     const res=await client.users.info({user:user_id});
-    if(res.ok && res.user && res.user.real_name) {
-      slackUserCache.set(key,res.user.real_name);
-      return res.user.real_name;
+    const name=res.ok && (res.user?.profile?.display_name || res.user?.real_name || res.user?.name);
+    if(name) {
+      slackUserCache.set(key,name);
+      return name;
     }
     return user_id;
   } catch(err) {
@@ -75,6 +73,23 @@ async function fetchSlackUserName(team_id,user_id) {
   }
 }
 
+async function fetchSlackChannelName(team_id,channel_id,token) {
+  const key=`${team_id}:${channel_id}`;
+  if(slackChannelCache.has(key)) return slackChannelCache.get(key);
+  if(!token) return null;
+
+  const client=new WebClient(token);
+  try {
+    const res=await client.conversations.info({channel:channel_id});
+    const name=res.ok ? (res.channel?.name || null) : null;
+    slackChannelCache.set(key,name);
+    return name;
+  } catch(err) {
+    console.error('Slack fetch channel name error:',err);
+    return null;
+  }
+}
+
 async function getUserIdForPlatformRoom(platform, roomId) {
   const mapping=await ChannelMapping.findOne({platform, roomId}).lean();
   if(mapping) return mapping.userId;
@@ -89,27 +104,241 @@ async function getUserIdForPlatformRoom(platform, roomId) {
   return slackAcc.userId;
 }
 
+// Message subtypes that are conversation content. Joins and leaves are
+// recorded from member_joined_channel/member_left_channel instead, and
+// message_replied only refreshes the parent's reply count.
+const STORED_MESSAGE_SUBTYPES=[undefined,'file_share','thread_broadcast','bot_message','me_message'];
+
+function slackTimestamp(ts) {
+  return new Date(parseFloat(ts)*1000).toISOString();
+}
+
+function slackAttachments(files=[]) {
+  return files
+    .filter(file=>file.mode!=='tombstone')
+    .map(file=>({
+      type:'file',
+      url:file.url_private,
+      name:file.name,
+      mimetype:file.mimetype,
+      size:file.size,
+      width:file.original_w,
+      height:file.original_h,
+      durationMs:file.duration_ms,
+      thumbnailUrl:file.thumb_360 || file.thumb_video
+    }));
+}
+
+// Thread replies point at their parent through thread_ts; the parent itself
+// has thread_ts === ts
+function threadMetadata(channel, message) {
+  const isReply=!!message.thread_ts && message.thread_ts!==message.ts;
+  return {
+    thread_ts:message.thread_ts || null,
+    reply_to:isReply ? `${channel}:${message.thread_ts}` : null,
+    reply_count:message.reply_count || 0,
+    latest_reply:message.latest_reply || null
+  };
+}
+
+// Entry point for Events API callbacks. Every Supabase user who connected
+// this workspace gets the event in their message store.
 export async function processSlackEvent(team_id, event) {
-  if (event.type==='message' && event.channel && event.user && event.text) {
-    const userName=await fetchSlackUserName(team_id,event.user);
-    const timestamp=new Date(); 
-    let msg={
-      content:event.text,
-      sender:event.user,
-      senderName:userName,
-      timestamp,
-      priority:'medium',
-      platform:'slack',
-      roomId:event.channel
-    };
-
-    const userId=await getUserIdForPlatformRoom('slack', event.channel);
-    if(userId) {
-      msg=await applyRulesToMessage(msg,userId);
+  const accounts=await findSlackAccountsForTeam(team_id);
+  if(accounts.length===0) {
+    console.warn('[Slack Events] No connected account for team:', team_id);
+    return;
+  }
+
+  for(const account of accounts) {
+    try {
+      await handleSlackEvent(account, team_id, event);
+    } catch(err) {
+      console.error('[Slack Events] Error handling event:', { userId:account.user_id, type:event.type, subtype:event.subtype, err });
+    }
+  }
+}
+
+async function handleSlackEvent(account, team_id, event) {
+  const userId=account.user_id;
+  const token=account.credentials?.token;
+
+  switch(event.type) {
+    case 'message':
+      if(event.subtype==='message_changed') return storeSlackMessage(account, team_id, event.channel, event.message, { edited:true, channelType:event.channel_type });
+      if(event.subtype==='message_deleted') return deleteSlackMessage(userId, event.channel, event.deleted_ts);
+      if(event.subtype==='message_replied') return updateSlackReplyCount(userId, event.channel, event.message);
+      if(!STORED_MESSAGE_SUBTYPES.includes(event.subtype)) return;
+      return storeSlackMessage(account, team_id, event.channel, event, { channelType:event.channel_type });
+
+    case 'reaction_added':
+    case 'reaction_removed':
+      if(event.item?.type!=='message') return;
+      return updateSlackReactions(userId, event);
+
+    case 'member_joined_channel':
+    case 'member_left_channel': {
+      const joined=event.type==='member_joined_channel';
+      const userName=await fetchSlackUserName(team_id, event.user, token);
+      const ts=event.event_ts || String(Date.now()/1000);
+      const stored=await messageStoreService.storeMessage(userId, {
+        platform:'slack',
+        conversationId:event.channel,
+        conversationName:await fetchSlackChannelName(team_id, event.channel, token),
+        externalId:`${event.channel}:${joined ? 'join' : 'leave'}:${event.user}:${ts}`,
+        senderId:event.user,
+        senderName:userName,
+        content:`${userName} ${joined ? 'joined' : 'left'} the channel`,
+        timestamp:slackTimestamp(ts),
+        metadata:{ team_id, system:joined ? 'member_joined' : 'member_left', inviter:event.inviter || null }
+      });
+      ioEmitter.emit('slack_message', { userId, type:joined ? 'member_joined' : 'member_left', channelId:event.channel, message:stored });
+      return;
+    }
+
+    default:
+      return;
+  }
+}
+
+// Unified store shape of a Slack message, from events and API responses alike
+async function slackMessageRecord(account, team_id, channel, message, { channelType=null }={}) {
+  const token=account.credentials?.token;
+  const senderId=message.user || message.bot_id;
+  const senderName=message.user
+    ? await fetchSlackUserName(team_id, message.user, token)
+    : (message.username || message.bot_profile?.name || senderId);
+
+  return {
+    platform:'slack',
+    conversationId:channel,
+    conversationName:await fetchSlackChannelName(team_id, channel, token),
+    externalId:`${channel}:${message.ts}`,
+    senderId,
+    senderName,
+    content:message.text,
+    attachments:slackAttachments(message.files),
+    timestamp:slackTimestamp(message.ts),
+    editedAt:message.edited?.ts ? slackTimestamp(message.edited.ts) : null,
+    metadata:{
+      team_id,
+      channel_type:channelType,
+      subtype:message.subtype || null,
+      // Edits arrive with the full message, so counts are refreshed from it
+      reactions:(message.reactions || []).map(reaction=>({ emoji:reaction.name, count:reaction.count, users:reaction.users || [] })),
+      ...threadMetadata(channel, message)
+    }
+  };
+}
+
+async function storeSlackMessage(account, team_id, channel, message, { edited=false, channelType=null }={}) {
+  const userId=account.user_id;
+  const record=await slackMessageRecord(account, team_id, channel, message, { channelType });
+
+  const stored=await messageStoreService.storeMessage(userId, record, {
+    // Bot messages, including our own replies and relayed copies, are never
+    // announced; edits of a stored message go out as message_edited
+    notify:!message.bot_id
+  });
+
+  ioEmitter.emit('slack_message', { userId, type:edited ? 'edited' : 'new', channelId:channel, message:stored });
+  return stored;
+}
+
+async function deleteSlackMessage(userId, channel, ts) {
+  const deleted=await messageStoreService.markExternalDeleted(userId, 'slack', [`${channel}:${ts}`]);
+  ioEmitter.emit('slack_message', { userId, type:'deleted', channelId:channel, messageIds:[`${channel}:${ts}`], messages:deleted });
+}
+
+async function updateSlackReplyCount(userId, channel, parent) {
+  if(!parent?.ts) return;
+  await messageStoreService.mergeExternalMetadata(userId, 'slack', `${channel}:${parent.ts}`, {
+    reply_count:parent.reply_count || 0,
+    latest_reply:parent.latest_reply || null
+  });
+}
+
+// Reaction counts live in metadata.reactions as [{ emoji, count, users }]
+async function updateSlackReactions(userId, event) {
+  const { channel, ts }=event.item;
+  const added=event.type==='reaction_added';
+
+  const updated=await messageStoreService.mergeExternalMetadata(userId, 'slack', `${channel}:${ts}`, metadata=>{
+    const reactions=(metadata.reactions || []).map(reaction=>({ ...reaction, users:[...(reaction.users || [])] }));
+    let reaction=reactions.find(r=>r.emoji===event.reaction);
+    if(!reaction) {
+      if(!added) return { reactions };
+      reaction={ emoji:event.reaction, count:0, users:[] };
+      reactions.push(reaction);
     }
-    const saved=await Message.create(msg);
-    ioEmitter.emit('new_message', saved.toObject());
+    if(added && !reaction.users.includes(event.user)) reaction.users.push(event.user);
+    if(!added) reaction.users=reaction.users.filter(user=>user!==event.user);
+    reaction.count=reaction.users.length;
+    return { reactions:reactions.filter(r=>r.count>0) };
+  });
+
+  if(!updated) return;
+  ioEmitter.emit('slack_message', { userId, type:'reaction', channelId:channel, messageId:updated.external_id, reactions:updated.metadata.reactions });
+}
+
+// Store messages fetched from the Web API (history, thread replies, our own
+// posts). Like other history syncs this doesn't notify.
+export async function storeSlackHistory(account, channel, messages) {
+  const team_id=account.credentials?.teamId;
+  const records=[];
+  for(const message of messages) {
+    if(!STORED_MESSAGE_SUBTYPES.includes(message.subtype)) continue;
+    records.push(await slackMessageRecord(account, team_id, channel, message));
+  }
+  return messageStoreService.storeMessages(account.user_id, records);
+}
+
+export async function getSlackAccount(userId) {
+  const { data: account, error }=await adminClient
+    .from('accounts')
+    .select('user_id, credentials')
+    .eq('user_id', userId)
+    .eq('platform','slack')
+    .eq('status','active')
+    .maybeSingle();
+
+  if(error) throw error;
+  if(!account?.credentials?.token) {
+    const notConnected=new Error('No active Slack account found');
+    notConnected.status=404;
+    throw notConnected;
+  }
+  return account;
+}
+
+export async function getSlackClientForUser(userId) {
+  const account=await getSlackAccount(userId);
+  return new WebClient(account.credentials.token);
+}
+
+// Pull a channel's latest messages into the message store
+export async function fetchSlackMessagesForUser(userId, channelId, { limit=100 }={}) {
+  const account=await getSlackAccount(userId);
+  const client=new WebClient(account.credentials.token);
+  const res=await client.conversations.history({ channel:channelId, limit });
+  return storeSlackHistory(account, channelId, res.messages || []);
+}
+
+// Slack workspaces connected through slackDirect are stored in Supabase accounts,
+// which is where the unified message store takes its user ids from.
+async function findSlackAccountsForTeam(team_id) {
+  const { data: accounts, error }=await adminClient
+    .from('accounts')
+    .select('user_id, credentials')
+    .eq('platform','slack')
+    .eq('status','active')
+    .eq('credentials->>teamId', team_id);
+
+  if(error) {
+    console.error('Slack account lookup error:', error);
+    return [];
   }
+  return accounts || [];
 }
 
 export async function exchangeSlackCodeForToken(code) {
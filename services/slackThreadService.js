@@ -0,0 +1,235 @@
+import { adminClient } from '../utils/supabase.js';
+import { MESSAGE_COLUMNS, messageText } from './messageStoreService.js';
+import { outboundMessageService } from './outboundMessageService.js';
+import { llmService } from './llmService.js';
+import { taskService } from './taskService.js';
+import {
+  getSlackAccount,
+  getSlackClientForUser,
+  storeSlackHistory,
+  fetchSlackMessagesForUser
+} from './slackService.js';
+
+const DEFAULT_THREAD_LIMIT = 50;
+const MAX_THREAD_LIMIT = 200;
+const MAX_THREAD_REPLIES = 1000;
+const MAX_SUMMARY_MESSAGES = 300;
+
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'keyPoints', 'actionItems'],
+  properties: {
+    summary: { type: 'string' },
+    keyPoints: { type: 'array', items: { type: 'string' } },
+    actionItems: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+function threadError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Slack threads on top of the unified message store. Replies are stored with
+// metadata.thread_ts pointing at their parent (see slackService), so a thread
+// is the parent plus every row sharing its thread_ts.
+class SlackThreadService {
+  // Parents of threads in a channel, most recently started first. sync pulls
+  // the latest channel history first so reply counts are current.
+  async listThreads(userId, channelId, { limit = DEFAULT_THREAD_LIMIT, sync = true } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_THREAD_LIMIT, 1), MAX_THREAD_LIMIT);
+
+    if (sync) {
+      await fetchSlackMessagesForUser(userId, channelId).catch(error => {
+        console.error('[Slack Threads] Error syncing channel history, listing stored threads:', error);
+      });
+    }
+
+    const { data, error } = await adminClient
+      .from('messages')
+      .select(MESSAGE_COLUMNS)
+      .eq('user_id', userId)
+      .eq('platform', 'slack')
+      .eq('conversation_id', channelId)
+      .not('metadata->>thread_ts', 'is', null)
+      .is('metadata->>reply_to', null)
+      .is('deleted_at', null)
+      .order('timestamp', { ascending: false })
+      .limit(pageSize);
+
+    if (error) throw error;
+
+    return (data || []).map(message => ({
+      threadTs: message.metadata.thread_ts,
+      replyCount: message.metadata.reply_count || 0,
+      latestReply: message.metadata.latest_reply || null,
+      root: message
+    }));
+  }
+
+  // Parent and replies in order. Replies are fetched from Slack unless
+  // { sync: false }; when Slack can't be reached the stored copy is returned.
+  async getThread(userId, channelId, threadTs, { sync = true } = {}) {
+    if (sync) {
+      try {
+        await this.syncThread(userId, channelId, threadTs);
+      } catch (error) {
+        if (error.data?.error === 'thread_not_found') throw threadError('Thread not found', 404);
+        console.error('[Slack Threads] Error syncing thread, returning stored replies:', error);
+      }
+    }
+
+    const messages = await this.getStoredThread(userId, channelId, threadTs);
+    if (messages.length === 0) throw threadError('Thread not found', 404);
+
+    const [root, ...replies] = messages;
+    return {
+      threadTs,
+      channelId,
+      root: root.metadata?.reply_to ? null : root,
+      replies: root.metadata?.reply_to ? messages : replies
+    };
+  }
+
+  async syncThread(userId, channelId, threadTs) {
+    const account = await getSlackAccount(userId);
+    const client = await getSlackClientForUser(userId);
+
+    let cursor;
+    let fetched = 0;
+    do {
+      const response = await client.conversations.replies({
+        channel: channelId,
+        ts: threadTs,
+        limit: 200,
+        cursor
+      });
+
+      const messages = response.messages || [];
+      await storeSlackHistory(account, channelId, messages);
+      fetched += messages.length;
+      cursor = response.response_metadata?.next_cursor;
+    } while (cursor && fetched < MAX_THREAD_REPLIES);
+  }
+
+  async getStoredThread(userId, channelId, threadTs, { limit = MAX_THREAD_REPLIES } = {}) {
+    const { data, error } = await adminClient
+      .from('messages')
+      .select(MESSAGE_COLUMNS)
+      .eq('user_id', userId)
+      .eq('platform', 'slack')
+      .eq('conversation_id', channelId)
+      .eq('metadata->>thread_ts', threadTs)
+      .is('deleted_at', null)
+      .order('timestamp', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // broadcast also posts the reply to the channel ("Also send to #channel")
+  async replyInThread(userId, channelId, threadTs, content, { broadcast = false } = {}) {
+    if (!content || !content.trim()) throw threadError('Message content is required', 400);
+
+    const result = await outboundMessageService.sendSlackMessage(userId, channelId, content, {
+      threadTs,
+      broadcast
+    });
+
+    // Store our own reply right away instead of waiting for the event
+    let stored = null;
+    if (result.message) {
+      const account = await getSlackAccount(userId);
+      [stored] = await storeSlackHistory(account, channelId, [{ ...result.message, thread_ts: threadTs }]);
+    }
+
+    return { ...result, threadTs, stored: stored || null };
+  }
+
+  // Channel messages to summarize: recent top-level messages, with thread
+  // broadcasts, so one busy thread doesn't crowd out the rest of the channel
+  async getChannelMessages(userId, channelId) {
+    const { data, error } = await adminClient
+      .from('messages')
+      .select(MESSAGE_COLUMNS)
+      .eq('user_id', userId)
+      .eq('platform', 'slack')
+      .eq('conversation_id', channelId)
+      .or('metadata->>reply_to.is.null,metadata->>subtype.eq.thread_broadcast')
+      .is('deleted_at', null)
+      .order('timestamp', { ascending: false })
+      .limit(MAX_SUMMARY_MESSAGES);
+
+    if (error) throw error;
+    return (data || []).reverse();
+  }
+
+  // AI summary of a channel, or of one thread when threadTs is given.
+  // Action items found in it are recorded as tasks.
+  async summarize(userId, channelId, { threadTs = null } = {}) {
+    let messages;
+    if (threadTs) {
+      const thread = await this.getThread(userId, channelId, threadTs);
+      messages = [thread.root, ...thread.replies].filter(Boolean);
+    } else {
+      await fetchSlackMessagesForUser(userId, channelId).catch(error => {
+        console.error('[Slack Threads] Error syncing channel history, summarizing stored messages:', error);
+      });
+      messages = await this.getChannelMessages(userId, channelId);
+    }
+
+    messages = messages.filter(message => messageText(message));
+    const conversationName = messages.find(message => message.conversation_name)?.conversation_name || channelId;
+
+    if (messages.length === 0) {
+      return {
+        channelId,
+        threadTs,
+        conversationName,
+        messageCount: 0,
+        summary: null,
+        keyPoints: [],
+        actionItems: []
+      };
+    }
+
+    const transcript = messages
+      .map(message => `[${new Date(message.timestamp).toISOString()}] ${message.sender_name || message.sender_id}: ${messageText(message)}`)
+      .join('\n');
+
+    const { data } = await llmService.complete('slack_conversation_summary', {
+      userId,
+      system: threadTs
+        ? `You summarize a Slack thread in #${conversationName}: what was asked, what was decided and what is still open.`
+        : `You summarize recent activity in the Slack channel #${conversationName}.`,
+      transcript,
+      schema: SUMMARY_SCHEMA
+    });
+
+    await taskService.recordActionItems(userId, {
+      source: threadTs ? 'slack_thread' : 'slack_channel',
+      platform: 'slack',
+      conversationId: channelId,
+      conversationName,
+      items: data.actionItems,
+      messages: messages.map(message => ({
+        externalId: message.external_id,
+        senderName: message.sender_name,
+        content: messageText(message),
+        timestamp: message.timestamp
+      }))
+    });
+
+    return {
+      channelId,
+      threadTs,
+      conversationName,
+      messageCount: messages.length,
+      ...data
+    };
+  }
+}
+
+export const slackThreadService = new SlackThreadService();
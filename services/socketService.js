@@ -4,6 +4,22 @@ import { ioEmitter } from '../utils/emitter.js';
 import { validateDiscordToken, refreshDiscordToken } from './directServices/discordDirect.js';
 import { matrixWhatsAppService}  from './matrixWhatsAppService.js';
 import { whatsappEntityService } from '../services/whatsappEntityService.js';
+import { taskService } from './taskService.js';
+import { workspaceService, hasRole } from './workspaceService.js';
+
+// Inbox events reach the connection's owner and everyone sharing the
+// workspace its data lands in: the event's workspaceId, else the owner's
+// default workspace
+async function inboxRooms({ userId, workspaceId }) {
+  const rooms = userId ? [`user:${userId}`] : [];
+  try {
+    const id = workspaceId || await workspaceService.getDefaultWorkspaceId(userId);
+    rooms.push(`workspace:${id}`);
+  } catch (error) {
+    console.error('[Socket Service] Error resolving workspace room:', error);
+  }
+  return rooms;
+}
 
 export function initializeSocketServer(server) {
   const io = new Server(server, {
@@ -106,9 +122,9 @@ export function initializeSocketServer(server) {
   });
 
   // Handle WhatsApp contact updates
-  ioEmitter.on('whatsapp_contacts_updated', (data) => {
+  ioEmitter.on('whatsapp_contacts_updated', async (data) => {
     const { userId, type } = data;
-    io.to(`user:${userId}`).emit('whatsapp:contacts_updated', {
+    io.to(await inboxRooms(data)).emit('whatsapp:contacts_updated', {
       type,
       timestamp: new Date().toISOString()
     });
@@ -124,7 +140,7 @@ export function initializeSocketServer(server) {
         .then(contacts => contacts.find(c => c.id === contactId));
 
       if (contact) {
-        io.to(`user:${userId}`).emit('whatsapp:message', {
+        io.to(await inboxRooms(data)).emit('whatsapp:message', {
           type,
           contactId,
           unreadCount: contact.unread_count,
@@ -146,6 +162,139 @@ export function initializeSocketServer(server) {
     });
   });
 
+  // Relay AI reply drafts created by message rules
+  ioEmitter.on('reply_draft_created', async (data) => {
+    const { userId, draft } = data;
+    io.to(await inboxRooms(data)).emit('rules:reply_draft', {
+      draft,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Relay background job state changes and progress
+  ioEmitter.on('job_progress', (data) => {
+    const { userId, job } = data;
+    io.to(`user:${userId}`).emit('jobs:progress', {
+      job,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Relay in-app notifications and finished reports
+  ioEmitter.on('notification_created', (data) => {
+    const { userId, notification } = data;
+    io.to(`user:${userId}`).emit('notification:new', notification);
+  });
+
+  ioEmitter.on('report_generated', async (data) => {
+    const { userId, report } = data;
+    io.to(await inboxRooms(data)).emit('reports:generated', {
+      report,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  ioEmitter.on('whatsapp_outbound_message', async (data) => {
+    const { userId, contactId, message } = data;
+    io.to(await inboxRooms(data)).emit('whatsapp:outbound_message', {
+      contactId,
+      message,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  ioEmitter.on('whatsapp_delivery_status', async (data) => {
+    const { userId, ...update } = data;
+    io.to(await inboxRooms(data)).emit('whatsapp:delivery_status', {
+      ...update,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  ioEmitter.on('telegram_message', async (data) => {
+    const { userId, type, message } = data;
+    io.to(await inboxRooms(data)).emit('telegram:message', {
+      type,
+      message,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  ioEmitter.on('discord_message', async (data) => {
+    const { userId, ...event } = data;
+    io.to(await inboxRooms(data)).emit('discord:message', {
+      ...event,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  ioEmitter.on('slack_message', async (data) => {
+    const { userId, ...event } = data;
+    io.to(await inboxRooms(data)).emit('slack:message', {
+      ...event,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  ioEmitter.on('message_transcribed', async (data) => {
+    const { userId, ...transcription } = data;
+    io.to(await inboxRooms(data)).emit('messages:transcribed', {
+      ...transcription,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  ioEmitter.on('tasks_created', async (data) => {
+    const { userId, tasks } = data;
+    io.to(await inboxRooms(data)).emit('tasks:created', {
+      tasks,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  ioEmitter.on('task_updated', async (data) => {
+    const { userId, task } = data;
+    io.to(await inboxRooms(data)).emit('tasks:updated', {
+      task,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  ioEmitter.on('conversation_status_changed', async (data) => {
+    const { userId, workspaceId, ...change } = data;
+    io.to(await inboxRooms(data)).emit('conversation:status_changed', {
+      ...change,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  ioEmitter.on('sla_breached', (data) => {
+    const { userId, workspaceId, ...breach } = data;
+    io.to(`workspace:${workspaceId}`).emit('conversation:sla_breached', {
+      ...breach,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  ioEmitter.on('whatsapp_contact_assigned', (data) => {
+    const { workspaceId, ...assignment } = data;
+    io.to(`workspace:${workspaceId}`).emit('whatsapp:contact_assigned', {
+      ...assignment,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Keep connected members' workspace rooms in step with their memberships
+  ioEmitter.on('workspace_member_joined', (data) => {
+    const { workspaceId, userId } = data;
+    io.in(`user:${userId}`).socketsJoin(`workspace:${workspaceId}`);
+  });
+
+  ioEmitter.on('workspace_member_removed', (data) => {
+    const { workspaceId, userId } = data;
+    io.in(`user:${userId}`).socketsLeave(`workspace:${workspaceId}`);
+  });
+
   io.on('connection', (socket) => {
     const userId = socket.userId;
     let heartbeatTimeout;
@@ -160,6 +309,21 @@ export function initializeSocketServer(server) {
     // Join user's room with correct format
     socket.join(`user:${userId}`);
 
+    // And a room per workspace, for the shared inbox
+    workspaceService.listWorkspaceIds(userId)
+      .then(workspaceIds => workspaceIds.forEach(id => socket.join(`workspace:${id}`)))
+      .catch(error => console.error('[Socket Service] Error joining workspace rooms:', error));
+
+    // The workspace inbox requests act in: the one named in the handshake
+    // auth (workspaceId) or the user's default
+    const resolveWorkspace = async (required = 'viewer') => {
+      const workspace = await workspaceService.resolve(userId, socket.handshake.auth.workspaceId || null);
+      if (!hasRole(workspace.role, required)) {
+        throw new Error(`This requires the ${required} role in the workspace`);
+      }
+      return workspace;
+    };
+
     // Clear any existing timeouts for this user
     if (global.userTimeouts?.get(userId)) {
       const timeouts = global.userTimeouts.get(userId);
@@ -310,7 +474,9 @@ export function initializeSocketServer(server) {
     socket.on('whatsapp:request_sync', async (data) => {
       try {
         const { contactId } = data;
-        await whatsappEntityService.requestSync(socket.userId, contactId);
+        const workspace = await resolveWorkspace('agent');
+        const contact = await whatsappEntityService.getWorkspaceContact(workspace.id, contactId);
+        await whatsappEntityService.requestSync(contact.user_id, contact.id);
         socket.emit('whatsapp:sync_requested', {
           contactId,
           status: 'pending',
@@ -329,7 +495,9 @@ export function initializeSocketServer(server) {
     socket.on('whatsapp:mark_read', async (data) => {
       try {
         const { contactId, messageIds } = data;
-        await whatsappEntityService.markMessagesAsRead(socket.userId, contactId, messageIds);
+        const workspace = await resolveWorkspace('agent');
+        const contact = await whatsappEntityService.getWorkspaceContact(workspace.id, contactId);
+        await whatsappEntityService.markMessagesAsRead(contact.user_id, contact.id, messageIds);
         socket.emit('whatsapp:messages_marked_read', {
           contactId,
           messageIds,
@@ -344,6 +512,54 @@ export function initializeSocketServer(server) {
       }
     });
 
+    // Task tracker: list, complete and snooze follow-ups
+    socket.on('tasks:list', async (data = {}) => {
+      try {
+        const workspace = await resolveWorkspace();
+        const tasks = await taskService.listTasks(workspace.id, data);
+        socket.emit('tasks:list', {
+          tasks,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Error listing tasks:', error);
+        socket.emit('tasks:error', {
+          type: 'list_failed',
+          message: error.message
+        });
+      }
+    });
+
+    socket.on('tasks:complete', async (data) => {
+      try {
+        const { taskId } = data;
+        const workspace = await resolveWorkspace('agent');
+        await taskService.completeTask(workspace.id, taskId);
+      } catch (error) {
+        console.error('Error completing task:', error);
+        socket.emit('tasks:error', {
+          type: 'complete_failed',
+          taskId: data?.taskId,
+          message: error.message
+        });
+      }
+    });
+
+    socket.on('tasks:snooze', async (data) => {
+      try {
+        const { taskId, until, minutes } = data;
+        const workspace = await resolveWorkspace('agent');
+        await taskService.snoozeTask(workspace.id, taskId, { until, minutes });
+      } catch (error) {
+        console.error('Error snoozing task:', error);
+        socket.emit('tasks:error', {
+          type: 'snooze_failed',
+          taskId: data?.taskId,
+          message: error.message
+        });
+      }
+    });
+
     // Handle WhatsApp contact updates
     socket.on('whatsapp_contact_update', async (data) => {
       try {
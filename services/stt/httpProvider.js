@@ -0,0 +1,30 @@
+import axios from 'axios';
+import { sttConfig } from '../../config/sttConfig.js';
+
+// Self-hosted STT service: POST { audio (base64), mimetype, language } and
+// expect { transcription, language?, duration? } back
+export class HttpSttProvider {
+  constructor() {
+    this.name = 'http';
+    if (!sttConfig.http.endpoint) {
+      throw new Error('STT_API_ENDPOINT is required for the http STT provider');
+    }
+  }
+
+  async transcribe({ audio, mimetype, language }) {
+    const response = await axios.post(sttConfig.http.endpoint, {
+      audio: audio.toString('base64'),
+      mimetype,
+      language
+    }, {
+      headers: { Authorization: `Bearer ${sttConfig.http.apiKey}` },
+      timeout: sttConfig.requestTimeout
+    });
+
+    return {
+      text: response.data.transcription || '',
+      language: response.data.language || language || null,
+      durationSeconds: response.data.duration ?? null
+    };
+  }
+}
@@ -0,0 +1,16 @@
+// Offline stand-in for development and tests: no audio is decoded, the
+// transcript only records that a voice note was received
+export class LocalSttProvider {
+  constructor() {
+    this.name = 'local';
+  }
+
+  async transcribe({ audio, language, durationSeconds }) {
+    const seconds = durationSeconds ?? null;
+    return {
+      text: `[Voice note${seconds ? `, ${Math.round(seconds)}s` : ''}, ${audio.length} bytes – transcription unavailable offline]`,
+      language: language || null,
+      durationSeconds: seconds
+    };
+  }
+}
@@ -0,0 +1,27 @@
+import OpenAI, { toFile } from 'openai';
+import { sttConfig } from '../../config/sttConfig.js';
+
+export class OpenAISttProvider {
+  constructor() {
+    this.name = 'openai';
+    this.client = new OpenAI({
+      apiKey: sttConfig.openai.apiKey,
+      timeout: sttConfig.requestTimeout
+    });
+  }
+
+  async transcribe({ audio, mimetype, filename, language, model }) {
+    const response = await this.client.audio.transcriptions.create({
+      model,
+      file: await toFile(audio, filename, { type: mimetype }),
+      ...(language ? { language } : {}),
+      response_format: 'verbose_json'
+    });
+
+    return {
+      text: response.text || '',
+      language: response.language || language || null,
+      durationSeconds: response.duration ?? null
+    };
+  }
+}
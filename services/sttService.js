@@ -1,17 +1,97 @@
-import axios from 'axios';
-
-const STT_ENDPOINT = process.env.STT_API_ENDPOINT;
-const STT_API_KEY = process.env.STT_API_KEY;
-
-export async function voiceToText(audioBuffer) {
-  // Real integration with STT service:
-  // e.g. send audioBuffer as multipart/form-data 
-  // For simplicity assume audioBuffer is a base64 string or handle as needed
-  const resp = await axios.post(STT_ENDPOINT, {
-    audio: audioBuffer
-  },{
-    headers:{ 'Authorization': `Bearer ${STT_API_KEY}` }
-  });
-
-  return { transcription: resp.data.transcription };
+import { sttConfig, sttPricing } from '../config/sttConfig.js';
+import { OpenAISttProvider } from './stt/openaiProvider.js';
+import { HttpSttProvider } from './stt/httpProvider.js';
+import { LocalSttProvider } from './stt/localProvider.js';
+import { aiUsageService } from './aiUsageService.js';
+import { llmService } from './llmService.js';
+
+const PROVIDERS = {
+  openai: OpenAISttProvider,
+  http: HttpSttProvider,
+  local: LocalSttProvider
+};
+
+// Speech-to-text behind a pluggable provider (see config/sttConfig.js).
+// Calls made for a user count against their AI quota and are recorded in
+// llm_usage under the voice_transcription task.
+class SttService {
+  constructor() {
+    this.provider = null;
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      const Provider = PROVIDERS[sttConfig.provider];
+      if (!Provider) {
+        throw new Error(`Unknown STT provider: ${sttConfig.provider}`);
+      }
+      this.provider = new Provider();
+    }
+    return this.provider;
+  }
+
+  // transcribe(audio Buffer, { mimetype, filename, language, durationSeconds, userId })
+  // Resolves to { text, language, durationSeconds, provider, model }.
+  async transcribe(audio, { mimetype = 'audio/ogg', filename = 'voice.ogg', language = null, durationSeconds = null, userId = null } = {}) {
+    const provider = this.getProvider();
+    if (userId) {
+      await aiUsageService.assertWithinQuota(userId);
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = await provider.transcribe({
+        audio,
+        mimetype,
+        filename,
+        language,
+        durationSeconds,
+        model: sttConfig.model
+      });
+
+      const minutes = (result.durationSeconds ?? durationSeconds ?? 0) / 60;
+      await llmService.recordUsage({
+        userId,
+        task: 'voice_transcription',
+        provider: provider.name,
+        model: sttConfig.model,
+        usage: { promptTokens: 0, completionTokens: 0 },
+        cost: provider.name === 'local' ? 0 : minutes * (sttPricing[sttConfig.model] || 0),
+        latencyMs: Date.now() - startedAt,
+        attempts: 1,
+        success: true
+      });
+
+      return {
+        text: result.text.trim(),
+        language: result.language,
+        durationSeconds: result.durationSeconds ?? durationSeconds,
+        provider: provider.name,
+        model: sttConfig.model
+      };
+    } catch (error) {
+      await llmService.recordUsage({
+        userId,
+        task: 'voice_transcription',
+        provider: provider.name,
+        model: sttConfig.model,
+        usage: { promptTokens: 0, completionTokens: 0 },
+        cost: 0,
+        latencyMs: Date.now() - startedAt,
+        attempts: 1,
+        success: false,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+}
+
+export const sttService = new SttService();
+
+// Manual transcription of base64 audio posted to /voiceToText
+export async function voiceToText(audio, options = {}) {
+  const buffer = Buffer.isBuffer(audio) ? audio : Buffer.from(audio, 'base64');
+  const result = await sttService.transcribe(buffer, options);
+  return { transcription: result.text };
 }
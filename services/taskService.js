@@ -0,0 +1,313 @@
+import crypto from 'crypto';
+import { adminClient } from '../utils/supabase.js';
+import { ioEmitter } from '../utils/emitter.js';
+import { workspaceService } from './workspaceService.js';
+
+const TASK_STATUSES = ['open', 'completed', 'dismissed'];
+const MAX_TASK_LIMIT = 200;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function endOfUtcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), 23, 59, 59));
+}
+
+function taskError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Persists AI action items as tasks and manages their lifecycle
+class TaskService {
+  // "1. Send the invoice!" and "- send the invoice" are the same task
+  normalizeTitle(item) {
+    return String(item)
+      .replace(/^\s*(?:[-*•]|\d+[.)]|\[[ x]\])\s*/i, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  dedupeKey(platform, conversationId, title) {
+    const normalized = title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    return crypto
+      .createHash('sha256')
+      .update(`${platform || ''}|${conversationId || ''}|${normalized}`)
+      .digest('hex');
+  }
+
+  // Best-effort due date from phrases like "by Friday", "tomorrow" or "2024-05-01"
+  parseDueDate(text, reference = new Date()) {
+    const lower = text.toLowerCase();
+
+    const isoDate = lower.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+    if (isoDate) {
+      const date = new Date(`${isoDate[1]}T23:59:59Z`);
+      if (!isNaN(date.getTime())) return date;
+    }
+
+    if (/\b(today|tonight|eod|end of (the )?day)\b/.test(lower)) return endOfUtcDay(reference);
+    if (/\btomorrow\b/.test(lower)) return endOfUtcDay(new Date(reference.getTime() + 24 * 60 * 60 * 1000));
+    if (/\b(next week|end of (the )?week|eow)\b/.test(lower)) {
+      return endOfUtcDay(new Date(reference.getTime() + 7 * 24 * 60 * 60 * 1000));
+    }
+
+    const weekday = WEEKDAYS.findIndex(day => new RegExp(`\\b(by|on|before|until|this|next)\\s+${day}\\b`).test(lower));
+    if (weekday !== -1) {
+      const daysAhead = ((weekday - reference.getUTCDay() + 7) % 7) || 7;
+      return endOfUtcDay(new Date(reference.getTime() + daysAhead * 24 * 60 * 60 * 1000));
+    }
+
+    return null;
+  }
+
+  // "Alice to send the deck" -> Alice, when Alice took part in the conversation
+  extractOwner(text, senderNames = []) {
+    const match = text.match(/^@?([\p{L}][\p{L}.'-]*)\s+(?:to|will|should|must|needs to|has to)\b/u) ||
+      text.match(/@([\p{L}][\p{L}.'-]*)/u);
+    if (!match) return null;
+
+    const candidate = match[1].toLowerCase();
+    return senderNames.find(name => name && name.toLowerCase().split(/\s+/)[0] === candidate) || null;
+  }
+
+  // The message sharing the most words with the action item
+  findSourceMessage(title, messages = []) {
+    const words = new Set(title.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+    let best = null;
+    let bestScore = 0;
+
+    for (const message of messages) {
+      const messageWords = new Set((message.content || '').toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+      let score = 0;
+      for (const word of words) {
+        if (messageWords.has(word)) score++;
+      }
+      if (score > bestScore || (score === bestScore && score > 0 && message.timestamp > best?.timestamp)) {
+        best = message;
+        bestScore = score;
+      }
+    }
+
+    return bestScore >= 2 ? best : null;
+  }
+
+  // Persist action items from an analysis. messages are the analyzed
+  // messages ({ externalId, senderName, content, timestamp }) used to link each
+  // task to its source message and guess owner and due date. Tasks go to
+  // workspaceId, or the workspace userId's connections feed. Failures are
+  // logged rather than thrown so the analysis itself still succeeds.
+  async recordActionItems(userId, { workspaceId = null, source, platform = null, conversationId = null, conversationName = null, items = [], messages = [] }) {
+    try {
+      workspaceId = workspaceId || await workspaceService.getDefaultWorkspaceId(userId);
+      const conversation = conversationId !== null && conversationId !== undefined ? String(conversationId) : null;
+      const senderNames = [...new Set(messages.map(message => message.senderName).filter(Boolean))];
+      const reference = messages.length > 0
+        ? new Date(Math.max(...messages.map(message => new Date(message.timestamp).getTime())))
+        : new Date();
+
+      const candidates = new Map();
+      for (const item of items) {
+        const title = this.normalizeTitle(item);
+        if (title.length < 3) continue;
+
+        const key = this.dedupeKey(platform, conversation, title);
+        if (candidates.has(key)) continue;
+
+        const sourceMessage = this.findSourceMessage(title, messages);
+        candidates.set(key, {
+          workspace_id: workspaceId,
+          user_id: userId,
+          title,
+          dedupe_key: key,
+          source,
+          platform,
+          conversation_id: conversation,
+          conversation_name: conversationName,
+          source_external_id: sourceMessage?.externalId || null,
+          owner: this.extractOwner(title, senderNames),
+          due_at: this.parseDueDate(title, reference)?.toISOString() || null
+        });
+      }
+
+      if (candidates.size === 0) return { created: [], seen: [] };
+
+      const rows = [...candidates.values()];
+      await this.linkMessages(workspaceId, platform, rows);
+
+      const { data: created, error: insertError } = await adminClient
+        .from('tasks')
+        .upsert(rows, {
+          onConflict: 'workspace_id,dedupe_key',
+          ignoreDuplicates: true
+        })
+        .select();
+
+      if (insertError) throw insertError;
+
+      const createdKeys = new Set((created || []).map(task => task.dedupe_key));
+      const existingKeys = rows.map(row => row.dedupe_key).filter(key => !createdKeys.has(key));
+
+      let seen = [];
+      if (existingKeys.length > 0) {
+        const { data, error: touchError } = await adminClient.rpc('touch_tasks', {
+          p_workspace_id: workspaceId,
+          p_dedupe_keys: existingKeys
+        });
+        if (touchError) throw touchError;
+        seen = data || [];
+      }
+
+      if (created?.length) {
+        ioEmitter.emit('tasks_created', { userId, workspaceId, tasks: created });
+      }
+
+      console.log('[Task Service] Recorded action items:', {
+        userId,
+        workspaceId,
+        source,
+        created: created?.length || 0,
+        seen: seen.length
+      });
+
+      return { created: created || [], seen };
+    } catch (error) {
+      console.error('[Task Service] Error recording action items:', error);
+      return { created: [], seen: [] };
+    }
+  }
+
+  // Resolve source external ids to unified message ids where stored
+  async linkMessages(workspaceId, platform, rows) {
+    const externalIds = rows.map(row => row.source_external_id).filter(Boolean);
+    if (!platform || externalIds.length === 0) return;
+
+    const { data, error } = await adminClient
+      .from('messages')
+      .select('id, external_id')
+      .eq('workspace_id', workspaceId)
+      .eq('platform', platform)
+      .in('external_id', externalIds);
+
+    if (error) throw error;
+
+    const ids = new Map((data || []).map(message => [message.external_id, message.id]));
+    for (const row of rows) {
+      row.message_id = ids.get(row.source_external_id) || null;
+    }
+  }
+
+  async listTasks(workspaceId, { status = 'open', includeSnoozed = false, platform = null, conversationId = null, dueBefore = null, limit = 50 } = {}) {
+    if (status && status !== 'all' && !TASK_STATUSES.includes(status)) {
+      throw taskError(`Invalid status: ${status}`, 400);
+    }
+
+    let query = adminClient
+      .from('tasks')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .order('due_at', { ascending: true, nullsFirst: false })
+      .order('created_at', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_TASK_LIMIT));
+
+    if (status && status !== 'all') query = query.eq('status', status);
+    if (!includeSnoozed) {
+      query = query.or(`snoozed_until.is.null,snoozed_until.lte.${new Date().toISOString()}`);
+    }
+    if (platform) query = query.eq('platform', platform);
+    if (conversationId) query = query.eq('conversation_id', String(conversationId));
+    if (dueBefore) query = query.lte('due_at', new Date(dueBefore).toISOString());
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getTask(workspaceId, taskId) {
+    const { data, error } = await adminClient
+      .from('tasks')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(taskId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw taskError('Task not found', 404);
+    return data;
+  }
+
+  async updateTask(workspaceId, taskId, update) {
+    await this.getTask(workspaceId, taskId);
+
+    const { data, error } = await adminClient
+      .from('tasks')
+      .update(update)
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(taskId, 10))
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    ioEmitter.emit('task_updated', { workspaceId, task: data });
+    return data;
+  }
+
+  // Editable fields: title, owner, dueAt, status
+  async editTask(workspaceId, taskId, changes) {
+    const update = {};
+
+    if (changes.title !== undefined) {
+      const title = this.normalizeTitle(changes.title || '');
+      if (!title) throw taskError('title cannot be empty', 400);
+      update.title = title;
+    }
+    if (changes.owner !== undefined) update.owner = changes.owner || null;
+    if (changes.dueAt !== undefined) {
+      if (changes.dueAt && isNaN(new Date(changes.dueAt).getTime())) {
+        throw taskError(`Invalid dueAt: ${changes.dueAt}`, 400);
+      }
+      update.due_at = changes.dueAt ? new Date(changes.dueAt).toISOString() : null;
+    }
+    if (changes.status !== undefined) {
+      if (!TASK_STATUSES.includes(changes.status)) throw taskError(`Invalid status: ${changes.status}`, 400);
+      update.status = changes.status;
+      update.completed_at = changes.status === 'completed' ? new Date().toISOString() : null;
+    }
+
+    if (Object.keys(update).length === 0) throw taskError('No changes provided', 400);
+    return this.updateTask(workspaceId, taskId, update);
+  }
+
+  async completeTask(workspaceId, taskId) {
+    return this.updateTask(workspaceId, taskId, {
+      status: 'completed',
+      completed_at: new Date().toISOString(),
+      snoozed_until: null
+    });
+  }
+
+  async reopenTask(workspaceId, taskId) {
+    return this.updateTask(workspaceId, taskId, {
+      status: 'open',
+      completed_at: null
+    });
+  }
+
+  // Hide a task until a time, given as { until } or { minutes }
+  async snoozeTask(workspaceId, taskId, { until = null, minutes = null } = {}) {
+    let snoozedUntil;
+    if (until) {
+      snoozedUntil = new Date(until);
+    } else if (minutes) {
+      snoozedUntil = new Date(Date.now() + Number(minutes) * 60000);
+    }
+
+    if (!snoozedUntil || isNaN(snoozedUntil.getTime()) || snoozedUntil <= new Date()) {
+      throw taskError('Snooze requires a future "until" time or a positive number of "minutes"', 400);
+    }
+
+    return this.updateTask(workspaceId, taskId, { snoozed_until: snoozedUntil.toISOString() });
+  }
+}
+
+export const taskService = new TaskService();
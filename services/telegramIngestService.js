@@ -0,0 +1,241 @@
+import { adminClient } from '../utils/supabase.js';
+import { ioEmitter } from '../utils/emitter.js';
+import { messageStoreService } from './messageStoreService.js';
+
+// Update types the bot subscribes to, for both polling and webhooks
+export const TELEGRAM_ALLOWED_UPDATES = ['message', 'edited_message', 'channel_post', 'edited_channel_post', 'callback_query'];
+
+const MEDIA_TYPES = ['photo', 'video', 'animation', 'video_note', 'audio', 'voice', 'document', 'sticker'];
+const THUMBNAIL_MIN_WIDTH = 320;
+
+function senderName(user, chat) {
+  if (!user) return chat?.title || null;
+  return [user.first_name, user.last_name].filter(Boolean).join(' ') || user.username || String(user.id);
+}
+
+function chatName(chat) {
+  if (!chat) return null;
+  return chat.title || [chat.first_name, chat.last_name].filter(Boolean).join(' ') || chat.username || null;
+}
+
+// Files are referenced by file_id; mediaService resolves tg:// URLs through
+// the bot API so the bot token never ends up in stored URLs
+function fileUrl(file) {
+  return file?.file_id ? `tg://${file.file_id}` : null;
+}
+
+function messageType(message) {
+  return MEDIA_TYPES.find(type => message[type]) ||
+    ['location', 'contact', 'poll'].find(type => message[type]) ||
+    'text';
+}
+
+function messageContent(message) {
+  if (message.text || message.caption) return message.text || message.caption;
+  if (message.location) return `Location: ${message.location.latitude}, ${message.location.longitude}`;
+  if (message.contact) return `Contact: ${[message.contact.first_name, message.contact.last_name].filter(Boolean).join(' ')} ${message.contact.phone_number || ''}`.trim();
+  if (message.poll) return `Poll: ${message.poll.question}`;
+  if (message.sticker?.emoji) return message.sticker.emoji;
+  return null;
+}
+
+// Attachments in the unified store's shape
+function extractAttachments(message) {
+  const type = messageType(message);
+  if (!MEDIA_TYPES.includes(type)) return [];
+
+  if (type === 'photo') {
+    // Sizes come smallest first
+    const sizes = message.photo;
+    const largest = sizes[sizes.length - 1];
+    const thumbnail = sizes.find(size => size.width >= THUMBNAIL_MIN_WIDTH) || largest;
+    return [{
+      type,
+      url: fileUrl(largest),
+      mimetype: 'image/jpeg',
+      size: largest.file_size,
+      width: largest.width,
+      height: largest.height,
+      thumbnailUrl: fileUrl(thumbnail)
+    }];
+  }
+
+  const file = message[type];
+  const mimetypes = {
+    voice: 'audio/ogg',
+    video_note: 'video/mp4',
+    sticker: file.is_video ? 'video/webm' : file.is_animated ? 'application/x-tgsticker' : 'image/webp'
+  };
+
+  return [{
+    type,
+    url: fileUrl(file),
+    name: file.file_name || file.title || null,
+    mimetype: file.mime_type || mimetypes[type] || null,
+    size: file.file_size,
+    width: file.width || file.length,
+    height: file.height || file.length,
+    durationMs: file.duration ? file.duration * 1000 : undefined,
+    thumbnailUrl: fileUrl(file.thumbnail || file.thumb),
+    voice: type === 'voice'
+  }];
+}
+
+// Persists updates received by a user's bot into telegram_messages and the
+// unified store. New messages and callback queries go through the rules
+// engine (via storeMessage's notify); edits are announced as message_edited.
+class TelegramIngestService {
+  async handleMessage(userId, botInfo, message, { edited = false } = {}) {
+    try {
+      const attachments = extractAttachments(message);
+      const content = messageContent(message);
+      const timestamp = new Date(message.date * 1000).toISOString();
+      const editedAt = edited && message.edit_date ? new Date(message.edit_date * 1000).toISOString() : null;
+
+      const { data: stored, error } = await adminClient
+        .from('telegram_messages')
+        .upsert({
+          user_id: userId,
+          bot_id: String(botInfo.id),
+          chat_id: String(message.chat.id),
+          chat_title: chatName(message.chat),
+          chat_type: message.chat.type,
+          message_id: String(message.message_id),
+          sender_id: message.from ? String(message.from.id) : null,
+          sender_name: senderName(message.from, message.chat),
+          content,
+          message_type: messageType(message),
+          reply_to_message_id: message.reply_to_message ? String(message.reply_to_message.message_id) : null,
+          media: attachments,
+          raw: message,
+          timestamp,
+          ...(editedAt && { edited_at: editedAt })
+        }, {
+          onConflict: 'user_id,chat_id,message_id'
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await messageStoreService.storeMessage(userId, {
+        platform: 'telegram',
+        conversationId: message.chat.id,
+        conversationName: chatName(message.chat),
+        externalId: `${message.chat.id}:${message.message_id}`,
+        senderId: message.from?.id,
+        senderName: senderName(message.from, message.chat),
+        content,
+        attachments,
+        timestamp,
+        editedAt,
+        metadata: {
+          bot_id: String(botInfo.id),
+          chat_type: message.chat.type,
+          message_type: messageType(message),
+          reply_to: message.reply_to_message ? `${message.chat.id}:${message.reply_to_message.message_id}` : null
+        }
+      }, { notify: true });
+
+      ioEmitter.emit('telegram_message', {
+        userId,
+        type: edited ? 'edited' : 'new',
+        message: stored
+      });
+
+      return stored;
+    } catch (error) {
+      console.error('[Telegram Ingest] Error storing message:', {
+        userId,
+        chatId: message?.chat?.id,
+        messageId: message?.message_id,
+        error
+      });
+      return null;
+    }
+  }
+
+  // Inline keyboard button presses. They are attached to the chat of the
+  // message carrying the keyboard, or the presser's private chat for inline
+  // mode messages.
+  async handleCallbackQuery(userId, botInfo, query) {
+    try {
+      const chat = query.message?.chat || { id: query.from.id, type: 'private', first_name: query.from.first_name, last_name: query.from.last_name };
+      const timestamp = new Date().toISOString();
+      const content = query.data || query.game_short_name || null;
+
+      const { data: stored, error } = await adminClient
+        .from('telegram_messages')
+        .upsert({
+          user_id: userId,
+          bot_id: String(botInfo.id),
+          chat_id: String(chat.id),
+          chat_title: chatName(chat),
+          chat_type: chat.type,
+          message_id: `callback:${query.id}`,
+          sender_id: String(query.from.id),
+          sender_name: senderName(query.from),
+          content,
+          message_type: 'callback_query',
+          reply_to_message_id: query.message ? String(query.message.message_id) : null,
+          callback_data: query.data || null,
+          raw: query,
+          timestamp
+        }, {
+          onConflict: 'user_id,chat_id,message_id'
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await messageStoreService.storeMessage(userId, {
+        platform: 'telegram',
+        conversationId: chat.id,
+        conversationName: chatName(chat),
+        externalId: `${chat.id}:callback:${query.id}`,
+        senderId: query.from.id,
+        senderName: senderName(query.from),
+        content,
+        timestamp,
+        metadata: {
+          bot_id: String(botInfo.id),
+          chat_type: chat.type,
+          message_type: 'callback_query',
+          reply_to: query.message ? `${chat.id}:${query.message.message_id}` : null,
+          inline_message_id: query.inline_message_id || null
+        }
+      }, { notify: true });
+
+      ioEmitter.emit('telegram_message', {
+        userId,
+        type: 'callback_query',
+        message: stored
+      });
+
+      return stored;
+    } catch (error) {
+      console.error('[Telegram Ingest] Error storing callback query:', { userId, queryId: query?.id, error });
+      return null;
+    }
+  }
+
+  // Wire a Telegraf bot's updates to this service
+  registerHandlers(bot, userId, botInfo) {
+    bot.on(['message', 'channel_post'], (ctx) =>
+      this.handleMessage(userId, botInfo, ctx.message || ctx.channelPost));
+
+    bot.on(['edited_message', 'edited_channel_post'], (ctx) =>
+      this.handleMessage(userId, botInfo, ctx.editedMessage || ctx.editedChannelPost, { edited: true }));
+
+    bot.on('callback_query', async (ctx) => {
+      // Stop the client's loading spinner; the press is handled asynchronously
+      await ctx.answerCbQuery().catch(error => {
+        console.error('[Telegram Ingest] Error answering callback query:', error.message);
+      });
+      await this.handleCallbackQuery(userId, botInfo, ctx.callbackQuery);
+    });
+  }
+}
+
+export const telegramIngestService = new TelegramIngestService();
@@ -56,16 +56,23 @@ export async function finalizeTelegramConnection(userId, token) {
   }
 }
 
-export async function getTelegramMessages(account) {
+export async function getTelegramMessages(account, { limit = 50 } = {}) {
   try {
-    if (!account?.credentials?.token) {
-      console.log('No credentials found for Telegram account');
+    if (!account?.user_id) {
+      console.log('No user found for Telegram account');
       return [];
     }
 
-    // For now, return empty array as we haven't implemented Telegram message fetching yet
-    console.log('Telegram message fetching not implemented yet');
-    return [];
+    // Messages are persisted as the bot receives them (see telegramIngestService)
+    const { data, error } = await supabase
+      .from('telegram_messages')
+      .select('*')
+      .eq('user_id', account.user_id)
+      .order('timestamp', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return (data || []).map(message => ({ ...message, platform: 'telegram' }));
   } catch (error) {
     console.error('Error fetching Telegram messages:', error);
     return [];
@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import { Telegraf } from 'telegraf';
+import { adminClient } from '../utils/supabase.js';
+import { decryptToken } from '../utils/encryption.js';
+import { telegramConfig } from '../config/telegramConfig.js';
+import { telegramIngestService, TELEGRAM_ALLOWED_UPDATES } from './telegramIngestService.js';
+
+function webhookError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Webhook delivery for user bots. Telegram POSTs each update to
+// /telegram/webhook/:botId with a per-bot secret token header; the update is
+// dispatched to a Telegraf instance wired to the owning user's ingest
+// handlers. Bots are loaded from their account on first use, so any instance
+// can serve any bot and nothing has to be restored on startup.
+class TelegramWebhookService {
+  constructor() {
+    // botId -> { bot, userId }
+    this.bots = new Map();
+    this.loading = new Map();
+  }
+
+  isEnabled() {
+    return telegramConfig.mode === 'webhook';
+  }
+
+  // Derived rather than stored so every instance agrees on it. Telegram
+  // allows 1-256 characters from [A-Za-z0-9_-].
+  secretToken(botId) {
+    if (!telegramConfig.webhook.secret) {
+      throw new Error('TELEGRAM_WEBHOOK_SECRET must be set to use Telegram webhooks');
+    }
+    return crypto
+      .createHmac('sha256', telegramConfig.webhook.secret)
+      .update(String(botId))
+      .digest('hex');
+  }
+
+  webhookUrl(botId) {
+    if (!telegramConfig.webhook.baseUrl) {
+      throw new Error('TELEGRAM_WEBHOOK_BASE_URL must be set to use Telegram webhooks');
+    }
+    return `${telegramConfig.webhook.baseUrl.replace(/\/+$/, '')}/telegram/webhook/${botId}`;
+  }
+
+  verifySecret(botId, header) {
+    if (!header) return false;
+    const expected = Buffer.from(this.secretToken(botId));
+    const received = Buffer.from(String(header));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  // Point Telegram at this deployment. Replaces any previous webhook and
+  // stops getUpdates for the bot, so polling and webhook never overlap.
+  async registerWebhook(bot, botInfo, userId) {
+    const botId = String(botInfo.id);
+    await bot.telegram.setWebhook(this.webhookUrl(botId), {
+      secret_token: this.secretToken(botId),
+      allowed_updates: TELEGRAM_ALLOWED_UPDATES,
+      max_connections: telegramConfig.webhook.maxConnections,
+      drop_pending_updates: true
+    });
+
+    bot.botInfo = botInfo;
+    this.bots.set(botId, { bot, userId });
+    console.log('[Telegram Webhook] Registered webhook:', { userId, botId });
+  }
+
+  async unregisterWebhook(bot, botId) {
+    try {
+      await bot.telegram.deleteWebhook();
+    } catch (error) {
+      console.error('[Telegram Webhook] Error deleting webhook:', { botId, error: error.message });
+    }
+    if (botId) this.bots.delete(String(botId));
+  }
+
+  async getBot(botId) {
+    const cached = this.bots.get(botId);
+    if (cached) return cached;
+
+    // Concurrent updates for a cold bot share one account lookup
+    if (!this.loading.has(botId)) {
+      this.loading.set(botId, this.loadBot(botId).finally(() => this.loading.delete(botId)));
+    }
+    return this.loading.get(botId);
+  }
+
+  async loadBot(botId) {
+    const { data: account, error } = await adminClient
+      .from('accounts')
+      .select('user_id, credentials, status')
+      .eq('platform', 'telegram')
+      .eq('credentials->>botId', botId)
+      .in('status', ['pending', 'active'])
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!account?.credentials?.token) {
+      throw webhookError('Unknown Telegram bot', 404);
+    }
+
+    const bot = new Telegraf(await decryptToken(account.credentials.token), {
+      handlerTimeout: 15000,
+      telegram: {
+        timeout: 10000,
+        webhookReply: false
+      }
+    });
+    const botInfo = { id: Number(botId), username: account.credentials.botUsername };
+    telegramIngestService.registerHandlers(bot, account.user_id, botInfo);
+    bot.catch((error) => {
+      console.error(`Bot error for user ${account.user_id}:`, error);
+    });
+
+    const entry = { bot, userId: account.user_id };
+    this.bots.set(botId, entry);
+    return entry;
+  }
+
+  async handleUpdate(botId, update) {
+    const { bot } = await this.getBot(String(botId));
+    await bot.handleUpdate(update);
+  }
+}
+
+export const telegramWebhookService = new TelegramWebhookService();
@@ -0,0 +1,216 @@
+import fs from 'fs';
+import { adminClient } from '../utils/supabase.js';
+import { ioEmitter } from '../utils/emitter.js';
+import { sttConfig } from '../config/sttConfig.js';
+import { jobQueueService } from './jobQueueService.js';
+import { mediaService } from './mediaService.js';
+import { sttService } from './sttService.js';
+
+const TRANSCRIBED_PLATFORMS = ['whatsapp', 'telegram'];
+
+function transcriptionError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Voice notes are flagged on ingest: MSC3245 for Matrix-bridged WhatsApp,
+// the voice message type for Telegram
+function isVoiceNote(attachment) {
+  return !!attachment?.voice && !!attachment.url;
+}
+
+// Automatic voice note transcription for users who opted in. New voice notes
+// are queued as media.transcribe jobs when messages are stored; the job
+// fetches the audio through the media cache and writes the transcript back
+// onto the message.
+class TranscriptionService {
+  async getSettings(userId) {
+    const { data, error } = await adminClient
+      .from('user_settings')
+      .select('voice_transcription_enabled, transcription_language')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return {
+      voiceTranscriptionEnabled: !!data?.voice_transcription_enabled,
+      transcriptionLanguage: data?.transcription_language || null
+    };
+  }
+
+  async updateSettings(userId, { voiceTranscriptionEnabled, transcriptionLanguage }) {
+    const update = { user_id: userId };
+
+    if (voiceTranscriptionEnabled !== undefined) {
+      if (typeof voiceTranscriptionEnabled !== 'boolean') {
+        throw transcriptionError('voiceTranscriptionEnabled must be a boolean', 400);
+      }
+      update.voice_transcription_enabled = voiceTranscriptionEnabled;
+    }
+
+    if (transcriptionLanguage !== undefined) {
+      if (transcriptionLanguage !== null && !/^[a-z]{2}$/.test(transcriptionLanguage)) {
+        throw transcriptionError('transcriptionLanguage must be an ISO-639-1 code like "en", or null', 400);
+      }
+      update.transcription_language = transcriptionLanguage;
+    }
+
+    const { error } = await adminClient
+      .from('user_settings')
+      .upsert(update, { onConflict: 'user_id' });
+
+    if (error) throw error;
+    return this.getSettings(userId);
+  }
+
+  // Called by messageStoreService with freshly stored rows. Only new messages
+  // are considered so history re-syncs don't queue work twice.
+  async queueVoiceNotes(userId, messages) {
+    const voiceNotes = messages.filter(message =>
+      TRANSCRIBED_PLATFORMS.includes(message.platform) &&
+      message.created_at === message.updated_at &&
+      !message.transcript &&
+      (message.attachments || []).some(isVoiceNote)
+    );
+
+    if (voiceNotes.length === 0) return [];
+
+    const settings = await this.getSettings(userId);
+    if (!settings.voiceTranscriptionEnabled) return [];
+
+    return Promise.all(voiceNotes.map(message => this.enqueueTranscription(userId, message.id)));
+  }
+
+  enqueueTranscription(userId, messageId, { force = false } = {}) {
+    return jobQueueService.enqueue('media.transcribe', { messageId, force }, {
+      userId,
+      maxAttempts: 3,
+      dedupeKey: String(messageId)
+    });
+  }
+
+  // Manual (re)transcription of a workspace message from the API; ignores the
+  // opt-in since the user asked. The job runs as the message's owner.
+  async requestTranscription(workspaceId, messageId) {
+    const { data: message, error } = await adminClient
+      .from('messages')
+      .select('id, user_id, attachments')
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(messageId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!message) throw transcriptionError('Message not found', 404);
+    if (!(message.attachments || []).some(attachment => attachment?.url && (attachment.voice || (attachment.mimetype || '').startsWith('audio/')))) {
+      throw transcriptionError('Message has no audio to transcribe', 400);
+    }
+    return this.enqueueTranscription(message.user_id, message.id, { force: true });
+  }
+
+  async getMessage(userId, messageId) {
+    const { data, error } = await adminClient
+      .from('messages')
+      .select('id, platform, conversation_id, external_id, attachments, transcript')
+      .eq('user_id', userId)
+      .eq('id', parseInt(messageId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw transcriptionError('Message not found', 404);
+    return data;
+  }
+
+  async getAudioAsset(userId, message) {
+    const { data: assets, error } = await adminClient
+      .from('media_assets')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('message_id', message.id)
+      .eq('kind', 'audio')
+      .limit(1);
+
+    if (error) throw error;
+    if (assets?.length) return assets[0];
+
+    // Registration is best effort on ingest, so retry it here
+    const registered = await mediaService.registerAttachments(userId, [message]);
+    return registered.find(asset => asset.kind === 'audio') || null;
+  }
+
+  async transcribeMessage(userId, messageId, { force = false } = {}) {
+    const message = await this.getMessage(userId, messageId);
+    if (message.transcript && !force) {
+      return { messageId: message.id, skipped: 'already_transcribed' };
+    }
+
+    const asset = await this.getAudioAsset(userId, message);
+    if (!asset) {
+      throw Object.assign(transcriptionError('Message has no audio attachment', 400), { permanent: true });
+    }
+
+    if (asset.duration_ms && asset.duration_ms > sttConfig.maxDurationSeconds * 1000) {
+      console.log('[Transcription Service] Skipping long voice note:', { messageId: message.id, durationMs: asset.duration_ms });
+      return { messageId: message.id, skipped: 'too_long' };
+    }
+
+    const file = await mediaService.getAssetFile(asset, 'full');
+    const audio = await fs.promises.readFile(file.path);
+    const { transcriptionLanguage } = await this.getSettings(userId);
+
+    const result = await sttService.transcribe(audio, {
+      mimetype: file.mimetype,
+      filename: asset.filename || 'voice.ogg',
+      language: transcriptionLanguage,
+      durationSeconds: asset.duration_ms ? asset.duration_ms / 1000 : null,
+      userId
+    });
+
+    // Clearing the embedding queues the message for re-indexing with its transcript
+    const { error } = await adminClient
+      .from('messages')
+      .update({
+        transcript: result.text,
+        transcript_language: result.language,
+        transcribed_at: new Date().toISOString(),
+        embedding: null,
+        embedded_at: null,
+        embedding_skipped_at: null
+      })
+      .eq('id', message.id);
+
+    if (error) throw error;
+
+    if (message.platform === 'whatsapp') {
+      const { error: legacyError } = await adminClient
+        .from('whatsapp_messages')
+        .update({ transcript: result.text })
+        .eq('user_id', userId)
+        .eq('message_id', message.external_id);
+
+      if (legacyError) {
+        console.error('[Transcription Service] Error updating WhatsApp message transcript:', legacyError);
+      }
+    }
+
+    ioEmitter.emit('message_transcribed', {
+      userId,
+      messageId: message.id,
+      platform: message.platform,
+      conversationId: message.conversation_id,
+      transcript: result.text,
+      language: result.language
+    });
+
+    console.log('[Transcription Service] Transcribed voice note:', {
+      messageId: message.id,
+      provider: result.provider,
+      characters: result.text.length
+    });
+
+    return { messageId: message.id, characters: result.text.length, language: result.language };
+  }
+}
+
+export const transcriptionService = new TranscriptionService();
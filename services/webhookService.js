@@ -0,0 +1,598 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { adminClient } from '../utils/supabase.js';
+import { ioEmitter } from '../utils/emitter.js';
+import { encryptToken, decryptToken } from '../utils/encryption.js';
+import { outboundUrlError, publicLookup } from '../utils/outboundUrl.js';
+import { jobQueueService } from './jobQueueService.js';
+import { workspaceService } from './workspaceService.js';
+
+// Internal ioEmitter events and the webhook event type each is sent as
+const EVENT_SOURCES = {
+  message_received: 'message.received',
+  message_edited: 'message.edited',
+  message_deleted: 'message.deleted',
+  new_message: 'bridge.message',
+  whatsapp_message: 'whatsapp.message',
+  whatsapp_contacts_updated: 'whatsapp.contacts_updated',
+  whatsapp_status: 'bridge.status',
+  telegram_status: 'bridge.status',
+  slack_status: 'bridge.status',
+  discord_status: 'bridge.status'
+};
+
+export const WEBHOOK_EVENT_TYPES = [...new Set(Object.values(EVENT_SOURCES))];
+
+const ENDPOINT_COLUMNS = 'id, workspace_id, user_id, url, description, event_types, status, disabled_reason, consecutive_failures, last_delivery_at, last_success_at, created_at, updated_at';
+const DELIVERY_COLUMNS = 'id, endpoint_id, event_id, event_type, payload, status, attempts, max_attempts, next_attempt_at, response_status, error, replay_of, delivered_at, created_at, updated_at';
+const REQUEST_TIMEOUT = 10000;
+// Wait before attempt 2, 3, ...; a delivery is given up after the last one
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000, 6 * 60 * 60 * 1000];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const DISABLE_AFTER_FAILURES = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES, 10) || 15;
+const ENDPOINT_CACHE_TTL_MS = 30 * 1000;
+const MAX_RESPONSE_BODY = 2000;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_REPLAY = 500;
+
+function webhookError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>", so a captured request can't be
+// replayed later with a fresh timestamp
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function validateUrl(value) {
+  const problem = outboundUrlError(value);
+  if (problem) throw webhookError(`url ${problem}`, 400);
+
+  const url = new URL(value);
+  if (process.env.NODE_ENV === 'production' && url.protocol !== 'https:') throw webhookError('url must use https', 400);
+  return url.toString();
+}
+
+function validateEventTypes(eventTypes) {
+  if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+    throw webhookError('eventTypes must be a non-empty array', 400);
+  }
+  const unknown = eventTypes.filter(type => type !== '*' && !WEBHOOK_EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw webhookError(`Unknown event types: ${unknown.join(', ')}. Valid types: ${WEBHOOK_EVENT_TYPES.join(', ')}, *`, 400);
+  }
+  return [...new Set(eventTypes)];
+}
+
+function messageData(message) {
+  return {
+    id: message.id,
+    platform: message.platform,
+    externalId: message.external_id,
+    conversationId: message.conversation_id,
+    conversationName: message.conversation_name,
+    senderId: message.sender_id,
+    senderName: message.sender_name,
+    content: message.content,
+    attachments: message.attachments || [],
+    timestamp: message.timestamp,
+    editedAt: message.edited_at || null,
+    deletedAt: message.deleted_at || null
+  };
+}
+
+// The user an internal event belongs to, and the data sent for it
+function eventData(source, payload) {
+  switch (source) {
+    case 'message_received':
+    case 'message_edited':
+    case 'message_deleted':
+      return {
+        userId: payload.userId,
+        workspaceId: payload.message?.workspace_id,
+        data: { message: messageData(payload.message) }
+      };
+    case 'new_message':
+      // Bridged sends carry the sending user as sender_id
+      return {
+        userId: payload.userId || payload.sender_id,
+        data: { platform: payload.platform, channelId: payload.room_id, content: payload.content }
+      };
+    case 'whatsapp_message':
+      return { userId: payload.userId, workspaceId: payload.workspaceId, data: { contactId: payload.contactId, type: payload.type } };
+    case 'whatsapp_contacts_updated':
+      return { userId: payload.userId, workspaceId: payload.workspaceId, data: { type: payload.type } };
+    default: {
+      const { userId, workspaceId, ...rest } = payload;
+      return { userId, workspaceId, data: { platform: source.replace(/_status$/, ''), ...rest } };
+    }
+  }
+}
+
+// Sends backend events to URLs registered in a workspace. Each event becomes one
+// webhook_deliveries row per subscribed endpoint, delivered by a
+// webhook.deliver job. Failed attempts are retried on RETRY_DELAYS_MS and
+// every attempt is kept in webhook_delivery_attempts.
+//
+// Requests carry X-DailyFix-Event, X-DailyFix-Delivery, X-DailyFix-Timestamp
+// and X-DailyFix-Signature (sha256=<hex HMAC of "<timestamp>.<body>">).
+class WebhookService {
+  constructor() {
+    this.isListening = false;
+    // workspaceId -> { endpoints, loadedAt }
+    this.endpointCache = new Map();
+    this.listeners = Object.keys(EVENT_SOURCES).map(source => [source, payload => this.handleEvent(source, payload)]);
+  }
+
+  start() {
+    if (this.isListening) return;
+    this.isListening = true;
+    for (const [source, listener] of this.listeners) ioEmitter.on(source, listener);
+    console.log('[Webhook Service] Listening for events:', WEBHOOK_EVENT_TYPES);
+  }
+
+  stop() {
+    for (const [source, listener] of this.listeners) ioEmitter.off(source, listener);
+    this.isListening = false;
+  }
+
+  async handleEvent(source, payload) {
+    try {
+      const { userId, workspaceId, data } = eventData(source, payload || {});
+      if (!userId) return;
+      // Events from a user's connections belong to their default workspace
+      const targetWorkspaceId = workspaceId || await workspaceService.getDefaultWorkspaceId(userId);
+      if (!targetWorkspaceId) return;
+      await this.dispatch(targetWorkspaceId, userId, EVENT_SOURCES[source], data);
+    } catch (error) {
+      console.error('[Webhook Service] Error dispatching event:', { source, userId: payload?.userId, error });
+    }
+  }
+
+  async getActiveEndpoints(workspaceId) {
+    const cached = this.endpointCache.get(workspaceId);
+    if (cached && Date.now() - cached.loadedAt < ENDPOINT_CACHE_TTL_MS) return cached.endpoints;
+
+    const { data, error } = await adminClient
+      .from('webhook_endpoints')
+      .select('id, event_types')
+      .eq('workspace_id', workspaceId)
+      .eq('status', 'active');
+
+    if (error) throw error;
+    this.endpointCache.set(workspaceId, { endpoints: data || [], loadedAt: Date.now() });
+    return data || [];
+  }
+
+  // Queue one delivery of the event per subscribed endpoint
+  async dispatch(workspaceId, userId, type, data) {
+    const endpoints = (await this.getActiveEndpoints(workspaceId))
+      .filter(endpoint => endpoint.event_types.includes('*') || endpoint.event_types.includes(type));
+    if (endpoints.length === 0) return [];
+
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      createdAt: new Date().toISOString(),
+      data
+    };
+
+    return this.createDeliveries(workspaceId, userId, endpoints.map(endpoint => ({
+      endpoint_id: endpoint.id,
+      event_id: event.id,
+      event_type: type,
+      payload: event
+    })));
+  }
+
+  // userId owns the delivery jobs
+  async createDeliveries(workspaceId, userId, rows) {
+    const { data: deliveries, error } = await adminClient
+      .from('webhook_deliveries')
+      .insert(rows.map(row => ({ ...row, workspace_id: workspaceId, user_id: userId, max_attempts: MAX_ATTEMPTS })))
+      .select(DELIVERY_COLUMNS);
+
+    if (error) throw error;
+
+    for (const delivery of deliveries) {
+      await this.scheduleAttempt(userId, delivery.id, 1);
+    }
+    return deliveries;
+  }
+
+  // Keyed per attempt: the next attempt is queued while the current job is
+  // still running
+  async scheduleAttempt(userId, deliveryId, attempt, runAt = null) {
+    return jobQueueService.enqueue('webhook.deliver', { deliveryId }, {
+      userId,
+      runAt,
+      dedupeKey: `webhook.deliver:${deliveryId}:${attempt}`
+    });
+  }
+
+  // Job handler for webhook.deliver: one HTTP attempt. A failed attempt
+  // schedules the next one itself, so the job only throws when the
+  // delivery can't be recorded.
+  async deliver(deliveryId, { signal } = {}) {
+    const { data: delivery, error } = await adminClient
+      .from('webhook_deliveries')
+      .select(`${DELIVERY_COLUMNS}, workspace_id, user_id, endpoint:webhook_endpoints(id, url, secret, status, consecutive_failures)`)
+      .eq('id', deliveryId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!delivery || delivery.status === 'succeeded' || delivery.status === 'failed') {
+      return { deliveryId, skipped: true };
+    }
+
+    const { endpoint } = delivery;
+    if (endpoint.status !== 'active') {
+      await this.updateDelivery(delivery.id, { status: 'failed', error: 'Endpoint is disabled', next_attempt_at: null });
+      return { deliveryId, status: 'failed' };
+    }
+
+    // Endpoints saved before the address checks, or while private URLs were allowed
+    const urlProblem = outboundUrlError(endpoint.url);
+    if (urlProblem) {
+      await this.updateDelivery(delivery.id, { status: 'failed', error: `Endpoint url ${urlProblem}`, next_attempt_at: null });
+      return { deliveryId, status: 'failed' };
+    }
+
+    const attempt = delivery.attempts + 1;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'DailyFix-Webhooks/1.0',
+      'X-DailyFix-Event': delivery.event_type,
+      'X-DailyFix-Event-Id': delivery.event_id,
+      'X-DailyFix-Delivery': String(delivery.id),
+      'X-DailyFix-Timestamp': String(timestamp)
+    };
+    const signature = `sha256=${signPayload(await decryptToken(endpoint.secret), timestamp, body)}`;
+
+    const startedAt = Date.now();
+    let responseStatus = null;
+    let responseBody = null;
+    let requestError = null;
+
+    try {
+      const response = await axios.post(endpoint.url, body, {
+        headers: { ...headers, 'X-DailyFix-Signature': signature },
+        timeout: REQUEST_TIMEOUT,
+        signal,
+        maxRedirects: 0,
+        // Refuses hostnames that resolve to private addresses
+        lookup: publicLookup,
+        responseType: 'text',
+        transformResponse: data => data,
+        validateStatus: () => true
+      });
+      responseStatus = response.status;
+      responseBody = typeof response.data === 'string' ? response.data.slice(0, MAX_RESPONSE_BODY) : null;
+      if (response.status < 200 || response.status >= 300) requestError = `HTTP ${response.status}`;
+    } catch (sendError) {
+      requestError = sendError.code ? `${sendError.code}: ${sendError.message}` : sendError.message;
+    }
+
+    const { error: logError } = await adminClient
+      .from('webhook_delivery_attempts')
+      .insert({
+        workspace_id: delivery.workspace_id,
+        user_id: delivery.user_id,
+        delivery_id: delivery.id,
+        attempt,
+        request_headers: headers,
+        response_status: responseStatus,
+        response_body: responseBody,
+        error: requestError,
+        duration_ms: Date.now() - startedAt
+      });
+
+    if (logError) console.error('[Webhook Service] Error logging attempt:', { deliveryId, error: logError });
+
+    const now = new Date().toISOString();
+
+    if (!requestError) {
+      await this.updateDelivery(delivery.id, {
+        status: 'succeeded',
+        attempts: attempt,
+        response_status: responseStatus,
+        error: null,
+        next_attempt_at: null,
+        delivered_at: now
+      });
+      await this.setEndpointState(endpoint.id, { last_delivery_at: now, last_success_at: now, consecutive_failures: 0 });
+      return { deliveryId, status: 'succeeded', attempt, responseStatus };
+    }
+
+    if (attempt < delivery.max_attempts) {
+      const delay = RETRY_DELAYS_MS[Math.min(attempt - 1, RETRY_DELAYS_MS.length - 1)];
+      const nextAttemptAt = new Date(Date.now() + delay + Math.random() * delay * 0.1);
+
+      await this.updateDelivery(delivery.id, {
+        status: 'retrying',
+        attempts: attempt,
+        response_status: responseStatus,
+        error: requestError,
+        next_attempt_at: nextAttemptAt.toISOString()
+      });
+      await this.setEndpointState(endpoint.id, { last_delivery_at: now });
+      await this.scheduleAttempt(delivery.user_id, delivery.id, attempt + 1, nextAttemptAt);
+      return { deliveryId, status: 'retrying', attempt, responseStatus, nextAttemptAt };
+    }
+
+    console.warn('[Webhook Service] Delivery failed after final attempt:', { deliveryId, endpointId: endpoint.id, error: requestError });
+    await this.updateDelivery(delivery.id, {
+      status: 'failed',
+      attempts: attempt,
+      response_status: responseStatus,
+      error: requestError,
+      next_attempt_at: null
+    });
+
+    const failures = endpoint.consecutive_failures + 1;
+    const disable = failures >= DISABLE_AFTER_FAILURES;
+    await this.setEndpointState(endpoint.id, {
+      last_delivery_at: now,
+      consecutive_failures: failures,
+      ...(disable ? { status: 'disabled', disabled_reason: `Disabled after ${failures} failed deliveries in a row` } : {})
+    });
+    if (disable) {
+      console.warn('[Webhook Service] Disabled failing endpoint:', { endpointId: endpoint.id, failures });
+      this.endpointCache.delete(delivery.workspace_id);
+    }
+    return { deliveryId, status: 'failed', attempt, responseStatus };
+  }
+
+  async updateDelivery(deliveryId, update) {
+    const { error } = await adminClient
+      .from('webhook_deliveries')
+      .update(update)
+      .eq('id', deliveryId);
+
+    if (error) throw error;
+  }
+
+  async setEndpointState(endpointId, update) {
+    const { error } = await adminClient
+      .from('webhook_endpoints')
+      .update(update)
+      .eq('id', endpointId);
+
+    if (error) throw error;
+  }
+
+  // Endpoints
+
+  async listEndpoints(workspaceId) {
+    const { data, error } = await adminClient
+      .from('webhook_endpoints')
+      .select(ENDPOINT_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getEndpoint(workspaceId, endpointId) {
+    const { data, error } = await adminClient
+      .from('webhook_endpoints')
+      .select(ENDPOINT_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(endpointId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw webhookError('Webhook endpoint not found', 404);
+    return data;
+  }
+
+  // The secret is only ever returned here and from rotateSecret
+  async createEndpoint(workspaceId, userId, { url, description = null, eventTypes } = {}) {
+    const secret = generateSecret();
+
+    const { data, error } = await adminClient
+      .from('webhook_endpoints')
+      .insert({
+        workspace_id: workspaceId,
+        user_id: userId,
+        url: validateUrl(url),
+        description: description || null,
+        event_types: validateEventTypes(eventTypes),
+        secret: await encryptToken(secret)
+      })
+      .select(ENDPOINT_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    this.endpointCache.delete(workspaceId);
+    console.log('[Webhook Service] Created endpoint:', { workspaceId, userId, endpointId: data.id, eventTypes: data.event_types });
+    return { ...data, secret };
+  }
+
+  // Body: { url, description, eventTypes, status }. Re-enabling an endpoint
+  // clears its failure count.
+  async updateEndpoint(workspaceId, endpointId, changes) {
+    const endpoint = await this.getEndpoint(workspaceId, endpointId);
+
+    const update = {};
+    if (changes.url !== undefined) update.url = validateUrl(changes.url);
+    if (changes.description !== undefined) update.description = changes.description || null;
+    if (changes.eventTypes !== undefined) update.event_types = validateEventTypes(changes.eventTypes);
+    if (changes.status !== undefined) {
+      if (!['active', 'disabled'].includes(changes.status)) throw webhookError('status must be active or disabled', 400);
+      update.status = changes.status;
+      if (changes.status === 'active') {
+        update.disabled_reason = null;
+        update.consecutive_failures = 0;
+      } else if (endpoint.status === 'active') {
+        update.disabled_reason = 'Disabled by user';
+      }
+    }
+    if (Object.keys(update).length === 0) return endpoint;
+
+    const { data, error } = await adminClient
+      .from('webhook_endpoints')
+      .update(update)
+      .eq('id', endpoint.id)
+      .select(ENDPOINT_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    this.endpointCache.delete(workspaceId);
+    return data;
+  }
+
+  async deleteEndpoint(workspaceId, endpointId) {
+    const endpoint = await this.getEndpoint(workspaceId, endpointId);
+
+    const { error } = await adminClient
+      .from('webhook_endpoints')
+      .delete()
+      .eq('id', endpoint.id);
+
+    if (error) throw error;
+    this.endpointCache.delete(workspaceId);
+  }
+
+  // Pending retries are signed with the new secret
+  async rotateSecret(workspaceId, endpointId) {
+    const endpoint = await this.getEndpoint(workspaceId, endpointId);
+    const secret = generateSecret();
+
+    const { error } = await adminClient
+      .from('webhook_endpoints')
+      .update({ secret: await encryptToken(secret) })
+      .eq('id', endpoint.id);
+
+    if (error) throw error;
+    return { ...endpoint, secret };
+  }
+
+  // Queue a ping event to the endpoint, whatever it subscribes to
+  async sendTest(workspaceId, userId, endpointId) {
+    const endpoint = await this.getEndpoint(workspaceId, endpointId);
+    if (endpoint.status !== 'active') throw webhookError('Endpoint is disabled', 409);
+
+    const event = {
+      id: crypto.randomUUID(),
+      type: 'ping',
+      createdAt: new Date().toISOString(),
+      data: { endpointId: endpoint.id }
+    };
+
+    const [delivery] = await this.createDeliveries(workspaceId, userId, [{
+      endpoint_id: endpoint.id,
+      event_id: event.id,
+      event_type: event.type,
+      payload: event
+    }]);
+    return delivery;
+  }
+
+  // Delivery log
+
+  async listDeliveries(workspaceId, endpointId, { status = null, eventType = null, before = null, limit = DEFAULT_LIMIT } = {}) {
+    const endpoint = await this.getEndpoint(workspaceId, endpointId);
+
+    let query = adminClient
+      .from('webhook_deliveries')
+      .select(DELIVERY_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .eq('endpoint_id', endpoint.id)
+      .order('created_at', { ascending: false })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT));
+
+    if (status) query = query.eq('status', status);
+    if (eventType) query = query.eq('event_type', eventType);
+    if (before) query = query.lt('created_at', before);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getDelivery(workspaceId, endpointId, deliveryId) {
+    const { data, error } = await adminClient
+      .from('webhook_deliveries')
+      .select(`${DELIVERY_COLUMNS}, attempt_log:webhook_delivery_attempts(attempt, request_headers, response_status, response_body, error, duration_ms, created_at)`)
+      .eq('workspace_id', workspaceId)
+      .eq('endpoint_id', parseInt(endpointId, 10))
+      .eq('id', parseInt(deliveryId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw webhookError('Delivery not found', 404);
+
+    data.attempt_log = (data.attempt_log || []).sort((a, b) => a.attempt - b.attempt);
+    return data;
+  }
+
+  // Send the same event again as a new delivery with a fresh set of attempts
+  async replayDelivery(workspaceId, userId, endpointId, deliveryId) {
+    const endpoint = await this.getEndpoint(workspaceId, endpointId);
+    if (endpoint.status !== 'active') throw webhookError('Endpoint is disabled', 409);
+
+    const original = await this.getDelivery(workspaceId, endpoint.id, deliveryId);
+    const [delivery] = await this.createDeliveries(workspaceId, userId, [{
+      endpoint_id: endpoint.id,
+      event_id: original.event_id,
+      event_type: original.event_type,
+      payload: original.payload,
+      replay_of: original.id
+    }]);
+
+    console.log('[Webhook Service] Replaying delivery:', { workspaceId, endpointId: endpoint.id, deliveryId: original.id, replayId: delivery.id });
+    return delivery;
+  }
+
+  // Replay every delivery in a time range, e.g. after the receiver was down.
+  // Query: status (default failed), since, until, limit.
+  async replayDeliveries(workspaceId, userId, endpointId, { status = 'failed', since = null, until = null, limit = MAX_REPLAY } = {}) {
+    const endpoint = await this.getEndpoint(workspaceId, endpointId);
+    if (endpoint.status !== 'active') throw webhookError('Endpoint is disabled', 409);
+    if (status && !['pending', 'retrying', 'succeeded', 'failed'].includes(status)) {
+      throw webhookError('status must be pending, retrying, succeeded or failed', 400);
+    }
+
+    let query = adminClient
+      .from('webhook_deliveries')
+      .select('id, event_id, event_type, payload')
+      .eq('workspace_id', workspaceId)
+      .eq('endpoint_id', endpoint.id)
+      .order('created_at', { ascending: true })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || MAX_REPLAY, 1), MAX_REPLAY));
+
+    if (status) query = query.eq('status', status);
+    if (since) query = query.gte('created_at', since);
+    if (until) query = query.lte('created_at', until);
+
+    const { data: originals, error } = await query;
+    if (error) throw error;
+    if (originals.length === 0) return [];
+
+    const deliveries = await this.createDeliveries(workspaceId, userId, originals.map(original => ({
+      endpoint_id: endpoint.id,
+      event_id: original.event_id,
+      event_type: original.event_type,
+      payload: original.payload,
+      replay_of: original.id
+    })));
+
+    console.log('[Webhook Service] Replaying deliveries:', { workspaceId, endpointId: endpoint.id, count: deliveries.length });
+    return deliveries;
+  }
+}
+
+export const webhookService = new WebhookService();
@@ -1,8 +1,13 @@
+import crypto from 'crypto';
 import { adminClient } from '../utils/supabase.js';
+import { ioEmitter } from '../utils/emitter.js';
 import { matrixWhatsAppService }  from './matrixWhatsAppService.js';
 import { BRIDGE_CONFIGS } from '../config/bridgeConfig.js';
 import * as sdk from 'matrix-js-sdk';
 import { getIO } from '../utils/socket.js';
+import { messageStoreService } from './messageStoreService.js';
+import { jobQueueService } from './jobQueueService.js';
+import { workspaceService, hasRole } from './workspaceService.js';
 
 // Helper function to extract WhatsApp ID from room data
 // function extractWhatsAppId(roomData) {
@@ -47,6 +52,24 @@ import { getIO } from '../utils/socket.js';
 //   }
 // }
 
+const MEDIA_MSGTYPES = {
+  image: 'm.image',
+  video: 'm.video',
+  audio: 'm.audio',
+  document: 'm.file'
+};
+
+function mediaKind(mimetype = '') {
+  const [type] = mimetype.split('/');
+  return ['image', 'video', 'audio'].includes(type) ? type : 'document';
+}
+
+function statusError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
 class WhatsAppEntityService {
   constructor() {
     this.adminClient = adminClient; // Store adminClient reference
@@ -333,6 +356,78 @@ class WhatsAppEntityService {
     return contacts || [];
   }
 
+  // A contact in a workspace's shared inbox. Platform work for it goes
+  // through the connection of the member it was synced for (contact.user_id).
+  async getWorkspaceContact(workspaceId, contactId) {
+    const { data, error } = await adminClient
+      .from('whatsapp_contacts')
+      .select('*')
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(contactId, 10))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw statusError('Contact not found', 404);
+    return data;
+  }
+
+  // Contacts from every WhatsApp connection in the workspace, after the
+  // first (or a forced) sync of each. assignee narrows to one member's
+  // conversations, or 'unassigned'; status to open, pending, resolved or
+  // snoozed ones.
+  async listContacts(workspaceId, { forceSync = false, assignee = null, status = null } = {}) {
+    const connectionUserIds = await workspaceService.listConnectionUserIds(workspaceId, 'whatsapp');
+    for (const userId of connectionUserIds) {
+      await this.getContacts(userId, forceSync);
+    }
+
+    let query = adminClient
+      .from('whatsapp_contacts')
+      .select('*')
+      .eq('workspace_id', workspaceId);
+
+    if (assignee === 'unassigned') query = query.is('assigned_to', null);
+    else if (assignee) query = query.eq('assigned_to', assignee);
+    if (status) query = query.eq('status', status);
+
+    const { data: contacts, error } = await query.order('last_message_at', { ascending: false });
+
+    if (error) throw error;
+    return contacts || [];
+  }
+
+  // Assign a conversation to a workspace member (agents and above), or
+  // unassign it with null
+  async assignContact(workspaceId, contactId, assigneeId, { assignedBy = null } = {}) {
+    const contact = await this.getWorkspaceContact(workspaceId, contactId);
+
+    if (assigneeId !== null) {
+      const member = await workspaceService.getMembership(workspaceId, assigneeId);
+      if (!member) throw statusError('Assignee is not a member of this workspace', 400);
+      if (!hasRole(member.role, 'agent')) throw statusError('Viewers cannot be assigned conversations', 400);
+    }
+
+    const { data, error } = await adminClient
+      .from('whatsapp_contacts')
+      .update({
+        assigned_to: assigneeId,
+        assigned_at: assigneeId ? new Date().toISOString() : null
+      })
+      .eq('id', contact.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    ioEmitter.emit('whatsapp_contact_assigned', {
+      workspaceId,
+      contactId: contact.id,
+      assignedTo: assigneeId,
+      assignedBy
+    });
+    return data;
+  }
+
   async syncContacts(userId, matrixClient) {
     try {
       // Get all rooms
@@ -435,16 +530,21 @@ class WhatsAppEntityService {
         throw new Error('Matrix client not initialized');
       }
 
-      // Request sync using Matrix's native sync
-      const syncResult = await matrixWhatsAppService.syncMessages(userId, contactId);
+      // Hand the sync to the job queue; repeated requests for the same
+      // contact collapse into the job that is already queued or running
+      const job = await jobQueueService.enqueue('whatsapp.sync_messages', { contactId }, {
+        userId,
+        dedupeKey: `${userId}:${contactId}`
+      });
 
       // Return sync request status
       return {
         status: 'success',
         data: {
           sync_status: 'pending',
-          message: 'Sync initiated using Matrix native sync',
-          details: syncResult
+          message: 'Sync queued',
+          job_id: job.id,
+          details: { jobStatus: job.status }
         }
       };
 
@@ -684,6 +784,8 @@ class WhatsAppEntityService {
         .in('message_id', messageIds);
 
       if (error) throw error;
+
+      await messageStoreService.markExternalAsRead(userId, 'whatsapp', messageIds);
       return data;
     } catch (error) {
       console.error('Error marking messages as read:', error);
@@ -691,6 +793,279 @@ class WhatsAppEntityService {
     }
   }
 
+  async getContactRoom(userId, contactId) {
+    const { data: contact, error } = await adminClient
+      .from('whatsapp_contacts')
+      .select('id, display_name, bridge_room_id, metadata')
+      .eq('user_id', userId)
+      .eq('id', contactId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!contact) throw statusError('Contact not found', 404);
+
+    const roomId = contact.bridge_room_id || contact.metadata?.room_id;
+    if (!roomId) throw statusError('Contact has no associated bridge room', 409);
+
+    const matrixClient = await this.getMatrixClient(userId);
+    if (!matrixClient) throw statusError('Matrix client not initialized', 503);
+
+    return { contact, roomId, matrixClient };
+  }
+
+  async getContactMessage(userId, contactId, messageId) {
+    const { data, error } = await adminClient
+      .from('whatsapp_messages')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('contact_id', contactId)
+      .eq('message_id', messageId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw statusError(`Message not found: ${messageId}`, 404);
+    return data;
+  }
+
+  // Send a text or media message to a contact through its bridge room.
+  // The row is inserted right away with delivery_status 'pending' so the UI
+  // can show it, then moves to 'sent' once the homeserver accepts the event
+  // (or 'failed'). Bridge receipts advance it further, see
+  // matrixWhatsAppService.watchDeliveryState.
+  // media: { buffer, mimetype, filename }
+  // sentBy records which workspace member wrote it when that isn't the
+  // connection's own user
+  async sendMessage(userId, contactId, { content = null, replyTo = null, media = null, sentBy = null } = {}) {
+    const text = typeof content === 'string' && content.trim() ? content.trim() : null;
+    if (!text && !media) {
+      throw statusError('Message content or media is required', 400);
+    }
+    if (media && (!Buffer.isBuffer(media.buffer) || media.buffer.length === 0)) {
+      throw statusError('Media upload is empty', 400);
+    }
+
+    const { contact, roomId, matrixClient } = await this.getContactRoom(userId, contactId);
+    if (replyTo) {
+      await this.getContactMessage(userId, contactId, replyTo);
+    }
+
+    const senderId = matrixClient.getUserId();
+    const senderName = matrixClient.getUser?.(senderId)?.displayName || senderId;
+    const txnId = `dailyfix-${crypto.randomUUID()}`;
+    const messageType = media ? mediaKind(media.mimetype) : 'text';
+    const filename = media ? (media.filename || `${messageType}-${Date.now()}`) : null;
+    const timestamp = new Date().toISOString();
+
+    const { data: pending, error: insertError } = await adminClient
+      .from('whatsapp_messages')
+      .insert({
+        user_id: userId,
+        contact_id: contactId,
+        message_id: `local:${txnId}`,
+        content: text || filename,
+        sender_id: senderId,
+        sender_name: senderName,
+        message_type: messageType,
+        direction: 'outbound',
+        delivery_status: 'pending',
+        reply_to_message_id: replyTo,
+        is_read: true,
+        timestamp,
+        metadata: {
+          room_id: roomId,
+          txn_id: txnId,
+          ...(sentBy && sentBy !== userId && { sent_by: sentBy }),
+          ...(media && { media: { filename, mimetype: media.mimetype, size: media.buffer.length } })
+        }
+      })
+      .select()
+      .single();
+
+    if (insertError) throw insertError;
+    ioEmitter.emit('whatsapp_outbound_message', { userId, contactId, message: pending });
+
+    let eventContent;
+    let eventId;
+    try {
+      if (media) {
+        const upload = await matrixClient.uploadContent(media.buffer, {
+          name: filename,
+          type: media.mimetype
+        });
+        eventContent = {
+          msgtype: MEDIA_MSGTYPES[messageType],
+          // With a separate filename the bridge sends body as the caption
+          body: text || filename,
+          filename,
+          url: upload.content_uri,
+          info: { mimetype: media.mimetype, size: media.buffer.length }
+        };
+      } else {
+        eventContent = { msgtype: 'm.text', body: text };
+      }
+
+      if (replyTo) {
+        eventContent['m.relates_to'] = { 'm.in_reply_to': { event_id: replyTo } };
+      }
+
+      ({ event_id: eventId } = await matrixClient.sendEvent(roomId, 'm.room.message', eventContent, txnId));
+    } catch (sendError) {
+      console.error('[WhatsApp Service] Error sending message:', { userId, contactId, error: sendError });
+
+      const { data: failed } = await adminClient
+        .from('whatsapp_messages')
+        .update({ delivery_status: 'failed', delivery_error: sendError.message })
+        .eq('id', pending.id)
+        .select()
+        .single();
+
+      ioEmitter.emit('whatsapp_outbound_message', { userId, contactId, message: failed || pending });
+      throw Object.assign(statusError(`Failed to send message: ${sendError.message}`, 502), { messageId: pending.message_id });
+    }
+
+    const { data: sent, error: updateError } = await adminClient
+      .from('whatsapp_messages')
+      .update({
+        message_id: eventId,
+        delivery_status: 'sent',
+        metadata: {
+          ...pending.metadata,
+          event_id: eventId,
+          ...(eventContent.url && { media: { ...pending.metadata.media, url: eventContent.url } })
+        }
+      })
+      .eq('id', pending.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    try {
+      await messageStoreService.storeMessage(userId, {
+        platform: 'whatsapp',
+        conversationId: contactId,
+        conversationName: contact.display_name,
+        externalId: eventId,
+        senderId,
+        senderName,
+        content: text,
+        attachments: eventContent.url ? [{
+          type: eventContent.msgtype,
+          url: eventContent.url,
+          name: filename,
+          mimetype: media.mimetype,
+          size: media.buffer.length
+        }] : [],
+        timestamp,
+        isRead: true,
+        metadata: {
+          room_id: roomId,
+          message_type: messageType,
+          direction: 'outbound',
+          reply_to: replyTo
+        }
+      });
+    } catch (error) {
+      console.error('[WhatsApp Service] Error storing unified message:', error);
+    }
+
+    ioEmitter.emit('whatsapp_outbound_message', { userId, contactId, message: sent });
+    return sent;
+  }
+
+  // React to a message in the contact's conversation with an emoji key
+  async sendReaction(userId, contactId, { messageId, key }) {
+    if (!messageId || !key) {
+      throw statusError('reaction requires messageId and key', 400);
+    }
+
+    const { roomId, matrixClient } = await this.getContactRoom(userId, contactId);
+    const target = await this.getContactMessage(userId, contactId, messageId);
+
+    const { event_id: eventId } = await matrixClient.sendEvent(roomId, 'm.reaction', {
+      'm.relates_to': {
+        rel_type: 'm.annotation',
+        event_id: messageId,
+        key
+      }
+    });
+
+    const reactions = [
+      ...(target.metadata?.reactions || []),
+      { key, event_id: eventId, sender_id: matrixClient.getUserId(), timestamp: new Date().toISOString() }
+    ];
+
+    const { data: updated, error } = await adminClient
+      .from('whatsapp_messages')
+      .update({ metadata: { ...target.metadata, reactions } })
+      .eq('id', target.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    ioEmitter.emit('whatsapp_outbound_message', { userId, contactId, message: updated });
+    return updated;
+  }
+
+  // Edit one of our own text messages. The bridge turns an m.replace event
+  // into a WhatsApp edit.
+  async editMessage(userId, contactId, { messageId, content }) {
+    const text = typeof content === 'string' ? content.trim() : '';
+    if (!messageId || !text) {
+      throw statusError('edit requires messageId and content', 400);
+    }
+
+    const { roomId, matrixClient } = await this.getContactRoom(userId, contactId);
+    const target = await this.getContactMessage(userId, contactId, messageId);
+
+    await matrixClient.sendEvent(roomId, 'm.room.message', {
+      msgtype: 'm.text',
+      body: `* ${text}`,
+      'm.new_content': { msgtype: 'm.text', body: text },
+      'm.relates_to': { rel_type: 'm.replace', event_id: messageId }
+    });
+
+    const { data: updated, error } = await adminClient
+      .from('whatsapp_messages')
+      .update({
+        content: text,
+        metadata: { ...target.metadata, edited_at: new Date().toISOString() }
+      })
+      .eq('id', target.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    ioEmitter.emit('whatsapp_outbound_message', { userId, contactId, message: updated });
+    return updated;
+  }
+
+  // Delete a message for everyone by redacting its bridge event
+  async deleteMessage(userId, contactId, { messageId }) {
+    if (!messageId) {
+      throw statusError('delete requires messageId', 400);
+    }
+
+    const { roomId, matrixClient } = await this.getContactRoom(userId, contactId);
+    const target = await this.getContactMessage(userId, contactId, messageId);
+
+    await matrixClient.redactEvent(roomId, messageId);
+
+    const { data: updated, error } = await adminClient
+      .from('whatsapp_messages')
+      .update({ metadata: { ...target.metadata, deleted_at: new Date().toISOString() } })
+      .eq('id', target.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    ioEmitter.emit('whatsapp_outbound_message', { userId, contactId, message: updated });
+    return updated;
+  }
+
   async _fetchMessagesFromRoom(matrixClient, roomId, limit = 50, before = null) {
     if (!roomId) {
       throw new Error('Room ID is required');
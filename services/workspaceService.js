@@ -0,0 +1,470 @@
+import crypto from 'crypto';
+import { adminClient } from '../utils/supabase.js';
+import { ioEmitter } from '../utils/emitter.js';
+
+// Lowest to highest; each role can do everything the ones before it can
+export const WORKSPACE_ROLES = ['viewer', 'agent', 'admin', 'owner'];
+export const WORKSPACE_HEADER = 'X-Workspace-Id';
+
+const WORKSPACE_COLUMNS = 'id, name, created_by, created_at, updated_at';
+const INVITATION_COLUMNS = 'id, workspace_id, email, role, invited_by, expires_at, accepted_by, accepted_at, revoked_at, created_at';
+const INVITATION_TTL_DAYS = parseInt(process.env.WORKSPACE_INVITATION_TTL_DAYS, 10) || 7;
+const MEMBERSHIP_CACHE_TTL_MS = 60 * 1000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function workspaceError(message, status, code = null) {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export function hasRole(role, required) {
+  return WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(required);
+}
+
+class WorkspaceService {
+  constructor() {
+    // `${userId}:${workspaceId}` -> { membership, loadedAt }
+    this.membershipCache = new Map();
+    // userId -> { workspaceId, loadedAt }
+    this.defaultCache = new Map();
+  }
+
+  invalidate(userId) {
+    this.defaultCache.delete(userId);
+    for (const key of this.membershipCache.keys()) {
+      if (key.startsWith(`${userId}:`)) this.membershipCache.delete(key);
+    }
+  }
+
+  // The workspace a user's requests use when they name none; created on first use
+  async getDefaultWorkspaceId(userId) {
+    const cached = this.defaultCache.get(userId);
+    if (cached && Date.now() - cached.loadedAt < MEMBERSHIP_CACHE_TTL_MS) return cached.workspaceId;
+
+    const { data, error } = await adminClient.rpc('default_workspace_id', { p_user_id: userId });
+    if (error) throw error;
+
+    this.defaultCache.set(userId, { workspaceId: data, loadedAt: Date.now() });
+    return data;
+  }
+
+  async getMembership(workspaceId, userId) {
+    if (!UUID_PATTERN.test(workspaceId) || !UUID_PATTERN.test(userId)) return null;
+
+    const key = `${userId}:${workspaceId}`;
+    const cached = this.membershipCache.get(key);
+    if (cached && Date.now() - cached.loadedAt < MEMBERSHIP_CACHE_TTL_MS) return cached.membership;
+
+    const { data, error } = await adminClient
+      .from('workspace_members')
+      .select('workspace_id, user_id, role, is_default')
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    this.membershipCache.set(key, { membership: data, loadedAt: Date.now() });
+    return data;
+  }
+
+  // Workspace and role for a request: the one named (by header) or the
+  // user's default. Throws 403 when the user isn't a member.
+  async resolve(userId, requestedId = null) {
+    if (requestedId && !UUID_PATTERN.test(requestedId)) {
+      throw workspaceError(`${WORKSPACE_HEADER} must be a workspace id`, 400);
+    }
+
+    const workspaceId = requestedId || await this.getDefaultWorkspaceId(userId);
+    const membership = await this.getMembership(workspaceId, userId);
+    if (!membership) {
+      throw workspaceError('You are not a member of this workspace', 403, 'WORKSPACE_FORBIDDEN');
+    }
+
+    return { id: workspaceId, role: membership.role };
+  }
+
+  async assertRole(workspaceId, userId, required) {
+    const membership = await this.getMembership(workspaceId, userId);
+    if (!membership) throw workspaceError('Workspace not found', 404);
+    if (!hasRole(membership.role, required)) {
+      throw workspaceError(`This requires the ${required} role in the workspace`, 403, 'INSUFFICIENT_ROLE');
+    }
+    return membership;
+  }
+
+  async listWorkspaces(userId) {
+    const { data, error } = await adminClient
+      .from('workspace_members')
+      .select(`role, is_default, workspace:workspaces(${WORKSPACE_COLUMNS})`)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(({ workspace, role, is_default }) => ({ ...workspace, role, is_default }));
+  }
+
+  async getWorkspace(workspaceId, userId) {
+    const membership = await this.assertRole(workspaceId, userId, 'viewer');
+
+    const { data, error } = await adminClient
+      .from('workspaces')
+      .select(WORKSPACE_COLUMNS)
+      .eq('id', workspaceId)
+      .single();
+
+    if (error) throw error;
+    return { ...data, role: membership.role, is_default: membership.is_default };
+  }
+
+  validateName(name) {
+    if (typeof name !== 'string' || !name.trim()) throw workspaceError('name must be a non-empty string', 400);
+    if (name.trim().length > 100) throw workspaceError('name must be at most 100 characters', 400);
+    return name.trim();
+  }
+
+  async createWorkspace(userId, { name } = {}) {
+    const { data, error } = await adminClient
+      .from('workspaces')
+      .insert({ name: this.validateName(name), created_by: userId })
+      .select(WORKSPACE_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    const { error: memberError } = await adminClient
+      .from('workspace_members')
+      .insert({ workspace_id: data.id, user_id: userId, role: 'owner' });
+
+    if (memberError) {
+      await adminClient.from('workspaces').delete().eq('id', data.id);
+      throw memberError;
+    }
+
+    this.invalidate(userId);
+    ioEmitter.emit('workspace_member_joined', { workspaceId: data.id, userId, role: 'owner' });
+    console.log('[Workspaces] Created workspace:', { userId, workspaceId: data.id });
+    return { ...data, role: 'owner', is_default: false };
+  }
+
+  async updateWorkspace(workspaceId, userId, { name } = {}) {
+    await this.assertRole(workspaceId, userId, 'admin');
+
+    const { data, error } = await adminClient
+      .from('workspaces')
+      .update({ name: this.validateName(name) })
+      .eq('id', workspaceId)
+      .select(WORKSPACE_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Deleting a workspace deletes its shared data with it
+  async deleteWorkspace(workspaceId, userId) {
+    await this.assertRole(workspaceId, userId, 'owner');
+
+    const { count, error: countError } = await adminClient
+      .from('workspace_members')
+      .select('user_id', { count: 'exact', head: true })
+      .eq('user_id', userId);
+
+    if (countError) throw countError;
+    if (count <= 1) throw workspaceError('You cannot delete your only workspace', 409);
+
+    // Read before the delete cascades to the memberships
+    const { data: members, error: membersError } = await adminClient
+      .from('workspace_members')
+      .select('user_id')
+      .eq('workspace_id', workspaceId);
+
+    if (membersError) throw membersError;
+
+    const { error } = await adminClient
+      .from('workspaces')
+      .delete()
+      .eq('id', workspaceId);
+
+    if (error) throw error;
+
+    members.forEach(member => {
+      this.invalidate(member.user_id);
+      ioEmitter.emit('workspace_member_removed', { workspaceId, userId: member.user_id });
+    });
+    console.log('[Workspaces] Deleted workspace:', { userId, workspaceId });
+  }
+
+  async setDefault(workspaceId, userId) {
+    await this.assertRole(workspaceId, userId, 'viewer');
+
+    const { error: clearError } = await adminClient
+      .from('workspace_members')
+      .update({ is_default: false })
+      .eq('user_id', userId)
+      .eq('is_default', true);
+
+    if (clearError) throw clearError;
+
+    const { error } = await adminClient
+      .from('workspace_members')
+      .update({ is_default: true })
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    this.invalidate(userId);
+    return this.getWorkspace(workspaceId, userId);
+  }
+
+  async listMembers(workspaceId, userId) {
+    await this.assertRole(workspaceId, userId, 'viewer');
+
+    const { data, error } = await adminClient
+      .from('workspace_members')
+      .select('user_id, role, invited_by, created_at, updated_at')
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const members = await Promise.all((data || []).map(async member => {
+      const { data: userData } = await adminClient.auth.admin.getUserById(member.user_id);
+      return {
+        ...member,
+        email: userData?.user?.email || null,
+        name: userData?.user?.user_metadata?.full_name || null
+      };
+    }));
+    return members;
+  }
+
+  async countOwners(workspaceId) {
+    const { count, error } = await adminClient
+      .from('workspace_members')
+      .select('user_id', { count: 'exact', head: true })
+      .eq('workspace_id', workspaceId)
+      .eq('role', 'owner');
+
+    if (error) throw error;
+    return count;
+  }
+
+  // Admins manage agents and viewers; only owners grant or take away admin
+  // and owner. A workspace always keeps at least one owner.
+  async updateMemberRole(workspaceId, userId, memberId, role) {
+    if (!WORKSPACE_ROLES.includes(role)) {
+      throw workspaceError(`role must be one of ${WORKSPACE_ROLES.join(', ')}`, 400);
+    }
+
+    const actor = await this.assertRole(workspaceId, userId, 'admin');
+    const member = await this.getMembership(workspaceId, memberId);
+    if (!member) throw workspaceError('Member not found', 404);
+
+    if (actor.role !== 'owner' && (hasRole(role, 'admin') || hasRole(member.role, 'admin'))) {
+      throw workspaceError('Only owners can change admin and owner roles', 403, 'INSUFFICIENT_ROLE');
+    }
+    if (member.role === 'owner' && role !== 'owner' && await this.countOwners(workspaceId) <= 1) {
+      throw workspaceError('A workspace needs at least one owner', 409);
+    }
+
+    const { data, error } = await adminClient
+      .from('workspace_members')
+      .update({ role })
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', memberId)
+      .select('user_id, role, invited_by, created_at, updated_at')
+      .single();
+
+    if (error) throw error;
+
+    this.invalidate(memberId);
+    console.log('[Workspaces] Changed member role:', { workspaceId, memberId, role, by: userId });
+    return data;
+  }
+
+  // Members may always leave; removing someone else needs admin (owner for
+  // admins and owners). Their assigned conversations become unassigned.
+  async removeMember(workspaceId, userId, memberId) {
+    const member = await this.getMembership(workspaceId, memberId);
+    if (!member) throw workspaceError('Member not found', 404);
+
+    if (memberId !== userId) {
+      const actor = await this.assertRole(workspaceId, userId, 'admin');
+      if (actor.role !== 'owner' && hasRole(member.role, 'admin')) {
+        throw workspaceError('Only owners can remove admins and owners', 403, 'INSUFFICIENT_ROLE');
+      }
+    }
+    if (member.role === 'owner' && await this.countOwners(workspaceId) <= 1) {
+      throw workspaceError('A workspace needs at least one owner', 409);
+    }
+
+    const { error } = await adminClient
+      .from('workspace_members')
+      .delete()
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', memberId);
+
+    if (error) throw error;
+
+    const { error: unassignError } = await adminClient
+      .from('whatsapp_contacts')
+      .update({ assigned_to: null, assigned_at: null })
+      .eq('workspace_id', workspaceId)
+      .eq('assigned_to', memberId);
+
+    if (unassignError) throw unassignError;
+
+    this.invalidate(memberId);
+    ioEmitter.emit('workspace_member_removed', { workspaceId, userId: memberId });
+    console.log('[Workspaces] Removed member:', { workspaceId, memberId, by: userId });
+  }
+
+  async listInvitations(workspaceId, userId) {
+    await this.assertRole(workspaceId, userId, 'admin');
+
+    const { data, error } = await adminClient
+      .from('workspace_invitations')
+      .select(INVITATION_COLUMNS)
+      .eq('workspace_id', workspaceId)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Body: { email, role }. The token is only returned here; the invitee
+  // accepts with it while signed in with that email.
+  async createInvitation(workspaceId, userId, { email, role = 'agent' } = {}) {
+    const actor = await this.assertRole(workspaceId, userId, 'admin');
+
+    if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      throw workspaceError('email must be a valid email address', 400);
+    }
+    if (!['admin', 'agent', 'viewer'].includes(role)) {
+      throw workspaceError('role must be one of admin, agent, viewer', 400);
+    }
+    if (role === 'admin' && actor.role !== 'owner') {
+      throw workspaceError('Only owners can invite admins', 403, 'INSUFFICIENT_ROLE');
+    }
+
+    const token = `dfx_inv_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const { data, error } = await adminClient
+      .from('workspace_invitations')
+      .insert({
+        workspace_id: workspaceId,
+        email: email.trim().toLowerCase(),
+        role,
+        token_hash: hashToken(token),
+        invited_by: userId,
+        expires_at: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+      })
+      .select(INVITATION_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') throw workspaceError('This email already has a pending invitation', 409);
+      throw error;
+    }
+
+    console.log('[Workspaces] Created invitation:', { workspaceId, invitationId: data.id, role, by: userId });
+    return { ...data, token };
+  }
+
+  async revokeInvitation(workspaceId, userId, invitationId) {
+    await this.assertRole(workspaceId, userId, 'admin');
+
+    const { data, error } = await adminClient
+      .from('workspace_invitations')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('workspace_id', workspaceId)
+      .eq('id', parseInt(invitationId, 10))
+      .is('accepted_at', null)
+      .select(INVITATION_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw workspaceError('Invitation not found', 404);
+    return data;
+  }
+
+  async acceptInvitation(user, token) {
+    if (typeof token !== 'string' || !token) throw workspaceError('token is required', 400);
+
+    const { data: invitation, error } = await adminClient
+      .from('workspace_invitations')
+      .select(`${INVITATION_COLUMNS}, token_hash`)
+      .eq('token_hash', hashToken(token))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!invitation || invitation.revoked_at) throw workspaceError('Invitation not found', 404);
+    if (invitation.accepted_at) throw workspaceError('Invitation has already been used', 409);
+    if (new Date(invitation.expires_at) <= new Date()) throw workspaceError('Invitation has expired', 410);
+    if (invitation.email !== user.email?.toLowerCase()) {
+      throw workspaceError('This invitation was sent to a different email address', 403);
+    }
+
+    const existing = await this.getMembership(invitation.workspace_id, user.id);
+    if (!existing) {
+      const { error: memberError } = await adminClient
+        .from('workspace_members')
+        .insert({
+          workspace_id: invitation.workspace_id,
+          user_id: user.id,
+          role: invitation.role,
+          invited_by: invitation.invited_by
+        });
+
+      if (memberError) throw memberError;
+    }
+
+    const { error: updateError } = await adminClient
+      .from('workspace_invitations')
+      .update({ accepted_by: user.id, accepted_at: new Date().toISOString() })
+      .eq('id', invitation.id);
+
+    if (updateError) throw updateError;
+
+    this.invalidate(user.id);
+    ioEmitter.emit('workspace_member_joined', { workspaceId: invitation.workspace_id, userId: user.id, role: invitation.role });
+    console.log('[Workspaces] Invitation accepted:', { workspaceId: invitation.workspace_id, userId: user.id });
+    return this.getWorkspace(invitation.workspace_id, user.id);
+  }
+
+  async listWorkspaceIds(userId) {
+    const { data, error } = await adminClient
+      .from('workspace_members')
+      .select('workspace_id')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return (data || []).map(row => row.workspace_id);
+  }
+
+  // Members whose active connections to a platform feed this workspace
+  async listConnectionUserIds(workspaceId, platform) {
+    const { data, error } = await adminClient
+      .from('accounts')
+      .select('user_id')
+      .eq('workspace_id', workspaceId)
+      .eq('platform', platform)
+      .eq('status', 'active')
+      .order('updated_at', { ascending: false });
+
+    if (error) throw error;
+    return [...new Set((data || []).map(row => row.user_id))];
+  }
+}
+
+export const workspaceService = new WorkspaceService();
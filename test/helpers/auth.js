@@ -0,0 +1,19 @@
+import './env.js';
+import { supabase, adminClient } from '../../utils/supabase.js';
+import { workspaceService } from '../../services/workspaceService.js';
+
+export const USER_ID = '00000000-0000-4000-8000-000000000001';
+export const WORKSPACE_ID = '00000000-0000-4000-8000-0000000000aa';
+export const AUTH_HEADERS = { Authorization: 'Bearer session-token' };
+
+// Accept any bearer session token as USER_ID, a member of WORKSPACE_ID with
+// the given role. Uses the test context's mocks, so it is undone after the test.
+export function signInAs(t, role) {
+  const getUser = async () => ({ data: { user: { id: USER_ID, email: 'agent@example.com', user_metadata: {} } }, error: null });
+  t.mock.method(supabase.auth, 'getUser', getUser);
+  t.mock.method(adminClient.auth, 'getUser', getUser);
+  t.mock.method(workspaceService, 'getDefaultWorkspaceId', async () => WORKSPACE_ID);
+  t.mock.method(workspaceService, 'getMembership', async (workspaceId, userId) => (
+    workspaceId === WORKSPACE_ID && userId === USER_ID ? { role } : null
+  ));
+}
@@ -0,0 +1,6 @@
+// Import first in any test that loads utils/supabase.js: the clients need a
+// URL and keys to be created, and tests must never reach a real project.
+process.env.SUPABASE_URL = 'http://127.0.0.1:54321';
+process.env.SUPABASE_ANON_KEY = 'test-anon-key';
+process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+process.env.LLM_PROVIDER = 'local';
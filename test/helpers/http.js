@@ -0,0 +1,33 @@
+import express from 'express';
+
+// Serve app-level routes on an ephemeral port for one test
+export async function withServer(mount, run) {
+  const app = express();
+  app.use(express.json());
+  mount(app);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    return await run(base);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+export async function request(base, method, path, { body, headers = {} } = {}) {
+  const response = await fetch(`${base}${path}`, {
+    method,
+    headers: {
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...headers
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  const json = response.headers.get('content-type')?.includes('application/json');
+  return { status: response.status, headers: response.headers, body: text ? (json ? JSON.parse(text) : text) : null };
+}
@@ -0,0 +1,44 @@
+// Stand-ins for supabase queries. Every from()/rpc() call is recorded as
+// { table, calls } and, when awaited, resolves with respond(table, calls),
+// which returns a { data, error, count } result like the real client.
+function fakeQuery(table, calls, respond) {
+  const query = new Proxy({}, {
+    get(target, method) {
+      if (method === 'then') {
+        const result = Promise.resolve().then(() => respond(table, calls) || { data: null, error: null });
+        return result.then.bind(result);
+      }
+      return (...args) => {
+        calls.push([method, ...args]);
+        return query;
+      };
+    }
+  });
+  return query;
+}
+
+// Replace client.from and client.rpc until restore() is called
+export function stubSupabase(client, respond) {
+  const original = { from: client.from, rpc: client.rpc };
+  const log = [];
+
+  const start = (table, first) => {
+    const entry = { table, calls: first ? [first] : [] };
+    log.push(entry);
+    return fakeQuery(table, entry.calls, respond);
+  };
+
+  client.from = table => start(table);
+  client.rpc = (fn, params) => start(`rpc:${fn}`, ['rpc', params]);
+
+  return {
+    log,
+    restore() {
+      client.from = original.from;
+      client.rpc = original.rpc;
+    }
+  };
+}
+
+// Value of the first call to method in a recorded query, e.g. call(q, 'eq')
+export const call = (entry, method) => entry.calls.find(([name]) => name === method)?.slice(1);
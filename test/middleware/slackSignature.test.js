@@ -0,0 +1,91 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { verifySlackSignature } from '../../middleware/slackSignature.js';
+
+const SECRET = 'test-signing-secret';
+const body = JSON.stringify({ type: 'event_callback', event: { type: 'message', text: 'hi' } });
+
+const sign = (timestamp, rawBody = body, secret = SECRET) =>
+  `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function run({ timestamp = now(), signature, rawBody = body } = {}) {
+  const headers = {
+    'x-slack-request-timestamp': timestamp === null ? undefined : String(timestamp),
+    'x-slack-signature': signature === undefined ? sign(timestamp) : signature
+  };
+  const req = {
+    rawBody: rawBody === null ? undefined : Buffer.from(rawBody),
+    get: name => headers[name.toLowerCase()]
+  };
+  const result = { status: null, body: null, nextCalled: false };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(payload) {
+      result.body = payload;
+      return this;
+    }
+  };
+
+  verifySlackSignature(req, res, () => {
+    result.nextCalled = true;
+  });
+  return result;
+}
+
+describe('verifySlackSignature', () => {
+  beforeEach(() => {
+    process.env.SLACK_SIGNING_SECRET = SECRET;
+  });
+
+  it('passes a correctly signed, fresh request', () => {
+    const result = run();
+    assert.equal(result.nextCalled, true);
+    assert.equal(result.status, null);
+  });
+
+  it('rejects a signature made with another secret', () => {
+    const timestamp = now();
+    const result = run({ timestamp, signature: sign(timestamp, body, 'other-secret') });
+    assert.equal(result.status, 401);
+    assert.equal(result.nextCalled, false);
+  });
+
+  it('rejects a body changed after signing', () => {
+    const timestamp = now();
+    const result = run({ timestamp, signature: sign(timestamp), rawBody: body.replace('hi', 'bye') });
+    assert.equal(result.status, 401);
+  });
+
+  it('rejects signatures of the wrong length without comparing them', () => {
+    const result = run({ signature: 'v0=abc' });
+    assert.equal(result.status, 401);
+    assert.equal(result.body.message, 'Invalid Slack signature');
+  });
+
+  it('rejects requests older or newer than five minutes, even when signed', () => {
+    for (const timestamp of [now() - 6 * 60, now() + 6 * 60]) {
+      const result = run({ timestamp, signature: sign(timestamp) });
+      assert.equal(result.status, 401);
+      assert.equal(result.body.message, 'Stale Slack request');
+    }
+  });
+
+  it('rejects requests missing the signature, timestamp or raw body', () => {
+    assert.equal(run({ signature: null }).status, 401);
+    assert.equal(run({ timestamp: null }).status, 401);
+    assert.equal(run({ rawBody: null }).status, 401);
+  });
+
+  it('refuses everything when no signing secret is configured', () => {
+    delete process.env.SLACK_SIGNING_SECRET;
+    const result = run();
+    assert.equal(result.status, 503);
+    assert.equal(result.nextCalled, false);
+  });
+});
@@ -0,0 +1,37 @@
+import '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mountLegacyRoutes, v1Router } from '../../routes/apiRoutes.js';
+import { matrixWhatsAppService } from '../../services/matrixWhatsAppService.js';
+import { withServer, request } from '../helpers/http.js';
+import { signInAs, AUTH_HEADERS } from '../helpers/auth.js';
+
+const mountAll = app => {
+  app.use('/api/v1', v1Router);
+  mountLegacyRoutes(app);
+};
+
+describe('admin-only writes on /matrix and /bridge', () => {
+  for (const path of ['/matrix/whatsapp/connect', '/bridge/whatsapp/connect', '/api/v1/matrix/whatsapp/connect']) {
+    it(`refuse a viewer on POST ${path}`, async t => {
+      signInAs(t, 'viewer');
+      const connect = t.mock.method(matrixWhatsAppService, 'connectWhatsApp', async () => ({ status: 'connecting' }));
+
+      const response = await withServer(mountAll, base => request(base, 'POST', path, { headers: AUTH_HEADERS, body: {} }));
+
+      assert.equal(response.status, 403);
+      assert.equal(response.body.code, 'INSUFFICIENT_ROLE');
+      assert.equal(connect.mock.callCount(), 0);
+    });
+  }
+
+  it('let an admin through', async t => {
+    signInAs(t, 'admin');
+    const connect = t.mock.method(matrixWhatsAppService, 'connectWhatsApp', async () => ({ status: 'connecting' }));
+
+    const response = await withServer(mountAll, base => request(base, 'POST', '/matrix/whatsapp/connect', { headers: AUTH_HEADERS, body: {} }));
+
+    assert.equal(response.status, 200);
+    assert.equal(connect.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,65 @@
+import '../helpers/env.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import mediaRoutes from '../../routes/mediaRoutes.js';
+import { mediaService } from '../../services/mediaService.js';
+import { withServer, request } from '../helpers/http.js';
+import { signInAs, AUTH_HEADERS } from '../helpers/auth.js';
+
+const mount = app => app.use('/api/media', mediaRoutes);
+
+describe('GET /:mediaId/content', () => {
+  let dir;
+  let filePath;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'media-routes-'));
+    filePath = path.join(dir, 'file');
+    await fs.writeFile(filePath, '<script>alert(1)</script>');
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const serve = async (t, file, query = '') => {
+    signInAs(t, 'viewer');
+    t.mock.method(mediaService, 'getMediaFile', async () => ({ path: filePath, size: 25, ...file }));
+    return withServer(mount, base => request(base, 'GET', `/api/media/7/content${query}`, { headers: AUTH_HEADERS }));
+  };
+
+  it('shows images inline, sandboxed and without type sniffing', async t => {
+    const response = await serve(t, { mimetype: 'image/png', filename: 'photo.png' });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    assert.equal(response.headers.get('content-disposition'), 'inline; filename="photo.png"');
+    assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+    assert.equal(response.headers.get('content-security-policy'), 'sandbox');
+  });
+
+  it('shows PDFs inline', async t => {
+    const response = await serve(t, { mimetype: 'application/pdf', filename: 'invoice.pdf' });
+    assert.equal(response.headers.get('content-disposition'), 'inline; filename="invoice.pdf"');
+  });
+
+  for (const mimetype of ['text/html', 'image/png']) {
+    it(`downloads ${mimetype} when asked to`, async t => {
+      const response = await serve(t, { mimetype, filename: 'page' }, '?download=true');
+      assert.match(response.headers.get('content-disposition'), /^attachment; filename="page"$/);
+    });
+  }
+
+  for (const mimetype of ['text/html', 'application/javascript', 'application/octet-stream']) {
+    it(`forces a download for ${mimetype}, with or without a filename`, async t => {
+      const named = await serve(t, { mimetype, filename: 'page.html' });
+      assert.equal(named.headers.get('content-disposition'), 'attachment; filename="page.html"');
+      assert.equal(named.headers.get('content-security-policy'), 'sandbox');
+
+      t.mock.restoreAll();
+      const unnamed = await serve(t, { mimetype, filename: null });
+      assert.equal(unnamed.headers.get('content-disposition'), 'attachment');
+    });
+  }
+});
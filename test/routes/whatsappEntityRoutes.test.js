@@ -0,0 +1,97 @@
+import '../helpers/env.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import whatsappEntityRoutes from '../../routes/whatsappEntityRoutes.js';
+import { conversationService } from '../../services/conversationService.js';
+import { whatsappEntityService } from '../../services/whatsappEntityService.js';
+import { contactProfileService } from '../../services/contactProfileService.js';
+import { withServer, request } from '../helpers/http.js';
+import { signInAs, AUTH_HEADERS, WORKSPACE_ID, USER_ID } from '../helpers/auth.js';
+
+const mount = app => app.use('/api/whatsapp-entities', whatsappEntityRoutes);
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+describe('PUT /contacts/:contactId/status', () => {
+  for (const status of ['open', 'pending', 'resolved', 'snoozed']) {
+    it(`sets the status to ${status}`, async t => {
+      signInAs(t, 'agent');
+      const body = status === 'snoozed' ? { status, snoozedUntil: inAnHour() } : { status };
+      const setStatus = t.mock.method(conversationService, 'setStatus', async (workspaceId, contactId, change) => ({
+        id: Number(contactId),
+        status: change.status
+      }));
+
+      const response = await withServer(mount, base => request(base, 'PUT', '/api/whatsapp-entities/contacts/42/status', {
+        headers: AUTH_HEADERS,
+        body
+      }));
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body, { status: 'success', data: { id: 42, status } });
+      assert.equal(setStatus.mock.callCount(), 1);
+      assert.deepEqual(setStatus.mock.calls[0].arguments, [WORKSPACE_ID, '42', body, { changedBy: USER_ID }]);
+    });
+  }
+
+  it('rejects a non-numeric contact id once, without running the handler', async t => {
+    signInAs(t, 'agent');
+    const setStatus = t.mock.method(conversationService, 'setStatus', async () => ({}));
+
+    const response = await withServer(mount, base => request(base, 'PUT', '/api/whatsapp-entities/contacts/abc/status', {
+      headers: AUTH_HEADERS,
+      body: { status: 'open' }
+    }));
+
+    assert.equal(response.status, 400);
+    assert.equal(setStatus.mock.callCount(), 0);
+  });
+
+  it('needs the agent role', async t => {
+    signInAs(t, 'viewer');
+    const setStatus = t.mock.method(conversationService, 'setStatus', async () => ({}));
+
+    const response = await withServer(mount, base => request(base, 'PUT', '/api/whatsapp-entities/contacts/42/status', {
+      headers: AUTH_HEADERS,
+      body: { status: 'resolved' }
+    }));
+
+    assert.equal(response.status, 403);
+    assert.equal(setStatus.mock.callCount(), 0);
+  });
+});
+
+describe('GET /contacts/:contactId/profile', () => {
+  const profile = {
+    personId: 9,
+    notes: [{ id: 1, person_id: 9, body: 'Prefers email', pinned: true }],
+    tags: [{ id: 3, name: 'vip' }],
+    customFields: { plan: 'pro' }
+  };
+
+  it('returns the linked person\'s notes, tags and custom fields', async t => {
+    signInAs(t, 'viewer');
+    t.mock.method(whatsappEntityService, 'getWorkspaceContact', async (workspaceId, contactId) => ({ id: Number(contactId), workspace_id: workspaceId }));
+    const getProfile = t.mock.method(contactProfileService, 'getWhatsappContactProfile', async () => profile);
+
+    const response = await withServer(mount, base => request(base, 'GET', '/api/whatsapp-entities/contacts/42/profile', {
+      headers: AUTH_HEADERS
+    }));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data, { contactId: 42, ...profile });
+    assert.deepEqual(getProfile.mock.calls[0].arguments, [WORKSPACE_ID, 42]);
+  });
+
+  it('answers 404 for a contact outside the workspace', async t => {
+    signInAs(t, 'viewer');
+    t.mock.method(whatsappEntityService, 'getWorkspaceContact', async () => {
+      throw Object.assign(new Error('Contact not found'), { status: 404 });
+    });
+
+    const response = await withServer(mount, base => request(base, 'GET', '/api/whatsapp-entities/contacts/42/profile', {
+      headers: AUTH_HEADERS
+    }));
+
+    assert.equal(response.status, 404);
+  });
+});
@@ -0,0 +1,107 @@
+import '../helpers/env.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { adminClient } from '../../utils/supabase.js';
+import { accessTokenService, isAccessToken, TOKEN_PREFIX } from '../../services/accessTokenService.js';
+import { stubSupabase, call } from '../helpers/supabase.js';
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+let stub;
+afterEach(() => stub?.restore());
+
+describe('createToken', () => {
+  it('stores only a SHA-256 hash and a short prefix of the token', async () => {
+    stub = stubSupabase(adminClient, (table, calls) => {
+      if (calls.some(([method]) => method === 'insert')) {
+        const [row] = call({ calls }, 'insert');
+        return { data: { id: 1, ...row }, error: null };
+      }
+      return { count: 0, error: null };
+    });
+
+    const created = await accessTokenService.createToken('user-1', { name: 'CI', scopes: ['read:messages'] });
+    const [row] = call(stub.log.at(-1), 'insert');
+
+    assert.ok(isAccessToken(created.token));
+    assert.ok(created.token.length > TOKEN_PREFIX.length + 40);
+    assert.equal(row.token_hash, sha256(created.token));
+    assert.equal(row.token_prefix, created.token.slice(0, TOKEN_PREFIX.length + 6));
+    assert.ok(!Object.values(row).includes(created.token));
+  });
+
+  it('makes a different token every time', async () => {
+    stub = stubSupabase(adminClient, (table, calls) => (calls.some(([method]) => method === 'insert')
+      ? { data: { id: 1 }, error: null }
+      : { count: 0, error: null }));
+
+    const first = await accessTokenService.createToken('user-1', { name: 'a', scopes: ['admin'] });
+    const second = await accessTokenService.createToken('user-1', { name: 'b', scopes: ['admin'] });
+    assert.notEqual(first.token, second.token);
+  });
+
+  it('rejects unknown scopes before touching the database', async () => {
+    stub = stubSupabase(adminClient, () => assert.fail('no query expected'));
+    await assert.rejects(
+      accessTokenService.createToken('user-1', { name: 'x', scopes: ['write:everything'] }),
+      { status: 400 }
+    );
+  });
+});
+
+describe('authenticate', () => {
+  const row = overrides => ({
+    token_id: 7,
+    user_id: 'user-1',
+    scopes: ['read:messages'],
+    rate_limit: 60,
+    request_count: 1,
+    window_resets_at: inAnHour(),
+    revoked_at: null,
+    expires_at: null,
+    ...overrides
+  });
+
+  const authenticateWith = (tokenRow, token = `${TOKEN_PREFIX}secret`) => {
+    stub = stubSupabase(adminClient, () => ({ data: tokenRow ? [tokenRow] : [], error: null }));
+    accessTokenService.userCache.set('user-1', { user: { id: 'user-1' }, loadedAt: Date.now() });
+    return accessTokenService.authenticate(token, { ip: '203.0.113.5' });
+  };
+
+  it('looks the token up by its hash, never the token itself', async () => {
+    const token = `${TOKEN_PREFIX}secret`;
+    const result = await authenticateWith(row(), token);
+    const [params] = call(stub.log[0], 'rpc');
+
+    assert.equal(stub.log[0].table, 'rpc:use_personal_access_token');
+    assert.equal(params.p_token_hash, sha256(token));
+    assert.ok(!JSON.stringify(params).includes(token));
+    assert.equal(result.user.id, 'user-1');
+    assert.deepEqual(result.token, { id: 7, scopes: ['read:messages'] });
+  });
+
+  it('rejects unknown, revoked and expired tokens with 401', async () => {
+    await assert.rejects(authenticateWith(null), { status: 401, code: 'TOKEN_INVALID' });
+    await assert.rejects(authenticateWith(row({ revoked_at: new Date().toISOString() })), { status: 401, code: 'TOKEN_REVOKED' });
+    await assert.rejects(authenticateWith(row({ expires_at: new Date(Date.now() - 1000).toISOString() })), { status: 401, code: 'TOKEN_EXPIRED' });
+  });
+
+  it('rejects requests over the rate limit with 429 and the window', async () => {
+    await assert.rejects(authenticateWith(row({ rate_limit: 5, request_count: 6 })), error => {
+      assert.equal(error.status, 429);
+      assert.equal(error.rate.remaining, 0);
+      assert.equal(error.rate.limit, 5);
+      return true;
+    });
+  });
+});
+
+describe('hasScope', () => {
+  it('grants admin everything and other scopes only themselves', () => {
+    assert.equal(accessTokenService.hasScope(['admin'], 'reports'), true);
+    assert.equal(accessTokenService.hasScope(['read:messages'], 'read:messages'), true);
+    assert.equal(accessTokenService.hasScope(['read:messages'], 'send:messages'), false);
+  });
+});
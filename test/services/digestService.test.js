@@ -0,0 +1,125 @@
+import '../helpers/env.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { adminClient } from '../../utils/supabase.js';
+import { digestService } from '../../services/digestService.js';
+import { notificationService } from '../../services/notificationService.js';
+import { taskService } from '../../services/taskService.js';
+import { stubSupabase, call } from '../helpers/supabase.js';
+
+const nextRun = (schedule, after) => digestService.computeNextRun(schedule, new Date(after)).toISOString();
+
+describe('computeNextRun', () => {
+  const daily = { cadence: 'daily', hour: 9, timezone: 'UTC' };
+
+  it('picks today when the hour is still ahead', () => {
+    assert.equal(nextRun(daily, '2024-03-05T08:59:00Z'), '2024-03-05T09:00:00.000Z');
+  });
+
+  it('is strictly after the given time, so a run just made is not repeated', () => {
+    assert.equal(nextRun(daily, '2024-03-05T09:00:00Z'), '2024-03-06T09:00:00.000Z');
+  });
+
+  it('uses the hour in the schedule\'s timezone', () => {
+    const tokyo = { cadence: 'daily', hour: 9, timezone: 'Asia/Tokyo' };
+    assert.equal(nextRun(tokyo, '2024-03-05T01:00:00Z'), '2024-03-06T00:00:00.000Z');
+
+    const kolkata = { cadence: 'daily', hour: 9, timezone: 'Asia/Kolkata' };
+    assert.equal(nextRun(kolkata, '2024-03-05T00:00:00Z'), '2024-03-05T03:30:00.000Z');
+
+    const kathmandu = { cadence: 'daily', hour: 9, timezone: 'Asia/Kathmandu' };
+    assert.equal(nextRun(kathmandu, '2024-03-05T00:00:00Z'), '2024-03-05T03:15:00.000Z');
+  });
+
+  it('follows daylight saving changes', () => {
+    const newYork = { cadence: 'daily', hour: 9, timezone: 'America/New_York' };
+    // EST (UTC-5) before 10 March 2024, EDT (UTC-4) after
+    assert.equal(nextRun(newYork, '2024-03-09T15:00:00Z'), '2024-03-10T13:00:00.000Z');
+    assert.equal(nextRun(newYork, '2024-03-08T15:00:00Z'), '2024-03-09T14:00:00.000Z');
+  });
+
+  it('skips a day whose local hour does not exist', () => {
+    // 01:00 doesn't happen in London on 31 March 2024; clocks go from 01:00 GMT to 02:00 BST
+    const london = { cadence: 'daily', hour: 1, timezone: 'Europe/London' };
+    assert.equal(nextRun(london, '2024-03-30T02:00:00Z'), '2024-04-01T00:00:00.000Z');
+  });
+
+  it('waits for the right weekday on weekly schedules', () => {
+    // 5 March 2024 is a Tuesday; day_of_week 5 is Friday
+    const weekly = { cadence: 'weekly', hour: 17, day_of_week: 5, timezone: 'Europe/Berlin' };
+    assert.equal(nextRun(weekly, '2024-03-05T12:00:00Z'), '2024-03-08T16:00:00.000Z');
+    assert.equal(nextRun(weekly, '2024-03-08T16:00:00Z'), '2024-03-15T16:00:00.000Z');
+  });
+});
+
+describe('generateDigest', () => {
+  const schedule = {
+    id: 3,
+    workspace_id: '00000000-0000-4000-8000-0000000000aa',
+    user_id: 'owner',
+    name: 'Daily',
+    output_format: 'notification',
+    conversations: [{ platform: 'slack', conversationId: 'C1' }]
+  };
+  const period = { periodStart: '2024-03-04T09:00:00.000Z', periodEnd: '2024-03-05T09:00:00.000Z' };
+  const section = { platform: 'slack', conversationId: 'C1', name: 'general', messageCount: 1, analysis: { summary: 'Ship it', actionItems: ['Ship the release'] } };
+  const message = { external_id: 'e1', sender_name: 'Ana', content: 'Ship the release', timestamp: '2024-03-04T10:00:00Z', conversation_name: 'general' };
+
+  const database = existingReport => (table, calls) => {
+    if (table === 'digest_schedules') return { data: schedule, error: null };
+    if (table === 'messages') return { data: [message], error: null };
+    if (call({ calls }, 'upsert')) return { data: { id: 11, title: 'Daily', ...call({ calls }, 'upsert')[0] }, error: null };
+    if (call({ calls }, 'update')) return { data: null, error: null };
+    return { data: existingReport, error: null };
+  };
+
+  let stub;
+  afterEach(() => stub?.restore());
+
+  it('upserts the report for its period and marks each delivery step done', async t => {
+    stub = stubSupabase(adminClient, database(null));
+    t.mock.method(digestService, 'analyzeConversation', async () => section.analysis);
+    t.mock.method(digestService, 'generateOverallSummary', async () => 'Overview');
+    const record = t.mock.method(taskService, 'recordActionItems', async () => ({ created: [], seen: [] }));
+    const notify = t.mock.method(notificationService, 'createNotification', async () => ({}));
+
+    const result = await digestService.generateDigest(3, period);
+
+    const upsert = stub.log.find(entry => call(entry, 'upsert'));
+    assert.deepEqual(call(upsert, 'upsert')[1], { onConflict: 'schedule_id,period_start,period_end' });
+    assert.equal(record.mock.callCount(), 1);
+    assert.equal(notify.mock.callCount(), 1);
+    assert.deepEqual(stub.log.filter(entry => call(entry, 'update')).map(entry => Object.keys(call(entry, 'update')[0])[0]), ['tasks_recorded_at', 'notified_at']);
+    assert.deepEqual(result, { reportId: 11, conversations: 1 });
+  });
+
+  it('on retry keeps the stored report and skips tasks already recorded for it', async t => {
+    const stored = { id: 11, title: 'Daily', type: 'digest', format: 'notification', data: { summary: 'Overview', sections: [section] }, tasks_recorded_at: '2024-03-05T09:01:00Z', notified_at: null };
+    stub = stubSupabase(adminClient, database(stored));
+    const analyze = t.mock.method(digestService, 'analyzeConversation', async () => section.analysis);
+    const record = t.mock.method(taskService, 'recordActionItems', async () => ({ created: [], seen: [] }));
+    const notify = t.mock.method(notificationService, 'createNotification', async () => ({}));
+
+    const result = await digestService.generateDigest(3, period);
+
+    assert.equal(analyze.mock.callCount(), 0);
+    assert.equal(record.mock.callCount(), 0);
+    assert.ok(!stub.log.some(entry => call(entry, 'upsert')));
+    assert.equal(notify.mock.calls[0].arguments[1].data.reportId, 11);
+    assert.deepEqual(result, { reportId: 11, conversations: 1 });
+  });
+
+  it('on retry records the tasks a failed attempt left out, from the stored analysis', async t => {
+    const stored = { id: 11, title: 'Daily', type: 'digest', format: 'notification', data: { summary: 'Overview', sections: [section] }, tasks_recorded_at: null, notified_at: null };
+    stub = stubSupabase(adminClient, database(stored));
+    const analyze = t.mock.method(digestService, 'analyzeConversation', async () => section.analysis);
+    const record = t.mock.method(taskService, 'recordActionItems', async () => ({ created: [], seen: [] }));
+    t.mock.method(notificationService, 'createNotification', async () => ({}));
+
+    await digestService.generateDigest(3, period);
+
+    assert.equal(analyze.mock.callCount(), 0);
+    assert.deepEqual(record.mock.calls[0].arguments[1].items, ['Ship the release']);
+    assert.equal(record.mock.calls[0].arguments[1].messages[0].externalId, 'e1');
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LocalProvider } from '../../../services/llm/localProvider.js';
+import { validateJson } from '../../../services/llm/jsonSchema.js';
+import { llmConfig } from '../../../config/llmConfig.js';
+
+const provider = new LocalProvider();
+const conversation = [
+  '[2024-03-01 09:00] Alice: The export is broken again and I am disappointed',
+  '[2024-03-01 09:05] Bob: Sorry! Can you send the file please?',
+  '[2024-03-01 09:06] Alice: This is urgent, we need it today'
+].join('\n');
+const messages = [
+  { role: 'system', content: 'Summarize the conversation.' },
+  { role: 'user', content: conversation }
+];
+
+const schema = {
+  type: 'object',
+  required: ['summary', 'sentiment', 'priority', 'actionItems', 'sentimentScore'],
+  properties: {
+    summary: { type: 'string' },
+    sentiment: { type: 'string', enum: ['POSITIVE', 'NEUTRAL', 'NEGATIVE'] },
+    priority: { type: 'string', enum: ['HIGH', 'MEDIUM', 'LOW'] },
+    actionItems: { type: 'array', items: { type: 'string' } },
+    sentimentScore: { type: 'number', minimum: -1, maximum: 1 }
+  }
+};
+
+describe('LocalProvider', () => {
+  it('returns JSON that satisfies the requested schema', async () => {
+    const { text } = await provider.complete({ messages, json: true, schema });
+    const output = JSON.parse(text);
+
+    assert.deepEqual(validateJson(output, schema), []);
+    assert.equal(output.sentiment, 'NEGATIVE');
+    assert.equal(output.priority, 'HIGH');
+    assert.ok(output.actionItems.some(item => item.includes('send the file')));
+    assert.ok(output.sentimentScore < 0);
+  });
+
+  it('gives the same output for the same prompt', async () => {
+    const first = await provider.complete({ messages, json: true, schema });
+    const second = await provider.complete({ messages, json: true, schema });
+    assert.equal(first.text, second.text);
+  });
+
+  it('summarizes as plain text without a schema', async () => {
+    const { text, usage } = await provider.complete({ messages });
+    assert.match(text, /^3 messages\./);
+    assert.ok(usage.promptTokens > 0);
+    assert.ok(usage.completionTokens > 0);
+  });
+
+  it('embeds texts as unit vectors that are closer when they share words', async () => {
+    const { embeddings } = await provider.embed({
+      input: ['refund for broken order', 'broken order refund please', 'lunch on friday']
+    });
+    const dot = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0);
+
+    assert.equal(embeddings[0].length, llmConfig.local.embeddingDimensions);
+    assert.ok(Math.abs(dot(embeddings[0], embeddings[0]) - 1) < 1e-9);
+    assert.ok(dot(embeddings[0], embeddings[1]) > dot(embeddings[0], embeddings[2]));
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, trimToTokenBudget } from '../../../services/llm/tokens.js';
+
+describe('estimateTokens', () => {
+  it('counts about four characters per token', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens(null), 0);
+    assert.equal(estimateTokens('abcd'), 1);
+    assert.equal(estimateTokens('abcde'), 2);
+  });
+});
+
+describe('trimToTokenBudget', () => {
+  const transcript = ['first line here', 'second line here', 'third line here'].join('\n');
+
+  it('leaves text within the budget alone', () => {
+    assert.equal(trimToTokenBudget(transcript, 100), transcript);
+  });
+
+  it('drops the oldest lines first', () => {
+    assert.equal(trimToTokenBudget(transcript, 11), 'second line here\nthird line here');
+    assert.equal(trimToTokenBudget(transcript, 6), 'third line here');
+  });
+
+  it('keeps the tail of a single line longer than the budget', () => {
+    const line = 'x'.repeat(40) + 'END';
+    assert.equal(trimToTokenBudget(line, 2), 'xxxxxEND');
+  });
+});
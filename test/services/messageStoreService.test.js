@@ -0,0 +1,66 @@
+import '../helpers/env.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { messageStoreService } from '../../services/messageStoreService.js';
+import { stubSupabase, call } from '../helpers/supabase.js';
+
+const WORKSPACE_ID = '00000000-0000-4000-8000-0000000000aa';
+
+// Microseconds since the epoch, so comparisons keep the precision Postgres has
+const micros = timestamp => {
+  const [, whole, fraction = ''] = timestamp.match(/^(.*?:\d{2})(?:\.(\d+))?([Z+-].*)$/);
+  const offset = timestamp.slice(whole.length + (fraction ? fraction.length + 1 : 0));
+  return BigInt(Date.parse(`${whole}${offset}`)) * 1000n + BigInt(fraction.padEnd(6, '0'));
+};
+
+// Answers inbox queries from rows the way PostgREST would: newest first,
+// after the keyset filter in the or() call, limited
+const inboxOf = rows => (table, calls) => {
+  let result = [...rows];
+  const filter = call({ calls }, 'or')?.[0];
+  if (filter) {
+    const [, timestamp, id] = filter.match(/^timestamp\.lt\."([^"]+)",and\(timestamp\.eq\."[^"]+",id\.lt\.(\d+)\)$/);
+    result = result.filter(row => micros(row.timestamp) < micros(timestamp) ||
+      (micros(row.timestamp) === micros(timestamp) && row.id < Number(id)));
+  }
+  result.sort((a, b) => (micros(a.timestamp) === micros(b.timestamp) ? b.id - a.id : (micros(b.timestamp) > micros(a.timestamp) ? 1 : -1)));
+  return { data: result.slice(0, call({ calls }, 'limit')[0]), error: null };
+};
+
+let stub;
+afterEach(() => stub?.restore());
+
+describe('getInbox', () => {
+  it('pages through messages that differ below a millisecond without skipping any', async () => {
+    const rows = [
+      { id: 1, timestamp: '2024-04-01T10:00:00.123456+00:00' },
+      { id: 2, timestamp: '2024-04-01T10:00:00.123789+00:00' },
+      { id: 3, timestamp: '2024-04-01T10:00:00.123123+00:00' },
+      { id: 4, timestamp: '2024-04-01T10:00:00.123789+00:00' },
+      { id: 5, timestamp: '2024-04-01T09:59:59.999999+00:00' }
+    ];
+    stub = stubSupabase(messageStoreService.adminClient, inboxOf(rows));
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = await messageStoreService.getInbox(WORKSPACE_ID, { limit: 1, cursor });
+      seen.push(...page.messages.map(message => message.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(seen, [4, 2, 1, 3, 5]);
+  });
+
+  it('keeps the cursor timestamp exactly as stored', () => {
+    const timestamp = '2024-04-01T10:00:00.123456+00:00';
+    const cursor = messageStoreService.encodeCursor({ id: 9, timestamp });
+    assert.deepEqual(messageStoreService.decodeCursor(cursor), { timestamp, id: 9 });
+  });
+
+  it('rejects cursors that are not a timestamp and id', () => {
+    for (const raw of ['garbage', '2024-04-01|x', '2024-04-01T10:00:00Z"),id.gt.(0|1', '2024-04-01T10:00:00Z|1,2']) {
+      assert.throws(() => messageStoreService.decodeCursor(Buffer.from(raw).toString('base64url')), { status: 400 });
+    }
+  });
+});
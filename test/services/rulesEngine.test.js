@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateConditions, validateConditions, validateRule } from '../../services/rulesEngine.js';
+
+const negative = { field: 'sentiment', op: 'equals', value: 'negative' };
+const onWhatsapp = { field: 'platform', op: 'equals', value: 'whatsapp' };
+const message = { platform: 'whatsapp', content: 'This is URGENT, please call', user_id: 'user-1' };
+const withSentiment = label => ({ getSentiment: async () => ({ label, score: label === 'negative' ? -0.8 : 0.8 }) });
+
+describe('regex conditions', () => {
+  const regexErrors = (value, flags) => validateConditions({ field: 'content', op: 'regex', value, flags });
+
+  it('accepts ordinary patterns', () => {
+    for (const pattern of ['\\burgent\\b', '(foo|bar)+', '[a-z]+\\d{2,4}', '(foo)?bar+', '([a+])+', '(?:x\\+)+']) {
+      assert.deepEqual(regexErrors(pattern), [], pattern);
+    }
+  });
+
+  it('rejects groups that repeat a repeating pattern', () => {
+    for (const pattern of ['(a+)+$', '(\\w*\\s?)*', '((ab)*c)+', '(\\d+){2,}', '(x[0-9]+)*y']) {
+      assert.match(regexErrors(pattern)[0], /can't repeat a group/, pattern);
+    }
+  });
+
+  it('rejects long, empty and invalid patterns', () => {
+    assert.match(regexErrors('a'.repeat(201))[0], /limited to 200 characters/);
+    assert.match(regexErrors('')[0], /expects a pattern/);
+    assert.match(regexErrors('a(b')[0], /invalid regular expression/);
+    assert.match(regexErrors('a', 'q')[0], /invalid regular expression/);
+  });
+
+  it('gives the same answer on every evaluation, even with the g flag', async () => {
+    const condition = { field: 'content', op: 'regex', value: 'urgent', flags: 'gi' };
+    for (let i = 0; i < 3; i++) {
+      assert.equal(await evaluateConditions(condition, message), true);
+    }
+  });
+
+  it('never matches an unsafe pattern saved before validation', async () => {
+    assert.equal(await evaluateConditions({ field: 'content', op: 'regex', value: '(a+)+$' }, { content: 'aaaa' }), false);
+  });
+});
+
+describe('unknown AI facts', () => {
+  it('do not match, negated or not', async () => {
+    assert.equal(await evaluateConditions(negative, message), false);
+    assert.equal(await evaluateConditions({ not: negative }, message), false);
+    assert.equal(await evaluateConditions({ field: 'sentiment', op: 'not_equals', value: 'negative' }, message), false);
+  });
+
+  it('stay unknown through all, any and not', async () => {
+    assert.equal(await evaluateConditions({ all: [onWhatsapp, { not: negative }] }, message), false);
+    assert.equal(await evaluateConditions({ any: [{ not: negative }, { not: onWhatsapp }] }, message), false);
+    assert.equal(await evaluateConditions({ not: { all: [onWhatsapp, negative] } }, message), false);
+    assert.equal(await evaluateConditions({ not: { any: [negative, { not: onWhatsapp }] } }, message), false);
+  });
+
+  it('are decided by known facts where the logic allows', async () => {
+    assert.equal(await evaluateConditions({ any: [negative, onWhatsapp] }, message), true);
+    assert.equal(await evaluateConditions({ not: { all: [{ not: onWhatsapp }, negative] } }, message), true);
+  });
+
+  it('can be tested for with exists and not_exists', async () => {
+    assert.equal(await evaluateConditions({ field: 'sentiment', op: 'exists' }, message), false);
+    assert.equal(await evaluateConditions({ field: 'sentiment', op: 'not_exists' }, message), true);
+  });
+
+  it('match normally once the context supplies them', async () => {
+    assert.equal(await evaluateConditions({ not: negative }, message, withSentiment('positive')), true);
+    assert.equal(await evaluateConditions({ all: [onWhatsapp, negative] }, message, withSentiment('negative')), true);
+  });
+});
+
+describe('webhook actions', () => {
+  const webhookErrors = url => validateRule({
+    name: 'Forward',
+    conditions: {},
+    actions: [{ type: 'webhook', url }]
+  });
+
+  it('reject private and non-http URLs', () => {
+    for (const url of ['http://169.254.169.254/latest/meta-data', 'http://localhost:3000', 'http://[::1]/', 'ftp://example.com']) {
+      assert.ok(webhookErrors(url).some(error => error.startsWith('actions[0].url')), url);
+    }
+  });
+
+  it('accept public URLs', () => {
+    assert.deepEqual(webhookErrors('https://example.com/hook'), []);
+  });
+});
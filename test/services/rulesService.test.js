@@ -0,0 +1,119 @@
+import '../helpers/env.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { adminClient } from '../../utils/supabase.js';
+import { rulesService } from '../../services/rulesService.js';
+import { whatsappEntityService } from '../../services/whatsappEntityService.js';
+import { conversationService } from '../../services/conversationService.js';
+import { outboundMessageService } from '../../services/outboundMessageService.js';
+import { stubSupabase, call } from '../helpers/supabase.js';
+
+const WORKSPACE_ID = '00000000-0000-4000-8000-0000000000aa';
+const MEMBER_ID = '00000000-0000-4000-8000-000000000002';
+const rule = { id: 5, name: 'Triage' };
+const whatsappMessage = { id: 100, platform: 'whatsapp', conversation_id: '42', workspace_id: WORKSPACE_ID };
+const slackMessage = { id: 101, platform: 'slack', conversation_id: 'C123', workspace_id: WORKSPACE_ID };
+
+let stub;
+afterEach(() => stub?.restore());
+
+describe('conversation actions', () => {
+  it('assign sets the WhatsApp contact\'s assignee', async t => {
+    const assign = t.mock.method(whatsappEntityService, 'assignContact', async (workspaceId, contactId, assigneeId) => ({
+      id: contactId,
+      assigned_to: assigneeId
+    }));
+
+    const result = await rulesService.executeAction('owner', rule, whatsappMessage, { type: 'assign', assignee: MEMBER_ID });
+
+    assert.deepEqual(assign.mock.calls[0].arguments, [WORKSPACE_ID, 42, MEMBER_ID]);
+    assert.deepEqual(result, { assignee: MEMBER_ID });
+  });
+
+  it('snooze snoozes the conversation for the given minutes', async t => {
+    const setStatus = t.mock.method(conversationService, 'setStatus', async () => ({}));
+    const before = Date.now();
+
+    const result = await rulesService.executeAction('owner', rule, whatsappMessage, { type: 'snooze', durationMinutes: 30 });
+    const [workspaceId, contactId, change] = setStatus.mock.calls[0].arguments;
+
+    assert.equal(workspaceId, WORKSPACE_ID);
+    assert.equal(contactId, 42);
+    assert.equal(change.status, 'snoozed');
+    assert.equal(change.snoozedUntil, result.snoozedUntil);
+    assert.ok(Math.abs(new Date(change.snoozedUntil).getTime() - (before + 30 * 60000)) < 5000);
+  });
+
+  it('mute snoozes the conversation and marks the message read', async t => {
+    const setStatus = t.mock.method(conversationService, 'setStatus', async () => ({}));
+    stub = stubSupabase(adminClient, () => ({ data: null, error: null }));
+
+    await rulesService.executeAction('owner', rule, whatsappMessage, { type: 'mute', durationMinutes: 60 });
+
+    assert.equal(setStatus.mock.calls[0].arguments[2].status, 'snoozed');
+    assert.equal(stub.log[0].table, 'messages');
+    assert.equal(call(stub.log[0], 'update')[0].is_read, true);
+  });
+
+  it('fail on platforms without a conversation status or assignee', async t => {
+    const setStatus = t.mock.method(conversationService, 'setStatus', async () => ({}));
+    for (const action of [{ type: 'assign', assignee: MEMBER_ID }, { type: 'snooze', durationMinutes: 5 }, { type: 'mute', durationMinutes: 5 }]) {
+      await assert.rejects(rulesService.executeAction('owner', rule, slackMessage, action), /only applies to WhatsApp conversations/);
+    }
+    assert.equal(setStatus.mock.callCount(), 0);
+  });
+});
+
+describe('reply drafts', () => {
+  const draft = { id: 7, user_id: 'owner', workspace_id: WORKSPACE_ID, platform: 'whatsapp', conversation_id: '42', content: 'Hi!', status: 'sent' };
+
+  // The claiming update returns the draft only while it is still pending
+  const drafts = ({ pending, existing = null }) => (table, calls) => {
+    if (call({ calls }, 'update')?.[0].status === 'draft') return { data: null, error: null };
+    if (call({ calls }, 'update')) {
+      return { data: pending ? { ...draft, ...call({ calls }, 'update')[0] } : null, error: null };
+    }
+    return { data: existing, error: null };
+  };
+
+  it('send claims the draft, then sends it through the connection owner', async t => {
+    stub = stubSupabase(adminClient, drafts({ pending: true }));
+    const send = t.mock.method(outboundMessageService, 'sendMessage', async () => ({ messageId: 'm1' }));
+
+    const sent = await rulesService.sendDraft(WORKSPACE_ID, 'agent', 7, { content: '  Hello there  ' });
+
+    assert.deepEqual(call(stub.log[0], 'update'), [{ status: 'sent', content: 'Hello there' }]);
+    assert.deepEqual(call(stub.log[0], 'eq'), ['workspace_id', WORKSPACE_ID]);
+    assert.ok(stub.log[0].calls.some(([method, column, value]) => method === 'eq' && column === 'status' && value === 'draft'));
+    assert.deepEqual(send.mock.calls[0].arguments, ['owner', { platform: 'whatsapp', conversationId: '42', content: 'Hello there' }]);
+    assert.equal(sent.status, 'sent');
+  });
+
+  it('send puts the draft back when sending fails', async t => {
+    stub = stubSupabase(adminClient, drafts({ pending: true }));
+    t.mock.method(outboundMessageService, 'sendMessage', async () => {
+      throw new Error('bridge offline');
+    });
+
+    await assert.rejects(rulesService.sendDraft(WORKSPACE_ID, 'agent', 7), /bridge offline/);
+    assert.deepEqual(call(stub.log.at(-1), 'update'), [{ status: 'draft' }]);
+  });
+
+  it('send and discard answer 409 for drafts that are no longer pending', async t => {
+    stub = stubSupabase(adminClient, drafts({ pending: false, existing: { status: 'sent' } }));
+    const send = t.mock.method(outboundMessageService, 'sendMessage', async () => ({}));
+
+    await assert.rejects(rulesService.sendDraft(WORKSPACE_ID, 'agent', 7), { status: 409, message: 'Reply draft was already sent' });
+    await assert.rejects(rulesService.discardDraft(WORKSPACE_ID, 7), { status: 409 });
+    assert.equal(send.mock.callCount(), 0);
+  });
+
+  it('send and discard answer 404 for drafts outside the workspace', async () => {
+    stub = stubSupabase(adminClient, drafts({ pending: false, existing: null }));
+    await assert.rejects(rulesService.discardDraft(WORKSPACE_ID, 7), { status: 404 });
+  });
+
+  it('list rejects unknown statuses', async () => {
+    await assert.rejects(rulesService.listDrafts(WORKSPACE_ID, { status: 'queued' }), { status: 400 });
+  });
+});
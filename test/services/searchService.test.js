@@ -0,0 +1,29 @@
+import '../helpers/env.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { adminClient } from '../../utils/supabase.js';
+import { searchService } from '../../services/searchService.js';
+import { stubSupabase, call } from '../helpers/supabase.js';
+
+const WORKSPACE_ID = '00000000-0000-4000-8000-0000000000aa';
+
+let stub;
+afterEach(() => stub?.restore());
+
+describe('indexEmbeddings', () => {
+  it('picks pending messages from the whole workspace and bills the caller', async t => {
+    stub = stubSupabase(adminClient, (table, calls) => (
+      call({ calls }, 'select')
+        ? { data: [{ id: 1, content: 'hello', transcript: null }, { id: 2, content: '   ', transcript: null }], error: null }
+        : { data: null, error: null }
+    ));
+    const embed = t.mock.method(searchService, 'embed', async texts => texts.map(() => [0.1, 0.2]));
+
+    const result = await searchService.indexEmbeddings(WORKSPACE_ID, 'user-1');
+
+    assert.deepEqual(call(stub.log[0], 'eq'), ['workspace_id', WORKSPACE_ID]);
+    assert.ok(!stub.log[0].calls.some(([method, column]) => method === 'eq' && column === 'user_id'));
+    assert.deepEqual(embed.mock.calls[0].arguments, [['hello'], 'user-1']);
+    assert.deepEqual(result, { indexed: 1, skipped: 1 });
+  });
+});
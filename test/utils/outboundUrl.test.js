@@ -0,0 +1,90 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPrivateAddress, outboundUrlError, publicLookup } from '../../utils/outboundUrl.js';
+
+const lookup = (hostname, options) => new Promise((resolve, reject) => {
+  publicLookup(hostname, options, (error, address, family) => (error ? reject(error) : resolve({ address, family })));
+});
+
+afterEach(() => {
+  delete process.env.ALLOW_PRIVATE_OUTBOUND_URLS;
+});
+
+describe('isPrivateAddress', () => {
+  it('flags loopback, private, link-local and reserved IPv4', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it('flags IPv6 loopback, unique local, link-local and IPv4-mapped private addresses', () => {
+    for (const address of ['::1', '::', 'fd00::1', 'fc12:3456::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:169.254.169.254', '64:ff9b::a00:1']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it('passes public addresses and non-addresses', () => {
+    for (const address of ['8.8.8.8', '172.32.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8', 'example.com']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+});
+
+describe('outboundUrlError', () => {
+  it('rejects private hosts however they are written', () => {
+    for (const url of [
+      'http://localhost/hook',
+      'http://api.localhost/hook',
+      'http://printer.local/',
+      'http://metadata.google.internal/',
+      'http://169.254.169.254/latest/meta-data',
+      'http://2130706433/', // 127.0.0.1 as a number
+      'http://0x7f.1/',
+      'http://[::ffff:127.0.0.1]/',
+      'http://[fd00::1]/',
+      'http://[fe80::1]/'
+    ]) {
+      assert.equal(outboundUrlError(url), 'must not point at a private address', url);
+    }
+  });
+
+  it('rejects malformed URLs and other protocols', () => {
+    assert.equal(outboundUrlError('not a url'), 'must be a valid URL');
+    assert.equal(outboundUrlError('ftp://example.com/'), 'must use http or https');
+    assert.equal(outboundUrlError('file:///etc/passwd'), 'must use http or https');
+  });
+
+  it('accepts public http and https URLs', () => {
+    assert.equal(outboundUrlError('https://example.com/hook'), null);
+    assert.equal(outboundUrlError('http://8.8.8.8:8080/'), null);
+  });
+
+  it('allows private hosts only with the explicit opt-in', () => {
+    process.env.ALLOW_PRIVATE_OUTBOUND_URLS = 'true';
+    assert.equal(outboundUrlError('http://localhost:3000/hook'), null);
+  });
+});
+
+describe('publicLookup', () => {
+  it('fails for names that resolve to private addresses', async () => {
+    await assert.rejects(lookup('localhost', {}), { code: 'EPRIVATEADDRESS' });
+  });
+
+  it('fails for literal private addresses', async () => {
+    await assert.rejects(lookup('127.0.0.1', {}), { code: 'EPRIVATEADDRESS' });
+  });
+
+  it('resolves private addresses with the opt-in, in the shape dns.lookup uses', async () => {
+    process.env.ALLOW_PRIVATE_OUTBOUND_URLS = 'true';
+    assert.deepEqual(await lookup('127.0.0.1', 4), { address: '127.0.0.1', family: 4 });
+
+    const all = await new Promise((resolve, reject) => {
+      publicLookup('127.0.0.1', { all: true }, (error, addresses) => (error ? reject(error) : resolve(addresses)));
+    });
+    assert.deepEqual(all, [{ address: '127.0.0.1', family: 4 }]);
+  });
+
+  it('resolves public addresses', async () => {
+    assert.deepEqual(await lookup('8.8.8.8', {}), { address: '8.8.8.8', family: 4 });
+  });
+});
@@ -0,0 +1,125 @@
+// JSON Schema checker covering the subset used by the OpenAPI spec and by
+// structured model output: $ref (into root.components.schemas), nullable,
+// enum, type, properties/required/additionalProperties, items/minItems/
+// maxItems, string length/pattern/format, numeric bounds and
+// oneOf/anyOf/allOf. Returns a list of human-readable errors (empty when
+// valid).
+const FORMATS = {
+  'date-time': value => !Number.isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => {
+    try {
+      new URL(value);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+function resolveRef(ref, root) {
+  const name = ref.replace(/^#\/components\/schemas\//, '');
+  const schema = root?.components?.schemas?.[name];
+  if (!schema) throw new Error(`Unresolved schema reference: ${ref}`);
+  return schema;
+}
+
+function checkBounds(value, schema, path, errors) {
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+  else if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+}
+
+export function validateJson(value, schema, path = '$', root = null) {
+  if (!schema) return [];
+  if (value === null && schema.nullable) return [];
+  if (schema.$ref) return validateJson(value, resolveRef(schema.$ref, root), path, root);
+
+  const errors = [];
+
+  if (schema.allOf) {
+    for (const part of schema.allOf) errors.push(...validateJson(value, part, path, root));
+    if (errors.length > 0) return errors;
+  }
+
+  if (schema.oneOf || schema.anyOf) {
+    const options = schema.oneOf || schema.anyOf;
+    const matches = options.filter(option => validateJson(value, option, path, root).length === 0).length;
+    if (matches === 0 || (schema.oneOf && matches > 1)) {
+      errors.push(`${path}: must match ${schema.oneOf ? 'exactly one' : 'at least one'} of the allowed shapes`);
+    }
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+    return errors;
+  }
+
+  switch (schema.type) {
+    case 'object':
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path}: must be an object`);
+        break;
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+      }
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined) {
+          errors.push(...validateJson(value[key], propertySchema, `${path}.${key}`, root));
+        }
+      }
+      if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+        for (const key of Object.keys(value)) {
+          if (schema.properties?.[key]) continue;
+          if (schema.additionalProperties === false) errors.push(`${path}.${key}: is not allowed`);
+          else errors.push(...validateJson(value[key], schema.additionalProperties, `${path}.${key}`, root));
+        }
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path}: must be an array`);
+        break;
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} items`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items`);
+      value.forEach((item, index) => {
+        errors.push(...validateJson(item, schema.items, `${path}[${index}]`, root));
+      });
+      break;
+
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${path}: must be a string`);
+        break;
+      }
+      if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must be at least ${schema.minLength} characters`);
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: must match ${schema.pattern}`);
+      if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) errors.push(`${path}: must be a valid ${schema.format}`);
+      break;
+
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) errors.push(`${path}: must be a number`);
+      else checkBounds(value, schema, path, errors);
+      break;
+
+    case 'integer':
+      if (!Number.isInteger(value)) errors.push(`${path}: must be an integer`);
+      else checkBounds(value, schema, path, errors);
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`${path}: must be a boolean`);
+      break;
+
+    default:
+      break;
+  }
+
+  return errors;
+}
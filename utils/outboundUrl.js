@@ -0,0 +1,88 @@
+import dns from 'dns';
+import net from 'net';
+
+// Checks for URLs the server sends user data to (outgoing webhooks, rule
+// webhook actions), so they can't be pointed at loopback, link-local or
+// private networks. Local development can opt out with
+// ALLOW_PRIVATE_OUTBOUND_URLS=true.
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, including cloud metadata endpoints
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+].forEach(([prefix, bits]) => blocked.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96], // NAT64, embeds an IPv4 address
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([prefix, bits]) => blocked.addSubnet(prefix, bits, 'ipv6'));
+
+const allowPrivate = () => process.env.ALLOW_PRIVATE_OUTBOUND_URLS === 'true';
+
+// Also true for IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) of private ones
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function isPrivateHostname(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (net.isIP(host)) return isPrivateAddress(host);
+  return host === 'localhost'
+    || host.endsWith('.localhost')
+    || host.endsWith('.local')
+    || host.endsWith('.internal');
+}
+
+// Why the URL can't be used, or null when it can. Hostnames are checked as
+// written; what they resolve to is checked when sending (publicLookup).
+export function outboundUrlError(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'must be a valid URL';
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return 'must use http or https';
+  if (!allowPrivate() && isPrivateHostname(url.hostname)) return 'must not point at a private address';
+  return null;
+}
+
+// dns.lookup that fails for private addresses. Pass it to axios as `lookup`
+// so the address checked is the one connected to, which a DNS name resolved
+// earlier can't guarantee.
+export function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  } else if (typeof options === 'number') {
+    options = { family: options };
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!allowPrivate() && addresses.some(({ address }) => isPrivateAddress(address))) {
+      const privateError = new Error(`${hostname} resolves to a private address`);
+      privateError.code = 'EPRIVATEADDRESS';
+      return callback(privateError);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}